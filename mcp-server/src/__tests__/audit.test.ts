@@ -0,0 +1,135 @@
+/**
+ * Tests for the workspace audit — snapshot diffs, ignored paths, the file
+ * limit and restoring from the snapshot.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { existsSync, mkdirSync, readFileSync, rmSync, statSync, symlinkSync, unlinkSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { withWorkspaceAudit, formatWorkspaceAudit } from '../audit.js';
+import { setConfigPathForTesting } from '../config.js';
+
+let tempDir: string;
+let workspace: string;
+
+function writeConfig(workspaceAudit: Record<string, unknown>): void {
+  writeFileSync(join(tempDir, 'config.json'), JSON.stringify({ workspaceAudit: { enabled: true, ...workspaceAudit } }));
+}
+
+beforeEach(() => {
+  tempDir = join(tmpdir(), `cc-reviewer-audit-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  workspace = join(tempDir, 'repo');
+  mkdirSync(join(workspace, 'src'), { recursive: true });
+  mkdirSync(join(workspace, 'node_modules'));
+  writeFileSync(join(workspace, 'src', 'app.ts'), 'const a = 1;\n');
+  writeFileSync(join(workspace, 'README.md'), '# App\n');
+  setConfigPathForTesting(join(tempDir, 'config.json'));
+});
+
+afterEach(() => {
+  setConfigPathForTesting(null);
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('withWorkspaceAudit', () => {
+  it('does nothing unless enabled', async () => {
+    const { value, audit } = await withWorkspaceAudit(workspace, async () => 'reviewed');
+    expect(value).toBe('reviewed');
+    expect(audit).toBeNull();
+  });
+
+  it('reports created, modified and deleted files but not ignored ones', async () => {
+    writeConfig({});
+    const { audit } = await withWorkspaceAudit(workspace, async () => {
+      writeFileSync(join(workspace, 'src', 'app.ts'), 'const a = 2;\n');
+      writeFileSync(join(workspace, 'src', 'new.ts'), 'export {};\n');
+      unlinkSync(join(workspace, 'README.md'));
+      writeFileSync(join(workspace, 'node_modules', 'cache.json'), '{}');
+    });
+
+    expect(audit).toEqual({ created: ['src/new.ts'], modified: ['src/app.ts'], deleted: ['README.md'] });
+    const text = formatWorkspaceAudit(audit);
+    expect(text).toContain('🚨 **Security violation:** 3 files changed');
+    expect(text).toContain('- created: `src/new.ts`');
+    expect(text).toContain('- deleted: `README.md`');
+  });
+
+  it('ignores a rewrite with identical contents', async () => {
+    writeConfig({});
+    const { audit } = await withWorkspaceAudit(workspace, async () => {
+      writeFileSync(join(workspace, 'src', 'app.ts'), 'const a = 1;\n');
+    });
+    expect(formatWorkspaceAudit(audit)).toBe('');
+  });
+
+  it('treats a retargeted symlink as modified', async () => {
+    symlinkSync('src/app.ts', join(workspace, 'link'));
+    writeConfig({});
+    const { audit } = await withWorkspaceAudit(workspace, async () => {
+      unlinkSync(join(workspace, 'link'));
+      symlinkSync('README.md', join(workspace, 'link'));
+    });
+    expect(audit?.modified).toEqual(['link']);
+  });
+
+  it('restores the workspace from the snapshot', async () => {
+    writeConfig({ restore: true });
+    const mtime = statSync(join(workspace, 'src', 'app.ts')).mtimeMs;
+    const { audit } = await withWorkspaceAudit(workspace, async () => {
+      writeFileSync(join(workspace, 'src', 'app.ts'), 'const a = 2;\n');
+      writeFileSync(join(workspace, 'dropped.txt'), 'x');
+      rmSync(join(workspace, 'src'), { recursive: true });
+    });
+
+    expect(audit?.restore).toEqual({ restored: ['src/app.ts'], kept: ['dropped.txt'], failed: [] });
+    expect(readFileSync(join(workspace, 'src', 'app.ts'), 'utf-8')).toBe('const a = 1;\n');
+    expect(statSync(join(workspace, 'src', 'app.ts')).mtimeMs).toBeCloseTo(mtime, -1);
+    expect(existsSync(join(workspace, 'dropped.txt'))).toBe(true);
+    expect(formatWorkspaceAudit(audit)).toContain('Created files were kept: `dropped.txt`');
+  });
+
+  it('deletes created files only with deleteCreated', async () => {
+    writeConfig({ restore: true, deleteCreated: true });
+    const { audit } = await withWorkspaceAudit(workspace, async () => {
+      writeFileSync(join(workspace, 'dropped.txt'), 'x');
+    });
+
+    expect(audit?.restore).toEqual({ restored: ['dropped.txt'], kept: [], failed: [] });
+    expect(existsSync(join(workspace, 'dropped.txt'))).toBe(false);
+    expect(formatWorkspaceAudit(audit)).toContain('All changes were reverted');
+  });
+
+  it('only reports background runs, leaving edits made alongside them in place', async () => {
+    writeConfig({ restore: true, deleteCreated: true });
+    const { audit } = await withWorkspaceAudit(workspace, async () => {
+      // The assistant keeps working while a review_start job runs
+      writeFileSync(join(workspace, 'src', 'app.ts'), 'const a = 2;\n');
+      writeFileSync(join(workspace, 'src', 'new.ts'), 'export {};\n');
+    }, { background: true });
+
+    expect(audit).toMatchObject({ created: ['src/new.ts'], modified: ['src/app.ts'] });
+    expect(audit?.restore).toBeUndefined();
+    expect(readFileSync(join(workspace, 'src', 'app.ts'), 'utf-8')).toBe('const a = 2;\n');
+    expect(existsSync(join(workspace, 'src', 'new.ts'))).toBe(true);
+    expect(formatWorkspaceAudit(audit)).toContain('Not reverted: the review ran in the background');
+  });
+
+  it('reports files past maxRestoreBytes as not restored', async () => {
+    writeConfig({ restore: true, maxRestoreBytes: 8 });
+    const { audit } = await withWorkspaceAudit(workspace, async () => {
+      writeFileSync(join(workspace, 'README.md'), 'changed\n');
+      writeFileSync(join(workspace, 'src', 'app.ts'), 'changed\n');
+    });
+
+    expect(audit?.restore).toEqual({ restored: ['README.md'], kept: [], failed: ['src/app.ts'] });
+    expect(formatWorkspaceAudit(audit)).toContain('Could not restore (not kept in memory, or changed again since the review): `src/app.ts`');
+  });
+
+  it('skips workspaces with more than maxFiles files', async () => {
+    writeConfig({ maxFiles: 1 });
+    const { value, audit } = await withWorkspaceAudit(workspace, async () => 'reviewed');
+    expect(value).toBe('reviewed');
+    expect(formatWorkspaceAudit(audit)).toBe('⚠️ **Workspace audit skipped:** more than 1 files (workspaceAudit.maxFiles)');
+  });
+});
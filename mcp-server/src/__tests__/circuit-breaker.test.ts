@@ -0,0 +1,164 @@
+/**
+ * Tests for per-adapter health tracking and the circuit breaker
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  ReviewerAdapter,
+  ReviewResult,
+  registerAdapter,
+  getAvailableAdapters,
+  getAdapterHealth,
+  recordAdapterOutcome,
+  resetAdapterHealthForTesting,
+} from '../adapters/base.js';
+import { withRetry } from '../adapters/retry.js';
+import { setConfigPathForTesting } from '../config.js';
+
+const failed: ReviewResult = { success: false, error: { type: 'timeout', message: 'no events' }, executionTimeMs: 300 };
+const succeeded: ReviewResult = { success: true, output: 'ok', executionTimeMs: 100 };
+
+let tempDir: string;
+
+function writeBreakerConfig(circuitBreaker: Record<string, unknown>): void {
+  writeFileSync(join(tempDir, 'config.json'), JSON.stringify({ circuitBreaker }));
+  setConfigPathForTesting(join(tempDir, 'config.json'));
+}
+
+function fail(id: string, times: number): void {
+  for (let i = 0; i < times; i++) recordAdapterOutcome(id, failed);
+}
+
+beforeEach(() => {
+  tempDir = join(tmpdir(), `cc-reviewer-breaker-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(tempDir, { recursive: true });
+  setConfigPathForTesting(join(tempDir, 'config.json'));
+  resetAdapterHealthForTesting();
+});
+
+afterEach(() => {
+  setConfigPathForTesting(null);
+  resetAdapterHealthForTesting();
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('adapter health', () => {
+  it('starts closed with no stats', () => {
+    expect(getAdapterHealth('codex')).toEqual({
+      state: 'closed', consecutiveFailures: 0, recentSuccesses: 0, recentFailures: 0, avgLatencyMs: null,
+    });
+  });
+
+  it('tracks recent outcomes and latency within the window', () => {
+    writeBreakerConfig({ window: 3 });
+    recordAdapterOutcome('codex', failed);
+    recordAdapterOutcome('codex', succeeded);
+    recordAdapterOutcome('codex', succeeded);
+    recordAdapterOutcome('codex', failed);
+
+    expect(getAdapterHealth('codex')).toMatchObject({
+      state: 'closed', consecutiveFailures: 1, recentSuccesses: 2, recentFailures: 1, avgLatencyMs: 167,
+      lastError: 'timeout: no events',
+    });
+  });
+
+  it('ignores cancelled reviews', () => {
+    recordAdapterOutcome('codex', { success: false, error: { type: 'cancelled', message: 'Review cancelled' }, executionTimeMs: 1 });
+    expect(getAdapterHealth('codex').recentFailures).toBe(0);
+  });
+});
+
+describe('circuit breaker', () => {
+  it('opens after failureThreshold failures in a row', () => {
+    fail('gemini', 2);
+    expect(getAdapterHealth('gemini').state).toBe('closed');
+
+    fail('gemini', 1);
+    const health = getAdapterHealth('gemini');
+    expect(health.state).toBe('open');
+    expect(health.reopensAt).toBeGreaterThan(Date.now());
+  });
+
+  it('a success in between resets the count', () => {
+    fail('gemini', 2);
+    recordAdapterOutcome('gemini', succeeded);
+    fail('gemini', 2);
+    expect(getAdapterHealth('gemini').state).toBe('closed');
+  });
+
+  it('half-opens after the cooldown; a success closes it and a failure reopens it', () => {
+    writeBreakerConfig({ cooldownMs: 0 });
+    fail('gemini', 3);
+    expect(getAdapterHealth('gemini').state).toBe('half_open');
+
+    recordAdapterOutcome('gemini', succeeded);
+    expect(getAdapterHealth('gemini').state).toBe('closed');
+
+    fail('gemini', 3);
+    writeBreakerConfig({ cooldownMs: 60_000 });
+    recordAdapterOutcome('gemini', failed);
+    expect(getAdapterHealth('gemini').state).toBe('open');
+  });
+
+  it('lets exactly one concurrent review probe a half-open circuit', async () => {
+    writeBreakerConfig({ cooldownMs: 0 });
+    fail('gemini', 3);
+    const request = { workingDir: tempDir, ccOutput: 'x', outputType: 'analysis' as const };
+    let finishProbe!: (result: ReviewResult) => void;
+    let runs = 0;
+    const attempt = () => {
+      runs++;
+      return new Promise<ReviewResult>(resolve => { finishProbe = resolve; });
+    };
+
+    const probe = withRetry('gemini', request, attempt);
+    const [second, third] = await Promise.all([withRetry('gemini', request, attempt), withRetry('gemini', request, attempt)]);
+    expect(runs).toBe(1);
+    expect(second).toMatchObject({ success: false, error: { message: expect.stringContaining('already probing') } });
+    expect(third.success).toBe(false);
+    expect(getAdapterHealth('gemini')).toMatchObject({ state: 'half_open', probing: true, consecutiveFailures: 3 });
+    expect(await getAvailableAdapters().then(a => a.map(x => x.id))).not.toContain('gemini');
+
+    finishProbe(succeeded);
+    expect(await probe).toEqual(succeeded);
+    expect(getAdapterHealth('gemini').state).toBe('closed');
+  });
+
+  it('frees the probe once a failed probe is recorded', async () => {
+    writeBreakerConfig({ cooldownMs: 0 });
+    fail('gemini', 3);
+    const request = { workingDir: tempDir, ccOutput: 'x', outputType: 'analysis' as const };
+    await withRetry('gemini', request, async () => failed);
+
+    expect(getAdapterHealth('gemini')).toMatchObject({ state: 'half_open', consecutiveFailures: 4 });
+    expect(getAdapterHealth('gemini').probing).toBeUndefined();
+  });
+
+  it('stays closed when disabled', () => {
+    writeBreakerConfig({ enabled: false });
+    fail('gemini', 5);
+    expect(getAdapterHealth('gemini').state).toBe('closed');
+  });
+
+  it('getAvailableAdapters skips open circuits without probing them', async () => {
+    let probed = false;
+    const adapter: ReviewerAdapter = {
+      id: 'breaker-test',
+      getCapabilities: () => ({
+        name: 'Breaker Test', description: '', strengths: [], weaknesses: [],
+        hasFilesystemAccess: false, supportsStructuredOutput: false, maxContextTokens: 1000,
+      }),
+      isAvailable: async () => { probed = true; return true; },
+      runReview: async () => succeeded,
+    };
+    registerAdapter(adapter);
+    fail('breaker-test', 3);
+
+    const ids = (await getAvailableAdapters()).map(a => a.id);
+    expect(ids).not.toContain('breaker-test');
+    expect(probed).toBe(false);
+  });
+});
@@ -34,6 +34,8 @@ vi.mock('../decoders/index.js', () => {
       getError() { return null; }
       getFinalResponse() { return 'ok'; }
       hasNoOutput() { return false; }
+      getThreadId() { return 'thread-1'; }
+      getUsage() { return { input_tokens: 1200, cached_input_tokens: 200, output_tokens: 300 }; }
     },
   };
 });
@@ -102,3 +104,62 @@ describe('CodexAdapter — serviceTier defaulting', () => {
     expect(findServiceTierArg(capturedArgs[0])).toBe('service_tier=flex');
   });
 });
+
+describe('CodexAdapter — follow-up resume', () => {
+  beforeEach(() => {
+    capturedArgs.length = 0;
+  });
+
+  it('resumes the earlier thread and reads the prompt from stdin', async () => {
+    const adapter = new CodexAdapter();
+    const result = await adapter.runReview({
+      workingDir: process.cwd(),
+      ccOutput: 'test',
+      outputType: 'analysis',
+      followUp: { previousReview: 'earlier', questions: [{ question: 'Why?' }], threadId: 'thread-1' },
+    });
+
+    expect(capturedArgs[0].slice(-3)).toEqual(['resume', 'thread-1', '-']);
+    expect(result).toMatchObject({ success: true, threadId: 'thread-1' });
+  });
+
+  it('starts a fresh thread for normal reviews', async () => {
+    const adapter = new CodexAdapter();
+    await adapter.runReview({ workingDir: process.cwd(), ccOutput: 'test', outputType: 'analysis' });
+
+    expect(capturedArgs[0]).not.toContain('resume');
+    expect(capturedArgs[0].at(-1)).toBe('-');
+  });
+});
+
+describe('CodexAdapter — token usage', () => {
+  it('reports usage with the model and service tier', async () => {
+    const adapter = new CodexAdapter();
+    const result = await adapter.runReview({
+      workingDir: process.cwd(),
+      ccOutput: 'test',
+      outputType: 'analysis',
+      serviceTier: 'flex',
+    });
+
+    expect(result.usage).toEqual({
+      inputTokens: 1200,
+      cachedInputTokens: 200,
+      outputTokens: 300,
+      model: 'gpt-5.5',
+      serviceTier: 'flex',
+    });
+  });
+
+  it("omits the tier when serviceTier is 'default'", async () => {
+    const adapter = new CodexAdapter();
+    const result = await adapter.runReview({
+      workingDir: process.cwd(),
+      ccOutput: 'test',
+      outputType: 'analysis',
+      serviceTier: 'default',
+    });
+
+    expect(result.usage?.serviceTier).toBeUndefined();
+  });
+});
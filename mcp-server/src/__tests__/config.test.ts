@@ -21,6 +21,9 @@ import {
   setConfigPathForTesting,
   DEFAULT_CONFIG,
   ConfigSchema,
+  PROJECT_CONFIG_FILE,
+  findProjectConfig,
+  validateConfigFile,
 } from '../config.js';
 
 // Each test gets its own temp directory so tests are fully isolated.
@@ -73,6 +76,14 @@ describe('DEFAULT_CONFIG', () => {
       maxBufferSize: 1_048_576,
     });
   });
+
+  it('retries rate limits up to 3 tries by default', () => {
+    expect(DEFAULT_CONFIG.retry).toEqual({ maxAttempts: 3, baseDelayMs: 2_000, maxDelayMs: 60_000, on: ['rate_limit'] });
+  });
+
+  it('has no failover chains by default', () => {
+    expect(DEFAULT_CONFIG.failover).toEqual({ chains: {}, on: ['rate_limit', 'auth_error', 'timeout'] });
+  });
 });
 
 // =============================================================================
@@ -244,6 +255,140 @@ describe('getConfig — hot-reload on file change', () => {
   });
 });
 
+// =============================================================================
+// PROJECT CONFIG (.cc-reviewer.json)
+// =============================================================================
+
+describe('getConfig(workingDir) — project config', () => {
+  let projectDir: string;
+  let nestedDir: string;
+
+  beforeEach(() => {
+    projectDir = join(tempDir, 'repo');
+    nestedDir = join(projectDir, 'packages', 'api');
+    mkdirSync(nestedDir, { recursive: true });
+    writeFileSync(configPath, JSON.stringify({
+      codex: { model: 'user-model', inactivityTimeoutMs: { high: 100_000 } },
+      review: { focusAreas: ['security'] },
+    }));
+  });
+
+  it('returns the user config when no project file exists', () => {
+    expect(getConfig(nestedDir)).toBe(getConfig());
+  });
+
+  it('finds the nearest project file walking up from workingDir', () => {
+    writeFileSync(join(projectDir, PROJECT_CONFIG_FILE), JSON.stringify({ codex: { model: 'repo-model' } }));
+    expect(findProjectConfig(nestedDir)).toBe(join(projectDir, PROJECT_CONFIG_FILE));
+    expect(getConfig(nestedDir).codex.model).toBe('repo-model');
+
+    writeFileSync(join(nestedDir, PROJECT_CONFIG_FILE), JSON.stringify({ codex: { model: 'package-model' } }));
+    expect(getConfig(nestedDir).codex.model).toBe('package-model');
+    expect(getConfig(projectDir).codex.model).toBe('repo-model');
+  });
+
+  it('deep-merges over the user config, not the defaults', () => {
+    writeFileSync(join(projectDir, PROJECT_CONFIG_FILE), JSON.stringify({
+      codex: { inactivityTimeoutMs: { xhigh: 600_000 } },
+      review: { instructions: 'No default exports.' },
+    }));
+    const cfg = getConfig(nestedDir);
+    expect(cfg.codex.model).toBe('user-model');
+    expect(cfg.codex.inactivityTimeoutMs).toEqual({ high: 100_000, xhigh: 600_000 });
+    expect(cfg.review).toEqual({ focusAreas: ['security'], instructions: 'No default exports.', reviewers: null, contextHeadroom: 0.25 });
+  });
+
+  it('replaces arrays instead of concatenating them', () => {
+    writeFileSync(join(projectDir, PROJECT_CONFIG_FILE), JSON.stringify({ review: { focusAreas: ['performance'] } }));
+    expect(getConfig(projectDir).review.focusAreas).toEqual(['performance']);
+  });
+
+  it('keeps the user settings for an invalid project section', () => {
+    writeFileSync(join(projectDir, PROJECT_CONFIG_FILE), JSON.stringify({
+      codex: { reasoningEffort: 'extreme' },
+      claude: { model: 'sonnet' },
+    }));
+    const cfg = getConfig(projectDir);
+    expect(cfg.codex.model).toBe('user-model');
+    expect(cfg.codex.reasoningEffort).toBe('high');
+    expect(cfg.claude.model).toBe('sonnet');
+  });
+
+  it('ignores customReviewers and pricing in project files', () => {
+    writeFileSync(join(projectDir, PROJECT_CONFIG_FILE), JSON.stringify({
+      customReviewers: [{ id: 'evil', command: 'curl' }],
+      pricing: { models: { 'gpt-5.5': { input: 0, output: 0 } } },
+    }));
+    const cfg = getConfig(projectDir);
+    expect(cfg.customReviewers).toEqual([]);
+    expect(cfg.pricing.models).toEqual({});
+  });
+
+  it('ignores ollama in project files so the API key stays with the user\'s server', () => {
+    writeFileSync(configPath, JSON.stringify({ ollama: { baseUrl: 'http://localhost:11434/v1', apiKey: 'user-key' } }));
+    writeFileSync(join(projectDir, PROJECT_CONFIG_FILE), JSON.stringify({ ollama: { baseUrl: 'https://attacker.example/v1' } }));
+    expect(getConfig(projectDir).ollama).toMatchObject({ baseUrl: 'http://localhost:11434/v1', apiKey: 'user-key' });
+  });
+
+  it('falls back to the user config on invalid JSON', () => {
+    writeFileSync(join(projectDir, PROJECT_CONFIG_FILE), '{ nope');
+    expect(getConfig(projectDir).codex.model).toBe('user-model');
+  });
+
+  it('reloads when the project file changes', async () => {
+    const projectFile = join(projectDir, PROJECT_CONFIG_FILE);
+    writeFileSync(projectFile, JSON.stringify({ codex: { model: 'v1' } }));
+    expect(getConfig(projectDir).codex.model).toBe('v1');
+    expect(getConfig(projectDir)).toBe(getConfig(projectDir));
+
+    await new Promise((r) => setTimeout(r, 50));
+    writeFileSync(projectFile, JSON.stringify({ codex: { model: 'v2' } }));
+    expect(getConfig(projectDir).codex.model).toBe('v2');
+  });
+});
+
+// =============================================================================
+// validateConfigFile
+// =============================================================================
+
+describe('validateConfigFile', () => {
+  beforeEach(() => mkdirSync(tempDir, { recursive: true }));
+
+  it('accepts an empty and a fully-populated config', () => {
+    writeFileSync(configPath, '{}');
+    expect(validateConfigFile(configPath)).toEqual([]);
+    writeFileSync(configPath, JSON.stringify(DEFAULT_CONFIG));
+    expect(validateConfigFile(configPath)).toEqual([]);
+  });
+
+  it('reports invalid JSON', () => {
+    writeFileSync(configPath, '{ nope');
+    expect(validateConfigFile(configPath)[0]).toMatch(/^Invalid JSON/);
+  });
+
+  it('reports each schema violation with its path', () => {
+    writeFileSync(configPath, JSON.stringify({
+      codex: { inactivityTimeoutMs: -1 },
+      retry: { maxAttempts: 'three' },
+      customReviewers: [{ id: 'ok', command: 'x' }, { id: 'Bad Id!' }],
+    }));
+    const problems = validateConfigFile(configPath);
+    expect(problems.some(p => p.startsWith('codex.inactivityTimeoutMs:'))).toBe(true);
+    expect(problems.some(p => p.startsWith('retry.maxAttempts:'))).toBe(true);
+    expect(problems.some(p => p.startsWith('customReviewers[1]'))).toBe(true);
+    expect(problems.some(p => p.startsWith('customReviewers[0]'))).toBe(false);
+  });
+
+  it('flags unknown sections, and user-only sections in project files', () => {
+    writeFileSync(configPath, JSON.stringify({ codx: {}, pricing: {} }));
+    expect(validateConfigFile(configPath)).toEqual(['Unknown section "codx"']);
+    expect(validateConfigFile(configPath, 'project')).toEqual([
+      'Unknown section "codx"',
+      `"pricing" can only be set in ${configPath}`,
+    ]);
+  });
+});
+
 // =============================================================================
 // ConfigSchema.parse round-trip
 // =============================================================================
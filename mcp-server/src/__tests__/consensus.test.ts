@@ -0,0 +1,99 @@
+/**
+ * Tests for cross-model consensus clustering
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildConsensus, formatConsensus, isSameIssue, titleSimilarity } from '../consensus.js';
+import { ReviewFinding } from '../schema.js';
+
+function finding(overrides: Partial<ReviewFinding> = {}): ReviewFinding {
+  return {
+    id: 'f',
+    category: 'security',
+    severity: 'high',
+    confidence: 0.7,
+    title: 'SQL injection in user lookup',
+    description: 'Query built by string concatenation',
+    location: { file: 'src/db.ts', line_start: 42 },
+    ...overrides,
+  };
+}
+
+// =============================================================================
+// SIMILARITY
+// =============================================================================
+
+describe('titleSimilarity', () => {
+  it('is 1 for identical titles and 0 for unrelated ones', () => {
+    expect(titleSimilarity('SQL injection in lookup', 'SQL injection in lookup')).toBe(1);
+    expect(titleSimilarity('SQL injection', 'Slow rendering loop')).toBe(0);
+  });
+});
+
+describe('isSameIssue', () => {
+  it('matches same file with nearby lines and same category', () => {
+    expect(isSameIssue(finding(), finding({ title: 'Unsanitized query parameter', location: { file: './src/db.ts', line_start: 44 } }))).toBe(true);
+  });
+
+  it('never matches across different files', () => {
+    expect(isSameIssue(finding(), finding({ location: { file: 'src/other.ts', line_start: 42 } }))).toBe(false);
+  });
+
+  it('does not match distant lines with unrelated titles', () => {
+    expect(isSameIssue(finding(), finding({ title: 'Connection pool never released', category: 'performance', location: { file: 'src/db.ts', line_start: 200 } }))).toBe(false);
+  });
+
+  it('matches findings without location by title similarity', () => {
+    expect(isSameIssue(finding({ location: undefined }), finding({ location: undefined, title: 'SQL injection in the user lookup' }))).toBe(true);
+  });
+});
+
+// =============================================================================
+// CLUSTERING
+// =============================================================================
+
+describe('buildConsensus', () => {
+  it('marks findings reported by several models as agreed and boosts confidence', () => {
+    const consensus = buildConsensus([
+      { reviewer: 'codex', findings: [finding({ id: 'c1', confidence: 0.7 })] },
+      { reviewer: 'gemini', findings: [finding({ id: 'g1', confidence: 0.6, severity: 'critical', location: { file: 'src/db.ts', line_start: 43 } })] },
+      { reviewer: 'claude', findings: [finding({ id: 'o1', title: 'Race in cache refresh', category: 'correctness', location: { file: 'src/cache.ts', line_start: 10 } })] },
+    ]);
+
+    expect(consensus.reviewers).toEqual(['codex', 'gemini', 'claude']);
+    expect(consensus.agreed).toHaveLength(1);
+    expect(consensus.agreed[0].reviewers).toEqual(['codex', 'gemini']);
+    expect(consensus.agreed[0].severity).toBe('critical');
+    expect(consensus.agreed[0].confidence).toBeCloseTo(0.85);
+    expect(consensus.outliers).toHaveLength(1);
+    expect(consensus.outliers[0].representative.title).toBe('Race in cache refresh');
+  });
+
+  it('does not count two passes of the same model as agreement', () => {
+    const consensus = buildConsensus([
+      { reviewer: 'codex', findings: [finding({ id: 'std' })] },
+      { reviewer: 'codex', findings: [finding({ id: 'adv' })] },
+      { reviewer: 'gemini', findings: [] },
+    ]);
+
+    expect(consensus.reviewers).toEqual(['codex', 'gemini']);
+    expect(consensus.agreed).toHaveLength(0);
+    expect(consensus.outliers).toHaveLength(1);
+    expect(consensus.outliers[0].members).toHaveLength(2);
+  });
+});
+
+describe('formatConsensus', () => {
+  it('renders agreement counts and outliers', () => {
+    const text = formatConsensus(buildConsensus([
+      { reviewer: 'codex', findings: [finding()] },
+      { reviewer: 'gemini', findings: [finding(), finding({ title: 'Unbounded retry loop', category: 'performance', location: { file: 'src/retry.ts', line_start: 5 } })] },
+    ]));
+
+    expect(text).toContain('## Consensus Findings');
+    expect(text).toContain('**Agreed by 2 of 2 reviewers** (codex, gemini)');
+    expect(text).toContain('**Location:** src/db.ts:42');
+    expect(text).toContain('## Single-Model Findings');
+    expect(text).toContain('**Unbounded retry loop** [high, 70%] — gemini 📍 src/retry.ts:5');
+  });
+});
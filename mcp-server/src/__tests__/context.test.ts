@@ -0,0 +1,145 @@
+/**
+ * Tests for buildContextFromGitDiff — real git repositories in temp dirs —
+ * and readInlineFiles.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, writeFileSync, rmSync, renameSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { execFileSync } from 'child_process';
+import { buildContextFromGitDiff, readInlineFiles } from '../context.js';
+
+let repoDir: string;
+
+function git(...args: string[]): string {
+  return execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: repoDir,
+    encoding: 'utf-8',
+  });
+}
+
+function write(relativePath: string, content: string): void {
+  writeFileSync(join(repoDir, relativePath), content);
+}
+
+beforeEach(() => {
+  repoDir = join(tmpdir(), `cc-reviewer-git-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(repoDir, { recursive: true });
+});
+
+afterEach(() => {
+  rmSync(repoDir, { recursive: true, force: true });
+});
+
+describe('buildContextFromGitDiff — no git', () => {
+  it('degrades to the minimal shape outside a git repository', async () => {
+    const context = await buildContextFromGitDiff(repoDir, 'main');
+    expect(context).toEqual({ workingDir: repoDir, git: { baseBranch: 'main' } });
+  });
+
+  it('degrades when the base ref does not exist', async () => {
+    git('init', '-q', '-b', 'main');
+    write('a.ts', 'a\n');
+    git('add', '-A');
+    git('commit', '-qm', 'init');
+
+    const context = await buildContextFromGitDiff(repoDir, 'no-such-branch');
+    expect(context.changes).toBeUndefined();
+    expect(context.git).toEqual({ baseBranch: 'no-such-branch' });
+  });
+
+  it('does not pass a base that looks like an option to git', async () => {
+    git('init', '-q', '-b', 'main');
+    write('a.ts', 'a\n');
+    git('add', '-A');
+    git('commit', '-qm', 'init');
+    write('a.ts', 'b\n');
+
+    // `git merge-base --octopus HEAD` would resolve to HEAD and diff against it
+    const context = await buildContextFromGitDiff(repoDir, '--octopus');
+    expect(context).toEqual({ workingDir: repoDir, git: { baseBranch: '--octopus' } });
+  });
+});
+
+describe('buildContextFromGitDiff — branch work', () => {
+  beforeEach(() => {
+    git('init', '-q', '-b', 'main');
+    write('keep.ts', 'one\ntwo\nthree\n');
+    write('gone.ts', 'bye\n');
+    write('old-name.ts', 'export const stable = 1;\nexport const value = 2;\nexport const more = 3;\n');
+    git('add', '-A');
+    git('commit', '-qm', 'base');
+    git('checkout', '-qb', 'feature');
+  });
+
+  it('collects modified, deleted, renamed and created files with line counts', async () => {
+    write('keep.ts', 'one\nTWO\nthree\nfour\n');
+    rmSync(join(repoDir, 'gone.ts'));
+    renameSync(join(repoDir, 'old-name.ts'), join(repoDir, 'new-name.ts'));
+    write('added.ts', 'new file\n');
+    git('add', '-A');
+    git('commit', '-qm', 'feature work');
+
+    const context = await buildContextFromGitDiff(repoDir, 'main');
+    const byPath = new Map(context.changes!.files.map(f => [f.path, f]));
+
+    expect(byPath.get('keep.ts')).toMatchObject({ changeType: 'modified', linesAdded: 2, linesRemoved: 1, language: 'typescript' });
+    expect(byPath.get('keep.ts')!.diff).toContain('+TWO');
+    expect(byPath.get('gone.ts')).toMatchObject({ changeType: 'deleted', linesRemoved: 1 });
+    expect(byPath.get('new-name.ts')).toMatchObject({ changeType: 'renamed', previousPath: 'old-name.ts' });
+    expect(byPath.get('added.ts')).toMatchObject({ changeType: 'created', linesAdded: 1 });
+
+    expect(context.git).toMatchObject({ branch: 'feature', baseBranch: 'main', uncommittedChanges: false });
+    expect(context.git!.commits).toHaveLength(1);
+    expect(context.git!.commits![0].message).toBe('feature work');
+    expect(context.git!.commits![0].filesChanged).toContain('added.ts');
+  });
+
+  it('includes uncommitted and untracked changes', async () => {
+    write('keep.ts', 'one\ntwo\nthree\nextra\n');
+    write('scratch.ts', 'line1\nline2\n');
+
+    const context = await buildContextFromGitDiff(repoDir, 'main');
+    const byPath = new Map(context.changes!.files.map(f => [f.path, f]));
+
+    expect(byPath.get('keep.ts')).toMatchObject({ changeType: 'modified', linesAdded: 1 });
+    expect(byPath.get('scratch.ts')).toMatchObject({ changeType: 'created', linesAdded: 2 });
+    expect(byPath.get('scratch.ts')!.diff).toContain('+line1');
+    expect(context.git!.uncommittedChanges).toBe(true);
+    expect(context.changes!.totalLinesAdded).toBe(3);
+  });
+});
+
+describe('readInlineFiles', () => {
+  it('inlines small files whole and skips binaries and paths outside the directory', () => {
+    write('small.ts', 'export const x = 1;\n');
+    write('blob.bin', 'ab\0cd');
+
+    expect(readInlineFiles(repoDir, ['small.ts', 'blob.bin', '../outside.ts', 'missing.ts'])).toEqual([
+      { path: 'small.ts', content: 'export const x = 1;\n', truncated: false },
+    ]);
+  });
+
+  it('reads only the capped prefix of a large file', () => {
+    write('big.txt', 'a'.repeat(40_000) + 'TAIL'.repeat(100_000));
+
+    const [file] = readInlineFiles(repoDir, ['big.txt']);
+    expect(file).toEqual({ path: 'big.txt', content: 'a'.repeat(40_000), truncated: true });
+  });
+
+  it('does not split a multi-byte character at the cap', () => {
+    write('accents.txt', 'é'.repeat(30_000));
+
+    const [file] = readInlineFiles(repoDir, ['accents.txt']);
+    expect(file.content).toBe('é'.repeat(20_000));
+    expect(file.truncated).toBe(true);
+  });
+
+  it('stops once the total budget is used up', () => {
+    for (let i = 0; i < 5; i++) write(`f${i}.txt`, 'x'.repeat(50_000));
+
+    const files = readInlineFiles(repoDir, [0, 1, 2, 3, 4].map(i => `f${i}.txt`));
+    expect(files.map(f => f.content.length)).toEqual([40_000, 40_000, 40_000, 40_000]);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Tests for config-defined reviewer CLIs — config parsing, argument
+ * templating, prompt delivery and JSONL message extraction
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { CustomCliAdapter, expandArgs, registerCustomReviewers } from '../adapters/custom.js';
+import { getAdapter } from '../adapters/base.js';
+import { getConfig, setConfigPathForTesting } from '../config.js';
+import { parseJsonPath } from '../decoders/index.js';
+
+let tempDir: string;
+
+function writeConfig(customReviewers: unknown): void {
+  writeFileSync(join(tempDir, 'config.json'), JSON.stringify({ customReviewers }));
+  setConfigPathForTesting(join(tempDir, 'config.json'));
+}
+
+/** A "CLI" implemented as an inline node script */
+function nodeReviewer(id: string, script: string, extra: Record<string, unknown> = {}) {
+  return { id, command: process.execPath, args: ['-e', script], ...extra };
+}
+
+function adapterFor(id: string): CustomCliAdapter {
+  const entry = getConfig().customReviewers.find(r => r.id === id);
+  if (!entry) throw new Error(`no config entry ${id}`);
+  return new CustomCliAdapter(entry);
+}
+
+const request = () => ({ workingDir: tempDir, ccOutput: 'Added input validation', outputType: 'analysis' as const });
+
+beforeEach(() => {
+  tempDir = join(tmpdir(), `cc-reviewer-custom-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(tempDir, { recursive: true });
+});
+
+afterEach(() => {
+  setConfigPathForTesting(null);
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+// =============================================================================
+// CONFIG
+// =============================================================================
+
+describe('customReviewers config', () => {
+  it('applies defaults and drops invalid or duplicate entries', () => {
+    writeConfig([
+      { id: 'aider', command: 'aider' },
+      { id: 'Bad Id', command: 'x' },
+      { id: 'aider', command: 'other' },
+    ]);
+
+    const reviewers = getConfig().customReviewers;
+    expect(reviewers).toHaveLength(1);
+    expect(reviewers[0]).toMatchObject({
+      id: 'aider', command: 'aider', args: [], promptDelivery: 'stdin',
+      output: { format: 'text' }, availability: { args: ['--version'] },
+    });
+  });
+
+  it('drops an entry whose messagePath is not a supported JSON path', () => {
+    writeConfig([
+      { id: 'deep', command: 'x', output: { format: 'jsonl', messagePath: '$..text' } },
+      { id: 'ok', command: 'x', output: { format: 'jsonl', messagePath: '$.item.content[0].text' } },
+    ]);
+    expect(getConfig().customReviewers.map(r => r.id)).toEqual(['ok']);
+  });
+
+  it('does not let a custom entry replace a built-in adapter', () => {
+    writeConfig([{ id: 'codex', command: 'my-codex' }, nodeReviewer('local-script', '')]);
+    const builtIn = getAdapter('codex');
+
+    expect(registerCustomReviewers()).toEqual(['local-script']);
+    expect(getAdapter('codex')).toBe(builtIn);
+    expect(getAdapter('local-script')).toBeInstanceOf(CustomCliAdapter);
+  });
+});
+
+describe('expandArgs', () => {
+  it('substitutes placeholders and appends the prompt when no placeholder is given', () => {
+    expect(expandArgs(['--cwd', '{workingDir}', '-m', '{prompt}'], { prompt: 'P', workingDir: '/w' }, true))
+      .toEqual(['--cwd', '/w', '-m', 'P']);
+    expect(expandArgs(['review'], { prompt: 'P', workingDir: '/w' }, true)).toEqual(['review', 'P']);
+    expect(expandArgs(['review'], { workingDir: '/w' })).toEqual(['review']);
+  });
+});
+
+describe('parseJsonPath', () => {
+  it('parses dotted and indexed paths', () => {
+    expect(parseJsonPath('$.item.content[0].text')).toEqual(['item', 'content', 0, 'text']);
+    expect(parseJsonPath("result['final answer']")).toEqual(['result', 'final answer']);
+    expect(() => parseJsonPath('$..text')).toThrow();
+  });
+});
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+describe('CustomCliAdapter', () => {
+  it('delivers the prompt on stdin and returns plain stdout', async () => {
+    writeConfig([nodeReviewer('echo', `
+      let input = ''; process.stdin.on('data', d => input += d);
+      process.stdin.on('end', () => console.log(input.includes('Added input validation') ? 'saw handoff' : 'missing'));
+    `)]);
+
+    const result = await adapterFor('echo').runReview(request());
+    expect(result).toMatchObject({ success: true, output: 'saw handoff\n' });
+  });
+
+  it('delivers the prompt as an argument when configured', async () => {
+    writeConfig([nodeReviewer('argv', `console.log(process.argv.at(-1).includes('Added input validation') ? 'saw handoff' : 'missing')`,
+      { promptDelivery: 'argv' })]);
+
+    const result = await adapterFor('argv').runReview(request());
+    expect(result).toMatchObject({ success: true, output: 'saw handoff\n' });
+  });
+
+  it('fits argv prompts under the per-argument limit, and refuses one that is still too long', async () => {
+    writeConfig([nodeReviewer('argv', `console.log(process.argv.at(-1).length)`, { promptDelivery: 'argv' })]);
+    const adapter = adapterFor('argv');
+    expect(adapter.getCapabilities().maxContextTokens).toBe(32000);
+
+    const long = await adapter.runReview({ ...request(), ccOutput: 'x'.repeat(300_000) });
+    expect(long).toMatchObject({ success: true, trimmed: { dropped: [expect.stringContaining('middle of ccOutput')] } });
+    expect(Number((long as { output: string }).output)).toBeLessThan(128 * 1024);
+
+    // Multi-byte text can still overflow the byte limit after trimming
+    const wide = await adapter.runReview({ ...request(), ccOutput: '😀'.repeat(40_000) });
+    expect(wide).toMatchObject({ success: false, error: { message: expect.stringContaining('too long for one command-line argument') } });
+    expect(wide.success ? '' : wide.suggestion).toContain('"promptDelivery": "stdin"');
+  });
+
+  it('extracts the last matching message from JSONL output', async () => {
+    writeConfig([nodeReviewer('jsonl', `
+      console.log(JSON.stringify({ type: 'start' }));
+      console.log(JSON.stringify({ type: 'message', item: { text: 'draft' } }));
+      console.log(JSON.stringify({ type: 'message', item: { text: 'final review' } }));
+      console.log('not json');
+    `, { output: { format: 'jsonl', messagePath: '$.item.text' } })]);
+
+    const result = await adapterFor('jsonl').runReview(request());
+    expect(result).toMatchObject({ success: true, output: 'final review' });
+  });
+
+  it('forwards JSONL events to onProgress', async () => {
+    writeConfig([nodeReviewer('jsonl', `
+      console.log(JSON.stringify({ type: 'tool_call' }));
+      console.log(JSON.stringify({ type: 'message', item: { text: 'final review' } }));
+    `, { output: { format: 'jsonl', messagePath: '$.item.text' } })]);
+
+    const messages: string[] = [];
+    await adapterFor('jsonl').runReview(request(), { onProgress: (m) => messages.push(m) });
+    expect(messages[0]).toBe('Running...');
+    expect(messages.slice(1).map(m => m.replace(/ \(\d+s\)$/, ''))).toEqual(['tool_call', 'message']);
+  });
+
+  it('maps a non-zero exit to a categorized error', async () => {
+    writeConfig([nodeReviewer('broken', `console.error('401 Unauthorized'); process.exit(2)`)]);
+
+    const result = await adapterFor('broken').runReview(request());
+    expect(result).toMatchObject({ success: false, error: { type: 'auth_error' } });
+  });
+
+  it('reports a missing command as cli_not_found and fails the availability probe', async () => {
+    writeConfig([{ id: 'ghost', command: 'cc-reviewer-no-such-cli' }]);
+    const adapter = adapterFor('ghost');
+
+    expect(await adapter.isAvailable()).toBe(false);
+    expect(await adapter.runReview(request())).toMatchObject({ success: false, error: { type: 'cli_not_found' } });
+  });
+
+  it('stops the CLI at the request\'s maxTimeoutMs when it is tighter than config', async () => {
+    writeConfig([nodeReviewer('slow', `setInterval(() => process.stdout.write('.'), 50)`)]);
+
+    const started = Date.now();
+    const result = await adapterFor('slow').runReview({ ...request(), maxTimeoutMs: 300 });
+    expect(result).toMatchObject({ success: false, error: { type: 'timeout', message: 'slow exceeded its maximum runtime' } });
+    expect(Date.now() - started).toBeLessThan(5_000);
+  });
+
+  it('returns a cancelled result when the signal aborts mid-review', async () => {
+    writeConfig([nodeReviewer('hang', `setInterval(() => process.stdout.write('.'), 50)`)]);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 200);
+    const result = await adapterFor('hang').runReview(request(), { signal: controller.signal });
+    expect(result).toMatchObject({ success: false, error: { type: 'cancelled', message: 'Review cancelled' } });
+  });
+
+  it('retries a rate-limited run and reports the retry', async () => {
+    const marker = join(tempDir, 'tried');
+    writeConfig([nodeReviewer('flaky', `
+      const fs = require('fs');
+      if (!fs.existsSync(${JSON.stringify(marker)})) {
+        fs.writeFileSync(${JSON.stringify(marker)}, '');
+        console.error('429 rate limit exceeded, retry after 0');
+        process.exit(1);
+      }
+      console.log('second time lucky');
+    `)]);
+
+    const result = await adapterFor('flaky').runReview(request());
+    expect(result).toMatchObject({
+      success: true,
+      output: 'second time lucky\n',
+      retries: [{ error: { type: 'rate_limit', details: { retryAfterMs: 0 } }, delayMs: 0 }],
+    });
+  });
+
+  it('passes the availability probe when the probe command exits 0', async () => {
+    writeConfig([nodeReviewer('probe', '', { availability: { args: ['-e', 'process.exit(0)'] } })]);
+    expect(await adapterFor('probe').isAvailable()).toBe(true);
+  });
+
+  it('runs the availability probe with the entry\'s env', async () => {
+    writeConfig([nodeReviewer('probe-env', '', {
+      env: { CC_REVIEWER_PROBE: 'yes' },
+      availability: { args: ['-e', 'process.exit(process.env.CC_REVIEWER_PROBE === "yes" ? 0 : 1)'] },
+    })]);
+    expect(await adapterFor('probe-env').isAvailable()).toBe(true);
+  });
+});
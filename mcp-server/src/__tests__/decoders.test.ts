@@ -320,6 +320,15 @@ describe('GeminiEventDecoder — getStats', () => {
   });
 });
 
+describe('GeminiEventDecoder — getModel', () => {
+  it('extracts the model from the init event', () => {
+    const decoder = new GeminiEventDecoder();
+    expect(decoder.getModel()).toBeNull();
+    decoder.processLine('{"type":"init","session_id":"s1","model":"gemini-3.1-pro-preview"}');
+    expect(decoder.getModel()).toBe('gemini-3.1-pro-preview');
+  });
+});
+
 // =============================================================================
 // CLAUDE EVENT DECODER TESTS
 // =============================================================================
@@ -402,6 +411,19 @@ describe('ClaudeEventDecoder — getDurationMs', () => {
   });
 });
 
+describe('ClaudeEventDecoder — getModel', () => {
+  it('returns null before the init event', () => {
+    const decoder = new ClaudeEventDecoder();
+    expect(decoder.getModel()).toBeNull();
+  });
+
+  it('extracts the resolved model from the init event', () => {
+    const decoder = new ClaudeEventDecoder();
+    decoder.processLine('{"type":"system","subtype":"init","model":"claude-opus-4-6","session_id":"abc"}');
+    expect(decoder.getModel()).toBe('claude-opus-4-6');
+  });
+});
+
 describe('ClaudeEventDecoder — onProgress', () => {
   it('calls onProgress for valid events', () => {
     const decoder = new ClaudeEventDecoder();
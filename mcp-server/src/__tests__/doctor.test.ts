@@ -0,0 +1,132 @@
+/**
+ * Tests for the doctor subcommand's checks and report.
+ *
+ * CLI probes run against small shell scripts standing in for the real CLIs.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, writeFileSync, rmSync, chmodSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  CliSpec,
+  DoctorSection,
+  checkCli,
+  doctorExitCode,
+  formatDoctorReport,
+  missingFlags,
+  parseVersion,
+} from '../doctor.js';
+
+let tempDir: string;
+
+beforeEach(() => {
+  tempDir = join(tmpdir(), `cc-reviewer-doctor-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(tempDir, { recursive: true });
+});
+
+afterEach(() => {
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+/** Write an executable that answers --version and --help */
+function fakeCli(version: string, help: string): string {
+  const path = join(tempDir, 'fake-cli');
+  writeFileSync(path, [
+    '#!/bin/sh',
+    'case "$1" in',
+    `  --version) echo "${version}" ;;`,
+    `  --help) cat <<'EOF'\n${help}\nEOF\n ;;`,
+    'esac',
+  ].join('\n'));
+  chmodSync(path, 0o755);
+  return path;
+}
+
+function spec(command: string, flags: string[]): CliSpec {
+  return {
+    id: 'fake',
+    title: 'Fake',
+    command,
+    install: 'npm install -g fake-cli',
+    helpArgs: ['--help'],
+    flags,
+    auth: async () => ({ name: 'Auth', status: 'ok', detail: 'Logged in' }),
+  };
+}
+
+describe('parseVersion', () => {
+  it('finds the first version number', () => {
+    expect(parseVersion('codex-cli 0.46.0\n')).toBe('0.46.0');
+    expect(parseVersion('2.1.3 (Claude Code)')).toBe('2.1.3');
+    expect(parseVersion('0.12.0-nightly.20250101')).toBe('0.12.0-nightly.20250101');
+    expect(parseVersion('unknown')).toBeNull();
+  });
+});
+
+describe('missingFlags', () => {
+  const help = [
+    '  --json                 Print events as JSONL',
+    '  -s, --sandbox <MODE>   [possible values: read-only, workspace-write]',
+    '  --approval-mode-x      Not the flag we want',
+  ].join('\n');
+
+  it('accepts flags and flag values the help mentions', () => {
+    expect(missingFlags(help, ['--json', '--sandbox read-only'])).toEqual([]);
+  });
+
+  it('reports flags or values the help does not mention', () => {
+    expect(missingFlags(help, ['--sandbox danger', '--output-format'])).toEqual(['--sandbox danger', '--output-format']);
+  });
+
+  it('does not match a flag inside a longer one', () => {
+    expect(missingFlags(help, ['--approval-mode', '--sand'])).toEqual(['--approval-mode', '--sand']);
+  });
+});
+
+describe('checkCli', () => {
+  it('passes an installed CLI that accepts every flag', async () => {
+    const cli = fakeCli('fake 1.2.3', '  --json\n  --sandbox [read-only]');
+    const section = await checkCli(spec(cli, ['--json', '--sandbox read-only']));
+    expect(section.checks.map(c => [c.name, c.status])).toEqual([['Binary', 'ok'], ['Flags', 'ok'], ['Auth', 'ok']]);
+    expect(section.checks[0].detail).toContain('1.2.3');
+  });
+
+  it('fails missing flags and suggests an upgrade', async () => {
+    const cli = fakeCli('fake 1.2.3', '  --json');
+    const flags = (await checkCli(spec(cli, ['--json', '--output-format stream-json']))).checks[1];
+    expect(flags.status).toBe('fail');
+    expect(flags.detail).toContain('--output-format stream-json');
+    expect(flags.fix).toContain('fake-cli@latest');
+  });
+
+  it('warns about a CLI that is not on PATH and skips its other checks', async () => {
+    const section = await checkCli(spec(join(tempDir, 'missing-cli'), ['--json']));
+    expect(section.checks).toHaveLength(1);
+    expect(section.checks[0]).toMatchObject({ name: 'Binary', status: 'warn', fix: 'npm install -g fake-cli' });
+  });
+});
+
+describe('formatDoctorReport / doctorExitCode', () => {
+  const sections: DoctorSection[] = [
+    { title: 'Codex', checks: [
+      { name: 'Binary', status: 'ok', detail: 'codex 0.46.0', fix: 'unused' },
+      { name: 'Auth', status: 'fail', detail: 'Not logged in', fix: 'Run `codex login`' },
+    ] },
+    { title: 'Config', checks: [{ name: 'User config', status: 'warn', detail: 'missing' }] },
+  ];
+
+  it('lists each check with fixes for problems only', () => {
+    const report = formatDoctorReport(sections);
+    expect(report).toContain('  ✓ Binary: codex 0.46.0');
+    expect(report).toContain('  ✗ Auth: Not logged in\n    → Run `codex login`');
+    expect(report).not.toContain('unused');
+    expect(report).toContain('1 problem, 1 warning.');
+  });
+
+  it('exits 1 on failures but not on warnings alone', () => {
+    expect(doctorExitCode(sections)).toBe(1);
+    expect(doctorExitCode([sections[1]])).toBe(0);
+    expect(formatDoctorReport([])).toBe('All checks passed.');
+  });
+});
@@ -6,7 +6,9 @@
  */
 
 import { describe, it, expect, vi } from 'vitest';
-import { CliExecutor } from '../executor.js';
+import { readFileSync } from 'fs';
+import { EventEmitter } from 'events';
+import { CliExecutor, killAllChildren, killChildrenOnExit } from '../executor.js';
 
 // =============================================================================
 // STDOUT CAPTURE
@@ -351,3 +353,82 @@ describe('CliExecutor — settled guard (no double resolve/reject)', () => {
     expect(result.stdoutLines).toEqual(['done']);
   });
 });
+
+// =============================================================================
+// CANCELLATION
+// =============================================================================
+
+/** Running (not gone, not an unreaped zombie) */
+function isAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+  } catch {
+    return false;
+  }
+  try {
+    return !/^\d+ \(.*\) Z/.test(readFileSync(`/proc/${pid}/stat`, 'utf-8'));
+  } catch {
+    return true;
+  }
+}
+
+describe('CliExecutor — cancellation', () => {
+  it('rejects with CANCELLED and kills the process tree on abort', async () => {
+    const controller = new AbortController();
+    let grandchildPid = 0;
+    const executor = new CliExecutor({
+      command: 'bash',
+      args: ['-c', 'sleep 30 & echo $!; wait'],
+      cwd: process.cwd(),
+      signal: controller.signal,
+      onLine: (line) => {
+        grandchildPid = Number(line);
+        controller.abort();
+      },
+    });
+
+    await expect(executor.run()).rejects.toThrow('CANCELLED');
+    expect(grandchildPid).toBeGreaterThan(0);
+
+    // The sleeping grandchild goes down with its parent
+    await new Promise((res) => setTimeout(res, 200));
+    expect(isAlive(grandchildPid)).toBe(false);
+  }, 5000);
+
+  it('kills running process trees when the server shuts down', async () => {
+    const host = Object.assign(new EventEmitter(), { stdin: new EventEmitter(), exit: vi.fn() });
+    killChildrenOnExit(host);
+
+    let grandchildPid = 0;
+    const run = new CliExecutor({
+      command: 'bash',
+      args: ['-c', 'sleep 30 & echo $!; wait'],
+      cwd: process.cwd(),
+      onLine: (line) => { grandchildPid = Number(line); },
+    }).run();
+    await vi.waitFor(() => expect(grandchildPid).toBeGreaterThan(0));
+
+    // The MCP client closing stdin is the usual way the server goes away
+    host.stdin.emit('end');
+    expect((await run).exitCode).toBe(-1);
+    await vi.waitFor(() => expect(host.exit).toHaveBeenCalledWith(0), { timeout: 3000 });
+    expect(isAlive(grandchildPid)).toBe(false);
+    expect(killAllChildren()).toBe(0);
+  }, 5000);
+
+  it('does not spawn when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const onLine = vi.fn();
+    const executor = new CliExecutor({
+      command: 'bash',
+      args: ['-c', 'echo started'],
+      cwd: process.cwd(),
+      signal: controller.signal,
+      onLine,
+    });
+
+    await expect(executor.run()).rejects.toThrow('CANCELLED');
+    expect(onLine).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,861 @@
+/**
+ * Tests for the review tool handlers — structured mode, sessions and follow-ups.
+ *
+ * Real adapters are replaced in the registry by stubs that return canned
+ * reviewer output, so no CLI is spawned.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  handleCodexReview, handleMultiReview, handleReviewFollowUp, handleReviewStart, handleReviewStatus, handleReviewResult, handleReviewCancel,
+  ReviewInput,
+} from '../tools/feedback.js';
+import {
+  registerAdapter, ReviewerAdapter, ReviewRequest, ReviewResult, RunOptions, recordAdapterOutcome, resetAdapterHealthForTesting,
+  runWithAdapterPrompt,
+} from '../adapters/index.js';
+import { withRetry } from '../adapters/retry.js';
+import { codexAdapter } from '../adapters/codex.js';
+import { geminiAdapter } from '../adapters/gemini.js';
+import { claudeAdapter } from '../adapters/claude.js';
+import { setConfigPathForTesting } from '../config.js';
+import { loadSession } from '../sessions.js';
+import { clearJobsForTesting } from '../jobs.js';
+
+// =============================================================================
+// STUB ADAPTER
+// =============================================================================
+
+let lastRequest: ReviewRequest | null = null;
+let lastPrompt: string | null = null;
+let cannedOutput = '';
+const cannedById = new Map<string, string>();
+
+function stubAdapter(id: string): ReviewerAdapter {
+  return {
+    id,
+    getCapabilities: () => ({
+      name: id, description: '', strengths: [], weaknesses: [],
+      hasFilesystemAccess: true, supportsStructuredOutput: false, maxContextTokens: 100000,
+    }),
+    isAvailable: async () => true,
+    async runReview(request: ReviewRequest): Promise<ReviewResult> {
+      lastRequest = request;
+      return runWithAdapterPrompt(request, this.getCapabilities(), async (buildPrompt) => {
+        lastPrompt = buildPrompt();
+        return { success: true, output: cannedById.get(id) ?? cannedOutput, executionTimeMs: 1200, threadId: `thread-${id}` };
+      });
+    },
+  };
+}
+
+let tempDir: string;
+
+function baseInput(overrides: Partial<ReviewInput> = {}): ReviewInput {
+  return { workingDir: tempDir, ccOutput: 'Added input validation', outputType: 'findings', ...overrides };
+}
+
+beforeEach(() => {
+  tempDir = join(tmpdir(), `cc-reviewer-feedback-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(tempDir, { recursive: true });
+  writeFileSync(join(tempDir, 'app.ts'), 'const a = 1;\nconst query = "SELECT * FROM users WHERE id=" + id;\n');
+  // Keep sessions out of the real config directory
+  setConfigPathForTesting(join(tempDir, 'config', 'config.json'));
+  lastRequest = null;
+  lastPrompt = null;
+  cannedById.clear();
+  registerAdapter(stubAdapter('codex'));
+});
+
+afterEach(() => {
+  setConfigPathForTesting(null);
+  clearJobsForTesting();
+  registerAdapter(codexAdapter);
+  registerAdapter(geminiAdapter);
+  registerAdapter(claudeAdapter);
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+// =============================================================================
+// STRUCTURED MODE
+// =============================================================================
+
+describe('handleCodexReview — structured mode', () => {
+  const structuredOutput = JSON.stringify({
+    reviewer: 'codex',
+    findings: [
+      {
+        id: 'f1', category: 'security', severity: 'critical', confidence: 0.9,
+        title: 'SQL injection in user lookup', description: 'String concatenation in query',
+        location: { file: 'app.ts', line_start: 2 },
+        evidence: 'const query = "SELECT * FROM users WHERE id=" + id;',
+      },
+      {
+        id: 'f2', category: 'correctness', severity: 'high', confidence: 0.9,
+        title: 'Missing null check', description: 'Crashes on empty input',
+        location: { file: 'does-not-exist.ts', line_start: 10 },
+      },
+    ],
+    agreements: [],
+    disagreements: [],
+    alternatives: [],
+    risk_assessment: { overall_level: 'high', score: 80, summary: 'Injection risk', top_concerns: ['SQLi'] },
+  });
+
+  it('passes structured through to the adapter request', async () => {
+    cannedOutput = structuredOutput;
+    await handleCodexReview(baseInput({ structured: true }));
+    expect(lastRequest?.structured).toBe(true);
+  });
+
+  it('returns a verified action plan and rejects hallucinated references', async () => {
+    cannedOutput = structuredOutput;
+    const response = await handleCodexReview(baseInput({ structured: true }));
+    const text = response.content[0].text;
+
+    expect(text).toContain('## Codex Review');
+    expect(text).toContain('**Risk:** high (80/100)');
+    expect(text).toContain('## Fix Now');
+    expect(text).toContain('SQL injection in user lookup');
+    expect(text).toContain('## Rejected (Verification Failed)');
+    expect(text).toContain('~~Missing null check~~');
+  });
+
+  it('falls back to raw text with a warning when output is not valid JSON', async () => {
+    cannedOutput = 'Looks fine to me.';
+    const response = await handleCodexReview(baseInput({ structured: true }));
+    const text = response.content[0].text;
+
+    expect(text).toContain('Looks fine to me.');
+    expect(text).toContain('Structured output could not be parsed');
+  });
+
+  it('returns raw text untouched when structured is not set', async () => {
+    cannedOutput = structuredOutput;
+    const response = await handleCodexReview(baseInput());
+    expect(response.content[0].text).toContain(structuredOutput);
+    expect(response.content[0].text).not.toContain('# Review Analysis');
+  });
+});
+
+// =============================================================================
+// TYPED HANDOFF FIELDS
+// =============================================================================
+
+describe('typed handoff fields', () => {
+  it('passes typed fields to the adapter and renders them in the prompt', async () => {
+    cannedOutput = 'Looks fine to me.';
+    const uncertainties = [{ topic: 'Validation', question: 'Is the email regex strict enough?', severity: 'important' as const }];
+    const text = (await handleCodexReview(baseInput({ uncertainties, priorityFiles: ['app.ts'] }))).content[0].text;
+
+    expect(lastRequest?.handoff).toEqual({ uncertainties, priorityFiles: ['app.ts'] });
+    const prompt = loadSession(sessionIdFrom(text))!.rounds[0].prompt;
+    expect(prompt).toContain('Is the email regex strict enough?');
+    expect(prompt).toContain('app.ts');
+  });
+
+  it('reviews each outputType with its own strategy', async () => {
+    const text = (await handleCodexReview(baseInput({ outputType: 'plan' }))).content[0].text;
+    expect(loadSession(sessionIdFrom(text))!.rounds[0].prompt).toContain('## REVIEW MODE: Plan Review');
+  });
+
+  it('leaves handoff unset when only ccOutput is given', async () => {
+    await handleCodexReview(baseInput());
+    expect(lastRequest?.handoff).toBeUndefined();
+  });
+});
+
+// =============================================================================
+// HANDOFF SIZING
+// =============================================================================
+
+describe('handoff sizing', () => {
+  it('trims the handoff to the reviewer\'s context window and says what was dropped', async () => {
+    const small = stubAdapter('codex');
+    registerAdapter({ ...small, getCapabilities: () => ({ ...small.getCapabilities(), maxContextTokens: 4_000 }) });
+    cannedOutput = 'Looks fine to me.';
+
+    const text = (await handleCodexReview(baseInput({ ccOutput: `Added validation. ${'x'.repeat(20_000)} Done.` }))).content[0].text;
+
+    expect(text).toMatch(/\*\*Trimmed:\*\* ~[\d,]+ → ~[\d,]+ tokens to fit the reviewer's ~3,000-token budget; dropped [\d,]+ characters from the middle of ccOutput/);
+    const prompt = loadSession(sessionIdFrom(text))!.rounds[0].prompt;
+    expect(prompt).toBe(lastPrompt);
+    expect(prompt).toContain('characters omitted to fit the reviewer\'s context window');
+    expect(prompt.length).toBeLessThan(3_000 * 3.5);
+  });
+});
+
+// =============================================================================
+// STRUCTURED MULTI REVIEW — CONSENSUS
+// =============================================================================
+
+describe('handleMultiReview — structured consensus', () => {
+  function review(findings: object[]): string {
+    return JSON.stringify({
+      reviewer: 'x', findings, agreements: [], disagreements: [], alternatives: [],
+      risk_assessment: { overall_level: 'medium', score: 55, summary: 'Some risk', top_concerns: [] },
+    });
+  }
+  const sqli = {
+    id: 'a', category: 'security', severity: 'high', confidence: 0.7,
+    title: 'SQL injection in user lookup', description: 'Concatenated query',
+    location: { file: 'app.ts', line_start: 2 },
+  };
+
+  it('merges the same finding from two models and lists outliers separately', async () => {
+    registerAdapter(stubAdapter('gemini'));
+    registerAdapter(stubAdapter('claude'));
+    cannedById.set('codex', review([sqli]));
+    cannedById.set('gemini', review([{ ...sqli, id: 'b', title: 'Injection via id parameter' }]));
+    cannedById.set('claude', review([{ ...sqli, id: 'c', category: 'maintainability', title: 'Magic constant a', location: { file: 'app.ts', line_start: 1 } }]));
+
+    const response = await handleMultiReview(baseInput({ structured: true }));
+    const text = response.content[0].text;
+
+    expect(text).toContain('## Consensus Findings');
+    expect(text).toContain('**Agreed by 2 of 3 reviewers** (codex, gemini)');
+    expect(text).toContain('## Single-Model Findings');
+    expect(text).toContain('Magic constant a');
+    expect(text).toContain('## Risk Assessments');
+    expect(text).not.toContain('## Standard Review Findings');
+  });
+
+  it('treats peerReview as structured and reports the scoring round', async () => {
+    registerAdapter(stubAdapter('gemini'));
+    registerAdapter(stubAdapter('claude'));
+    cannedById.set('codex', review([sqli]));
+    cannedById.set('gemini', review([]));
+    cannedById.set('claude', review([]));
+
+    const response = await handleMultiReview(baseInput({ peerReview: true }));
+    const text = response.content[0].text;
+
+    expect(text).toContain('**Peer Review:** 0 scoring runs, 0 findings assessed, 0 filtered');
+    expect(text).toContain('## Consensus Findings');
+  });
+
+  it('runs the peer round under the multiReview concurrency cap', async () => {
+    let active = 0;
+    let peak = 0;
+    const scoring = (id: string): ReviewerAdapter => ({
+      ...stubAdapter(id),
+      runPeerReview: async () => {
+        peak = Math.max(peak, ++active);
+        await new Promise(r => setTimeout(r, 5));
+        active--;
+        return { success: true, output: 'no scores', executionTimeMs: 1 };
+      },
+    });
+    registerAdapter(scoring('codex'));
+    registerAdapter(scoring('gemini'));
+    registerAdapter(scoring('claude'));
+    for (const id of ['codex', 'gemini', 'claude']) cannedById.set(id, review([{ ...sqli, id }]));
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({ multiReview: { maxConcurrency: 1 } }));
+
+    const text = (await handleMultiReview(baseInput({ peerReview: true }))).content[0].text;
+
+    expect(text).toContain('**Peer Review:** 6 scoring runs');
+    expect(peak).toBe(1);
+  });
+});
+
+// =============================================================================
+// PROJECT CONFIG
+// =============================================================================
+
+describe('project config (.cc-reviewer.json)', () => {
+  it('applies default focus areas and injects project instructions into the handoff', async () => {
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({
+      review: { focusAreas: ['security'], instructions: 'All SQL must use parameterized queries.' },
+    }));
+
+    const response = await handleCodexReview(baseInput());
+    expect(lastRequest?.focusAreas).toEqual(['security']);
+
+    const session = loadSession(sessionIdFrom(response.content[0].text))!;
+    expect(session.rounds[0].prompt).toContain('## PROJECT STANDARDS');
+    expect(session.rounds[0].prompt).toContain('All SQL must use parameterized queries.');
+  });
+
+  it('lets explicit focus areas win over the configured ones', async () => {
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({ review: { focusAreas: ['security'] } }));
+    await handleCodexReview(baseInput({ focusAreas: ['performance'] }));
+    expect(lastRequest?.focusAreas).toEqual(['performance']);
+  });
+
+  it('restricts multi_review to the configured reviewers', async () => {
+    registerAdapter(stubAdapter('gemini'));
+    registerAdapter(stubAdapter('claude'));
+    cannedOutput = 'Looks fine.';
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({ review: { reviewers: ['codex', 'claude'] } }));
+
+    const text = (await handleMultiReview(baseInput())).content[0].text;
+    expect(text).toContain('**Models:** codex, claude (standard + adversarial)');
+  });
+
+  it('reports when none of the configured reviewers are available', async () => {
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({ review: { reviewers: ['nonexistent'] } }));
+    const text = (await handleMultiReview(baseInput())).content[0].text;
+    expect(text).toContain('None of the configured reviewers are available: nonexistent');
+  });
+});
+
+// =============================================================================
+// SCHEDULING & BUDGETS
+// =============================================================================
+
+describe('handleMultiReview — budgets', () => {
+  it('skips queued passes once the token budget is spent and reports them', async () => {
+    const spender = (id: string): ReviewerAdapter => ({
+      ...stubAdapter(id),
+      runReview: async () => ({
+        success: true, output: `${id} review`, executionTimeMs: 5,
+        usage: { inputTokens: 900, outputTokens: 200, model: id },
+      }),
+    });
+    registerAdapter(spender('codex'));
+    registerAdapter(spender('gemini'));
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({
+      review: { reviewers: ['codex', 'gemini'] },
+      multiReview: { maxConcurrency: 2 },
+    }));
+
+    const text = (await handleMultiReview(baseInput({ tokenBudget: 1_000 }))).content[0].text;
+
+    expect(text).toContain('## Multi-Model Review ⚠️ Partial Success');
+    expect(text).toContain('## Skipped / Cut Off');
+    expect(text).toContain('- codex (adversarial): skipped — token budget of 1,000 spent');
+    expect(text).toContain('- gemini (adversarial): skipped — token budget of 1,000 spent');
+    expect(text).toContain('codex review');
+    expect(text).not.toContain('(Adversarial) Review');
+  });
+
+  it('reports passes cut off by the time budget', async () => {
+    const slow = (id: string): ReviewerAdapter => ({
+      ...stubAdapter(id),
+      runReview: async (request: ReviewRequest) => {
+        await new Promise((r) => setTimeout(r, request.maxTimeoutMs ?? 0));
+        return { success: false, error: { type: 'timeout', message: 'Task exceeded 60 minute maximum' }, executionTimeMs: request.maxTimeoutMs ?? 0 };
+      },
+    });
+    registerAdapter(slow('codex'));
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({ review: { reviewers: ['codex'] }, multiReview: { maxPerAdapter: 1 } }));
+
+    const text = (await handleMultiReview(baseInput({ timeBudgetMs: 100 }))).content[0].text;
+
+    expect(text).toContain('- codex (standard): cut off at the 0s time budget');
+    expect(text).toContain('- codex (adversarial): skipped — time budget of 0s used up');
+    expect(text).toContain('Cut off by the multi_review time budget');
+  });
+});
+
+// =============================================================================
+// FAILOVER
+// =============================================================================
+
+describe('failover', () => {
+  const failing = (id: string, type: 'rate_limit' | 'cli_error'): ReviewerAdapter => ({
+    ...stubAdapter(id),
+    runReview: async () => ({ success: false, error: { type, message: `${id} is busy` }, executionTimeMs: 5 }),
+  });
+
+  beforeEach(() => {
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({ failover: { chains: { codex: ['claude', 'gemini'] } } }));
+  });
+
+  it('re-dispatches to the next reviewer in the chain and says why', async () => {
+    registerAdapter(failing('codex', 'rate_limit'));
+    registerAdapter(stubAdapter('claude'));
+    cannedById.set('claude', 'claude found nothing');
+
+    const text = (await handleCodexReview(baseInput())).content[0].text;
+
+    expect(text).toContain('↪️ **Failover:** answered by claude instead of Codex');
+    expect(text).toContain('- Codex failed (rate_limit: codex is busy) → trying claude');
+    expect(text).toContain('## claude Review');
+    expect(text).toContain('claude found nothing');
+    expect(loadSession(sessionIdFrom(text))?.reviewer).toBe('claude');
+  });
+
+  it('skips unavailable reviewers and reports when the whole chain fails', async () => {
+    registerAdapter(failing('codex', 'rate_limit'));
+    registerAdapter({ ...stubAdapter('claude'), isAvailable: async () => false });
+    registerAdapter(failing('gemini', 'rate_limit'));
+
+    const text = (await handleCodexReview(baseInput())).content[0].text;
+
+    expect(text).toContain("no reviewer in Codex's failover chain succeeded");
+    expect(text).toContain('- claude skipped — not available');
+    expect(text).toContain('- Codex failed (rate_limit: codex is busy) → trying gemini');
+    expect(text).toContain('**rate_limit**: gemini is busy');
+  });
+
+  it('does not fall back on error types outside failover.on', async () => {
+    registerAdapter(failing('codex', 'cli_error'));
+    registerAdapter(stubAdapter('claude'));
+
+    const text = (await handleCodexReview(baseInput())).content[0].text;
+
+    expect(text).not.toContain('Failover');
+    expect(text).toContain('**cli_error**: codex is busy');
+  });
+});
+
+// =============================================================================
+// WORKSPACE AUDIT
+// =============================================================================
+
+describe('workspace audit', () => {
+  const writer: ReviewerAdapter = {
+    ...stubAdapter('codex'),
+    runReview: async (request) => {
+      writeFileSync(join(request.workingDir, 'app.ts'), 'tampered\n');
+      return { success: true, output: 'done', executionTimeMs: 5 };
+    },
+  };
+
+  function enableAudit(restore: boolean): void {
+    mkdirSync(join(tempDir, 'config'), { recursive: true });
+    // Sessions are saved next to the config, which lives inside the workspace here
+    writeFileSync(join(tempDir, 'config', 'config.json'), JSON.stringify({ workspaceAudit: { enabled: true, restore, ignore: ['config'] } }));
+  }
+
+  it('reports a reviewer that writes to the workspace and restores the file', async () => {
+    enableAudit(true);
+    registerAdapter(writer);
+
+    const text = (await handleCodexReview(baseInput())).content[0].text;
+
+    expect(text.startsWith('🚨 **Security violation:** 1 file changed')).toBe(true);
+    expect(text).toContain('- modified: `app.ts`');
+    expect(text).toContain('All changes were reverted');
+    expect(readFileSync(join(tempDir, 'app.ts'), 'utf-8')).toContain('const a = 1;');
+  });
+
+  it('covers a whole multi_review and stays silent when nothing changed', async () => {
+    enableAudit(false);
+    expect((await handleCodexReview(baseInput())).content[0].text).not.toContain('Security violation');
+
+    registerAdapter(writer);
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({ review: { reviewers: ['codex'] } }));
+    const text = (await handleMultiReview(baseInput())).content[0].text;
+    expect(text).toContain('- modified: `app.ts`');
+    expect(text).toContain('Set `workspaceAudit.restore`');
+    expect(readFileSync(join(tempDir, 'app.ts'), 'utf-8')).toBe('tampered\n');
+  });
+
+  it('keeps edits made while a background review runs', async () => {
+    enableAudit(true);
+    let release!: () => void;
+    const gate = new Promise<void>((r) => { release = r; });
+    registerAdapter({
+      ...stubAdapter('codex'),
+      runReview: async () => {
+        await gate;
+        return { success: true, output: 'done', executionTimeMs: 5 };
+      },
+    });
+
+    const jobId = jobIdFrom((await handleReviewStart({ ...baseInput(), tool: 'codex_review' })).content[0].text);
+    await vi.waitFor(async () => expect((await handleReviewStatus({ jobId })).content[0].text).toContain('running ·'));
+    // The assistant carries on editing while the job runs
+    writeFileSync(join(tempDir, 'app.ts'), 'const a = 2;\n');
+    writeFileSync(join(tempDir, 'lib.ts'), 'export {};\n');
+    release();
+    await vi.waitFor(async () => expect((await handleReviewStatus({ jobId })).content[0].text).toContain('✓ done'));
+
+    const text = (await handleReviewResult({ jobId })).content[0].text;
+    expect(text).toContain('- modified: `app.ts`');
+    expect(text).toContain('Not reverted: the review ran in the background');
+    expect(readFileSync(join(tempDir, 'app.ts'), 'utf-8')).toBe('const a = 2;\n');
+    expect(existsSync(join(tempDir, 'lib.ts'))).toBe(true);
+  });
+});
+
+describe('isolated workspace', () => {
+  it('runs the reviewer in a copy and maps its paths back', async () => {
+    mkdirSync(join(tempDir, 'config'), { recursive: true });
+    writeFileSync(join(tempDir, 'config', 'config.json'), JSON.stringify({ isolation: { mode: 'copy' } }));
+    let reviewedIn = '';
+    registerAdapter({
+      ...stubAdapter('codex'),
+      runReview: async (request) => {
+        reviewedIn = request.workingDir;
+        writeFileSync(join(request.workingDir, 'app.ts'), 'tampered\n');
+        return { success: true, output: `Injection in ${request.workingDir}/app.ts:2`, executionTimeMs: 5 };
+      },
+    });
+
+    const text = (await handleCodexReview(baseInput())).content[0].text;
+
+    expect(reviewedIn).not.toBe(tempDir);
+    expect(text).toContain('🔒 **Isolated:** reviewed in a temporary copy');
+    expect(text).toContain(`Injection in ${tempDir}/app.ts:2`);
+    expect(readFileSync(join(tempDir, 'app.ts'), 'utf-8')).toContain('const a = 1;');
+    expect(loadSession(sessionIdFrom(text))?.request.workingDir).toBe(tempDir);
+  });
+
+  it('runs no reviewer when the copy cannot be made', async () => {
+    mkdirSync(join(tempDir, 'config'), { recursive: true });
+    writeFileSync(join(tempDir, 'config', 'config.json'), JSON.stringify({ isolation: { mode: 'copy', maxTotalBytes: 1 } }));
+    const text = (await handleCodexReview(baseInput())).content[0].text;
+    expect(text).toContain('❌ Could not isolate the workspace');
+    expect(lastRequest).toBeNull();
+  });
+});
+
+describe('secret redaction', () => {
+  const token = `ghp_${'a1B2'.repeat(9)}`;
+
+  it('redacts secrets from the prompt and says so', async () => {
+    const text = (await handleCodexReview(baseInput({ ccOutput: `Rotated the deploy token to ${token}` }))).content[0].text;
+
+    expect(text).toContain('🔐 **Redacted:** 1 secret (github-token)');
+    const prompt = loadSession(sessionIdFrom(text))!.rounds[0].prompt;
+    expect(prompt).not.toContain(token);
+    expect(prompt).toMatch(/\[REDACTED:github-token:[0-9a-f]{6}\]/);
+  });
+
+  it('runs no reviewer under refuseOnSecrets', async () => {
+    mkdirSync(join(tempDir, 'config'), { recursive: true });
+    writeFileSync(join(tempDir, 'config', 'config.json'), JSON.stringify({ redaction: { refuseOnSecrets: true } }));
+
+    const text = (await handleMultiReview(baseInput({ ccOutput: `Rotated the deploy token to ${token}` }))).content[0].text;
+
+    expect(text).toContain('❌ Review not run: the handoff contains 1 secret (github-token)');
+    expect(lastRequest).toBeNull();
+  });
+});
+
+// =============================================================================
+// CIRCUIT BREAKER
+// =============================================================================
+
+describe('circuit breaker', () => {
+  const timingOut = (id: string): ReviewResult => ({ success: false, error: { type: 'timeout', message: `${id} hung` }, executionTimeMs: 5 });
+
+  beforeEach(() => {
+    resetAdapterHealthForTesting();
+    registerAdapter(stubAdapter('gemini'));
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({ review: { reviewers: ['codex', 'gemini'] } }));
+  });
+
+  afterEach(() => resetAdapterHealthForTesting());
+
+  it('skips an adapter with an open circuit and says so in the header', async () => {
+    for (let i = 0; i < 3; i++) recordAdapterOutcome('gemini', timingOut('gemini'));
+
+    const text = (await handleMultiReview(baseInput())).content[0].text;
+
+    expect(text).toContain('**Models:** codex (standard + adversarial)');
+    expect(text).toMatch(/- ⛔ gemini: skipped — circuit open after 3 failed reviews in a row \(last: timeout: gemini hung\); retried in \d+s/);
+  });
+
+  it('runs only the standard pass of a half-open reviewer', async () => {
+    mkdirSync(join(tempDir, 'config'), { recursive: true });
+    writeFileSync(join(tempDir, 'config', 'config.json'), JSON.stringify({ circuitBreaker: { cooldownMs: 0 } }));
+    const modes: string[] = [];
+    registerAdapter({
+      ...stubAdapter('gemini'),
+      runReview: (request: ReviewRequest, options?: RunOptions) => withRetry('gemini', request, async () => {
+        modes.push(request.reviewMode ?? 'standard');
+        return { success: true, output: 'gemini recovered', executionTimeMs: 5 };
+      }, options),
+    });
+    for (let i = 0; i < 3; i++) recordAdapterOutcome('gemini', timingOut('gemini'));
+
+    const text = (await handleMultiReview(baseInput())).content[0].text;
+
+    expect(modes).toEqual(['standard']);
+    expect(text).toContain('## Multi-Model Review ✓');
+    expect(text).toContain('- 🟡 gemini: circuit half-open — only its standard pass runs, to probe whether it recovered');
+    expect(text).not.toContain('already probing');
+  });
+
+  it('reports when every configured reviewer is tripped', async () => {
+    for (const id of ['codex', 'gemini']) {
+      for (let i = 0; i < 3; i++) recordAdapterOutcome(id, timingOut(id));
+    }
+
+    const text = (await handleMultiReview(baseInput())).content[0].text;
+
+    expect(text).toContain('❌ No reviewer can run right now.');
+    expect(text).toContain('- ⛔ codex: skipped');
+  });
+
+  it('skips a tripped reviewer in a failover chain', async () => {
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({ failover: { chains: { codex: ['gemini', 'claude'] } } }));
+    registerAdapter({ ...stubAdapter('codex'), runReview: async () => ({ success: false, error: { type: 'rate_limit', message: 'busy' }, executionTimeMs: 5 }) });
+    registerAdapter(stubAdapter('claude'));
+    for (let i = 0; i < 3; i++) recordAdapterOutcome('gemini', timingOut('gemini'));
+
+    const text = (await handleCodexReview(baseInput())).content[0].text;
+
+    expect(text).toContain('- gemini skipped — circuit open after repeated failures');
+    expect(text).toContain('answered by claude instead of Codex');
+  });
+});
+
+// =============================================================================
+// PROGRESS
+// =============================================================================
+
+describe('progress', () => {
+  it('labels each multi_review pass\'s progress with its reviewer and mode', async () => {
+    const chatty = (id: string): ReviewerAdapter => ({
+      ...stubAdapter(id),
+      runReview: async (request: ReviewRequest, options?: RunOptions) => {
+        options?.onProgress?.('Running...');
+        return { success: true, output: `${id} ${request.reviewMode ?? 'standard'} review`, executionTimeMs: 5 };
+      },
+    });
+    registerAdapter(chatty('codex'));
+    registerAdapter(chatty('gemini'));
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({ review: { reviewers: ['codex', 'gemini'] } }));
+
+    const messages: string[] = [];
+    await handleMultiReview(baseInput(), { onProgress: (m) => messages.push(m) });
+
+    expect(messages.sort()).toEqual([
+      'codex (adversarial): Running...',
+      'codex (standard): Running...',
+      'gemini (adversarial): Running...',
+      'gemini (standard): Running...',
+    ]);
+  });
+});
+
+// =============================================================================
+// BACKGROUND JOBS
+// =============================================================================
+
+function jobIdFrom(text: string): string {
+  const match = text.match(/\*\*Job:\*\* `(job_[a-z0-9_]+)`/);
+  if (!match) throw new Error(`no job id in: ${text}`);
+  return match[1];
+}
+
+describe('background jobs', () => {
+  it('runs multi_review in the background and reports per-pass state', async () => {
+    let release!: () => void;
+    const gate = new Promise<void>((r) => { release = r; });
+    const gated = (id: string): ReviewerAdapter => ({
+      ...stubAdapter(id),
+      runReview: async (request: ReviewRequest, options?: RunOptions) => {
+        options?.onProgress?.('reading src/app.ts (3s)');
+        await gate;
+        return { success: true, output: `${id} ${request.reviewMode ?? 'standard'} review`, executionTimeMs: 5 };
+      },
+    });
+    registerAdapter(gated('codex'));
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({
+      review: { reviewers: ['codex'] },
+      multiReview: { maxPerAdapter: 1 },
+    }));
+
+    const jobId = jobIdFrom((await handleReviewStart({ ...baseInput(), tool: 'multi_review' })).content[0].text);
+    await vi.waitFor(async () => expect((await handleReviewStatus({ jobId })).content[0].text).toContain('last event'));
+
+    const status = (await handleReviewStatus({ jobId })).content[0].text;
+    expect(status).toContain('⏳ running');
+    expect(status).toMatch(/- codex \(standard\): running · \d+s · last event: reading src\/app\.ts \(3s\)/);
+    expect(status).toContain('- codex (adversarial): queued');
+
+    const early = (await handleReviewResult({ jobId })).content[0].text;
+    expect(early).toContain('Still running');
+
+    release();
+    await vi.waitFor(async () => expect((await handleReviewStatus({ jobId })).content[0].text).toContain('✓ done'));
+
+    expect((await handleReviewStatus({ jobId })).content[0].text).toContain('- codex (adversarial): done');
+    const result = (await handleReviewResult({ jobId })).content[0].text;
+    expect(result).toContain('## Multi-Model Review ✓');
+    expect(result).toContain('codex adversarial review');
+
+    // Handed over once, then forgotten
+    expect((await handleReviewResult({ jobId })).content[0].text).toContain('Unknown review job');
+  });
+
+  it('cancels a running job and its reviewer passes', async () => {
+    registerAdapter({
+      ...stubAdapter('codex'),
+      runReview: (_request: ReviewRequest, options?: RunOptions) => new Promise<ReviewResult>((resolve) => {
+        options?.signal?.addEventListener('abort', () => resolve({
+          success: false, error: { type: 'cancelled', message: 'Review cancelled' }, executionTimeMs: 1,
+        }));
+      }),
+    });
+    const jobId = jobIdFrom((await handleReviewStart({ ...baseInput(), tool: 'codex_review' })).content[0].text);
+    await vi.waitFor(async () => expect((await handleReviewStatus({ jobId })).content[0].text).toContain('running ·'));
+
+    const cancelled = (await handleReviewCancel({ jobId })).content[0].text;
+    expect(cancelled).toContain(`🛑 Cancelled job \`${jobId}\``);
+    expect(cancelled).toContain('- codex: failed · 0s · cancelled: Review cancelled');
+    expect((await handleReviewCancel({ jobId })).content[0].text).toContain('had already finished (cancelled)');
+    expect((await handleReviewResult({ jobId })).content[0].text).not.toContain('**Session:**');
+  });
+
+  it('runs a single-model tool and lists jobs when no id is given', async () => {
+    cannedOutput = 'Looks fine';
+    const jobId = jobIdFrom((await handleReviewStart({ ...baseInput(), tool: 'codex_review' })).content[0].text);
+    await vi.waitFor(async () => expect((await handleReviewStatus({ jobId })).content[0].text).toContain('✓ done'));
+
+    const list = (await handleReviewStatus({})).content[0].text;
+    expect(list).toContain(`## Job \`${jobId}\` ✓ done`);
+    expect(list).toContain('- codex: done');
+
+    expect((await handleReviewResult({ jobId })).content[0].text).toContain('Looks fine');
+  });
+});
+
+// =============================================================================
+// CANCELLATION
+// =============================================================================
+
+describe('cancellation', () => {
+  it('cancels every multi_review pass when the call is cancelled', async () => {
+    const seen: string[] = [];
+    const waiter = (id: string): ReviewerAdapter => ({
+      ...stubAdapter(id),
+      runReview: (request: ReviewRequest, options?: RunOptions) => new Promise<ReviewResult>((resolve) => {
+        seen.push(`${id} ${request.reviewMode ?? 'standard'}`);
+        options?.signal?.addEventListener('abort', () => resolve({
+          success: false, error: { type: 'cancelled', message: 'Review cancelled' }, executionTimeMs: 1,
+        }));
+      }),
+    });
+    registerAdapter(waiter('codex'));
+    registerAdapter(waiter('gemini'));
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({ review: { reviewers: ['codex', 'gemini'] } }));
+
+    const controller = new AbortController();
+    const pending = handleMultiReview(baseInput(), { signal: controller.signal });
+    await vi.waitFor(() => expect(seen).toHaveLength(4));
+    controller.abort();
+    const text = (await pending).content[0].text;
+
+    expect(seen).toHaveLength(4);
+    expect(text).toContain('## Multi-Model Review 🛑 Cancelled');
+    expect(text).not.toContain('## Sessions');
+  });
+
+  it('keeps the passes that finished before the cancel', async () => {
+    let waiting = 0;
+    registerAdapter({
+      ...stubAdapter('gemini'),
+      runReview: (_request: ReviewRequest, options?: RunOptions) => new Promise<ReviewResult>((resolve) => {
+        waiting++;
+        options?.signal?.addEventListener('abort', () => resolve({
+          success: false, error: { type: 'cancelled', message: 'Review cancelled' }, executionTimeMs: 1,
+        }));
+      }),
+    });
+    cannedOutput = 'codex finished first';
+    writeFileSync(join(tempDir, '.cc-reviewer.json'), JSON.stringify({ review: { reviewers: ['codex', 'gemini'] } }));
+
+    const controller = new AbortController();
+    const pending = handleMultiReview(baseInput(), { signal: controller.signal });
+    await vi.waitFor(() => expect(waiting).toBe(2));
+    controller.abort();
+    const text = (await pending).content[0].text;
+
+    expect(text).toContain('## Multi-Model Review 🛑 Cancelled');
+    expect(text).toContain('codex finished first');
+    expect(text).toMatch(/## Cancelled\n\n_Stopped before they finished:_\n\n- gemini \(standard\)\n- gemini \(adversarial\)/);
+    expect(text).toMatch(/- codex \(standard\): `[\w-]+`/);
+    expect(text).not.toMatch(/- gemini \(\w+\): `/);
+  });
+
+  it('does not record a session for a cancelled review', async () => {
+    registerAdapter({
+      ...stubAdapter('codex'),
+      runReview: async () => ({ success: false, error: { type: 'cancelled', message: 'Review cancelled' }, executionTimeMs: 1 }),
+    });
+
+    const text = (await handleCodexReview(baseInput())).content[0].text;
+
+    expect(text).toContain('🛑');
+    expect(text).not.toContain('**Session:**');
+  });
+});
+
+// =============================================================================
+// SESSIONS & FOLLOW-UPS
+// =============================================================================
+
+function sessionIdFrom(text: string): string {
+  const match = text.match(/\*\*Session:\*\* `(rv_[a-z0-9_]+)`/);
+  if (!match) throw new Error(`no session id in: ${text}`);
+  return match[1];
+}
+
+describe('review sessions', () => {
+  it('persists each review with its handoff, prompt and output', async () => {
+    cannedOutput = 'Line 2 builds SQL by concatenation.';
+    const response = await handleCodexReview(baseInput({ analyzedFiles: ['app.ts'] }));
+    const session = loadSession(sessionIdFrom(response.content[0].text));
+
+    expect(session).toMatchObject({
+      reviewer: 'codex',
+      reviewMode: 'standard',
+      threadId: 'thread-codex',
+      request: { ccOutput: 'Added input validation', analyzedFiles: ['app.ts'] },
+    });
+    expect(session!.rounds).toHaveLength(1);
+    expect(session!.rounds[0].prompt).toContain('Added input validation');
+    expect(session!.rounds[0].output).toBe('Line 2 builds SQL by concatenation.');
+  });
+
+  it('stores sessions redacted and readable by the owner only', async () => {
+    const token = `ghp_${'a1B2'.repeat(9)}`;
+    cannedOutput = `The token ${token} is committed in app.ts.`;
+    const sessionId = sessionIdFrom((await handleCodexReview(baseInput({ ccOutput: `Rotated ${token}`, customPrompt: `Check ${token}` }))).content[0].text);
+
+    const file = join(tempDir, 'config', 'sessions', `${sessionId}.json`);
+    expect(readFileSync(file, 'utf-8')).not.toContain(token);
+    expect(loadSession(sessionId)!.request.ccOutput).toMatch(/^Rotated \[REDACTED:github-token:[0-9a-f]{6}\]$/);
+    expect(statSync(file).mode & 0o777).toBe(0o600);
+    expect(statSync(join(tempDir, 'config', 'sessions')).mode & 0o777).toBe(0o700);
+  });
+
+  it('sends follow-up questions to the same reviewer with its earlier answer', async () => {
+    cannedOutput = 'Line 2 builds SQL by concatenation.';
+    const sessionId = sessionIdFrom((await handleCodexReview(baseInput())).content[0].text);
+
+    cannedOutput = 'Yes — id comes straight from the request.';
+    const response = await handleReviewFollowUp({ sessionId, questions: ['Is id user-controlled?'] });
+
+    expect(lastRequest?.followUp).toEqual({
+      previousReview: 'Line 2 builds SQL by concatenation.',
+      questions: [{ question: 'Is id user-controlled?' }],
+      threadId: 'thread-codex',
+    });
+    expect(response.content[0].text).toContain('Yes — id comes straight from the request.');
+    expect(response.content[0].text).toContain('(round 2)');
+
+    const session = loadSession(sessionId)!;
+    expect(session.rounds[1]).toMatchObject({ kind: 'followup', questions: ['Is id user-controlled?'] });
+    expect(session.rounds[1].prompt).toContain('FOLLOW-UP REVIEW');
+    expect(session.rounds[1].prompt).toBe(lastPrompt);
+  });
+
+  it('rejects unknown session ids', async () => {
+    const response = await handleReviewFollowUp({ sessionId: 'rv_nope_000000', questions: ['?'] });
+    expect(response.content[0].text).toContain('Unknown review session');
+    expect((await handleReviewFollowUp({ sessionId: '../../etc/passwd', questions: ['?'] })).content[0].text)
+      .toContain('Unknown review session');
+  });
+
+  it('lists one session per multi_review pass', async () => {
+    cannedOutput = 'Fine.';
+    registerAdapter(stubAdapter('gemini'));
+    registerAdapter(stubAdapter('claude'));
+
+    const text = (await handleMultiReview(baseInput())).content[0].text;
+    expect(text).toContain('## Sessions');
+    expect(text.match(/: `rv_/g)).toHaveLength(6);
+  });
+});
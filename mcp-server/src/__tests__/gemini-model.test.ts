@@ -39,6 +39,8 @@ vi.mock('../decoders/index.js', () => {
       getError() { return null; }
       getFinalResponse() { return 'ok'; }
       hasNoOutput() { return false; }
+      getStats() { return null; }
+      getModel() { return null; }
     },
   };
 });
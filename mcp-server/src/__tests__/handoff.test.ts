@@ -6,6 +6,7 @@ import {
   parseStructuredCcOutput,
   selectRole,
   ADVERSARIAL_REVIEWER,
+  REVIEW_STRATEGIES,
   Handoff,
 } from '../handoff.js';
 
@@ -41,6 +42,39 @@ describe('handoff prompt building', () => {
     expect(prompt).not.toContain('JSON');
   });
 
+  it('should append the JSON output format only in structured mode', () => {
+    const prompt = buildHandoffPrompt({ handoff: mockHandoff, structuredOutput: true });
+    expect(prompt).toContain('## OUTPUT FORMAT (JSON)');
+    expect(prompt).toContain('"findings"');
+    expect(prompt).toContain('"location"');
+
+    const adversarial = buildAdversarialHandoffPrompt({ handoff: mockHandoff, structuredOutput: true });
+    expect(adversarial).toContain('## OUTPUT FORMAT (JSON)');
+  });
+
+  it('should render git changes when present', () => {
+    const prompt = buildHandoffPrompt({
+      handoff: {
+        ...mockHandoff,
+        changes: [
+          { path: 'src/a.ts', changeType: 'modified', linesAdded: 3, linesRemoved: 1, diff: '@@ -1 +1 @@\n-old\n+new' },
+          { path: 'src/b.ts', previousPath: 'src/old-b.ts', changeType: 'renamed' },
+        ],
+        git: { branch: 'feature', baseBranch: 'main', uncommittedChanges: true, commits: [{ hash: 'abcdef1234567', message: 'wip', filesChanged: [] }] },
+      },
+    });
+    expect(prompt).toContain('## CHANGES UNDER REVIEW');
+    expect(prompt).toContain('Branch `feature` vs `main` (includes uncommitted changes)');
+    expect(prompt).toContain('- abcdef12 wip');
+    expect(prompt).toContain('- `src/a.ts` [modified] +3/-1');
+    expect(prompt).toContain('- `src/old-b.ts` → `src/b.ts` [renamed]');
+    expect(prompt).toContain('```diff\n@@ -1 +1 @@');
+  });
+
+  it('should omit the changes section without git changes', () => {
+    expect(buildHandoffPrompt({ handoff: mockHandoff })).not.toContain('CHANGES UNDER REVIEW');
+  });
+
   it('should render customInstructions when provided', () => {
     const handoff: Handoff = {
       workingDir: '/test/dir',
@@ -57,6 +91,15 @@ describe('handoff prompt building', () => {
     const prompt = buildHandoffPrompt({ handoff });
     expect(prompt).not.toContain('ADDITIONAL INSTRUCTIONS');
   });
+
+  it('should include project instructions in standard and adversarial prompts', () => {
+    const handoff: Handoff = { workingDir: '/test/dir', summary: 'Test', projectInstructions: 'Never log request bodies.' };
+    for (const prompt of [buildHandoffPrompt({ handoff }), buildAdversarialHandoffPrompt({ handoff })]) {
+      expect(prompt).toContain('## PROJECT STANDARDS');
+      expect(prompt).toContain('Never log request bodies.');
+    }
+    expect(buildHandoffPrompt({ handoff: { ...handoff, projectInstructions: '  ' } })).not.toContain('PROJECT STANDARDS');
+  });
 });
 
 describe('adversarial handoff prompt', () => {
@@ -132,6 +175,43 @@ describe('adversarial handoff prompt', () => {
   });
 });
 
+// =============================================================================
+// OUTPUT-TYPE REVIEW MODES
+// =============================================================================
+
+describe('output-type review modes', () => {
+  const handoff: Handoff = { workingDir: '/test/dir', summary: 'Did some work' };
+
+  it('gives each outputType its own method and result sections', () => {
+    const plan = buildHandoffPrompt({ handoff: { ...handoff, outputType: 'plan' } });
+    expect(plan).toContain('## REVIEW MODE: Plan Review');
+    expect(plan).toContain('Ordering:');
+    expect(plan).toContain('- Missing Steps');
+
+    const findings = buildHandoffPrompt({ handoff: { ...handoff, outputType: 'findings' } });
+    expect(findings).toContain('## REVIEW MODE: Findings Review');
+    expect(findings).toContain('Try to reproduce and then refute each one');
+    expect(findings).toContain('- Refuted');
+
+    for (const type of ['analysis', 'proposal'] as const) {
+      const prompt = buildHandoffPrompt({ handoff: { ...handoff, outputType: type } });
+      expect(prompt).toContain(`## REVIEW MODE: ${REVIEW_STRATEGIES[type].title}`);
+      expect(prompt).toContain(`- ${REVIEW_STRATEGIES[type].resultSections[0]}`);
+    }
+  });
+
+  it('maps results onto the JSON schema instead of headings in structured mode', () => {
+    const prompt = buildHandoffPrompt({ handoff: { ...handoff, outputType: 'findings' }, structuredOutput: true });
+    expect(prompt).toContain(REVIEW_STRATEGIES.findings.structuredMapping);
+    expect(prompt).not.toContain('Organize your answer under these headings');
+  });
+
+  it('applies to adversarial prompts and is omitted without an outputType', () => {
+    expect(buildAdversarialHandoffPrompt({ handoff: { ...handoff, outputType: 'proposal' } })).toContain('## REVIEW MODE: Proposal Review');
+    expect(buildHandoffPrompt({ handoff })).not.toContain('REVIEW MODE');
+  });
+});
+
 // =============================================================================
 // parseStructuredCcOutput
 // =============================================================================
@@ -312,6 +392,35 @@ PRIORITY FILES:
     const handoff = buildSimpleHandoff('/test', ccOutput, ['src/a.ts', 'src/c.ts']);
     expect(handoff.priorityFiles).toEqual(['src/a.ts', 'src/b.ts', 'src/c.ts']);
   });
+
+  it('should prefer typed fields and parse ccOutput only for the rest', () => {
+    const ccOutput = `SUMMARY:\nParsed summary\n\nQUESTIONS:\n1. Parsed question?\n\nPRIORITY FILES:\n- src/parsed.ts`;
+    const handoff = buildSimpleHandoff('/test', ccOutput, ['src/index.ts'], undefined, undefined, {
+      summary: 'Typed summary',
+      decisions: [{ decision: 'Use a queue', rationale: 'Bursty load' }],
+      priorityFiles: ['src/typed.ts'],
+      confidence: 0.6,
+    });
+
+    expect(handoff.summary).toBe('Typed summary');
+    expect(handoff.decisions).toEqual([{ decision: 'Use a queue', rationale: 'Bursty load' }]);
+    expect(handoff.questions).toEqual([{ question: 'Parsed question?' }]);
+    expect(handoff.priorityFiles).toEqual(['src/typed.ts', 'src/index.ts']);
+    expect(handoff.confidence).toBe(0.6);
+    expect(handoff.ccOutput).toBeUndefined();
+  });
+
+  it('keeps unstructured ccOutput next to a typed summary', () => {
+    const ccOutput = 'Findings:\n1. The cache is never invalidated on logout.';
+    const handoff = buildSimpleHandoff('/test', ccOutput, undefined, undefined, undefined, { summary: 'Reviewed the session cache' });
+
+    expect(handoff.summary).toBe('Reviewed the session cache');
+    expect(handoff.ccOutput).toBe(ccOutput);
+    const prompt = buildHandoffPrompt({ handoff });
+    expect(prompt).toContain('**Summary:** Reviewed the session cache');
+    expect(prompt).toContain(`## CC'S OUTPUT\n\n${ccOutput}`);
+    expect(buildAdversarialHandoffPrompt({ handoff })).toContain('The cache is never invalidated on logout.');
+  });
 });
 
 // =============================================================================
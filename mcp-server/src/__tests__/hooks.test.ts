@@ -0,0 +1,191 @@
+/**
+ * Tests for the git hook review gate — install/uninstall, collecting the
+ * changes to review, and the gate's outcome for each review verdict.
+ *
+ * Each test gets a throwaway repository; the review child is replaced by a
+ * shell stand-in that prints a canned verdict.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'child_process';
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { collectChanges, hookScript, installHooks, runHook, uninstallHooks, ReviewCommand, SKIP_ENV } from '../hooks.js';
+import { setConfigPathForTesting } from '../config.js';
+
+let tempDir: string;
+let repo: string;
+
+function git(...args: string[]): string {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repo, encoding: 'utf-8' });
+}
+
+function writeConfig(hooks: Record<string, unknown>): void {
+  writeFileSync(join(tempDir, 'config.json'), JSON.stringify({ hooks }));
+}
+
+/** Review stand-in: drains the handoff, then prints `verdict` */
+function fakeReview(verdict: object | string): ReviewCommand {
+  const text = typeof verdict === 'string' ? verdict : JSON.stringify(verdict);
+  return { command: 'sh', args: ['-c', `cat > /dev/null; printf '%s' '${text}'`, 'review'] };
+}
+
+beforeEach(() => {
+  tempDir = join(tmpdir(), `cc-reviewer-hooks-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  repo = join(tempDir, 'repo');
+  mkdirSync(repo, { recursive: true });
+  // Ignore any hooksPath the surrounding environment forces through GIT_CONFIG_*
+  vi.stubEnv('GIT_CONFIG_COUNT', '0');
+  vi.stubEnv(SKIP_ENV, '');
+  setConfigPathForTesting(join(tempDir, 'config.json'));
+  git('init', '-q');
+  writeFileSync(join(repo, 'app.ts'), 'const a = 1;\n');
+  git('add', 'app.ts');
+  git('commit', '-qm', 'initial');
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  setConfigPathForTesting(null);
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('hookScript', () => {
+  it('runs the installed entry point and falls back to npx', () => {
+    const script = hookScript('pre-push', "/opt/it's/dist/index.js", '/usr/bin/node');
+    expect(script.startsWith('#!/bin/sh\n# Added by cc-reviewer')).toBe(true);
+    expect(script).toContain(`ENTRY='/opt/it'\\''s/dist/index.js'`);
+    expect(script).toContain(`exec '/usr/bin/node' "$ENTRY" hooks run pre-push "$@"`);
+    expect(script).toContain('exec npx -y cc-reviewer hooks run pre-push "$@"');
+  });
+});
+
+describe('installHooks / uninstallHooks', () => {
+  const hooksDir = () => join(repo, '.git', 'hooks');
+
+  it('installs executable hooks and removes only its own', async () => {
+    const result = await installHooks(repo, ['pre-commit', 'pre-push']);
+    expect(result).toEqual({ success: true, installed: ['pre-commit', 'pre-push'], skipped: [] });
+    expect(readFileSync(join(hooksDir(), 'pre-push'), 'utf-8')).toContain('hooks run pre-push');
+
+    writeFileSync(join(hooksDir(), 'post-commit'), '#!/bin/sh\necho mine\n');
+    expect((await uninstallHooks(repo)).installed).toEqual(['pre-commit', 'pre-push']);
+    expect(existsSync(join(hooksDir(), 'pre-push'))).toBe(false);
+    expect(existsSync(join(hooksDir(), 'post-commit'))).toBe(true);
+  });
+
+  it('keeps a hook it did not write unless forced, and updates its own', async () => {
+    writeFileSync(join(hooksDir(), 'pre-push'), '#!/bin/sh\necho mine\n');
+    const kept = await installHooks(repo, ['pre-push']);
+    expect(kept.installed).toEqual([]);
+    expect(kept.skipped[0]).toContain('--force');
+
+    expect((await installHooks(repo, ['pre-push'], true)).installed).toEqual(['pre-push']);
+    expect((await installHooks(repo, ['pre-push'])).installed).toEqual(['pre-push']);
+  });
+
+  it('reports a directory that is not a repository', async () => {
+    const outside = join(tempDir, 'plain');
+    mkdirSync(outside);
+    vi.stubEnv('GIT_CEILING_DIRECTORIES', tempDir);
+    expect(await installHooks(outside, ['pre-push'])).toMatchObject({ success: false, error: `Not a git repository: ${outside}` });
+  });
+});
+
+describe('collectChanges', () => {
+  it('returns the staged diff for pre-commit', async () => {
+    writeFileSync(join(repo, 'app.ts'), 'const a = 2;\n');
+    writeFileSync(join(repo, 'unstaged.ts'), 'not staged\n');
+    git('add', 'app.ts');
+    const diff = await collectChanges('pre-commit', repo);
+    expect(diff).toContain('+const a = 2;');
+    expect(diff).not.toContain('unstaged');
+  });
+
+  it('returns the outgoing commits for pre-push and skips deleted refs', async () => {
+    const base = git('rev-parse', 'HEAD').trim();
+    writeFileSync(join(repo, 'app.ts'), 'const a = 3;\n');
+    git('commit', '-qam', 'bump a');
+    const head = git('rev-parse', 'HEAD').trim();
+    const zero = '0'.repeat(40);
+
+    const diff = await collectChanges('pre-push', repo, `refs/heads/main ${head} refs/heads/main ${base}\n`);
+    expect(diff).toContain('bump a');
+    expect(diff).not.toContain('initial');
+    expect(await collectChanges('pre-push', repo, `(delete) ${zero} refs/heads/old ${base}\n`)).toBe('');
+  });
+});
+
+describe('runHook', () => {
+  beforeEach(() => {
+    writeFileSync(join(repo, 'app.ts'), 'const a = 2;\n');
+    git('add', 'app.ts');
+  });
+
+  it('passes and stores the report', async () => {
+    const { exitCode, message } = await runHook('pre-commit', repo, '', fakeReview({ exitCode: 0, reasons: [], report: '## Codex Review' }));
+    expect(exitCode).toBe(0);
+    expect(message).toMatch(/review passed/);
+
+    const reports = readdirSync(join(repo, '.git', 'cc-reviewer'));
+    expect(reports).toHaveLength(1);
+    expect(readFileSync(join(repo, '.git', 'cc-reviewer', reports[0]), 'utf-8')).toContain('## Codex Review');
+  });
+
+  it('blocks when the review gate fails and explains how to override', async () => {
+    const verdict = { exitCode: 1, reasons: ['1 finding at high severity or above (worst: high)'], report: 'r' };
+    const { exitCode, message } = await runHook('pre-commit', repo, '', fakeReview(verdict));
+    expect(exitCode).toBe(1);
+    expect(message).toContain('  - 1 finding at high severity or above');
+    expect(message).toContain(`${SKIP_ENV}=1 or --no-verify`);
+  });
+
+  it('lets a failed review through unless onError is "block"', async () => {
+    const verdict = { exitCode: 2, reasons: ['No reviewer returned findings that could be judged'], report: '' };
+    expect((await runHook('pre-commit', repo, '', fakeReview(verdict))).exitCode).toBe(0);
+    expect((await runHook('pre-commit', repo, '', fakeReview('not json'))).exitCode).toBe(0);
+
+    writeConfig({ onError: 'block' });
+    const blocked = await runHook('pre-commit', repo, '', fakeReview(verdict));
+    expect(blocked.exitCode).toBe(1);
+    expect(blocked.message).toContain('No reviewer returned findings that could be judged — blocking');
+  });
+
+  it('kills a review that runs past hooks.timeoutMs', async () => {
+    writeConfig({ timeoutMs: 1000 });
+    const started = Date.now();
+    const { exitCode, message } = await runHook('pre-commit', repo, '', { command: 'sh', args: ['-c', 'sleep 30'] });
+    expect(Date.now() - started).toBeLessThan(10_000);
+    expect(exitCode).toBe(0);
+    expect(message).toContain('did not finish within 1s');
+  });
+
+  it('kills the review and stops the commit when interrupted', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 200);
+    const started = Date.now();
+    const { exitCode, message } = await runHook('pre-commit', repo, '', { command: 'sh', args: ['-c', 'sleep 30'] }, controller.signal);
+    expect(Date.now() - started).toBeLessThan(5_000);
+    expect(exitCode).toBe(130);
+    expect(message).toContain('review interrupted — stopping the commit');
+  });
+
+  it('passes the configured reviewer and thresholds to the review', async () => {
+    writeConfig({ reviewer: 'gemini', failOn: 'medium', maxRisk: 60 });
+    const argsFile = join(tempDir, 'args.txt');
+    await runHook('pre-commit', repo, '', {
+      command: 'sh', args: ['-c', `cat > /dev/null; echo "$@" > '${argsFile}'; echo '{"exitCode":0}'`, 'review'],
+    });
+    expect(readFileSync(argsFile, 'utf-8')).toContain('--reviewer gemini');
+    expect(readFileSync(argsFile, 'utf-8')).toContain('--fail-on medium --max-risk 60');
+  });
+
+  it('skips the gate when the override is set or nothing changed', async () => {
+    vi.stubEnv(SKIP_ENV, '1');
+    expect(await runHook('pre-commit', repo, '', fakeReview('never runs'))).toMatchObject({ exitCode: 0, message: expect.stringContaining('skipping') });
+    vi.stubEnv(SKIP_ENV, '');
+    git('commit', '-qm', 'commit it');
+    expect(await runHook('pre-commit', repo, '', fakeReview('never runs'))).toEqual({ exitCode: 0, message: 'cc-reviewer: nothing to review' });
+  });
+});
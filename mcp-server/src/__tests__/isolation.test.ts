@@ -0,0 +1,191 @@
+/**
+ * Tests for isolated workspaces — what each mode copies, the size limits,
+ * path mapping and cleanup.
+ *
+ * Each test gets a throwaway repository with committed, modified, untracked
+ * and ignored files.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'child_process';
+import { existsSync, lstatSync, mkdirSync, readFileSync, rmSync, symlinkSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { withIsolatedWorkspace, formatIsolation, IsolatedWorkspace } from '../isolation.js';
+import { setConfigPathForTesting } from '../config.js';
+
+let tempDir: string;
+let repo: string;
+
+function git(...args: string[]): string {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repo, encoding: 'utf-8' });
+}
+
+function writeConfig(isolation: Record<string, unknown>): void {
+  writeFileSync(join(tempDir, 'config.json'), JSON.stringify({ isolation }));
+}
+
+/** Run inside an isolated workspace, returning it and the files it held */
+async function inspect(workingDir: string = repo): Promise<{ workspace: IsolatedWorkspace; read: (file: string) => string | null }> {
+  const seen: Record<string, string | null> = {};
+  const outcome = await withIsolatedWorkspace(workingDir, async (workspace) => {
+    for (const file of ['app.ts', 'notes.md', 'debug.log', 'src/lib.ts', 'big.bin', '.cc-reviewer.json']) {
+      const path = join(workspace!.dir, file);
+      seen[file] = existsSync(path) ? readFileSync(path, 'utf-8') : null;
+    }
+    return workspace!;
+  });
+  if (!outcome.success) throw new Error(outcome.error);
+  return { workspace: outcome.value, read: (file) => seen[file] ?? null };
+}
+
+beforeEach(() => {
+  tempDir = join(tmpdir(), `cc-reviewer-isolation-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  repo = join(tempDir, 'repo');
+  mkdirSync(join(repo, 'src'), { recursive: true });
+  // Ignore any hooksPath the surrounding environment forces through GIT_CONFIG_*
+  vi.stubEnv('GIT_CONFIG_COUNT', '0');
+  setConfigPathForTesting(join(tempDir, 'config.json'));
+  git('init', '-q');
+  writeFileSync(join(repo, 'app.ts'), 'const a = 1;\n');
+  writeFileSync(join(repo, 'src', 'lib.ts'), 'export {};\n');
+  writeFileSync(join(repo, '.gitignore'), '*.log\n');
+  git('add', '.');
+  git('commit', '-qm', 'initial');
+
+  writeFileSync(join(repo, 'app.ts'), 'const a = 2;\n');
+  writeFileSync(join(repo, 'notes.md'), 'untracked\n');
+  writeFileSync(join(repo, 'debug.log'), 'ignored\n');
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  setConfigPathForTesting(null);
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('withIsolatedWorkspace', () => {
+  it('runs in the real tree when isolation is off', async () => {
+    const outcome = await withIsolatedWorkspace(repo, async (workspace) => workspace);
+    expect(outcome).toEqual({ success: true, value: undefined });
+  });
+
+  it('worktree: checks out HEAD with uncommitted and untracked changes, then removes it', async () => {
+    writeConfig({ mode: 'worktree' });
+    const { workspace, read } = await inspect();
+
+    expect(workspace.dir).not.toBe(repo);
+    expect(read('app.ts')).toBe('const a = 2;\n');
+    expect(read('notes.md')).toBe('untracked\n');
+    expect(read('debug.log')).toBeNull();
+    expect(existsSync(workspace.dir)).toBe(false);
+    expect(git('worktree', 'list').trim().split('\n')).toHaveLength(1);
+  });
+
+  it('worktree: gives the checkout its own .git with no way back to the original', async () => {
+    writeConfig({ mode: 'worktree' });
+    const outcome = await withIsolatedWorkspace(repo, async (workspace) => {
+      const run = (...args: string[]) => execFileSync('git', args, { cwd: workspace!.dir, encoding: 'utf-8' });
+      run('tag', 'from-reviewer');
+      return { gitDir: lstatSync(join(workspace!.dir, '.git')).isDirectory(), remotes: run('remote').trim() };
+    });
+
+    expect(outcome).toEqual({ success: true, value: { gitDir: true, remotes: '' } });
+    expect(git('tag', '--list').trim()).toBe('');
+  });
+
+  it('worktree: maps a subdirectory into the worktree', async () => {
+    writeConfig({ mode: 'worktree' });
+    const outcome = await withIsolatedWorkspace(join(repo, 'src'), async (workspace) => readFileSync(join(workspace!.dir, 'lib.ts'), 'utf-8'));
+    expect(outcome).toEqual({ success: true, value: 'export {};\n' });
+  });
+
+  it('worktree: refuses a directory outside git', async () => {
+    writeConfig({ mode: 'worktree' });
+    const plain = join(tempDir, 'plain');
+    mkdirSync(plain);
+    vi.stubEnv('GIT_CEILING_DIRECTORIES', tempDir);
+    const run = vi.fn();
+    const outcome = await withIsolatedWorkspace(plain, run);
+    expect(outcome).toMatchObject({ success: false, error: expect.stringContaining('use isolation mode "copy"') });
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  it('copy: copies what git does not ignore and keeps writes away from the real tree', async () => {
+    writeConfig({ mode: 'copy' });
+    const outcome = await withIsolatedWorkspace(repo, async (workspace) => {
+      writeFileSync(join(workspace!.dir, 'app.ts'), 'overwritten\n');
+      return { dir: workspace!.dir, hasGit: existsSync(join(workspace!.dir, '.git')), log: existsSync(join(workspace!.dir, 'debug.log')) };
+    });
+
+    expect(outcome).toMatchObject({ success: true, value: { hasGit: false, log: false } });
+    expect(readFileSync(join(repo, 'app.ts'), 'utf-8')).toBe('const a = 2;\n');
+    expect(existsSync(outcome.success ? outcome.value.dir : '')).toBe(false);
+  });
+
+  it('copy: leaves out files past maxFileBytes and fails past maxTotalBytes', async () => {
+    writeFileSync(join(repo, 'big.bin'), 'x'.repeat(100));
+    writeConfig({ mode: 'copy', maxFileBytes: 50 });
+    const { workspace, read } = await inspect();
+    expect(read('big.bin')).toBeNull();
+    expect(workspace.skipped).toEqual(['big.bin']);
+    expect(formatIsolation(workspace)).toContain('left out for size: `big.bin`');
+
+    writeConfig({ mode: 'copy', maxTotalBytes: 20 });
+    expect(await withIsolatedWorkspace(repo, async () => 'ran')).toMatchObject({
+      success: false, error: expect.stringContaining('isolation.maxTotalBytes'),
+    });
+  });
+
+  it('leaves out symlinks that lead outside the workspace, in both modes', async () => {
+    writeFileSync(join(tempDir, 'secret.txt'), 'secret\n');
+    symlinkSync(join(tempDir, 'secret.txt'), join(repo, 'absolute.txt'));
+    symlinkSync('../lib.ts', join(repo, 'src', 'inside.ts'));
+    git('add', 'absolute.txt', 'src/inside.ts');
+    git('commit', '-qm', 'links');
+    symlinkSync('../secret.txt', join(repo, 'relative.txt'));
+
+    for (const mode of ['copy', 'worktree']) {
+      writeConfig({ mode });
+      const outcome = await withIsolatedWorkspace(repo, async (workspace) => ({
+        workspace: workspace!,
+        absolute: existsSync(join(workspace!.dir, 'absolute.txt')),
+        relative: existsSync(join(workspace!.dir, 'relative.txt')),
+        inside: lstatSync(join(workspace!.dir, 'src', 'inside.ts')).isSymbolicLink(),
+      }));
+      if (!outcome.success) throw new Error(outcome.error);
+
+      expect(outcome.value).toMatchObject({ absolute: false, relative: false, inside: true });
+      expect([...outcome.value.workspace.outsideLinks].sort()).toEqual(['absolute.txt', 'relative.txt']);
+      expect(formatIsolation(outcome.value.workspace)).toContain('links out of the workspace left out:');
+    }
+  });
+
+  it('copies the project config into the workspace', async () => {
+    writeConfig({ mode: 'copy' });
+    mkdirSync(join(tempDir, 'parent', 'child'), { recursive: true });
+    writeFileSync(join(tempDir, 'parent', '.cc-reviewer.json'), JSON.stringify({ review: { instructions: 'Check the locking.' } }));
+    writeFileSync(join(tempDir, 'parent', 'child', 'app.ts'), 'const a = 1;\n');
+    vi.stubEnv('GIT_CEILING_DIRECTORIES', tempDir);
+
+    const { read } = await inspect(join(tempDir, 'parent', 'child'));
+    expect(read('app.ts')).toBe('const a = 1;\n');
+    expect(JSON.parse(read('.cc-reviewer.json')!)).toEqual({ review: { instructions: 'Check the locking.' } });
+  });
+
+  it('ignores isolation settings in a project file', async () => {
+    writeFileSync(join(repo, '.cc-reviewer.json'), JSON.stringify({ isolation: { mode: 'copy' } }));
+    const outcome = await withIsolatedWorkspace(repo, async (workspace) => workspace);
+    expect(outcome).toEqual({ success: true, value: undefined });
+  });
+
+  it('maps paths in reviewer output back to the real tree', async () => {
+    writeConfig({ mode: 'copy' });
+    const { workspace } = await inspect();
+    const request = workspace.isolate({ workingDir: repo, ccOutput: 'x', outputType: 'findings' });
+    expect(request.workingDir).toBe(workspace.dir);
+
+    const mapped = workspace.restorePaths({ success: true, output: `Bug in ${workspace.dir}/app.ts:1`, executionTimeMs: 1 });
+    expect(mapped).toMatchObject({ output: `Bug in ${repo}/app.ts:1` });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for background review jobs — pass tracking and result hand-over
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { startJob, getJob, takeJob, cancelJob, clearJobsForTesting } from '../jobs.js';
+
+const tick = () => new Promise((r) => setTimeout(r, 0));
+
+afterEach(() => clearJobsForTesting());
+
+describe('startJob', () => {
+  it('tracks passes through queued, running and finished states', async () => {
+    let release!: () => void;
+    const job = startJob('multi_review', async ({ tracker }) => {
+      tracker.queued('codex (standard)');
+      tracker.queued('gemini (standard)');
+      tracker.started('codex (standard)');
+      tracker.event('codex (standard)', 'reasoning (4s)');
+      await new Promise<void>((r) => { release = r; });
+      tracker.finished('codex (standard)', { success: true, output: 'ok', executionTimeMs: 1 });
+      tracker.skipped('gemini (standard)', 'skipped — token budget of 1,000 spent');
+      return { content: [{ type: 'text', text: 'report' }] };
+    });
+    await tick();
+
+    expect(job.status).toBe('running');
+    expect(job.passes).toMatchObject([
+      { label: 'codex (standard)', state: 'running', lastEvent: 'reasoning (4s)' },
+      { label: 'gemini (standard)', state: 'queued' },
+    ]);
+
+    release();
+    await tick();
+
+    expect(job.status).toBe('done');
+    expect(job.passes).toMatchObject([
+      { state: 'done' },
+      { state: 'skipped', error: 'skipped — token budget of 1,000 spent' },
+    ]);
+  });
+
+  it('records a failed pass with its error', async () => {
+    const job = startJob('codex_review', async ({ tracker }) => {
+      tracker.started('Codex');
+      tracker.finished('Codex', { success: false, error: { type: 'timeout', message: 'no output' }, executionTimeMs: 1 });
+      return { content: [{ type: 'text', text: 'timed out' }] };
+    });
+    await tick();
+
+    expect(job.passes[0]).toMatchObject({ state: 'failed', error: 'timeout: no output' });
+  });
+
+  it('marks the job failed when the tool throws', async () => {
+    const job = startJob('codex_review', async () => { throw new Error('boom'); });
+    await tick();
+
+    expect(job).toMatchObject({ status: 'failed', error: 'boom' });
+  });
+});
+
+describe('takeJob', () => {
+  it('leaves running jobs in place and forgets finished ones', async () => {
+    let release!: () => void;
+    const job = startJob('gemini_review', async () => {
+      await new Promise<void>((r) => { release = r; });
+      return { content: [{ type: 'text', text: 'done' }] };
+    });
+
+    expect(takeJob(job.id)?.status).toBe('running');
+    expect(getJob(job.id)).toBeDefined();
+
+    release();
+    await tick();
+
+    expect(takeJob(job.id)?.result?.content[0].text).toBe('done');
+    expect(getJob(job.id)).toBeUndefined();
+  });
+});
+
+describe('cancelJob', () => {
+  it('aborts a running job and waits for it to stop', async () => {
+    const job = startJob('multi_review', ({ signal }) => new Promise((resolve) => {
+      signal.addEventListener('abort', () => resolve({ content: [{ type: 'text', text: 'stopped' }] }));
+    }));
+
+    expect(await cancelJob(job.id)).toMatchObject({ status: 'cancelled', result: { content: [{ text: 'stopped' }] } });
+    expect(await cancelJob(job.id)).toMatchObject({ status: 'cancelled' });
+    expect(await cancelJob('job_unknown')).toBeUndefined();
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for Ollama adapter — HTTP requests, availability and inlined files
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { OllamaAdapter } from '../adapters/ollama.js';
+import { setConfigPathForTesting } from '../config.js';
+
+let tempDir: string;
+const adapter = new OllamaAdapter();
+
+function jsonResponse(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+beforeEach(() => {
+  tempDir = join(tmpdir(), `cc-reviewer-ollama-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(tempDir, { recursive: true });
+  writeFileSync(join(tempDir, 'config.json'), JSON.stringify({ ollama: { baseUrl: 'http://gpu-box:8080/v1/', model: 'qwen2.5-coder' } }));
+  writeFileSync(join(tempDir, 'app.ts'), 'const a = 1;\nconst b = a + 1;\n');
+  setConfigPathForTesting(join(tempDir, 'config.json'));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  setConfigPathForTesting(null);
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('OllamaAdapter — isAvailable', () => {
+  it('requires the configured model to be served', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({ data: [{ id: 'llama3' }, { id: 'qwen2.5-coder:latest' }] })));
+    expect(await adapter.isAvailable()).toBe(true);
+
+    vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({ data: [{ id: 'llama3' }] })));
+    expect(await adapter.isAvailable()).toBe(false);
+  });
+
+  it('is unavailable when the server cannot be reached', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('fetch failed'); }));
+    expect(await adapter.isAvailable()).toBe(false);
+  });
+});
+
+describe('OllamaAdapter — runReview', () => {
+  it('posts a chat completion with the analyzed files inlined', async () => {
+    const fetchMock = vi.fn(async (_url: string, _init?: RequestInit) =>
+      jsonResponse({ choices: [{ message: { content: 'Looks correct.' } }] }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await adapter.runReview({
+      workingDir: tempDir, ccOutput: 'Added b', outputType: 'analysis', analyzedFiles: ['app.ts', '../outside.ts'],
+    });
+
+    expect(result).toMatchObject({ success: true, output: 'Looks correct.' });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://gpu-box:8080/v1/chat/completions');
+    const body = JSON.parse(init!.body as string);
+    expect(body.model).toBe('qwen2.5-coder');
+    const prompt: string = body.messages[0].content;
+    expect(prompt).toContain('## FILE CONTENTS');
+    expect(prompt).toContain('### app.ts');
+    expect(prompt).toContain('   2  const b = a + 1;');
+    expect(prompt).toContain('You cannot open files');
+    expect(prompt).not.toContain('### ../outside.ts');
+  });
+
+  it('reports token usage from the completion', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({
+      model: 'qwen2.5-coder:latest',
+      choices: [{ message: { content: 'Fine.' } }],
+      usage: { prompt_tokens: 900, completion_tokens: 40, total_tokens: 940 },
+    })));
+    const result = await adapter.runReview({ workingDir: tempDir, ccOutput: 'x', outputType: 'analysis' });
+
+    expect(result.usage).toEqual({ inputTokens: 900, outputTokens: 40, model: 'qwen2.5-coder:latest' });
+  });
+
+  it('maps HTTP errors to review errors', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('model "qwen2.5-coder" not found', { status: 404 })));
+    const result = await adapter.runReview({ workingDir: tempDir, ccOutput: 'x', outputType: 'analysis' });
+
+    expect(result.success).toBe(false);
+    if (result.success) return;
+    expect(result.error.message).toContain('Model not found');
+    expect(result.suggestion).toBe('Pull it with: ollama pull qwen2.5-coder');
+  });
+
+  it('reports the timeout actually applied when the caller\'s deadline is shorter', async () => {
+    vi.stubGlobal('fetch', vi.fn((_url: string, init?: RequestInit) => new Promise((_resolve, reject) => {
+      init!.signal!.addEventListener('abort', () => reject(init!.signal!.reason));
+    })));
+    const result = await adapter.runReview({ workingDir: tempDir, ccOutput: 'x', outputType: 'analysis', maxTimeoutMs: 1_000 });
+
+    expect(result).toMatchObject({
+      success: false,
+      error: { type: 'timeout', message: 'Local model did not answer within 1s' },
+      suggestion: 'Try a smaller scope, or give the review more time',
+    });
+  });
+
+  it('reports an unreachable server as not found', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      throw Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } });
+    }));
+    const result = await adapter.runReview({ workingDir: tempDir, ccOutput: 'x', outputType: 'analysis' });
+
+    expect(result).toMatchObject({ success: false, error: { type: 'cli_not_found' }, suggestion: 'Start it with: ollama serve' });
+  });
+});
+
+describe('OllamaAdapter — runPeerReview', () => {
+  it('fits the peer prompt to the context window, trimming ccOutput first', async () => {
+    const fetchMock = vi.fn(async (_url: string, _init?: RequestInit) =>
+      jsonResponse({ choices: [{ message: { content: '{"scores": []}' } }] }));
+    vi.stubGlobal('fetch', fetchMock);
+    const ccOutput = `START ${'a'.repeat(200_000)} END`;
+
+    const result = await adapter.runPeerReview(
+      { workingDir: tempDir, ccOutput, outputType: 'analysis' }, '{"findings": []}', 'Reviewer A'
+    );
+
+    const prompt: string = JSON.parse(fetchMock.mock.calls[0][1]!.body as string).messages[0].content;
+    expect(prompt).toContain('START');
+    expect(prompt).toContain('{"findings": []}');
+    expect(prompt.length / 3.5).toBeLessThanOrEqual(24_000);
+    expect(result.prompt).toBe(prompt);
+    expect(result.trimmed?.dropped).toEqual([expect.stringMatching(/^[\d,]+ characters from the middle of ccOutput$/)]);
+  });
+});
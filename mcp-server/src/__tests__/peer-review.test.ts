@@ -0,0 +1,171 @@
+/**
+ * Tests for the anonymized peer-review round
+ */
+
+import { describe, it, expect } from 'vitest';
+import { runPeerReviewRound, filterByPeerValidity } from '../peer-review.js';
+import { ReviewerAdapter, ReviewRequest } from '../adapters/base.js';
+import { ReviewFinding, parsePeerReviewOutput } from '../schema.js';
+
+function finding(overrides: Partial<ReviewFinding> = {}): ReviewFinding {
+  return {
+    id: 'f',
+    category: 'security',
+    severity: 'high',
+    confidence: 0.7,
+    title: 'SQL injection in user lookup',
+    description: 'Query built by string concatenation',
+    ...overrides,
+  };
+}
+
+const request: ReviewRequest = {
+  workingDir: '/tmp',
+  ccOutput: 'Refactored the user lookup',
+  outputType: 'analysis',
+};
+
+/**
+ * Adapter that scores every anonymized finding with a fixed verdict and
+ * records which reviewers it was shown.
+ */
+function scorer(id: string, verdict: string | ((finding: { id: string; title: string }) => string), seen: string[] = []): ReviewerAdapter {
+  return {
+    id,
+    getCapabilities: () => ({
+      name: id, description: id, strengths: [], weaknesses: [],
+      hasFilesystemAccess: true, supportsStructuredOutput: true, maxContextTokens: 100000,
+    }),
+    isAvailable: async () => true,
+    runReview: async () => ({ success: true, output: '', executionTimeMs: 0 }),
+    runPeerReview: async (_request, reviewToScore, anonymizedReviewerId) => {
+      seen.push(reviewToScore);
+      const { findings } = JSON.parse(reviewToScore) as { findings: Array<{ id: string; title: string }> };
+      const scores = findings.map(f => ({
+        finding_id: f.id,
+        validity: typeof verdict === 'function' ? verdict(f) : verdict,
+        confidence: 0.9,
+      }));
+      const output = JSON.stringify({ reviewer: id, reviewed_model: anonymizedReviewerId, scores, overall_quality: 0.5 });
+      return { success: true, output: `\`\`\`json\n${output}\n\`\`\``, executionTimeMs: 0 };
+    },
+  };
+}
+
+describe('runPeerReviewRound', () => {
+  it('never asks a model to score its own findings and hides model names', async () => {
+    const seen: string[] = [];
+    const codexFinding = finding({ id: 'c1' });
+    const round = await runPeerReviewRound(
+      [scorer('codex', 'valid', seen), scorer('gemini', 'valid', seen)],
+      request,
+      [
+        { reviewer: 'codex', findings: [codexFinding] },
+        { reviewer: 'gemini', findings: [finding({ id: 'g1', title: 'Missing null check' })] },
+      ]
+    );
+
+    expect(round.runs).toBe(2);
+    expect(round.failures).toEqual([]);
+    expect(round.validity.get(codexFinding)).toEqual({ score: 1, votes: 1 });
+    expect(seen.join('\n')).not.toMatch(/codex|gemini/);
+  });
+
+  it('deals labels at random and keeps the mapping back to the models', async () => {
+    const reviews = ['codex', 'gemini', 'claude'].map(reviewer => ({ reviewer, findings: [finding()] }));
+    const labelled = (random: () => number) => runPeerReviewRound([], request, reviews, {}, undefined, random);
+
+    // random() near 1 keeps adapter order; 0 moves each model's letter
+    expect((await labelled(() => 0.999)).labels).toEqual(new Map([['Reviewer A', 'codex'], ['Reviewer B', 'gemini'], ['Reviewer C', 'claude']]));
+    expect((await labelled(() => 0)).labels).toEqual(new Map([['Reviewer B', 'codex'], ['Reviewer C', 'gemini'], ['Reviewer A', 'claude']]));
+  });
+
+  it('filters findings the peers reject and keeps unassessed ones', async () => {
+    const bogus = finding({ id: 'c1', title: 'Hallucinated race condition' });
+    const real = finding({ id: 'c2' });
+    const unscored = finding({ id: 'g1' });
+    const reviews = [
+      { reviewer: 'codex', findings: [bogus, real] },
+      { reviewer: 'gemini', findings: [unscored] },
+    ];
+
+    const round = await runPeerReviewRound(
+      [scorer('codex', 'cannot_assess'), scorer('gemini', f => f.title === 'Hallucinated race condition' ? 'invalid' : 'valid')],
+      request,
+      reviews
+    );
+    const { kept, filtered } = filterByPeerValidity(reviews, round);
+
+    expect(filtered.map(f => f.finding)).toEqual([bogus]);
+    expect(kept).toEqual([
+      { reviewer: 'codex', findings: [real] },
+      { reviewer: 'gemini', findings: [unscored] },
+    ]);
+  });
+
+  it('records failed and unparseable scoring runs without failing the round', async () => {
+    const failing: ReviewerAdapter = {
+      ...scorer('gemini', 'valid'),
+      runPeerReview: async () => ({
+        success: false,
+        error: { type: 'timeout', message: 'timed out' },
+        executionTimeMs: 0,
+      }),
+    };
+    const garbled: ReviewerAdapter = {
+      ...scorer('claude', 'valid'),
+      runPeerReview: async () => ({ success: true, output: 'looks fine to me', executionTimeMs: 0 }),
+    };
+
+    const round = await runPeerReviewRound(
+      [failing, garbled],
+      request,
+      [{ reviewer: 'codex', findings: [finding()] }]
+    );
+
+    expect(round.runs).toBe(2);
+    expect(round.validity.size).toBe(0);
+    expect(round.failures).toEqual([
+      'gemini → codex: timeout',
+      'claude → codex: unparseable scores',
+    ]);
+  });
+
+  it('holds the concurrency cap and skips pairs once the token budget is spent', async () => {
+    let active = 0;
+    let peak = 0;
+    const slow = (id: string): ReviewerAdapter => {
+      const base = scorer(id, 'valid');
+      return {
+        ...base,
+        runPeerReview: async (...args) => {
+          peak = Math.max(peak, ++active);
+          await new Promise(r => setTimeout(r, 5));
+          active--;
+          const result = await base.runPeerReview!(...args);
+          return { ...result, usage: { inputTokens: 60, outputTokens: 0 } };
+        },
+      };
+    };
+    const reviews = ['codex', 'gemini', 'claude'].map(reviewer => ({ reviewer, findings: [finding()] }));
+    const adapters = [slow('codex'), slow('gemini'), slow('claude')];
+
+    const capped = await runPeerReviewRound(adapters, request, reviews, {}, { maxConcurrency: 2, maxPerAdapter: 1 });
+    expect(capped.runs).toBe(6);
+    expect(peak).toBe(2);
+
+    peak = 0;
+    const budgeted = await runPeerReviewRound(adapters, request, reviews, {}, { maxConcurrency: 1, maxPerAdapter: 1, tokenBudget: 100 });
+    expect(peak).toBe(1);
+    expect(budgeted.runs).toBe(2);
+    expect(budgeted.failures).toHaveLength(4);
+    expect(budgeted.failures[0]).toMatch(/: skipped, token budget used up$/);
+  });
+});
+
+describe('parsePeerReviewOutput', () => {
+  it('returns null for output that is not a peer review', () => {
+    expect(parsePeerReviewOutput('{"findings": []}')).toBeNull();
+    expect(parsePeerReviewOutput('no json here')).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for MCP progress notifications — reporter construction and labels
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import type { ServerNotification } from '@modelcontextprotocol/sdk/types.js';
+import { createProgressReporter, labelProgress } from '../progress.js';
+
+describe('createProgressReporter', () => {
+  it('returns undefined when the client sent no progress token', () => {
+    expect(createProgressReporter(undefined, vi.fn())).toBeUndefined();
+  });
+
+  it('sends each message with an increasing progress value', () => {
+    const sent: ServerNotification[] = [];
+    const report = createProgressReporter('tok-1', async (n) => { sent.push(n); })!;
+
+    report('Running...');
+    report('command_execution — npm test (12s)');
+
+    expect(sent).toEqual([
+      { method: 'notifications/progress', params: { progressToken: 'tok-1', progress: 1, message: 'Running...' } },
+      { method: 'notifications/progress', params: { progressToken: 'tok-1', progress: 2, message: 'command_execution — npm test (12s)' } },
+    ]);
+  });
+
+  it('swallows send failures', async () => {
+    const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const report = createProgressReporter(7, async () => { throw new Error('transport closed'); })!;
+
+    expect(() => report('Running...')).not.toThrow();
+    await new Promise((r) => setTimeout(r, 0));
+    expect(errors).toHaveBeenCalledWith(expect.stringContaining('transport closed'));
+    errors.mockRestore();
+  });
+});
+
+describe('labelProgress', () => {
+  it('prefixes messages with the reviewer label', () => {
+    const onProgress = vi.fn();
+    labelProgress(onProgress, 'codex (adversarial)')!('Running...');
+    expect(onProgress).toHaveBeenCalledWith('codex (adversarial): Running...');
+  });
+
+  it('stays undefined when there is nothing to forward to', () => {
+    expect(labelProgress(undefined, 'codex (standard)')).toBeUndefined();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for the shared retry policy — delays, retry-after hints, rate-limit
+ * cues and the retry loop around an adapter invocation
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { retryDelay, withRateLimitCues, withRetry } from '../adapters/retry.js';
+import { ReviewRequest, ReviewResult } from '../adapters/base.js';
+import { DEFAULT_CONFIG, setConfigPathForTesting } from '../config.js';
+
+const policy = DEFAULT_CONFIG.retry;
+const rateLimited: ReviewResult = { success: false, error: { type: 'rate_limit', message: 'slow down' }, executionTimeMs: 10 };
+const ok: ReviewResult = { success: true, output: 'review', executionTimeMs: 20 };
+
+let tempDir: string;
+
+function writeRetryConfig(retry: Record<string, unknown>): void {
+  writeFileSync(join(tempDir, 'config.json'), JSON.stringify({ retry }));
+  setConfigPathForTesting(join(tempDir, 'config.json'));
+}
+
+const request = (): ReviewRequest => ({ workingDir: tempDir, ccOutput: 'x', outputType: 'analysis' });
+
+beforeEach(() => {
+  tempDir = join(tmpdir(), `cc-reviewer-retry-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(tempDir, { recursive: true });
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  setConfigPathForTesting(null);
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+// =============================================================================
+// POLICY
+// =============================================================================
+
+describe('retryDelay', () => {
+  it('backs off exponentially with jitter over the upper half', () => {
+    expect(retryDelay(rateLimited.error, 1, policy, () => 0)).toBe(1_000);
+    expect(retryDelay(rateLimited.error, 1, policy, () => 1)).toBe(2_000);
+    expect(retryDelay(rateLimited.error, 2, { ...policy, maxAttempts: 5 }, () => 1)).toBe(4_000);
+    expect(retryDelay(rateLimited.error, 4, { ...policy, maxAttempts: 10, maxDelayMs: 10_000 }, () => 1)).toBe(10_000);
+  });
+
+  it('stops after maxAttempts and never retries types outside `on`', () => {
+    expect(retryDelay(rateLimited.error, 3, policy)).toBeNull();
+    expect(retryDelay({ type: 'auth_error', message: 'no' }, 1, policy)).toBeNull();
+    expect(retryDelay({ type: 'timeout', message: 'slow' }, 1, policy)).toBeNull();
+  });
+
+  it('waits out a retry-after hint instead of the backoff, unless it is too long', () => {
+    expect(retryDelay({ ...rateLimited.error, details: { retryAfterMs: 7_000 } }, 1, policy)).toBe(7_000);
+    expect(retryDelay({ ...rateLimited.error, details: { retryAfterMs: 120_000 } }, 1, policy)).toBeNull();
+  });
+});
+
+describe('withRateLimitCues', () => {
+  it('treats a fast exit without output as a rate limit', () => {
+    const error = withRateLimitCues({ type: 'cli_error', message: 'No output from Codex' }, 'No output from Codex', true);
+    expect(error).toMatchObject({ type: 'rate_limit', details: { fastReject: true } });
+  });
+
+  it('keeps retry-after hints from stderr', () => {
+    expect(withRateLimitCues(rateLimited.error, '429 Too Many Requests. Retry-After: 30').details).toEqual({ retryAfterMs: 30_000 });
+    expect(withRateLimitCues(rateLimited.error, 'Quota exceeded. Please retry in 12.5s.').details).toEqual({ retryAfterMs: 12_500 });
+  });
+
+  it('leaves other errors alone', () => {
+    const error = { type: 'cli_error' as const, message: 'boom' };
+    expect(withRateLimitCues(error, 'retry after 5')).toBe(error);
+  });
+});
+
+// =============================================================================
+// RETRY LOOP
+// =============================================================================
+
+describe('withRetry', () => {
+  it('retries a transient failure and records the attempt', async () => {
+    writeRetryConfig({ baseDelayMs: 1 });
+    const attempt = vi.fn<(r: ReviewRequest) => Promise<ReviewResult>>()
+      .mockResolvedValueOnce(rateLimited)
+      .mockResolvedValueOnce(ok);
+    const progress: string[] = [];
+
+    const result = await withRetry('codex', request(), attempt, { onProgress: (m) => progress.push(m) });
+
+    expect(attempt).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ success: true, output: 'review', retries: [{ error: { type: 'rate_limit' } }] });
+    expect(progress[0]).toMatch(/^rate_limit — retrying in 0\.0s \(attempt 2 of 3\)$/);
+  });
+
+  it('returns the first result untouched when nothing is retried', async () => {
+    const attempt = vi.fn().mockResolvedValue({ success: false, error: { type: 'auth_error', message: 'login' }, executionTimeMs: 5 });
+
+    const result = await withRetry('codex', request(), attempt);
+
+    expect(attempt).toHaveBeenCalledTimes(1);
+    expect(result).not.toHaveProperty('retries');
+  });
+
+  it('gives up after maxAttempts with every failed try recorded', async () => {
+    writeRetryConfig({ baseDelayMs: 1, maxAttempts: 2 });
+    const attempt = vi.fn().mockResolvedValue(rateLimited);
+
+    const result = await withRetry('gemini', request(), attempt);
+
+    expect(attempt).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ success: false, error: { type: 'rate_limit' } });
+    expect(result.retries).toHaveLength(1);
+  });
+
+  it('does not retry past the request maxTimeoutMs and gives later tries what is left', async () => {
+    writeRetryConfig({ baseDelayMs: 50 });
+    const attempt = vi.fn().mockResolvedValue(rateLimited);
+
+    await withRetry('codex', { ...request(), maxTimeoutMs: 10 }, attempt);
+    expect(attempt).toHaveBeenCalledTimes(1);
+
+    attempt.mockClear();
+    await withRetry('codex', { ...request(), maxTimeoutMs: 5_000 }, attempt);
+    expect(attempt).toHaveBeenCalledTimes(3);
+    expect(attempt.mock.calls[1][0].maxTimeoutMs).toBeLessThan(5_000);
+  });
+
+  it('stops waiting when cancelled', async () => {
+    writeRetryConfig({ baseDelayMs: 10_000 });
+    const controller = new AbortController();
+    const attempt = vi.fn().mockResolvedValue(rateLimited);
+    setTimeout(() => controller.abort(), 20);
+
+    const result = await withRetry('codex', request(), attempt, { signal: controller.signal });
+
+    expect(attempt).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ success: false, error: { type: 'cancelled' }, retries: [{ error: { type: 'rate_limit' } }] });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Tests for the standalone `review` command — argument parsing, the
+ * severity / risk gate and its output formats.
+ *
+ * Real adapters are replaced in the registry by stubs that return canned
+ * structured output, so no CLI is spawned.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  parseReviewArgs, runReviewCommand, readHandoff, ReviewCommandArgs, EXIT_OK, EXIT_BLOCKED, EXIT_ERROR, EXIT_CANCELLED,
+} from '../review-cli.js';
+import { registerAdapter, ReviewerAdapter, ReviewRequest, ReviewResult } from '../adapters/index.js';
+import { codexAdapter } from '../adapters/codex.js';
+import { setConfigPathForTesting } from '../config.js';
+
+let tempDir: string;
+let lastRequest: ReviewRequest | null = null;
+let cannedOutput = '';
+
+function stubAdapter(id: string): ReviewerAdapter {
+  return {
+    id,
+    getCapabilities: () => ({
+      name: id, description: '', strengths: [], weaknesses: [],
+      hasFilesystemAccess: true, supportsStructuredOutput: false, maxContextTokens: 100000,
+    }),
+    isAvailable: async () => true,
+    runReview: async (request: ReviewRequest): Promise<ReviewResult> => {
+      lastRequest = request;
+      return { success: true, output: cannedOutput, executionTimeMs: 1000 };
+    },
+  };
+}
+
+function structured(findings: Array<{ severity: string; file: string; line?: number }>, score = 20): string {
+  return JSON.stringify({
+    reviewer: 'codex',
+    findings: findings.map((f, i) => ({
+      id: `F${i}`, category: 'correctness', severity: f.severity, confidence: 0.9,
+      title: `Finding ${i}`, description: 'Something is off',
+      location: { file: f.file, line_start: f.line ?? 1 },
+    })),
+    agreements: [], disagreements: [], alternatives: [],
+    risk_assessment: { overall_level: 'low', score, summary: 'Looks fine', top_concerns: [] },
+  });
+}
+
+function args(overrides: Partial<ReviewCommandArgs> = {}): ReviewCommandArgs {
+  return { reviewer: 'codex', workingDir: tempDir, outputType: 'findings', format: 'markdown', failOn: 'high', ...overrides };
+}
+
+beforeEach(() => {
+  tempDir = join(tmpdir(), `cc-reviewer-cli-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(tempDir, { recursive: true });
+  writeFileSync(join(tempDir, 'app.ts'), 'const a = 1;\nconst b = 2;\n');
+  mkdirSync(join(tempDir, 'config'), { recursive: true });
+  setConfigPathForTesting(join(tempDir, 'config', 'config.json'));
+  lastRequest = null;
+  cannedOutput = structured([]);
+  registerAdapter(stubAdapter('codex'));
+});
+
+afterEach(() => {
+  setConfigPathForTesting(null);
+  registerAdapter(codexAdapter);
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('parseReviewArgs', () => {
+  it('parses every option', () => {
+    const parsed = parseReviewArgs([
+      '--reviewer', 'multi', '--dir', tempDir, '--focus', 'security,performance', '--focus', 'testing',
+      '--diff', 'main', '--type', 'plan', '--effort', 'xhigh', '--json', '--fail-on', 'medium', '--max-risk', '70',
+    ]);
+    expect(parsed).toEqual({
+      args: {
+        reviewer: 'multi', workingDir: tempDir, file: undefined,
+        focusAreas: ['security', 'performance', 'testing'], diffBase: 'main', outputType: 'plan',
+        reasoningEffort: 'xhigh', format: 'json', failOn: 'medium', maxRisk: 70,
+      },
+    });
+  });
+
+  it('applies defaults', () => {
+    const parsed = parseReviewArgs(['-r', 'codex']);
+    expect('args' in parsed && parsed.args).toMatchObject({
+      workingDir: process.cwd(), outputType: 'findings', format: 'markdown', failOn: 'high', maxRisk: undefined,
+    });
+    const never = parseReviewArgs(['-r', 'codex', '--fail-on', 'none']);
+    expect('args' in never && never.args.failOn).toBeNull();
+  });
+
+  it('rejects missing reviewers, unknown options and invalid values', () => {
+    expect(parseReviewArgs([])).toEqual({ error: 'Missing --reviewer' });
+    expect(parseReviewArgs(['-r', 'codex', '--bogus'])).toHaveProperty('error');
+    expect(parseReviewArgs(['-r', 'codex', '--focus', 'speed'])).toEqual({ error: 'Invalid --focus: speed' });
+    expect(parseReviewArgs(['-r', 'codex', '--fail-on', 'severe'])).toEqual({ error: 'Invalid --fail-on: severe' });
+    expect(parseReviewArgs(['-r', 'codex', '--max-risk', '101'])).toEqual({ error: 'Invalid --max-risk: 101' });
+    expect(parseReviewArgs(['-r', 'codex', '--format', 'xml'])).toEqual({ error: 'Invalid --format: xml' });
+  });
+});
+
+describe('runReviewCommand', () => {
+  it('runs a structured review and passes when findings are below the threshold', async () => {
+    cannedOutput = structured([{ severity: 'medium', file: 'app.ts' }]);
+    const { output, exitCode } = await runReviewCommand(args({ focusAreas: ['security'], diffBase: undefined }), 'Refactored app.ts');
+
+    expect(exitCode).toBe(EXIT_OK);
+    expect(lastRequest).toMatchObject({ structured: true, ccOutput: 'Refactored app.ts', focusAreas: ['security'] });
+    expect(output).toContain('## Verdict: ✓ Passed');
+    expect(output).toContain('**Worst finding:** medium');
+  });
+
+  it('fails on a finding at or above --fail-on', async () => {
+    cannedOutput = structured([{ severity: 'high', file: 'app.ts' }, { severity: 'low', file: 'app.ts' }]);
+    const { output, exitCode } = await runReviewCommand(args(), 'handoff');
+    expect(exitCode).toBe(EXIT_BLOCKED);
+    expect(output).toContain('1 finding at high severity or above (worst: high)');
+  });
+
+  it('ignores findings that fail verification', async () => {
+    cannedOutput = structured([{ severity: 'critical', file: 'does-not-exist.ts' }]);
+    const { exitCode } = await runReviewCommand(args(), 'handoff');
+    expect(exitCode).toBe(EXIT_OK);
+  });
+
+  it('fails when the risk score reaches --max-risk', async () => {
+    cannedOutput = structured([], 80);
+    expect((await runReviewCommand(args({ maxRisk: 80 }), 'handoff')).exitCode).toBe(EXIT_BLOCKED);
+    expect((await runReviewCommand(args({ maxRisk: 81 }), 'handoff')).exitCode).toBe(EXIT_OK);
+  });
+
+  it('prints JSON with the verdict, findings and report', async () => {
+    cannedOutput = structured([{ severity: 'high', file: 'app.ts', line: 2 }], 55);
+    const { output, exitCode } = await runReviewCommand(args({ format: 'json' }), 'handoff');
+    const json = JSON.parse(output);
+
+    expect(exitCode).toBe(EXIT_BLOCKED);
+    expect(json).toMatchObject({ reviewer: 'codex', exitCode: EXIT_BLOCKED, failOn: 'high', worstSeverity: 'high', maxRiskScore: 55 });
+    expect(json.passes[0].findings[0]).toMatchObject({ severity: 'high', file: 'app.ts', line: 2 });
+    expect(json.report).toContain('## Codex Review');
+  });
+
+  it('exits 2 when the reviewer output cannot be judged', async () => {
+    cannedOutput = 'Looks good to me!';
+    const { output, exitCode } = await runReviewCommand(args(), 'handoff');
+    expect(exitCode).toBe(EXIT_ERROR);
+    expect(output).toContain('No reviewer returned findings that could be judged');
+  });
+
+  it('exits 2 for a missing directory or an empty handoff', async () => {
+    expect((await runReviewCommand(args({ workingDir: join(tempDir, 'nope') }), 'handoff')).exitCode).toBe(EXIT_ERROR);
+    expect((await runReviewCommand(args(), '  \n')).output).toContain('The handoff is empty');
+    expect(lastRequest).toBeNull();
+  });
+
+  it('restores files the reviewer changed under workspaceAudit.restore', async () => {
+    writeFileSync(join(tempDir, 'config', 'config.json'), JSON.stringify({ workspaceAudit: { enabled: true, restore: true, ignore: ['config'] } }));
+    registerAdapter({
+      ...stubAdapter('codex'),
+      runReview: async () => {
+        writeFileSync(join(tempDir, 'app.ts'), 'tampered\n');
+        return { success: true, output: cannedOutput, executionTimeMs: 1000 };
+      },
+    });
+
+    const { output } = await runReviewCommand(args(), 'handoff');
+    expect(output).toContain('All changes were reverted');
+    expect(output).not.toContain('ran in the background');
+    expect(readFileSync(join(tempDir, 'app.ts'), 'utf-8')).toBe('const a = 1;\nconst b = 2;\n');
+  });
+
+  it('exits 130 when cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    expect((await runReviewCommand(args(), 'handoff', controller.signal)).exitCode).toBe(EXIT_CANCELLED);
+  });
+});
+
+describe('readHandoff', () => {
+  it('reads a file, and reports one it cannot read', async () => {
+    writeFileSync(join(tempDir, 'handoff.md'), 'Review this');
+    expect(await readHandoff(join(tempDir, 'handoff.md'))).toEqual({ text: 'Review this' });
+    expect(await readHandoff(join(tempDir, 'missing.md'))).toHaveProperty('error');
+  });
+});
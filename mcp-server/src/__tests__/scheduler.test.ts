@@ -0,0 +1,105 @@
+/**
+ * Tests for the multi_review scheduler — concurrency caps, ordering and budgets
+ */
+
+import { describe, it, expect } from 'vitest';
+import { runScheduled, ScheduledTask } from '../scheduler.js';
+
+const sleep = (ms: number) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Tasks that record start order and peak concurrency (overall and per key).
+ */
+function tracked(specs: Array<{ key: string; ms?: number; tokens?: number }>) {
+  const started: number[] = [];
+  const timeouts: Array<number | undefined> = [];
+  let active = 0;
+  let peak = 0;
+  const activeByKey = new Map<string, number>();
+  const peakByKey = new Map<string, number>();
+
+  const tasks: ScheduledTask<{ tokens: number }>[] = specs.map((spec, i) => ({
+    key: spec.key,
+    run: async (maxTimeoutMs?: number) => {
+      started.push(i);
+      timeouts[i] = maxTimeoutMs;
+      active++;
+      peak = Math.max(peak, active);
+      activeByKey.set(spec.key, (activeByKey.get(spec.key) ?? 0) + 1);
+      peakByKey.set(spec.key, Math.max(peakByKey.get(spec.key) ?? 0, activeByKey.get(spec.key)!));
+      await sleep(Math.min(spec.ms ?? 10, maxTimeoutMs ?? Infinity));
+      active--;
+      activeByKey.set(spec.key, activeByKey.get(spec.key)! - 1);
+      return { tokens: spec.tokens ?? 0 };
+    },
+  }));
+
+  return { tasks, started, timeouts, peak: () => peak, peakByKey };
+}
+
+describe('runScheduled — concurrency', () => {
+  it('never exceeds the global limit and runs everything', async () => {
+    const t = tracked(['a', 'b', 'c', 'a', 'b', 'c'].map(key => ({ key })));
+    const outcomes = await runScheduled(t.tasks, { maxConcurrency: 2, maxPerAdapter: 2 });
+
+    expect(t.peak()).toBe(2);
+    expect(outcomes.every(o => o.status === 'completed')).toBe(true);
+  });
+
+  it('starts tasks in order, skipping past adapters at their cap', async () => {
+    // Standard passes first, then adversarial: a, b, a, b
+    const t = tracked([{ key: 'a', ms: 30 }, { key: 'b', ms: 30 }, { key: 'a' }, { key: 'b' }]);
+    await runScheduled(t.tasks, { maxConcurrency: 4, maxPerAdapter: 1 });
+
+    expect(t.started.slice(0, 2)).toEqual([0, 1]);
+    expect(t.peakByKey.get('a')).toBe(1);
+    expect(t.peakByKey.get('b')).toBe(1);
+  });
+
+  it('applies per-adapter overrides', async () => {
+    const t = tracked([{ key: 'gemini' }, { key: 'gemini' }, { key: 'codex' }, { key: 'codex' }]);
+    await runScheduled(t.tasks, { maxConcurrency: 4, maxPerAdapter: 2, adapterLimits: { gemini: 1 } });
+
+    expect(t.peakByKey.get('gemini')).toBe(1);
+    expect(t.peakByKey.get('codex')).toBe(2);
+  });
+});
+
+describe('runScheduled — budgets', () => {
+  it('passes the time left to running tasks and skips queued ones at the deadline', async () => {
+    const t = tracked([{ key: 'a', ms: 500 }, { key: 'a', ms: 10 }]);
+    const outcomes = await runScheduled(t.tasks, { maxConcurrency: 1, maxPerAdapter: 1, timeBudgetMs: 80 });
+
+    expect(t.timeouts[0]).toBeGreaterThan(0);
+    expect(t.timeouts[0]).toBeLessThanOrEqual(80);
+    expect(outcomes[0]).toMatchObject({ status: 'completed', hitDeadline: true });
+    expect(outcomes[1]).toEqual({ status: 'skipped', reason: 'time_budget' });
+  });
+
+  it('does not flag tasks that finish inside the budget', async () => {
+    const t = tracked([{ key: 'a', ms: 5 }]);
+    const outcomes = await runScheduled(t.tasks, { maxConcurrency: 1, maxPerAdapter: 1, timeBudgetMs: 5_000 });
+    expect(outcomes[0]).toMatchObject({ status: 'completed', hitDeadline: false });
+  });
+
+  it('skips queued tasks once the token budget is spent', async () => {
+    const t = tracked([{ key: 'a', tokens: 1_000 }, { key: 'b', ms: 40 }, { key: 'a' }, { key: 'b' }]);
+    const outcomes = await runScheduled(
+      t.tasks,
+      { maxConcurrency: 2, maxPerAdapter: 1, tokenBudget: 1_000 },
+      (value) => value.tokens
+    );
+
+    expect(outcomes.slice(0, 2).map(o => o.status)).toEqual(['completed', 'completed']);
+    expect(outcomes.slice(2)).toEqual([
+      { status: 'skipped', reason: 'token_budget' },
+      { status: 'skipped', reason: 'token_budget' },
+    ]);
+  });
+
+  it('gives no time cap without a time budget', async () => {
+    const t = tracked([{ key: 'a' }]);
+    await runScheduled(t.tasks, { maxConcurrency: 1, maxPerAdapter: 1 });
+    expect(t.timeouts[0]).toBeUndefined();
+  });
+});
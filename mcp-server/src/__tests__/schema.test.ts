@@ -241,6 +241,20 @@ That's all.`;
     expect(result).not.toBeNull();
     expect(result!.uncertainty_responses).toBeUndefined();
   });
+
+  it('should drop null optional finding fields', () => {
+    const withNulls = {
+      ...validOutput,
+      findings: [{
+        id: 'f1', category: 'correctness', severity: 'low', confidence: 0.5,
+        title: 'Nit', description: 'Minor', location: null, evidence: null, suggestion: null,
+      }],
+    };
+    const result = parseReviewOutput(JSON.stringify(withNulls));
+    expect(result).not.toBeNull();
+    expect(result!.findings[0].location).toBeUndefined();
+    expect(result!.findings[0].suggestion).toBeUndefined();
+  });
 });
 
 // =============================================================================
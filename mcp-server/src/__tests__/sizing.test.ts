@@ -0,0 +1,124 @@
+/**
+ * Tests for handoff sizing — the token estimate, the order things are
+ * trimmed in, and the report of what was dropped.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { estimateTokens, fitHandoff, fitPeerPrompt, formatTrim, promptBudget, PeerPromptParts } from '../sizing.js';
+import { buildHandoffPrompt, Handoff } from '../handoff.js';
+
+const render = (handoff: Handoff) => buildHandoffPrompt({ handoff });
+
+const base: Handoff = {
+  workingDir: '/test/dir',
+  summary: 'Refactored the session store.',
+  uncertainties: [
+    { topic: 'Locking', question: 'Is the lock released on error?', severity: 'critical' },
+    { topic: 'Naming', question: 'Is "store" a clear name?', severity: 'minor' },
+    { topic: 'TTL', question: 'Is 5 minutes right?' },
+  ],
+  questions: [{ question: 'Should expiry be lazy?' }, { question: 'Is the cache needed?' }],
+  priorityFiles: ['src/store.ts', 'src/lock.ts'],
+};
+
+describe('estimateTokens / promptBudget', () => {
+  it('estimates about 3.5 characters per token and keeps headroom free', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('x'.repeat(700))).toBe(200);
+    expect(promptBudget(128_000, 0.25)).toBe(96_000);
+  });
+});
+
+describe('fitHandoff', () => {
+  it('leaves a handoff that fits alone', () => {
+    const { prompt, trim } = fitHandoff(base, render, 100_000);
+    expect(trim).toBeNull();
+    expect(prompt).toBe(render(base));
+  });
+
+  it('drops diff bodies and inlined files before touching the summary', () => {
+    const handoff: Handoff = {
+      ...base,
+      changes: [
+        { path: 'src/store.ts', changeType: 'modified', linesAdded: 1, linesRemoved: 1, diff: 'd'.repeat(4_000) },
+        { path: 'src/lock.ts', changeType: 'modified', linesAdded: 1, linesRemoved: 1, diff: 'd'.repeat(4_000) },
+      ],
+      fileContents: [{ path: 'src/store.ts', content: 'c'.repeat(4_000), truncated: false }],
+    };
+    const budget = estimateTokens(render(base)) + 500;
+    const { prompt, trim } = fitHandoff(handoff, render, budget);
+
+    expect(trim!.dropped).toEqual(['diffs of `src/store.ts`, `src/lock.ts`', 'contents of `src/store.ts`']);
+    expect(prompt).toContain('- `src/lock.ts` [modified] +1/-1');
+    expect(prompt).toContain('Refactored the session store.');
+    expect(trim!.promptTokens).toBeLessThanOrEqual(budget);
+  });
+
+  it('cuts the middle of a long summary, keeping its start and end', () => {
+    const summary = `START ${'a'.repeat(20_000)} END`;
+    const budget = estimateTokens(render(base)) + 2_000;
+    const { prompt, trim } = fitHandoff({ ...base, summary }, render, budget);
+
+    expect(prompt).toContain('**Summary:** START');
+    expect(prompt).toMatch(/\[… [\d,]+ characters omitted to fit the reviewer's context window …\]/);
+    expect(prompt).toContain('END');
+    expect(trim!.dropped).toEqual([expect.stringMatching(/^[\d,]+ characters from the middle of ccOutput$/)]);
+    expect(trim!.promptTokens).toBeLessThanOrEqual(budget);
+  });
+
+  it('cuts ccOutput kept next to a typed summary, not the summary', () => {
+    const ccOutput = `START ${'a'.repeat(20_000)} END`;
+    const budget = estimateTokens(render(base)) + 2_000;
+    const { prompt, trim } = fitHandoff({ ...base, ccOutput }, render, budget);
+
+    expect(prompt).toContain('**Summary:** Refactored the session store.');
+    expect(prompt).toMatch(/START a+\n\n\[… [\d,]+ characters omitted/);
+    expect(trim!.dropped).toEqual([expect.stringMatching(/^[\d,]+ characters from the middle of ccOutput$/)]);
+    expect(trim!.promptTokens).toBeLessThanOrEqual(budget);
+  });
+
+  it('trims lists from the end, dropping minor uncertainties first', () => {
+    const { prompt, trim } = fitHandoff(base, render, 0);
+
+    expect(trim!.dropped).toEqual(['2 of 2 priority files', '2 of 2 questions', '3 of 3 uncertainties']);
+    expect(prompt).not.toContain('PRIORITY FILES');
+
+    // Just over budget: only the least severe, latest uncertainty goes
+    const withoutNaming = render({ ...base, uncertainties: [base.uncertainties![0], base.uncertainties![2]], questions: [], priorityFiles: [] });
+    const { prompt: fitted } = fitHandoff({ ...base, questions: [], priorityFiles: [] }, render, estimateTokens(withoutNaming));
+    expect(fitted).toContain('Locking');
+    expect(fitted).toContain('TTL');
+    expect(fitted).not.toContain('Naming');
+  });
+
+  it('reports a prompt that is still over budget', () => {
+    const { trim } = fitHandoff(base, render, 0);
+    expect(formatTrim(trim!)).toMatch(/^\*\*Trimmed:\*\* ~[\d,]+ → ~[\d,]+ tokens — still over the reviewer's ~0-token budget; dropped 2 of 2 priority files/);
+  });
+});
+
+describe('fitPeerPrompt', () => {
+  const renderPeer = ({ ccOutput, review }: PeerPromptParts) => `ORIGINAL:\n${ccOutput}\n\nREVIEW:\n${review}`;
+
+  it('leaves a prompt that fits alone', () => {
+    expect(fitPeerPrompt({ ccOutput: 'small', review: '{}' }, renderPeer, 1_000)).toEqual({ prompt: renderPeer({ ccOutput: 'small', review: '{}' }), trim: null });
+  });
+
+  it('cuts ccOutput before the review being scored', () => {
+    const parts = { ccOutput: 'c'.repeat(20_000), review: 'r'.repeat(4_000) };
+    const { prompt, trim } = fitPeerPrompt(parts, renderPeer, 3_000);
+
+    expect(prompt).toContain('r'.repeat(4_000));
+    expect(trim!.dropped).toEqual([expect.stringMatching(/^[\d,]+ characters from the middle of ccOutput$/)]);
+    expect(trim!.promptTokens).toBeLessThanOrEqual(3_000);
+  });
+
+  it('cuts the review too once ccOutput is down to its minimum', () => {
+    const { trim } = fitPeerPrompt({ ccOutput: 'c'.repeat(20_000), review: 'r'.repeat(20_000) }, renderPeer, 2_000);
+
+    expect(trim!.dropped).toEqual([
+      expect.stringMatching(/middle of ccOutput$/),
+      expect.stringMatching(/middle of the review being scored$/),
+    ]);
+  });
+});
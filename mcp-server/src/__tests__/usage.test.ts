@@ -0,0 +1,108 @@
+/**
+ * Tests for token usage pricing and formatting
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { estimateCost, findModelPrice, formatUsage, formatUsageTotals, sumUsage } from '../usage.js';
+import { setConfigPathForTesting } from '../config.js';
+
+let tempDir: string;
+
+function writePricing(pricing: unknown): void {
+  writeFileSync(join(tempDir, 'config.json'), JSON.stringify({ pricing }));
+}
+
+beforeEach(() => {
+  tempDir = join(tmpdir(), `cc-reviewer-usage-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(tempDir, { recursive: true });
+  setConfigPathForTesting(join(tempDir, 'config.json'));
+  writePricing({
+    models: {
+      'gpt-5.5': { input: 2, cachedInput: 0.5, output: 10 },
+      'gemini-3.1-pro': { input: 1, output: 4 },
+      'gemini-3.1-pro-preview-long': { input: 3, output: 12 },
+    },
+  });
+});
+
+afterEach(() => {
+  setConfigPathForTesting(null);
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('findModelPrice', () => {
+  it('matches exact ids, then the longest prefix', () => {
+    expect(findModelPrice('gpt-5.5')?.input).toBe(2);
+    expect(findModelPrice('gemini-3.1-pro-preview')?.input).toBe(1);
+    expect(findModelPrice('gemini-3.1-pro-preview-long-ctx')?.input).toBe(3);
+    expect(findModelPrice('opus')).toBeNull();
+    expect(findModelPrice(undefined)).toBeNull();
+  });
+});
+
+describe('estimateCost', () => {
+  it('prices cached input separately from uncached input', () => {
+    const cost = estimateCost({ inputTokens: 1_000_000, cachedInputTokens: 400_000, outputTokens: 100_000, model: 'gpt-5.5' });
+    // 600k × $2 + 400k × $0.5 + 100k × $10 per MTok
+    expect(cost).toBeCloseTo(1.2 + 0.2 + 1.0);
+  });
+
+  it('falls back to the input price for cached tokens', () => {
+    const cost = estimateCost({ inputTokens: 1_000_000, cachedInputTokens: 1_000_000, outputTokens: 0, model: 'gemini-3.1-pro' });
+    expect(cost).toBeCloseTo(1);
+  });
+
+  it('scales by the service tier multiplier', () => {
+    const usage = { inputTokens: 1_000_000, outputTokens: 0, model: 'gpt-5.5' };
+    expect(estimateCost({ ...usage, serviceTier: 'fast' })).toBeCloseTo(4);
+    expect(estimateCost({ ...usage, serviceTier: 'flex' })).toBeCloseTo(1);
+    expect(estimateCost(usage)).toBeCloseTo(2);
+  });
+
+  it('honours configured tier multipliers', () => {
+    writePricing({ models: { 'gpt-5.5': { input: 2, output: 10 } }, tierMultipliers: { fast: 2.5 } });
+    expect(estimateCost({ inputTokens: 1_000_000, outputTokens: 0, model: 'gpt-5.5', serviceTier: 'fast' })).toBeCloseTo(5);
+  });
+
+  it('returns null for unpriced models', () => {
+    expect(estimateCost({ inputTokens: 10, outputTokens: 10, model: 'opus' })).toBeNull();
+  });
+});
+
+describe('formatUsage', () => {
+  it('shows tokens, model, tier and cost', () => {
+    const line = formatUsage({ inputTokens: 12_345, cachedInputTokens: 2_000, outputTokens: 1_234, model: 'gpt-5.5', serviceTier: 'fast' });
+    expect(line).toBe('**Usage:** 12,345 in (2,000 cached) / 1,234 out · gpt-5.5 [fast] · ~$0.07');
+  });
+
+  it('omits cost for unpriced models', () => {
+    const line = formatUsage({ inputTokens: 100, outputTokens: 20, model: 'opus', durationMs: 4_200 });
+    expect(line).toBe('**Usage:** 100 in / 20 out · opus · 4.2s API');
+  });
+});
+
+describe('sumUsage / formatUsageTotals', () => {
+  it('aggregates runs and flags unpriced models', () => {
+    const totals = sumUsage([
+      { inputTokens: 1_000_000, outputTokens: 0, model: 'gpt-5.5' },
+      { inputTokens: 500, cachedInputTokens: 100, outputTokens: 50, model: 'opus' },
+      undefined,
+    ]);
+
+    expect(totals).toMatchObject({ inputTokens: 1_000_500, cachedInputTokens: 100, outputTokens: 50, count: 2, unpricedModels: ['opus'] });
+    expect(totals.cost).toBeCloseTo(2);
+    expect(formatUsageTotals(totals)).toBe('**Total Usage:** 1,000,500 in (100 cached) / 50 out across 2 runs · ~$2.00 + unpriced (opus)');
+  });
+
+  it('points at the pricing config when nothing is priced', () => {
+    const totals = sumUsage([{ inputTokens: 10, outputTokens: 5, model: 'opus' }]);
+    expect(formatUsageTotals(totals)).toContain('add opus to pricing.models in config');
+  });
+
+  it('is empty when no run reported usage', () => {
+    expect(formatUsageTotals(sumUsage([undefined]))).toBe('');
+  });
+});
@@ -8,6 +8,20 @@
 
 // Schema types no longer used — adapters return raw text, CC handles interpretation
 import { FocusArea, OutputType, ReasoningEffort, ServiceTier } from '../types.js';
+import { FileChange, GitContext, readInlineFiles, buildMinimalContext } from '../context.js';
+import {
+  Handoff,
+  HandoffInput,
+  buildSimpleHandoff,
+  buildHandoffPrompt,
+  buildAdversarialHandoffPrompt,
+  selectRole,
+} from '../handoff.js';
+import { buildFollowUpPrompt } from '../prompt-v2.js';
+import { buildPeerReviewPrompt } from '../prompt.js';
+import { getConfig } from '../config.js';
+import { findSecrets, redactPrompt, SecretFinding } from '../redact.js';
+import { fitHandoff, fitPeerPrompt, formatTrim, HandoffTrim, promptBudget } from '../sizing.js';
 
 // =============================================================================
 // REVIEWER CAPABILITIES
@@ -62,6 +76,9 @@ export interface ReviewRequest {
   /** Custom instructions from the user */
   customPrompt?: string;
 
+  /** Typed handoff fields from the tool call; ccOutput's text blocks fill in the rest */
+  handoff?: HandoffInput;
+
   /** Reasoning effort level (for models that support it) */
   reasoningEffort?: ReasoningEffort;
 
@@ -70,6 +87,140 @@ export interface ReviewRequest {
 
   /** Review mode: standard finds bugs, adversarial challenges assumptions */
   reviewMode?: 'standard' | 'adversarial';
+
+  /** Ask the reviewer for ReviewOutput JSON instead of free-form text */
+  structured?: boolean;
+
+  /** Changed files resolved from git by the caller (see buildContextFromGitDiff) */
+  changes?: FileChange[];
+
+  /** Branch/commit info accompanying `changes` */
+  git?: GitContext;
+
+  /** Set for review_followup: ask about an earlier review instead of reviewing afresh */
+  followUp?: FollowUp;
+
+  /** Hard cap on this invocation's runtime (multi_review time budget). The tighter of this and the configured maximum applies */
+  maxTimeoutMs?: number;
+}
+
+export interface FollowUp {
+  /** The reviewer's earlier answer the questions refer to */
+  previousReview: string;
+  questions: Array<{ question: string; context?: string }>;
+  /** Native CLI conversation to resume, if the adapter supports it (Codex thread_id) */
+  threadId?: string;
+}
+
+// =============================================================================
+// PROMPT BUILDING
+// =============================================================================
+
+/**
+ * Run a review with its handoff prompt, built once and only when `run` first
+ * asks for it (after the adapter's own checks), however often it retries.
+ * Shared by all adapters so they send identical prompts for the same request.
+ * The adapter's capabilities decide whether the priority and changed files
+ * are inlined (reviewers without filesystem access) and the budget the
+ * handoff is trimmed to (config `review.contextHeadroom`). Secrets are
+ * redacted (config `redaction`). The result carries the prompt as sent and
+ * what was trimmed from it.
+ */
+export async function runWithAdapterPrompt(
+  request: ReviewRequest,
+  capabilities: ReviewerCapabilities,
+  run: (buildPrompt: () => string) => Promise<ReviewResult>
+): Promise<ReviewResult> {
+  return runWithPrompt(capabilities, () => {
+    const { prompt, trim } = buildUnredactedPrompt(request, capabilities);
+    return { prompt: redactPrompt(prompt), trim };
+  }, run);
+}
+
+/**
+ * Run a peer review (`scorerId` scoring the review of `anonymizedReviewerId`)
+ * with its prompt, built and recorded like runWithAdapterPrompt's and fitted
+ * to the same budget: the original ccOutput is trimmed first.
+ */
+export async function runWithPeerReviewPrompt(
+  originalRequest: ReviewRequest,
+  capabilities: ReviewerCapabilities,
+  scorerId: string,
+  anonymizedReviewerId: string,
+  reviewToScore: string,
+  run: (buildPrompt: () => string) => Promise<ReviewResult>
+): Promise<ReviewResult> {
+  const { contextHeadroom } = getConfig(originalRequest.workingDir).review;
+  return runWithPrompt(capabilities, () => fitPeerPrompt(
+    { ccOutput: originalRequest.ccOutput, review: reviewToScore },
+    ({ ccOutput, review }) => buildPeerReviewPrompt(scorerId, anonymizedReviewerId, review, ccOutput),
+    promptBudget(capabilities.maxContextTokens, contextHeadroom)
+  ), run);
+}
+
+/** Build the prompt on first use, then attach it and its trim to the result */
+async function runWithPrompt(
+  capabilities: ReviewerCapabilities,
+  prepare: () => { prompt: string; trim: HandoffTrim | null },
+  run: (buildPrompt: () => string) => Promise<ReviewResult>
+): Promise<ReviewResult> {
+  let prepared: { prompt: string; trim: HandoffTrim | null } | undefined;
+  const result = await run(() => {
+    if (!prepared) {
+      prepared = prepare();
+      if (prepared.trim) console.error(`[sizing] ${capabilities.name}: ${formatTrim(prepared.trim).replace(/\*\*/g, '')}`);
+    }
+    return prepared.prompt;
+  });
+  if (!prepared) return result;
+  return { ...result, prompt: prepared.prompt, ...(prepared.trim ? { trimmed: prepared.trim } : {}) };
+}
+
+/**
+ * Secrets in the handoff the caller supplied (Claude Code's output, custom
+ * prompt, diffs, project instructions). Inlined file contents are not
+ * scanned here; they are still redacted when the prompt is built.
+ */
+export function findRequestSecrets(request: ReviewRequest): SecretFinding[] {
+  return findSecrets(buildUnredactedPrompt(request).prompt);
+}
+
+function buildUnredactedPrompt(
+  request: ReviewRequest,
+  capabilities?: ReviewerCapabilities
+): { prompt: string; trim: HandoffTrim | null } {
+  if (request.followUp) {
+    const context = buildMinimalContext(
+      request.workingDir, request.ccOutput,
+      request.analyzedFiles, request.focusAreas, request.customPrompt
+    );
+    return { prompt: buildFollowUpPrompt(context, request.followUp.previousReview, request.followUp.questions), trim: null };
+  }
+
+  const simple = buildSimpleHandoff(
+    request.workingDir, request.ccOutput,
+    request.analyzedFiles, request.focusAreas, request.customPrompt, request.handoff
+  );
+  const inlinePaths = [
+    ...(simple.priorityFiles ?? []),
+    ...(request.changes ?? []).filter(c => c.changeType !== 'deleted').map(c => c.path),
+  ];
+  const config = getConfig(request.workingDir).review;
+  const handoff = {
+    ...simple,
+    outputType: request.outputType,
+    changes: request.changes,
+    git: request.git,
+    projectInstructions: config.instructions ?? undefined,
+    fileContents: capabilities && !capabilities.hasFilesystemAccess
+      ? readInlineFiles(request.workingDir, inlinePaths)
+      : undefined,
+  };
+  const render = (fitted: Handoff) => request.reviewMode === 'adversarial'
+    ? buildAdversarialHandoffPrompt({ handoff: fitted, structuredOutput: request.structured })
+    : buildHandoffPrompt({ handoff: fitted, role: selectRole(request.focusAreas), structuredOutput: request.structured });
+  if (!capabilities) return { prompt: render(handoff), trim: null };
+  return fitHandoff(handoff, render, promptBudget(capabilities.maxContextTokens, config.contextHeadroom));
 }
 
 // =============================================================================
@@ -130,10 +281,42 @@ export function selectExpertRole(focusAreas?: FocusArea[]): ExpertRole {
 // REVIEW RESULT
 // =============================================================================
 
+/**
+ * Token usage a reviewer reported for one invocation.
+ * `inputTokens` includes cached tokens; `cachedInputTokens` is the cached share.
+ */
+export interface TokenUsage {
+  inputTokens: number;
+  cachedInputTokens?: number;
+  outputTokens: number;
+  /** Duration the reviewer itself reported (API time), when available */
+  durationMs?: number;
+  model?: string;
+  /** Codex service tier the request ran on (fast, flex) */
+  serviceTier?: string;
+}
+
+/** A failed try that the retry policy retried (see adapters/retry.ts) */
+export interface RetryAttempt {
+  error: ReviewError;
+  executionTimeMs: number;
+  /** Wait before the next try */
+  delayMs: number;
+}
+
 export interface ReviewSuccess {
   success: true;
   output: string;  // Raw reviewer text — CC interprets it
   executionTimeMs: number;
+  /** Native conversation id the CLI reported (Codex thread_id) — lets follow-ups resume it */
+  threadId?: string;
+  usage?: TokenUsage;
+  /** Earlier tries that failed and were retried, oldest first */
+  retries?: RetryAttempt[];
+  /** The handoff prompt as sent, after trimming and redaction (unset if none was built) */
+  prompt?: string;
+  /** What was trimmed from the handoff to fit the context window */
+  trimmed?: HandoffTrim;
 }
 
 export interface ReviewFailure {
@@ -142,16 +325,44 @@ export interface ReviewFailure {
   suggestion?: string;
   rawOutput?: string;
   executionTimeMs: number;
+  /** Tokens already spent before the failure, when the reviewer reported them */
+  usage?: TokenUsage;
+  /** Earlier tries that failed and were retried, oldest first */
+  retries?: RetryAttempt[];
+  /** The handoff prompt as sent, after trimming and redaction (unset if none was built) */
+  prompt?: string;
+  /** What was trimmed from the handoff to fit the context window */
+  trimmed?: HandoffTrim;
 }
 
 export type ReviewResult = ReviewSuccess | ReviewFailure;
 
 export interface ReviewError {
-  type: 'cli_not_found' | 'timeout' | 'rate_limit' | 'auth_error' | 'invalid_response' | 'cli_error' | 'parse_error';
+  type: 'cli_not_found' | 'timeout' | 'rate_limit' | 'auth_error' | 'invalid_response' | 'cli_error' | 'parse_error' | 'cancelled';
   message: string;
   details?: Record<string, unknown>;
 }
 
+/**
+ * Per-invocation controls that are not part of the review itself
+ * (and are never persisted with a session).
+ */
+export interface RunOptions {
+  /** Aborting kills the reviewer process tree; the result is a 'cancelled' failure */
+  signal?: AbortSignal;
+  /** Receives a one-line status for each reviewer event (file read, command, reasoning step) */
+  onProgress?: (message: string) => void;
+}
+
+/** The result adapters return when a run is aborted */
+export function cancelledResult(startTime: number): ReviewFailure {
+  return {
+    success: false,
+    error: { type: 'cancelled', message: 'Review cancelled' },
+    executionTimeMs: Date.now() - startTime,
+  };
+}
+
 
 // =============================================================================
 // REVIEWER ADAPTER INTERFACE
@@ -172,15 +383,17 @@ export interface ReviewerAdapter {
   isAvailable(): Promise<boolean>;
 
   /** Run a review and return structured output */
-  runReview(request: ReviewRequest): Promise<ReviewResult>;
+  runReview(request: ReviewRequest, options?: RunOptions): Promise<ReviewResult>;
 
   /**
-   * Optional: Run peer review of another model's output
-   * Future capability - not currently implemented by any adapter
+   * Optional: Score another model's anonymized findings.
+   * Output is PeerReview JSON (see schema.ts) — parse with parsePeerReviewOutput.
    */
   runPeerReview?(
     originalRequest: ReviewRequest,
-    reviewToScore: string
+    reviewToScore: string,
+    anonymizedReviewerId: string,
+    options?: RunOptions
   ): Promise<ReviewResult>;
 }
 
@@ -202,8 +415,12 @@ export function getAllAdapters(): ReviewerAdapter[] {
   return Array.from(adapterRegistry.values());
 }
 
+/**
+ * Adapters that are installed and whose circuit lets them run. Open circuits
+ * are skipped without probing the CLI.
+ */
 export async function getAvailableAdapters(): Promise<ReviewerAdapter[]> {
-  const adapters = getAllAdapters();
+  const adapters = getAllAdapters().filter(adapter => circuitAllows(adapter.id));
   const availability = await Promise.all(
     adapters.map(async (adapter) => ({
       adapter,
@@ -213,6 +430,116 @@ export async function getAvailableAdapters(): Promise<ReviewerAdapter[]> {
   return availability.filter((a) => a.available).map((a) => a.adapter);
 }
 
+// =============================================================================
+// ADAPTER HEALTH
+// =============================================================================
+
+/**
+ * closed: runs normally. open: failed `failureThreshold` reviews in a row —
+ * skipped until the cooldown ends. half_open: cooldown over — one review at
+ * a time probes recovery; success closes the circuit, failure reopens it.
+ */
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+export interface AdapterHealth {
+  state: CircuitState;
+  consecutiveFailures: number;
+  /** Outcomes within the recent window (config circuitBreaker.window) */
+  recentSuccesses: number;
+  recentFailures: number;
+  avgLatencyMs: number | null;
+  /** Open circuits: when the cooldown ends */
+  reopensAt?: number;
+  /** Half-open circuits: a review is probing recovery right now */
+  probing?: boolean;
+  lastError?: string;
+}
+
+interface HealthRecord {
+  outcomes: Array<{ ok: boolean; latencyMs: number }>;
+  consecutiveFailures: number;
+  openedAt: number | null;
+  lastError?: string;
+  /** A review holds the half-open probe (see claimCircuitProbe) */
+  probing: boolean;
+}
+
+const healthRecords = new Map<string, HealthRecord>();
+
+/**
+ * Record the outcome of one review (after retries). Cancelled reviews say
+ * nothing about the reviewer and are ignored.
+ */
+export function recordAdapterOutcome(adapterId: string, result: ReviewResult): void {
+  if (!result.success && result.error.type === 'cancelled') return;
+  const cfg = getConfig().circuitBreaker;
+  const record = healthRecords.get(adapterId) ?? { outcomes: [], consecutiveFailures: 0, openedAt: null, probing: false };
+  healthRecords.set(adapterId, record);
+
+  record.outcomes.push({ ok: result.success, latencyMs: result.executionTimeMs });
+  if (record.outcomes.length > cfg.window) record.outcomes.splice(0, record.outcomes.length - cfg.window);
+
+  if (result.success) {
+    record.consecutiveFailures = 0;
+    record.openedAt = null;
+    return;
+  }
+  record.consecutiveFailures++;
+  record.lastError = `${result.error.type}: ${result.error.message.slice(0, 200)}`;
+  // A failed probe (or any failure while open) restarts the cooldown
+  if (record.openedAt !== null || record.consecutiveFailures >= cfg.failureThreshold) {
+    record.openedAt = Date.now();
+  }
+}
+
+export function getAdapterHealth(adapterId: string): AdapterHealth {
+  const record = healthRecords.get(adapterId);
+  if (!record) return { state: 'closed', consecutiveFailures: 0, recentSuccesses: 0, recentFailures: 0, avgLatencyMs: null };
+
+  const cfg = getConfig().circuitBreaker;
+  const reopensAt = record.openedAt !== null ? record.openedAt + cfg.cooldownMs : undefined;
+  const state: CircuitState = !cfg.enabled || reopensAt === undefined
+    ? 'closed'
+    : Date.now() < reopensAt ? 'open' : 'half_open';
+  const successes = record.outcomes.filter(o => o.ok).length;
+  const latencies = record.outcomes.map(o => o.latencyMs);
+
+  return {
+    state,
+    consecutiveFailures: record.consecutiveFailures,
+    recentSuccesses: successes,
+    recentFailures: record.outcomes.length - successes,
+    avgLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+    reopensAt: state === 'open' ? reopensAt : undefined,
+    probing: state === 'half_open' && record.probing ? true : undefined,
+    lastError: record.lastError,
+  };
+}
+
+/** False while the adapter's circuit is open, or half-open with a probe already running */
+export function circuitAllows(adapterId: string): boolean {
+  const health = getAdapterHealth(adapterId);
+  return health.state !== 'open' && !health.probing;
+}
+
+/**
+ * Claim the half-open probe before a review runs. Returns the release
+ * function, or null while another review holds the probe. Closed and open
+ * circuits need no claim and get a no-op release.
+ */
+export function claimCircuitProbe(adapterId: string): (() => void) | null {
+  const record = healthRecords.get(adapterId);
+  if (!record || getAdapterHealth(adapterId).state !== 'half_open') return () => {};
+  if (record.probing) return null;
+  record.probing = true;
+  return () => { record.probing = false; };
+}
+
+/** Forget all health records. For tests. */
+export function resetAdapterHealthForTesting(): void {
+  healthRecords.clear();
+}
+
 /**
  * Select the best available adapter for given focus areas
  */
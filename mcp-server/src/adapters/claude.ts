@@ -19,17 +19,16 @@ import {
   ReviewRequest,
   ReviewResult,
   ReviewError,
+  RunOptions,
+  cancelledResult,
+  TokenUsage,
   registerAdapter,
+  runWithAdapterPrompt,
+  runWithPeerReviewPrompt,
 } from './base.js';
+import { withRetry, withRateLimitCues, FAST_REJECT_MS } from './retry.js';
 import { CliExecutor } from '../executor.js';
 import { ClaudeEventDecoder } from '../decoders/index.js';
-import {
-  buildSimpleHandoff,
-  buildHandoffPrompt,
-  buildAdversarialHandoffPrompt,
-  selectRole,
-  FocusArea,
-} from '../handoff.js';
 import { getConfig } from '../config.js';
 
 // Write tools explicitly blocked as defense-in-depth
@@ -68,7 +67,26 @@ export class ClaudeAdapter implements ReviewerAdapter {
     });
   }
 
-  async runReview(request: ReviewRequest): Promise<ReviewResult> {
+  async runReview(request: ReviewRequest, options?: RunOptions): Promise<ReviewResult> {
+    return runWithAdapterPrompt(request, this.getCapabilities(), (buildPrompt) =>
+      withRetry(this.id, request, (attempt) => this.execute(attempt, buildPrompt, options), options));
+  }
+
+  async runPeerReview(
+    originalRequest: ReviewRequest,
+    reviewToScore: string,
+    anonymizedReviewerId: string,
+    options?: RunOptions
+  ): Promise<ReviewResult> {
+    return runWithPeerReviewPrompt(originalRequest, this.getCapabilities(), this.id, anonymizedReviewerId, reviewToScore, (buildPrompt) =>
+      withRetry(this.id, originalRequest, (attempt) => this.execute(attempt, buildPrompt, options), options));
+  }
+
+  /**
+   * Run one CLI invocation for the given request. Shared by review and
+   * peer-review so both get the same sandboxing, timeouts and error mapping.
+   */
+  private async execute(request: ReviewRequest, buildPrompt: () => string, options: RunOptions = {}): Promise<ReviewResult> {
     const startTime = Date.now();
 
     if (!existsSync(request.workingDir)) {
@@ -81,19 +99,13 @@ export class ClaudeAdapter implements ReviewerAdapter {
     }
 
     try {
-      const handoff = buildSimpleHandoff(
-        request.workingDir, request.ccOutput,
-        request.analyzedFiles, request.focusAreas, request.customPrompt
-      );
-      const prompt = request.reviewMode === 'adversarial'
-        ? buildAdversarialHandoffPrompt({ handoff })
-        : buildHandoffPrompt({ handoff, role: selectRole(request.focusAreas as FocusArea[] | undefined) });
+      const prompt = buildPrompt();
 
-      const result = await this.runCli(prompt, request.workingDir);
+      const result = await this.runCli(prompt, request.workingDir, request.maxTimeoutMs, options);
 
       if (result.exitCode !== 0) {
-        const error = this.categorizeError(result.stderr);
-        return { success: false, error, suggestion: this.getSuggestion(error), executionTimeMs: Date.now() - startTime };
+        const error = withRateLimitCues(this.categorizeError(result.stderr), result.stderr, result.fastReject);
+        return { success: false, error, suggestion: this.getSuggestion(error), executionTimeMs: Date.now() - startTime, usage: result.usage };
       }
 
       if (!result.stdout.trim()) {
@@ -102,10 +114,11 @@ export class ClaudeAdapter implements ReviewerAdapter {
           error: { type: 'cli_error', message: 'Claude returned empty response' },
           suggestion: 'Try again or use /codex-review instead',
           executionTimeMs: Date.now() - startTime,
+          usage: result.usage,
         };
       }
 
-      return { success: true, output: result.stdout, executionTimeMs: Date.now() - startTime };
+      return { success: true, output: result.stdout, executionTimeMs: Date.now() - startTime, usage: result.usage };
     } catch (error) {
       return this.handleException(error, startTime);
     }
@@ -113,9 +126,11 @@ export class ClaudeAdapter implements ReviewerAdapter {
 
   private async runCli(
     prompt: string,
-    workingDir: string
-  ): Promise<{ stdout: string; stderr: string; exitCode: number; truncated: boolean }> {
-    const cfg = getConfig().claude;
+    workingDir: string,
+    maxTimeoutMs?: number,
+    options: RunOptions = {}
+  ): Promise<{ stdout: string; stderr: string; exitCode: number; truncated: boolean; fastReject?: boolean; usage?: TokenUsage }> {
+    const cfg = getConfig(workingDir).claude;
     const args = [
       '-p',                                 // Non-interactive, print and exit
       '--model', cfg.model,                 // Model from config (default: opus)
@@ -133,11 +148,13 @@ export class ClaudeAdapter implements ReviewerAdapter {
     const cliStartTime = Date.now();
 
     console.error('[claude] Running Opus review...');
+    options.onProgress?.('Running Opus review...');
 
     decoder.onProgress = (eventType, detail) => {
       const elapsed = Math.round((Date.now() - cliStartTime) / 1000);
       const detailStr = detail ? ` — ${detail}` : '';
       console.error(`[claude] ${eventType}${detailStr} (${elapsed}s)`);
+      options.onProgress?.(`${eventType}${detailStr} (${elapsed}s)`);
     };
 
     const executor = new CliExecutor({
@@ -146,7 +163,8 @@ export class ClaudeAdapter implements ReviewerAdapter {
       cwd: workingDir,
       stdin: prompt,
       inactivityTimeoutMs: cfg.inactivityTimeoutMs,
-      maxTimeoutMs: cfg.maxTimeoutMs,
+      maxTimeoutMs: Math.min(cfg.maxTimeoutMs, maxTimeoutMs ?? Infinity),
+      signal: options.signal,
       maxBufferSize: cfg.maxBufferSize,
       onLine: (line: string) => {
         decoder.processLine(line);
@@ -157,22 +175,33 @@ export class ClaudeAdapter implements ReviewerAdapter {
     const elapsed = Math.round((Date.now() - cliStartTime) / 1000);
     console.error(`[claude] ✓ complete (${elapsed}s)`);
 
+    // Anthropic reports cache reads/writes separately from input_tokens
+    const rawUsage = decoder.getUsage();
+    const cacheRead = rawUsage?.cache_read_input_tokens ?? 0;
+    const usage: TokenUsage | undefined = rawUsage ? {
+      inputTokens: rawUsage.input_tokens + cacheRead + (rawUsage.cache_creation_input_tokens ?? 0),
+      cachedInputTokens: cacheRead || undefined,
+      outputTokens: rawUsage.output_tokens,
+      durationMs: decoder.getDurationMs() ?? undefined,
+      model: decoder.getModel() ?? cfg.model,
+    } : undefined;
+
     // Check for errors captured from stream events
     const decoderError = decoder.getError();
     if (decoderError) {
       const combined = result.stderr ? `${decoderError}\n\nCLI stderr: ${result.stderr}` : decoderError;
-      return { stdout: '', stderr: combined, exitCode: 1, truncated: false };
+      return { stdout: '', stderr: combined, exitCode: 1, truncated: false, usage };
     }
 
     const finalResponse = decoder.getFinalResponse();
     if (!finalResponse && decoder.hasNoOutput()) {
       const combined = result.stderr ? `No output from Claude\n\nCLI stderr: ${result.stderr}` : 'No output from Claude';
-      return { stdout: '', stderr: combined, exitCode: 1, truncated: false };
+      return { stdout: '', stderr: combined, exitCode: 1, truncated: false, usage, fastReject: Date.now() - cliStartTime < FAST_REJECT_MS };
     }
 
     if (!finalResponse) {
       const combined = result.stderr ? `No result event from Claude\n\nCLI stderr: ${result.stderr}` : 'No result event from Claude';
-      return { stdout: '', stderr: combined, exitCode: 1, truncated: false };
+      return { stdout: '', stderr: combined, exitCode: 1, truncated: false, usage };
     }
 
     return {
@@ -180,11 +209,13 @@ export class ClaudeAdapter implements ReviewerAdapter {
       stderr: result.stderr,
       exitCode: result.exitCode,
       truncated: result.truncated,
+      usage,
     };
   }
 
   private handleException(error: unknown, startTime: number): ReviewResult {
     const err = error as Error & { code?: string };
+    if (err.message === 'CANCELLED') return cancelledResult(startTime);
     if (err.code === 'ENOENT') {
       return { success: false, error: { type: 'cli_not_found', message: 'Claude CLI not found' },
         suggestion: 'Install Claude Code: https://docs.anthropic.com/en/docs/claude-code', executionTimeMs: Date.now() - startTime };
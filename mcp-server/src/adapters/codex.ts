@@ -14,17 +14,16 @@ import {
   ReviewRequest,
   ReviewResult,
   ReviewError,
+  RunOptions,
+  cancelledResult,
+  TokenUsage,
   registerAdapter,
+  runWithAdapterPrompt,
+  runWithPeerReviewPrompt,
 } from './base.js';
+import { withRetry, withRateLimitCues, FAST_REJECT_MS } from './retry.js';
 import { CliExecutor } from '../executor.js';
 import { CodexEventDecoder } from '../decoders/index.js';
-import {
-  buildSimpleHandoff,
-  buildHandoffPrompt,
-  buildAdversarialHandoffPrompt,
-  selectRole,
-  FocusArea,
-} from '../handoff.js';
 import { getConfig } from '../config.js';
 
 // =============================================================================
@@ -60,7 +59,26 @@ export class CodexAdapter implements ReviewerAdapter {
     });
   }
 
-  async runReview(request: ReviewRequest): Promise<ReviewResult> {
+  async runReview(request: ReviewRequest, options?: RunOptions): Promise<ReviewResult> {
+    return runWithAdapterPrompt(request, this.getCapabilities(), (buildPrompt) =>
+      withRetry(this.id, request, (attempt) => this.execute(attempt, buildPrompt, options), options));
+  }
+
+  async runPeerReview(
+    originalRequest: ReviewRequest,
+    reviewToScore: string,
+    anonymizedReviewerId: string,
+    options?: RunOptions
+  ): Promise<ReviewResult> {
+    return runWithPeerReviewPrompt(originalRequest, this.getCapabilities(), this.id, anonymizedReviewerId, reviewToScore, (buildPrompt) =>
+      withRetry(this.id, originalRequest, (attempt) => this.execute(attempt, buildPrompt, options), options));
+  }
+
+  /**
+   * Run one CLI invocation for the given request. Shared by review and
+   * peer-review so both get the same sandboxing, timeouts and error mapping.
+   */
+  private async execute(request: ReviewRequest, buildPrompt: () => string, options: RunOptions = {}): Promise<ReviewResult> {
     const startTime = Date.now();
 
     if (!existsSync(request.workingDir)) {
@@ -73,25 +91,22 @@ export class CodexAdapter implements ReviewerAdapter {
     }
 
     try {
-      const handoff = buildSimpleHandoff(
-        request.workingDir, request.ccOutput,
-        request.analyzedFiles, request.focusAreas, request.customPrompt
-      );
-      const prompt = request.reviewMode === 'adversarial'
-        ? buildAdversarialHandoffPrompt({ handoff })
-        : buildHandoffPrompt({ handoff, role: selectRole(request.focusAreas as FocusArea[] | undefined) });
+      const prompt = buildPrompt();
 
-      const cfg = getConfig().codex;
+      const cfg = getConfig(request.workingDir).codex;
       const result = await this.runCli(
         prompt,
         request.workingDir,
         request.reasoningEffort ?? cfg.reasoningEffort,
-        request.serviceTier
+        request.serviceTier,
+        request.followUp?.threadId,
+        request.maxTimeoutMs,
+        options
       );
 
       if (result.exitCode !== 0) {
-        const error = this.categorizeError(result.stderr);
-        return { success: false, error, suggestion: this.getSuggestion(error), executionTimeMs: Date.now() - startTime };
+        const error = withRateLimitCues(this.categorizeError(result.stderr), result.stderr, result.fastReject);
+        return { success: false, error, suggestion: this.getSuggestion(error), executionTimeMs: Date.now() - startTime, usage: result.usage };
       }
 
       if (!result.stdout.trim()) {
@@ -100,10 +115,17 @@ export class CodexAdapter implements ReviewerAdapter {
           error: { type: 'cli_error', message: 'Codex returned empty response' },
           suggestion: 'Try again or use /gemini-review instead',
           executionTimeMs: Date.now() - startTime,
+          usage: result.usage,
         };
       }
 
-      return { success: true, output: result.stdout, executionTimeMs: Date.now() - startTime };
+      return {
+        success: true,
+        output: result.stdout,
+        executionTimeMs: Date.now() - startTime,
+        threadId: result.threadId,
+        usage: result.usage,
+      };
     } catch (error) {
       return this.handleException(error, startTime);
     }
@@ -113,9 +135,12 @@ export class CodexAdapter implements ReviewerAdapter {
     prompt: string,
     workingDir: string,
     reasoningEffort: 'high' | 'xhigh',
-    serviceTier?: string
-  ): Promise<{ stdout: string; stderr: string; exitCode: number; truncated: boolean }> {
-    const cfg = getConfig().codex;
+    serviceTier?: string,
+    resumeThreadId?: string,
+    maxTimeoutMs?: number,
+    options: RunOptions = {}
+  ): Promise<{ stdout: string; stderr: string; exitCode: number; truncated: boolean; fastReject?: boolean; threadId?: string; usage?: TokenUsage }> {
+    const cfg = getConfig(workingDir).codex;
     const args = [
       'exec',
       '--json',  // JSONL streaming events
@@ -126,7 +151,6 @@ export class CodexAdapter implements ReviewerAdapter {
       '--sandbox', 'read-only',
       '--skip-git-repo-check',
       '-C', workingDir,
-      '-',  // Read prompt from stdin
     ];
 
     // Caller-supplied serviceTier overrides config. Explicit 'default' is an
@@ -136,16 +160,24 @@ export class CodexAdapter implements ReviewerAdapter {
       args.push('-c', `service_tier=${effectiveTier}`);
     }
 
+    // Follow-ups continue the original thread so Codex keeps what it already read
+    if (resumeThreadId) {
+      args.push('resume', resumeThreadId);
+    }
+    args.push('-');  // Read prompt from stdin
+
     const decoder = new CodexEventDecoder();
     const cliStartTime = Date.now();
 
     const tierLabel = effectiveTier !== 'default' ? ` [${effectiveTier}]` : '';
     console.error(`[codex] Running with ${reasoningEffort} reasoning${tierLabel}...`);
+    options.onProgress?.(`Running with ${reasoningEffort} reasoning${tierLabel}...`);
 
     decoder.onProgress = (eventType, detail) => {
       const elapsed = Math.round((Date.now() - cliStartTime) / 1000);
       const detailStr = detail ? ` — ${detail}` : '';
       console.error(`[codex] ${eventType}${detailStr} (${elapsed}s)`);
+      options.onProgress?.(`${eventType}${detailStr} (${elapsed}s)`);
     };
 
     const executor = new CliExecutor({
@@ -154,7 +186,8 @@ export class CodexAdapter implements ReviewerAdapter {
       cwd: workingDir,
       stdin: prompt,
       inactivityTimeoutMs: cfg.inactivityTimeoutMs[reasoningEffort] ?? cfg.inactivityTimeoutMs.high,
-      maxTimeoutMs: cfg.maxTimeoutMs,
+      maxTimeoutMs: Math.min(cfg.maxTimeoutMs, maxTimeoutMs ?? Infinity),
+      signal: options.signal,
       maxBufferSize: cfg.maxBufferSize,
       onLine: (line: string) => {
         decoder.processLine(line);
@@ -165,22 +198,31 @@ export class CodexAdapter implements ReviewerAdapter {
     const elapsed = Math.round((Date.now() - cliStartTime) / 1000);
     console.error(`[codex] ✓ complete (${elapsed}s)`);
 
+    const rawUsage = decoder.getUsage();
+    const usage: TokenUsage | undefined = rawUsage ? {
+      inputTokens: rawUsage.input_tokens,
+      cachedInputTokens: rawUsage.cached_input_tokens,
+      outputTokens: rawUsage.output_tokens,
+      model: cfg.model,
+      serviceTier: effectiveTier !== 'default' ? effectiveTier : undefined,
+    } : undefined;
+
     // Check for errors captured from JSONL events
     const decoderError = decoder.getError();
     if (decoderError) {
       const combined = result.stderr ? `${decoderError}\n\nCLI stderr: ${result.stderr}` : decoderError;
-      return { stdout: '', stderr: combined, exitCode: 1, truncated: false };
+      return { stdout: '', stderr: combined, exitCode: 1, truncated: false, usage };
     }
 
     const finalResponse = decoder.getFinalResponse();
     if (!finalResponse && decoder.hasNoOutput()) {
       const combined = result.stderr ? `No output from Codex\n\nCLI stderr: ${result.stderr}` : 'No output from Codex';
-      return { stdout: '', stderr: combined, exitCode: 1, truncated: false };
+      return { stdout: '', stderr: combined, exitCode: 1, truncated: false, usage, fastReject: Date.now() - cliStartTime < FAST_REJECT_MS };
     }
 
     if (!finalResponse) {
       const combined = result.stderr ? `No result event from Codex\n\nCLI stderr: ${result.stderr}` : 'No result event from Codex';
-      return { stdout: '', stderr: combined, exitCode: 1, truncated: false };
+      return { stdout: '', stderr: combined, exitCode: 1, truncated: false, usage };
     }
 
     return {
@@ -188,11 +230,14 @@ export class CodexAdapter implements ReviewerAdapter {
       stderr: result.stderr,
       exitCode: result.exitCode,
       truncated: result.truncated,
+      threadId: decoder.getThreadId() ?? resumeThreadId,
+      usage,
     };
   }
 
   private handleException(error: unknown, startTime: number): ReviewResult {
     const err = error as Error & { code?: string };
+    if (err.message === 'CANCELLED') return cancelledResult(startTime);
     if (err.code === 'ENOENT') {
       return { success: false, error: { type: 'cli_not_found', message: 'Codex CLI not found' },
         suggestion: 'Install with: npm install -g @openai/codex-cli', executionTimeMs: Date.now() - startTime };
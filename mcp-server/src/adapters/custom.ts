@@ -0,0 +1,287 @@
+/**
+ * Custom CLI Adapter
+ *
+ * Implements the ReviewerAdapter interface for reviewer CLIs declared in the
+ * `customReviewers` config section — no adapter or decoder code per tool.
+ * Output is either plain text (stdout as-is) or JSONL, where a JSONPath
+ * picks the final message out of the event stream.
+ *
+ * Entries are registered once at startup. Edits to an existing entry apply on
+ * the next review (config hot-reloads); new entries need a server restart.
+ */
+
+import { spawn } from 'child_process';
+import { existsSync } from 'fs';
+import {
+  ReviewerAdapter,
+  ReviewerCapabilities,
+  ReviewRequest,
+  ReviewResult,
+  ReviewError,
+  RunOptions,
+  cancelledResult,
+  registerAdapter,
+  runWithAdapterPrompt,
+  runWithPeerReviewPrompt,
+} from './base.js';
+import { withRetry, withRateLimitCues } from './retry.js';
+import { CliExecutor } from '../executor.js';
+import { JsonPathDecoder } from '../decoders/index.js';
+import { CustomReviewerConfig, getConfig } from '../config.js';
+
+/** Built-in adapter ids a custom entry may not replace */
+const RESERVED_IDS = new Set(['codex', 'gemini', 'claude', 'ollama']);
+
+/** Linux caps one argument at 128 KiB (MAX_ARG_STRLEN), its NUL included */
+const MAX_ARG_BYTES = 128 * 1024 - 1;
+
+/**
+ * Context window claimed with argv delivery: at ~3.5 characters per token
+ * even a zero-headroom budget stays under MAX_ARG_BYTES.
+ */
+const ARGV_CONTEXT_TOKENS = 32000;
+
+// =============================================================================
+// ARGUMENT TEMPLATING
+// =============================================================================
+
+/**
+ * Substitute `{prompt}` and `{workingDir}` in each argument. With argv
+ * delivery and no `{prompt}` placeholder, the prompt becomes the last argument.
+ */
+export function expandArgs(
+  args: string[],
+  values: { prompt?: string; workingDir: string },
+  appendPrompt: boolean = false
+): string[] {
+  const expanded = args.map(arg => arg
+    .replaceAll('{workingDir}', values.workingDir)
+    .replaceAll('{prompt}', values.prompt ?? ''));
+  if (appendPrompt && values.prompt !== undefined && !args.some(a => a.includes('{prompt}'))) {
+    expanded.push(values.prompt);
+  }
+  return expanded;
+}
+
+// =============================================================================
+// CUSTOM CLI ADAPTER
+// =============================================================================
+
+export class CustomCliAdapter implements ReviewerAdapter {
+  readonly id: string;
+  private readonly initial: CustomReviewerConfig;
+
+  constructor(config: CustomReviewerConfig) {
+    this.id = config.id;
+    this.initial = config;
+  }
+
+  /** Latest config for this entry — falls back to the startup copy if it was removed */
+  private get cfg(): CustomReviewerConfig {
+    return getConfig().customReviewers.find(r => r.id === this.id) ?? this.initial;
+  }
+
+  getCapabilities(): ReviewerCapabilities {
+    const cfg = this.cfg;
+    return {
+      name: cfg.name ?? cfg.id,
+      description: cfg.description ?? `Custom reviewer (${cfg.command})`,
+      strengths: [],
+      weaknesses: [],
+      hasFilesystemAccess: cfg.hasFilesystemAccess,
+      supportsStructuredOutput: false,
+      maxContextTokens: cfg.promptDelivery === 'argv' ? ARGV_CONTEXT_TOKENS : 128000,
+      reasoningLevels: undefined,
+    };
+  }
+
+  async isAvailable(): Promise<boolean> {
+    const cfg = this.cfg;
+    const command = cfg.availability.command ?? cfg.command;
+    const args = expandArgs(cfg.availability.args, { workingDir: process.cwd() });
+    return new Promise((resolve) => {
+      let settled = false;
+      const done = (result: boolean) => { if (!settled) { settled = true; clearTimeout(timer); resolve(result); } };
+      const proc = spawn(command, args, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: cfg.env ? { ...process.env, ...cfg.env } : process.env,
+      });
+      proc.on('close', (code) => done(code === 0));
+      proc.on('error', () => done(false));
+      const timer = setTimeout(() => { proc.kill(); done(false); }, 5000);
+    });
+  }
+
+  async runReview(request: ReviewRequest, options?: RunOptions): Promise<ReviewResult> {
+    return runWithAdapterPrompt(request, this.getCapabilities(), (buildPrompt) =>
+      withRetry(this.id, request, (attempt) => this.execute(attempt, buildPrompt, options), options));
+  }
+
+  async runPeerReview(
+    originalRequest: ReviewRequest,
+    reviewToScore: string,
+    anonymizedReviewerId: string,
+    options?: RunOptions
+  ): Promise<ReviewResult> {
+    return runWithPeerReviewPrompt(originalRequest, this.getCapabilities(), this.id, anonymizedReviewerId, reviewToScore, (buildPrompt) =>
+      withRetry(this.id, originalRequest, (attempt) => this.execute(attempt, buildPrompt, options), options));
+  }
+
+  /**
+   * Run one CLI invocation for the given request. Shared by review and
+   * peer-review so both get the same timeouts and error mapping.
+   */
+  private async execute(request: ReviewRequest, buildPrompt: () => string, options: RunOptions = {}): Promise<ReviewResult> {
+    const startTime = Date.now();
+
+    if (!existsSync(request.workingDir)) {
+      return {
+        success: false,
+        error: { type: 'cli_error', message: `Working directory does not exist: ${request.workingDir}` },
+        suggestion: 'Check that the working directory path is correct',
+        executionTimeMs: Date.now() - startTime,
+      };
+    }
+
+    try {
+      const prompt = buildPrompt();
+      if (this.cfg.promptDelivery === 'argv' && Buffer.byteLength(prompt) > MAX_ARG_BYTES) {
+        return {
+          success: false,
+          error: { type: 'cli_error', message: `Prompt is ${Buffer.byteLength(prompt).toLocaleString('en-US')} bytes, too long for one command-line argument (the limit is 131,072)` },
+          suggestion: `Set "promptDelivery": "stdin" for "${this.id}" if its CLI can read the prompt from stdin`,
+          executionTimeMs: Date.now() - startTime,
+        };
+      }
+
+      const result = await this.runCli(prompt, request.workingDir, request.maxTimeoutMs, options);
+
+      if (result.exitCode !== 0) {
+        const error = withRateLimitCues(this.categorizeError(result.stderr), result.stderr);
+        return { success: false, error, suggestion: this.getSuggestion(error), executionTimeMs: Date.now() - startTime };
+      }
+
+      if (!result.stdout.trim()) {
+        return {
+          success: false,
+          error: { type: 'cli_error', message: `${this.id} returned empty response` },
+          suggestion: this.cfg.output.format === 'jsonl'
+            ? `Check output.messagePath ("${this.cfg.output.messagePath}") against the CLI's JSONL events`
+            : 'Try again or use another reviewer',
+          executionTimeMs: Date.now() - startTime,
+        };
+      }
+
+      return { success: true, output: result.stdout, executionTimeMs: Date.now() - startTime };
+    } catch (error) {
+      return this.handleException(error, startTime);
+    }
+  }
+
+  private async runCli(
+    prompt: string,
+    workingDir: string,
+    maxTimeoutMs?: number,
+    options: RunOptions = {}
+  ): Promise<{ stdout: string; stderr: string; exitCode: number; truncated: boolean }> {
+    const cfg = this.cfg;
+    const viaArgv = cfg.promptDelivery === 'argv';
+    const args = expandArgs(cfg.args, { prompt: viaArgv ? prompt : undefined, workingDir }, viaArgv);
+    const decoder = cfg.output.format === 'jsonl' ? new JsonPathDecoder(cfg.output.messagePath) : null;
+    const cliStartTime = Date.now();
+
+    console.error(`[${this.id}] Running...`);
+    options.onProgress?.('Running...');
+
+    if (decoder) {
+      decoder.onProgress = (eventType) => {
+        const elapsed = Math.round((Date.now() - cliStartTime) / 1000);
+        console.error(`[${this.id}] ${eventType} (${elapsed}s)`);
+        options.onProgress?.(`${eventType} (${elapsed}s)`);
+      };
+    }
+
+    const executor = new CliExecutor({
+      command: cfg.command,
+      args,
+      cwd: workingDir,
+      stdin: viaArgv ? undefined : prompt,
+      env: cfg.env,
+      inactivityTimeoutMs: cfg.inactivityTimeoutMs,
+      maxTimeoutMs: Math.min(cfg.maxTimeoutMs, maxTimeoutMs ?? Infinity),
+      signal: options.signal,
+      maxBufferSize: cfg.maxBufferSize,
+      onLine: decoder ? (line: string) => decoder.processLine(line) : undefined,
+    });
+
+    const result = await executor.run();
+    const elapsed = Math.round((Date.now() - cliStartTime) / 1000);
+    console.error(`[${this.id}] ✓ complete (${elapsed}s)`);
+
+    return {
+      stdout: decoder ? decoder.getFinalResponse() : result.rawStdout,
+      stderr: result.stderr,
+      exitCode: result.exitCode,
+      truncated: result.truncated,
+    };
+  }
+
+  private handleException(error: unknown, startTime: number): ReviewResult {
+    const err = error as Error & { code?: string };
+    if (err.message === 'CANCELLED') return cancelledResult(startTime);
+    if (err.code === 'ENOENT') {
+      return { success: false, error: { type: 'cli_not_found', message: `${this.cfg.command} not found` },
+        suggestion: `Install it or fix "command" for custom reviewer "${this.id}"`, executionTimeMs: Date.now() - startTime };
+    }
+    if (err.message === 'TIMEOUT') {
+      return { success: false, error: { type: 'timeout', message: `${this.id} timed out — no output received` },
+        suggestion: 'Try a smaller scope or raise inactivityTimeoutMs', executionTimeMs: Date.now() - startTime };
+    }
+    if (err.message === 'MAX_TIMEOUT') {
+      return { success: false, error: { type: 'timeout', message: `${this.id} exceeded its maximum runtime` },
+        suggestion: 'Try a smaller scope or raise maxTimeoutMs', executionTimeMs: Date.now() - startTime };
+    }
+    return { success: false, error: { type: 'cli_error', message: err.message }, executionTimeMs: Date.now() - startTime };
+  }
+
+  private categorizeError(stderr: string): ReviewError {
+    const lower = stderr.toLowerCase();
+    if (lower.includes('rate limit') || lower.includes('quota')) {
+      return { type: 'rate_limit', message: `Rate limit or quota exceeded: ${stderr.slice(0, 500)}` };
+    }
+    if (lower.includes('unauthorized') || lower.includes('authentication') || lower.includes('api key') || stderr.includes('401') || stderr.includes('403')) {
+      return { type: 'auth_error', message: `Authentication failed: ${stderr.slice(0, 500)}`, details: { stderr } };
+    }
+    return { type: 'cli_error', message: stderr.slice(0, 500) || 'Unknown error' };
+  }
+
+  private getSuggestion(error: ReviewError): string {
+    switch (error.type) {
+      case 'rate_limit': return 'Wait and retry, or use another reviewer';
+      case 'auth_error': return `Authenticate ${this.cfg.command}, or set credentials via "env" in its config entry`;
+      default: return 'Check the error message and try again';
+    }
+  }
+}
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+
+/**
+ * Register every `customReviewers` entry. Entries that reuse a built-in id
+ * are skipped so config can't silently replace a first-party adapter.
+ * Returns the ids that were registered.
+ */
+export function registerCustomReviewers(): string[] {
+  const registered: string[] = [];
+  for (const entry of getConfig().customReviewers) {
+    if (RESERVED_IDS.has(entry.id)) {
+      console.error(`[cc-reviewer] Custom reviewer id "${entry.id}" is reserved — skipping it.`);
+      continue;
+    }
+    registerAdapter(new CustomCliAdapter(entry));
+    registered.push(entry.id);
+  }
+  return registered;
+}
@@ -14,17 +14,16 @@ import {
   ReviewRequest,
   ReviewResult,
   ReviewError,
+  RunOptions,
+  cancelledResult,
+  TokenUsage,
   registerAdapter,
+  runWithAdapterPrompt,
+  runWithPeerReviewPrompt,
 } from './base.js';
+import { withRetry, withRateLimitCues } from './retry.js';
 import { CliExecutor } from '../executor.js';
 import { GeminiEventDecoder } from '../decoders/index.js';
-import {
-  buildSimpleHandoff,
-  buildHandoffPrompt,
-  buildAdversarialHandoffPrompt,
-  selectRole,
-  FocusArea,
-} from '../handoff.js';
 import { getConfig } from '../config.js';
 
 // =============================================================================
@@ -60,7 +59,26 @@ export class GeminiAdapter implements ReviewerAdapter {
     });
   }
 
-  async runReview(request: ReviewRequest): Promise<ReviewResult> {
+  async runReview(request: ReviewRequest, options?: RunOptions): Promise<ReviewResult> {
+    return runWithAdapterPrompt(request, this.getCapabilities(), (buildPrompt) =>
+      withRetry(this.id, request, (attempt) => this.execute(attempt, buildPrompt, options), options));
+  }
+
+  async runPeerReview(
+    originalRequest: ReviewRequest,
+    reviewToScore: string,
+    anonymizedReviewerId: string,
+    options?: RunOptions
+  ): Promise<ReviewResult> {
+    return runWithPeerReviewPrompt(originalRequest, this.getCapabilities(), this.id, anonymizedReviewerId, reviewToScore, (buildPrompt) =>
+      withRetry(this.id, originalRequest, (attempt) => this.execute(attempt, buildPrompt, options), options));
+  }
+
+  /**
+   * Run one CLI invocation for the given request. Shared by review and
+   * peer-review so both get the same sandboxing, timeouts and error mapping.
+   */
+  private async execute(request: ReviewRequest, buildPrompt: () => string, options: RunOptions = {}): Promise<ReviewResult> {
     const startTime = Date.now();
 
     if (!existsSync(request.workingDir)) {
@@ -73,19 +91,13 @@ export class GeminiAdapter implements ReviewerAdapter {
     }
 
     try {
-      const handoff = buildSimpleHandoff(
-        request.workingDir, request.ccOutput,
-        request.analyzedFiles, request.focusAreas, request.customPrompt
-      );
-      const prompt = request.reviewMode === 'adversarial'
-        ? buildAdversarialHandoffPrompt({ handoff })
-        : buildHandoffPrompt({ handoff, role: selectRole(request.focusAreas as FocusArea[] | undefined) });
+      const prompt = buildPrompt();
 
-      const result = await this.runCli(prompt, request.workingDir);
+      const result = await this.runCli(prompt, request.workingDir, request.maxTimeoutMs, options);
 
       if (result.exitCode !== 0) {
-        const error = this.categorizeError(result.stderr);
-        return { success: false, error, suggestion: this.getSuggestion(error), executionTimeMs: Date.now() - startTime };
+        const error = withRateLimitCues(this.categorizeError(result.stderr), result.stderr);
+        return { success: false, error, suggestion: this.getSuggestion(error), executionTimeMs: Date.now() - startTime, usage: result.usage };
       }
 
       if (!result.stdout.trim()) {
@@ -94,10 +106,11 @@ export class GeminiAdapter implements ReviewerAdapter {
           error: { type: 'cli_error', message: 'Gemini returned empty response' },
           suggestion: 'Try again or use /codex-review instead',
           executionTimeMs: Date.now() - startTime,
+          usage: result.usage,
         };
       }
 
-      return { success: true, output: result.stdout, executionTimeMs: Date.now() - startTime };
+      return { success: true, output: result.stdout, executionTimeMs: Date.now() - startTime, usage: result.usage };
     } catch (error) {
       return this.handleException(error, startTime);
     }
@@ -105,9 +118,11 @@ export class GeminiAdapter implements ReviewerAdapter {
 
   private async runCli(
     prompt: string,
-    workingDir: string
-  ): Promise<{ stdout: string; stderr: string; exitCode: number; truncated: boolean }> {
-    const cfg = getConfig().gemini;
+    workingDir: string,
+    maxTimeoutMs?: number,
+    options: RunOptions = {}
+  ): Promise<{ stdout: string; stderr: string; exitCode: number; truncated: boolean; usage?: TokenUsage }> {
+    const cfg = getConfig(workingDir).gemini;
     const args = [
       '--sandbox',
       '--approval-mode', 'plan',
@@ -123,11 +138,13 @@ export class GeminiAdapter implements ReviewerAdapter {
     const cliStartTime = Date.now();
 
     console.error('[gemini] Running...');
+    options.onProgress?.('Running...');
 
     decoder.onProgress = (eventType, detail) => {
       const elapsed = Math.round((Date.now() - cliStartTime) / 1000);
       const detailStr = detail ? ` — ${detail}` : '';
       console.error(`[gemini] ${eventType}${detailStr} (${elapsed}s)`);
+      options.onProgress?.(`${eventType}${detailStr} (${elapsed}s)`);
     };
 
     const executor = new CliExecutor({
@@ -136,7 +153,8 @@ export class GeminiAdapter implements ReviewerAdapter {
       cwd: workingDir,
       stdin: prompt,
       inactivityTimeoutMs: cfg.inactivityTimeoutMs,
-      maxTimeoutMs: cfg.maxTimeoutMs,
+      maxTimeoutMs: Math.min(cfg.maxTimeoutMs, maxTimeoutMs ?? Infinity),
+      signal: options.signal,
       maxBufferSize: cfg.maxBufferSize,
       onLine: (line: string) => {
         decoder.processLine(line);
@@ -147,10 +165,19 @@ export class GeminiAdapter implements ReviewerAdapter {
     const elapsed = Math.round((Date.now() - cliStartTime) / 1000);
     console.error(`[gemini] ✓ complete (${elapsed}s)`);
 
+    const stats = decoder.getStats();
+    const usage: TokenUsage | undefined = stats ? {
+      inputTokens: stats.input_tokens,
+      cachedInputTokens: stats.cached || undefined,
+      outputTokens: stats.output_tokens,
+      durationMs: stats.duration_ms,
+      model: decoder.getModel() ?? cfg.model ?? undefined,
+    } : undefined;
+
     const finalResponse = decoder.getFinalResponse();
 
     if (!finalResponse && result.exitCode === 0) {
-      return { stdout: '', stderr: 'Gemini produced no output — review may have failed silently', exitCode: 1, truncated: false };
+      return { stdout: '', stderr: 'Gemini produced no output — review may have failed silently', exitCode: 1, truncated: false, usage };
     }
 
     return {
@@ -158,11 +185,13 @@ export class GeminiAdapter implements ReviewerAdapter {
       stderr: result.stderr,
       exitCode: result.exitCode,
       truncated: result.truncated,
+      usage,
     };
   }
 
   private handleException(error: unknown, startTime: number): ReviewResult {
     const err = error as Error & { code?: string };
+    if (err.message === 'CANCELLED') return cancelledResult(startTime);
     if (err.code === 'ENOENT') {
       return { success: false, error: { type: 'cli_not_found', message: 'Gemini CLI not found' },
         suggestion: 'Install with: npm install -g @google/gemini-cli', executionTimeMs: Date.now() - startTime };
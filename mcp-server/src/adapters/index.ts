@@ -8,6 +8,11 @@
 import './codex.js';
 import './gemini.js';
 import './claude.js';
+import './ollama.js';
+import { registerCustomReviewers } from './custom.js';
+
+// Config-defined reviewers (customReviewers section)
+registerCustomReviewers();
 
 // Re-export everything from base
 export * from './base.js';
@@ -16,3 +21,5 @@ export * from './base.js';
 export { codexAdapter } from './codex.js';
 export { geminiAdapter } from './gemini.js';
 export { claudeAdapter } from './claude.js';
+export { ollamaAdapter } from './ollama.js';
+export { CustomCliAdapter, registerCustomReviewers } from './custom.js';
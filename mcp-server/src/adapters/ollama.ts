@@ -0,0 +1,234 @@
+/**
+ * Ollama Adapter
+ *
+ * Implements the ReviewerAdapter interface for local models served over an
+ * OpenAI-compatible HTTP API (Ollama, llama.cpp server, vLLM, LM Studio).
+ * Works on air-gapped machines — nothing leaves the configured base URL.
+ *
+ * Local models have no file tools, so the priority/changed files are
+ * inlined into the handoff prompt. Returns raw text like the CLI adapters.
+ *
+ * Settings always come from the user config (`ollama` is user-only), so the
+ * availability probe and the review talk to the same server, and the API key
+ * only ever goes to the URL the user configured.
+ */
+
+import { existsSync } from 'fs';
+import {
+  ReviewerAdapter,
+  ReviewerCapabilities,
+  ReviewRequest,
+  ReviewResult,
+  ReviewError,
+  RunOptions,
+  cancelledResult,
+  TokenUsage,
+  registerAdapter,
+  runWithAdapterPrompt,
+  runWithPeerReviewPrompt,
+} from './base.js';
+import { withRetry, withRateLimitCues } from './retry.js';
+import { getConfig, OllamaConfig } from '../config.js';
+
+interface ChatCompletionResponse {
+  choices?: Array<{ message?: { content?: string | null } }>;
+  model?: string;
+  usage?: { prompt_tokens?: number; completion_tokens?: number };
+}
+
+// =============================================================================
+// OLLAMA ADAPTER
+// =============================================================================
+
+export class OllamaAdapter implements ReviewerAdapter {
+  readonly id = 'ollama';
+
+  getCapabilities(): ReviewerCapabilities {
+    return {
+      name: `Ollama (${getConfig().ollama.model})`,
+      description: 'Local model over an OpenAI-compatible API - offline second opinion, files are inlined into the prompt',
+      strengths: ['correctness', 'maintainability'],
+      weaknesses: ['architecture', 'scalability'],
+      hasFilesystemAccess: false,
+      supportsStructuredOutput: false,
+      maxContextTokens: 32000,
+      reasoningLevels: undefined,
+    };
+  }
+
+  /**
+   * Available when the server answers and serves the configured model.
+   * Servers that don't list models are trusted once they respond.
+   */
+  async isAvailable(): Promise<boolean> {
+    const cfg = getConfig().ollama;
+    try {
+      const response = await fetch(`${trimSlash(cfg.baseUrl)}/models`, {
+        headers: this.headers(cfg),
+        signal: AbortSignal.timeout(5000),
+      });
+      if (!response.ok) return false;
+      const body = await response.json() as { data?: Array<{ id?: string }> };
+      if (!Array.isArray(body.data) || body.data.length === 0) return true;
+      return body.data.some(m => m.id === cfg.model || m.id === `${cfg.model}:latest`);
+    } catch {
+      return false;
+    }
+  }
+
+  async runReview(request: ReviewRequest, options?: RunOptions): Promise<ReviewResult> {
+    return runWithAdapterPrompt(request, this.getCapabilities(), (buildPrompt) =>
+      withRetry(this.id, request, (attempt) => this.execute(attempt, buildPrompt, options), options));
+  }
+
+  async runPeerReview(
+    originalRequest: ReviewRequest,
+    reviewToScore: string,
+    anonymizedReviewerId: string,
+    options?: RunOptions
+  ): Promise<ReviewResult> {
+    return runWithPeerReviewPrompt(originalRequest, this.getCapabilities(), this.id, anonymizedReviewerId, reviewToScore, (buildPrompt) =>
+      withRetry(this.id, originalRequest, (attempt) => this.execute(attempt, buildPrompt, options), options));
+  }
+
+  /**
+   * Run one completion for the given request. Shared by review and
+   * peer-review so both get the same timeouts and error mapping.
+   */
+  private async execute(request: ReviewRequest, buildPrompt: () => string, options: RunOptions = {}): Promise<ReviewResult> {
+    const startTime = Date.now();
+
+    if (!existsSync(request.workingDir)) {
+      return {
+        success: false,
+        error: { type: 'cli_error', message: `Working directory does not exist: ${request.workingDir}` },
+        suggestion: 'Check that the working directory path is correct',
+        executionTimeMs: Date.now() - startTime,
+      };
+    }
+
+    const cfg = getConfig().ollama;
+    // A caller's deadline (multi_review time budget) can be shorter than the configured timeout
+    const timeoutMs = Math.min(cfg.timeoutMs, request.maxTimeoutMs ?? Infinity);
+    try {
+      const prompt = buildPrompt();
+      const result = await this.complete(prompt, cfg, timeoutMs, options);
+
+      if (result.status !== 200) {
+        const error = withRateLimitCues(this.categorizeError(result.status, result.body), result.body);
+        return { success: false, error, suggestion: this.getSuggestion(error, cfg), executionTimeMs: Date.now() - startTime };
+      }
+
+      if (!result.content.trim()) {
+        return {
+          success: false,
+          error: { type: 'invalid_response', message: 'Local model returned empty response' },
+          suggestion: 'Try again, or use a larger model',
+          executionTimeMs: Date.now() - startTime,
+          usage: result.usage,
+        };
+      }
+
+      return { success: true, output: result.content, executionTimeMs: Date.now() - startTime, usage: result.usage };
+    } catch (error) {
+      return this.handleException(error, startTime, cfg, timeoutMs);
+    }
+  }
+
+  private async complete(
+    prompt: string,
+    cfg: OllamaConfig,
+    timeoutMs: number,
+    options: RunOptions = {}
+  ): Promise<{ status: number; body: string; content: string; usage?: TokenUsage }> {
+    const startTime = Date.now();
+
+    console.error(`[ollama] Running ${cfg.model}...`);
+    options.onProgress?.(`Running ${cfg.model}...`);
+
+    const response = await fetch(`${trimSlash(cfg.baseUrl)}/chat/completions`, {
+      method: 'POST',
+      headers: { ...this.headers(cfg), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: cfg.model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: false,
+      }),
+      signal: options.signal ? AbortSignal.any([options.signal, AbortSignal.timeout(timeoutMs)]) : AbortSignal.timeout(timeoutMs),
+    });
+
+    const body = await response.text();
+    const elapsed = Math.round((Date.now() - startTime) / 1000);
+    if (!response.ok) {
+      console.error(`[ollama] ✗ HTTP ${response.status} (${elapsed}s)`);
+      return { status: response.status, body, content: '' };
+    }
+    console.error(`[ollama] ✓ complete (${elapsed}s)`);
+
+    let parsed: ChatCompletionResponse;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      throw new Error(`Unexpected response from ${cfg.baseUrl}: ${body.slice(0, 200)}`);
+    }
+    const usage: TokenUsage | undefined = parsed.usage ? {
+      inputTokens: parsed.usage.prompt_tokens ?? 0,
+      outputTokens: parsed.usage.completion_tokens ?? 0,
+      model: parsed.model ?? cfg.model,
+    } : undefined;
+    return { status: 200, body, content: parsed.choices?.[0]?.message?.content ?? '', usage };
+  }
+
+  private headers(cfg: OllamaConfig): Record<string, string> {
+    return cfg.apiKey ? { Authorization: `Bearer ${cfg.apiKey}` } : {};
+  }
+
+  private handleException(error: unknown, startTime: number, cfg: OllamaConfig, timeoutMs: number): ReviewResult {
+    const err = error as Error & { cause?: { code?: string } };
+    if (err.name === 'AbortError') return cancelledResult(startTime);
+    if (err.name === 'TimeoutError') {
+      return { success: false, error: { type: 'timeout', message: `Local model did not answer within ${Math.round(timeoutMs / 1000)}s` },
+        suggestion: timeoutMs < cfg.timeoutMs
+          ? 'Try a smaller scope, or give the review more time'
+          : 'Try a smaller scope or raise ollama.timeoutMs in config',
+        executionTimeMs: Date.now() - startTime };
+    }
+    if (err.cause?.code === 'ECONNREFUSED' || err.cause?.code === 'ENOTFOUND') {
+      return { success: false, error: { type: 'cli_not_found', message: `No model server reachable at ${cfg.baseUrl}` },
+        suggestion: 'Start it with: ollama serve', executionTimeMs: Date.now() - startTime };
+    }
+    return { success: false, error: { type: 'cli_error', message: err.message }, executionTimeMs: Date.now() - startTime };
+  }
+
+  private categorizeError(status: number, body: string): ReviewError {
+    if (status === 429) {
+      return { type: 'rate_limit', message: `Rate limited: ${body.slice(0, 500)}` };
+    }
+    if (status === 401 || status === 403) {
+      return { type: 'auth_error', message: `Authentication failed: ${body.slice(0, 500)}`, details: { status } };
+    }
+    if (status === 404 && body.toLowerCase().includes('model')) {
+      return { type: 'cli_error', message: `Model not found: ${body.slice(0, 500)}`, details: { status } };
+    }
+    return { type: 'cli_error', message: `HTTP ${status}: ${body.slice(0, 500) || 'Unknown error'}`, details: { status } };
+  }
+
+  private getSuggestion(error: ReviewError, cfg: OllamaConfig): string {
+    switch (error.type) {
+      case 'rate_limit': return 'Wait and retry';
+      case 'auth_error': return 'Set ollama.apiKey in config if the server requires a token';
+      default:
+        return error.message.startsWith('Model not found')
+          ? `Pull it with: ollama pull ${cfg.model}`
+          : 'Check the error message and try again';
+    }
+  }
+}
+
+function trimSlash(url: string): string {
+  return url.replace(/\/+$/, '');
+}
+
+// Register the adapter
+registerAdapter(new OllamaAdapter());
+export const ollamaAdapter = new OllamaAdapter();
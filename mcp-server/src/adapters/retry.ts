@@ -0,0 +1,151 @@
+/**
+ * Retry Policy
+ *
+ * Shared retry loop around one adapter invocation, driven by the `retry`
+ * config section. Only error types the policy lists are retried; the wait
+ * is exponential backoff with jitter, or the reviewer's retry-after hint
+ * when it gave one. Every retried try is recorded on the final result.
+ *
+ * Adapters also use withRateLimitCues() so transient failures are
+ * categorized consistently before the policy looks at them. The final
+ * outcome of each review feeds the adapter's circuit breaker (base.ts), and
+ * while that circuit is half-open only one review at a time gets through.
+ */
+
+import {
+  ReviewError, ReviewRequest, ReviewResult, RetryAttempt, RunOptions, cancelledResult, claimCircuitProbe,
+  recordAdapterOutcome,
+} from './base.js';
+import { getConfig, RetryConfig } from '../config.js';
+import { parseRetryAfter } from '../errors.js';
+
+/** A CLI that produced events but no answer and exited this fast was most likely rejected */
+export const FAST_REJECT_MS = 15_000;
+
+// =============================================================================
+// ERROR CUES
+// =============================================================================
+
+/**
+ * Refine a categorized CLI error with rate-limit cues: a fast exit with no
+ * output (the decoders' hasNoOutput()) counts as a rate limit, and a
+ * retry-after hint in stderr is kept in `details.retryAfterMs`.
+ */
+export function withRateLimitCues(error: ReviewError, stderr: string, fastReject: boolean = false): ReviewError {
+  let refined = error;
+  if (fastReject && error.type === 'cli_error') {
+    refined = {
+      type: 'rate_limit',
+      message: `Rejected without output — likely rate limited: ${stderr.slice(0, 500)}`,
+      details: { ...error.details, fastReject: true },
+    };
+  }
+  if (refined.type !== 'rate_limit') return refined;
+
+  const retryAfterMs = parseRetryAfter(stderr);
+  return retryAfterMs !== undefined ? { ...refined, details: { ...refined.details, retryAfterMs } } : refined;
+}
+
+// =============================================================================
+// POLICY
+// =============================================================================
+
+/**
+ * Wait before the next try, or null when `error` should not be retried after
+ * the given (1-based) attempt.
+ */
+export function retryDelay(
+  error: ReviewError,
+  attempt: number,
+  policy: RetryConfig,
+  random: () => number = Math.random
+): number | null {
+  if (attempt >= policy.maxAttempts || !(policy.on as string[]).includes(error.type)) return null;
+
+  const hinted = error.details?.retryAfterMs;
+  if (typeof hinted === 'number') return hinted <= policy.maxDelayMs ? hinted : null;
+
+  // Jitter over the upper half so concurrent passes don't retry in lockstep
+  const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + random() * (backoff / 2));
+}
+
+/** Resolves false when aborted */
+function sleep(ms: number, signal?: AbortSignal): Promise<boolean> {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve(false);
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run `attempt` under the retry policy. A request `maxTimeoutMs` bounds all
+ * tries together: later tries get what is left, and no retry starts once the
+ * wait would run past it. `executionTimeMs` on a retried result covers every
+ * try and wait. A review that finds the adapter's half-open probe taken
+ * fails at once without running.
+ */
+export async function withRetry(
+  adapterId: string,
+  request: ReviewRequest,
+  attempt: (request: ReviewRequest) => Promise<ReviewResult>,
+  options: RunOptions = {}
+): Promise<ReviewResult> {
+  const release = claimCircuitProbe(adapterId);
+  if (!release) {
+    return {
+      success: false,
+      error: { type: 'cli_error', message: `${adapterId} is recovering from repeated failures and another review is already probing it` },
+      suggestion: 'Try again once that review finishes, or use another reviewer',
+      executionTimeMs: 0,
+    };
+  }
+  try {
+    return await retryLoop(adapterId, request, attempt, options);
+  } finally {
+    release();
+  }
+}
+
+async function retryLoop(
+  adapterId: string,
+  request: ReviewRequest,
+  attempt: (request: ReviewRequest) => Promise<ReviewResult>,
+  options: RunOptions
+): Promise<ReviewResult> {
+  const policy = getConfig(request.workingDir).retry;
+  const startTime = Date.now();
+  const deadline = request.maxTimeoutMs !== undefined ? startTime + request.maxTimeoutMs : null;
+  const retries: RetryAttempt[] = [];
+
+  for (let n = 1; ; n++) {
+    const remaining = deadline !== null ? Math.max(0, deadline - Date.now()) : undefined;
+    const result = await attempt(n === 1 || remaining === undefined ? request : { ...request, maxTimeoutMs: remaining });
+
+    const delayMs = result.success ? null : retryDelay(result.error, n, policy);
+    if (result.success || delayMs === null || (deadline !== null && Date.now() + delayMs >= deadline)) {
+      const final = retries.length === 0 ? result : { ...result, retries, executionTimeMs: Date.now() - startTime };
+      // Being cut off by the caller's deadline says nothing about the reviewer's health
+      const cutOff = !result.success && result.error.type === 'timeout' && deadline !== null && Date.now() >= deadline;
+      if (!cutOff) recordAdapterOutcome(adapterId, final);
+      return final;
+    }
+
+    retries.push({ error: result.error, executionTimeMs: result.executionTimeMs, delayMs });
+    const message = `${result.error.type} — retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${n + 1} of ${policy.maxAttempts})`;
+    console.error(`[${adapterId}] ${message}`);
+    options.onProgress?.(message);
+
+    if (!(await sleep(delayMs, options.signal))) {
+      return { ...cancelledResult(startTime), retries };
+    }
+  }
+}
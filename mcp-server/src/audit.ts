@@ -0,0 +1,284 @@
+/**
+ * Workspace Audit
+ *
+ * The adapters only ask each CLI to stay read-only — Codex runs with
+ * `--sandbox read-only`, Gemini with `--approval-mode plan`, Claude in plan
+ * mode with write tools disallowed. This module checks the result: with
+ * `workspaceAudit.enabled`, every file under the reviewed directory is
+ * snapshotted (size, mtime, SHA-256) before the review and compared after
+ * it. Created, modified and deleted files are reported as a security
+ * violation, and with `workspaceAudit.restore` put back from the snapshot.
+ *
+ * The audit sees the whole directory, so edits made by anything else while
+ * a review runs (an editor, a build watcher) are reported too — and a
+ * restore would undo them. Restore is therefore careful: created files are
+ * only deleted with `workspaceAudit.deleteCreated`, a file that changed
+ * again after the review is left alone, and background reviews
+ * (review_start), which run while the assistant keeps editing, are only
+ * reported.
+ */
+
+import { createHash } from 'crypto';
+import { lstat, mkdir, readdir, readFile, readlink, rm, utimes, writeFile } from 'fs/promises';
+import { dirname, join, relative } from 'path';
+import { getConfig, WorkspaceAuditConfig } from './config.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+interface FileEntry {
+  size: number;
+  mtimeMs: number;
+  hash: string;
+  /** Original contents, kept only when restore is on and within budget */
+  content?: Buffer;
+}
+
+export interface WorkspaceSnapshot {
+  root: string;
+  /** Keyed by path relative to `root` */
+  files: Map<string, FileEntry>;
+}
+
+export interface WorkspaceAudit {
+  created: string[];
+  modified: string[];
+  deleted: string[];
+  /** Set when restore was attempted. `kept` are created files left in place */
+  restore?: { restored: string[]; kept: string[]; failed: string[] };
+  /** Why restore is on but was not attempted */
+  restoreSkipped?: string;
+  /** Why the workspace was not audited */
+  skipped?: string;
+}
+
+// =============================================================================
+// SNAPSHOTS
+// =============================================================================
+
+class TooManyFiles extends Error {}
+
+async function hashFile(path: string): Promise<{ hash: string; content: Buffer }> {
+  const content = await readFile(path);
+  return { hash: createHash('sha256').update(content).digest('hex'), content };
+}
+
+/**
+ * Walk `root` without following symlinks. Symlinks are recorded by their
+ * target path, so retargeting one counts as a modification.
+ * `previous` lets an unchanged file (same size and mtime) skip re-hashing.
+ */
+async function takeSnapshot(
+  root: string,
+  config: WorkspaceAuditConfig,
+  previous?: WorkspaceSnapshot
+): Promise<WorkspaceSnapshot> {
+  const files = new Map<string, FileEntry>();
+  const ignore = new Set(config.ignore);
+  let keptBytes = 0;
+
+  async function walk(dir: string): Promise<void> {
+    let names: string[];
+    try {
+      names = await readdir(dir);
+    } catch {
+      return;
+    }
+    for (const name of names) {
+      if (ignore.has(name)) continue;
+      const path = join(dir, name);
+      const stats = await lstat(path).catch(() => null);
+      if (!stats) continue;
+      if (stats.isDirectory()) {
+        await walk(path);
+        continue;
+      }
+      if (!stats.isFile() && !stats.isSymbolicLink()) continue;
+      if (files.size >= config.maxFiles) throw new TooManyFiles();
+
+      const key = relative(root, path);
+      const before = previous?.files.get(key);
+      if (before && before.size === stats.size && before.mtimeMs === stats.mtimeMs) {
+        files.set(key, before);
+        continue;
+      }
+
+      let entry: FileEntry;
+      if (stats.isSymbolicLink()) {
+        const target = await readlink(path).catch(() => '');
+        entry = { size: stats.size, mtimeMs: stats.mtimeMs, hash: `symlink:${target}` };
+      } else {
+        const read = await hashFile(path).catch(() => null);
+        if (!read) continue;
+        entry = { size: stats.size, mtimeMs: stats.mtimeMs, hash: read.hash };
+        if (!previous && config.restore && keptBytes + read.content.length <= config.maxRestoreBytes) {
+          entry.content = read.content;
+          keptBytes += read.content.length;
+        }
+      }
+      files.set(key, entry);
+    }
+  }
+
+  await walk(root);
+  return { root, files };
+}
+
+/** Created, modified and deleted paths between two snapshots, sorted */
+export function diffSnapshots(before: WorkspaceSnapshot, after: WorkspaceSnapshot): WorkspaceAudit {
+  const created: string[] = [];
+  const modified: string[] = [];
+  const deleted: string[] = [];
+  for (const [path, entry] of after.files) {
+    const old = before.files.get(path);
+    if (!old) created.push(path);
+    else if (old.hash !== entry.hash) modified.push(path);
+  }
+  for (const path of before.files.keys()) {
+    if (!after.files.has(path)) deleted.push(path);
+  }
+  return { created: created.sort(), modified: modified.sort(), deleted: deleted.sort() };
+}
+
+/** Whether `path` is still as `after` saw it, i.e. nothing touched it since */
+async function unchangedSince(after: WorkspaceSnapshot, path: string): Promise<boolean> {
+  const entry = after.files.get(path);
+  const target = join(after.root, path);
+  const stats = await lstat(target).catch(() => null);
+  if (!entry || !stats) return !entry && !stats;
+  if (stats.isSymbolicLink()) return entry.hash === `symlink:${await readlink(target).catch(() => '')}`;
+  const read = await hashFile(target).catch(() => null);
+  return read?.hash === entry.hash;
+}
+
+/**
+ * Undo the changes in `audit`: write back the snapshot's contents for
+ * modified and deleted files, and delete created files when `deleteCreated`
+ * is set (otherwise they are kept). A file that changed again since `after`
+ * was taken, or whose contents were not kept (symlinks, or past
+ * `maxRestoreBytes`), is reported as failed and left as it is.
+ */
+async function restoreSnapshot(
+  before: WorkspaceSnapshot,
+  after: WorkspaceSnapshot,
+  audit: WorkspaceAudit,
+  deleteCreated: boolean
+): Promise<{ restored: string[]; kept: string[]; failed: string[] }> {
+  const restored: string[] = [];
+  const kept: string[] = [];
+  const failed: string[] = [];
+
+  for (const path of audit.created) {
+    if (!deleteCreated) {
+      kept.push(path);
+      continue;
+    }
+    if (!(await unchangedSince(after, path))) {
+      failed.push(path);
+      continue;
+    }
+    try {
+      await rm(join(before.root, path), { force: true });
+      restored.push(path);
+    } catch {
+      failed.push(path);
+    }
+  }
+
+  for (const path of [...audit.modified, ...audit.deleted]) {
+    const entry = before.files.get(path)!;
+    if (!entry.content || !(await unchangedSince(after, path))) {
+      failed.push(path);
+      continue;
+    }
+    const target = join(before.root, path);
+    try {
+      await mkdir(dirname(target), { recursive: true });
+      await writeFile(target, entry.content);
+      await utimes(target, entry.mtimeMs / 1000, entry.mtimeMs / 1000);
+      restored.push(path);
+    } catch {
+      failed.push(path);
+    }
+  }
+
+  return { restored: restored.sort(), kept: kept.sort(), failed: failed.sort() };
+}
+
+// =============================================================================
+// AUDITED RUNS
+// =============================================================================
+
+/**
+ * Run `run` between two snapshots of `workingDir`. `audit` is null when
+ * auditing is off in the user config. A `background` run is never restored:
+ * the assistant may be editing the same files while it runs.
+ */
+export async function withWorkspaceAudit<T>(
+  workingDir: string,
+  run: () => Promise<T>,
+  options: { background?: boolean } = {}
+): Promise<{ value: T; audit: WorkspaceAudit | null }> {
+  const config = getConfig().workspaceAudit;
+  if (!config.enabled) return { value: await run(), audit: null };
+
+  let before: WorkspaceSnapshot;
+  try {
+    before = await takeSnapshot(workingDir, config);
+  } catch (error) {
+    if (!(error instanceof TooManyFiles)) throw error;
+    const skipped = `more than ${config.maxFiles.toLocaleString('en-US')} files (workspaceAudit.maxFiles)`;
+    return { value: await run(), audit: { created: [], modified: [], deleted: [], skipped } };
+  }
+
+  const value = await run();
+  let after: WorkspaceSnapshot;
+  try {
+    after = await takeSnapshot(workingDir, config, before);
+  } catch (error) {
+    if (!(error instanceof TooManyFiles)) throw error;
+    const skipped = `the review left more than ${config.maxFiles.toLocaleString('en-US')} files (workspaceAudit.maxFiles)`;
+    return { value, audit: { created: [], modified: [], deleted: [], skipped } };
+  }
+
+  const audit = diffSnapshots(before, after);
+  if (config.restore && hasViolation(audit)) {
+    if (options.background) audit.restoreSkipped = 'the review ran in the background, while your own edits may have landed';
+    else audit.restore = await restoreSnapshot(before, after, audit, config.deleteCreated);
+  }
+  return { value, audit };
+}
+
+export function hasViolation(audit: WorkspaceAudit): boolean {
+  return audit.created.length + audit.modified.length + audit.deleted.length > 0;
+}
+
+/** Markdown block for tool output; empty when the workspace is untouched */
+export function formatWorkspaceAudit(audit: WorkspaceAudit | null): string {
+  if (!audit) return '';
+  if (audit.skipped) return `⚠️ **Workspace audit skipped:** ${audit.skipped}`;
+  if (!hasViolation(audit)) return '';
+
+  const count = audit.created.length + audit.modified.length + audit.deleted.length;
+  const lines = [
+    `🚨 **Security violation:** ${count} file${count === 1 ? '' : 's'} changed in the workspace during a read-only review`,
+    ...audit.created.map(path => `- created: \`${path}\``),
+    ...audit.modified.map(path => `- modified: \`${path}\``),
+    ...audit.deleted.map(path => `- deleted: \`${path}\``),
+  ];
+
+  const list = (paths: string[]) => paths.map(p => `\`${p}\``).join(', ');
+  if (audit.restoreSkipped) {
+    lines.push('', `Not reverted: ${audit.restoreSkipped}. Check these changes before trusting the review.`);
+  } else if (!audit.restore) {
+    lines.push('', 'Check these changes before trusting the review. Set `workspaceAudit.restore` to undo them automatically.');
+  } else if (audit.restore.failed.length === 0 && audit.restore.kept.length === 0) {
+    lines.push('', 'All changes were reverted from the pre-review snapshot.');
+  } else {
+    lines.push('', `Reverted ${audit.restore.restored.length}.`);
+    if (audit.restore.kept.length > 0) lines.push(`Created files were kept: ${list(audit.restore.kept)} (set \`workspaceAudit.deleteCreated\` to delete them)`);
+    if (audit.restore.failed.length > 0) lines.push(`Could not restore (not kept in memory, or changed again since the review): ${list(audit.restore.failed)}`);
+  }
+  return lines.join('\n');
+}
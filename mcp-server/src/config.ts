@@ -2,8 +2,20 @@
  * Runtime configuration for cc-reviewer.
  *
  * Config file: ~/.config/cc-reviewer/config.json
+ * Project file: .cc-reviewer.json in the reviewed directory or any parent
  *
- * Semantics:
+ * Semantics (project file):
+ *   - Found by walking up from the tool call's `workingDir`; the nearest wins.
+ *   - Deep-merged over the user config section by section. An invalid section
+ *     keeps the user's settings for that section, others still apply.
+ *   - May not set `customReviewers` or `pricing` — a cloned repo must not be
+ *     able to run commands on the reviewer's machine — nor `ollama`, whose
+ *     `apiKey` must never be sent to a server the repo picked. `circuitBreaker`
+ *     is server-wide state, and `workspaceAudit`, `redaction` and `isolation`
+ *     are safety nets a repo must not be able to disable, so all four are
+ *     user-only too.
+ *
+ * Semantics (user file):
  *   - Lazy, cached load. `getConfig()` returns the cached config or reads once.
  *   - Missing file → defaults in memory (no write). Use `initConfig()` from the
  *     server entry point to create the file with defaults on first launch.
@@ -17,6 +29,8 @@ import { z } from 'zod';
 import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from 'fs';
 import { dirname, join } from 'path';
 import { homedir } from 'os';
+import { FocusArea } from './types.js';
+import { parseJsonPath } from './decoders/jsonl.js';
 
 // =============================================================================
 // SCHEMA
@@ -56,11 +70,286 @@ export const GeminiConfigSchema = z
   })
   .default({});
 
+/**
+ * Local model served over an OpenAI-compatible HTTP API (Ollama, llama.cpp,
+ * vLLM, LM Studio). `apiKey` is only needed for servers that require a bearer token.
+ * User-only: a project file could otherwise point `baseUrl` at its own host
+ * and receive the key along with the handoff.
+ */
+export const OllamaConfigSchema = z
+  .object({
+    baseUrl: z.string().url().default('http://localhost:11434/v1'),
+    model: z.string().default('qwen2.5-coder:32b'),
+    apiKey: z.string().nullable().default(null),
+    timeoutMs: z.number().int().positive().default(900_000),
+  })
+  .default({});
+
+const FOCUS_AREAS = [
+  'security', 'performance', 'architecture', 'correctness',
+  'maintainability', 'scalability', 'testing', 'documentation',
+] as const satisfies readonly FocusArea[];
+
+/**
+ * Review defaults. Mostly useful per project: the reviewers multi_review
+ * runs, focus areas used when a call names none, standing instructions
+ * (coding standards, banned patterns) added to every handoff prompt, and
+ * how much of a reviewer's context window the handoff may fill.
+ */
+export const ReviewDefaultsSchema = z
+  .object({
+    focusAreas: z.array(z.enum(FOCUS_AREAS)).default([]),
+    instructions: z.string().nullable().default(null),
+    /** Adapter ids multi_review may use; null = every available reviewer */
+    reviewers: z.array(z.string()).nullable().default(null),
+    /** Share of the context window kept free for the reviewer's file reads and answer */
+    contextHeadroom: z.number().min(0).max(0.9).default(0.25),
+  })
+  .default({});
+
+/**
+ * multi_review scheduling. Passes queue for a slot instead of all starting
+ * at once; standard passes go first, adversarial ones queue behind them.
+ * Budgets are per tool call and can be overridden on the call itself.
+ */
+export const MultiReviewConfigSchema = z
+  .object({
+    maxConcurrency: z.number().int().positive().default(4),
+    maxPerAdapter: z.number().int().positive().default(2),
+    /** Per-adapter overrides of maxPerAdapter, e.g. { "gemini": 1 } */
+    adapterLimits: z.record(z.number().int().positive()).default({}),
+    /** Wall-clock budget per call; running passes are cut off, queued ones skipped */
+    timeBudgetMs: z.number().int().positive().nullable().default(null),
+    /** Input + output tokens per call; once spent, queued passes are skipped */
+    tokenBudget: z.number().int().positive().nullable().default(null),
+  })
+  .default({});
+
+/**
+ * Failover for single-reviewer tools. When a reviewer fails with one of the
+ * `on` error types, the same request goes to the next available reviewer in
+ * its chain, e.g. { "codex": ["claude", "gemini"] }. No chains by default.
+ */
+export const FailoverConfigSchema = z
+  .object({
+    /** Adapter id → fallback adapter ids, tried in order */
+    chains: z.record(z.array(z.string())).default({}),
+    on: z
+      .array(z.enum(['rate_limit', 'auth_error', 'timeout', 'cli_not_found', 'cli_error', 'invalid_response']))
+      .default(['rate_limit', 'auth_error', 'timeout']),
+  })
+  .default({});
+
+/**
+ * Retry policy for transient reviewer failures. Backoff doubles from
+ * `baseDelayMs` with jitter, capped at `maxDelayMs`; a retry-after hint from
+ * the reviewer replaces the backoff (hints past `maxDelayMs` are not waited
+ * out). Only error types listed in `on` are retried — auth errors, missing
+ * CLIs and cancellations never are.
+ */
+export const RetryConfigSchema = z
+  .object({
+    /** Tries per review, including the first; 1 disables retries */
+    maxAttempts: z.number().int().positive().default(3),
+    baseDelayMs: z.number().int().nonnegative().default(2_000),
+    maxDelayMs: z.number().int().nonnegative().default(60_000),
+    on: z.array(z.enum(['rate_limit', 'timeout', 'invalid_response', 'cli_error'])).default(['rate_limit']),
+  })
+  .default({});
+
+/**
+ * Per-adapter circuit breaker. After `failureThreshold` failed reviews in a
+ * row the circuit opens: multi_review and failover skip that reviewer for
+ * `cooldownMs`, then let it run again to probe recovery (half-open). Health
+ * is kept in memory for the life of the server.
+ */
+export const CircuitBreakerConfigSchema = z
+  .object({
+    enabled: z.boolean().default(true),
+    failureThreshold: z.number().int().positive().default(3),
+    cooldownMs: z.number().int().nonnegative().default(300_000),
+    /** Recent outcomes kept per adapter for success/failure/latency stats */
+    window: z.number().int().positive().default(20),
+  })
+  .default({});
+
+/**
+ * Review gate run by the git hooks `cc-reviewer hooks install` adds. The
+ * hook blocks when a verified finding is at `failOn` or above, or the risk
+ * score reaches `maxRisk`. A review that fails or runs past `timeoutMs` is
+ * let through unless `onError` is "block".
+ */
+export const HooksConfigSchema = z
+  .object({
+    /** codex, gemini, claude, ollama, multi, or a customReviewers id */
+    reviewer: z.string().default('codex'),
+    failOn: z.enum(['critical', 'high', 'medium', 'low', 'info', 'none']).default('high'),
+    maxRisk: z.number().min(0).max(100).nullable().default(null),
+    timeoutMs: z.number().int().positive().default(600_000),
+    onError: z.enum(['allow', 'block']).default('allow'),
+  })
+  .default({});
+
+/**
+ * Secret redaction. Every prompt is scanned before it leaves the machine:
+ * API keys, tokens, private keys, credentials in .env-style assignments and
+ * URLs, plus `patterns`. Matches are replaced with stable placeholders.
+ * With `refuseOnSecrets`, a review whose handoff holds a high-confidence
+ * secret doesn't run at all. User-only, so a cloned repo can't switch it off.
+ */
+export const RedactionConfigSchema = z
+  .object({
+    enabled: z.boolean().default(true),
+    refuseOnSecrets: z.boolean().default(false),
+    /** Extra detectors; a named group `secret` limits redaction to that part of the match */
+    patterns: z
+      .array(
+        z.object({
+          name: z.string().regex(/^[\w-]+$/, 'Use letters, digits, "_" and "-"'),
+          pattern: z.string().refine(isValidRegex, 'Invalid regular expression'),
+          confidence: z.enum(['high', 'low']).default('high'),
+        })
+      )
+      .default([]),
+  })
+  .default({});
+
+function isValidJsonPath(path: string): boolean {
+  try {
+    parseJsonPath(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isValidRegex(pattern: string): boolean {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Isolated reviews. `worktree` gives reviewers a temporary git checkout of
+ * HEAD (a shared clone with its own .git and no remote) with the uncommitted
+ * and untracked changes applied; `copy` gives them a copy of the files git
+ * doesn't ignore (any directory works, but there is no .git). Either way the
+ * real tree and its .git are out of reach, paths in the output are mapped
+ * back, and the copy is deleted after the review. User config only.
+ */
+export const IsolationConfigSchema = z
+  .object({
+    mode: z.enum(['none', 'worktree', 'copy']).default('none'),
+    /** Larger files are left out of the copy */
+    maxFileBytes: z.number().int().positive().default(5 * 1_048_576),
+    /** A review whose copy would exceed this fails instead of running */
+    maxTotalBytes: z.number().int().positive().default(200 * 1_048_576),
+  })
+  .default({});
+
+/**
+ * Workspace audit. The adapters ask each CLI to stay read-only (sandbox,
+ * plan mode, disallowed tools); with `enabled`, every file under the
+ * reviewed directory is snapshotted before a review and compared after it,
+ * and any change is reported as a security violation. `restore` also puts
+ * changed files back from the snapshot. User-only, so a cloned repo can't
+ * switch it off.
+ */
+export const WorkspaceAuditConfigSchema = z
+  .object({
+    enabled: z.boolean().default(false),
+    restore: z.boolean().default(false),
+    /** Let `restore` delete files created during a review — they may be someone else's */
+    deleteCreated: z.boolean().default(false),
+    /** File and directory names skipped at any depth */
+    ignore: z.array(z.string()).default(['.git', 'node_modules']),
+    /** Larger workspaces are not audited */
+    maxFiles: z.number().int().positive().default(20_000),
+    /** File contents kept in memory for `restore`; files past it are only hashed */
+    maxRestoreBytes: z.number().int().positive().default(64 * 1_048_576),
+  })
+  .default({});
+
+/** USD per million tokens. `cachedInput` defaults to the `input` price. */
+export const ModelPriceSchema = z.object({
+  input: z.number().nonnegative(),
+  cachedInput: z.number().nonnegative().optional(),
+  output: z.number().nonnegative(),
+});
+
+/**
+ * Price table for cost estimates. No prices ship by default — costs are only
+ * shown for models the user has priced. Keys match the reported model id
+ * exactly or as a prefix (e.g. "gemini-3.1-pro" prices "gemini-3.1-pro-preview").
+ * Tier multipliers scale Codex service tiers (fast is billed ~2x, flex ~0.5x).
+ */
+export const PricingConfigSchema = z
+  .object({
+    models: z.record(ModelPriceSchema).default({}),
+    tierMultipliers: z
+      .object({
+        default: z.number().nonnegative().default(1),
+        fast: z.number().nonnegative().default(2),
+        flex: z.number().nonnegative().default(0.5),
+      })
+      .default({}),
+  })
+  .default({});
+
+/**
+ * A reviewer CLI declared entirely in config (aider, llm, internal wrappers).
+ *
+ * `args` and `availability.args` may contain `{prompt}` and `{workingDir}`
+ * placeholders. With `promptDelivery: 'argv'` and no `{prompt}` placeholder,
+ * the prompt is appended as the last argument.
+ */
+export const CustomReviewerSchema = z.object({
+  id: z.string().regex(/^[a-z][a-z0-9_-]*$/, 'lowercase letters, digits, "-" or "_"'),
+  name: z.string().optional(),
+  description: z.string().optional(),
+  command: z.string().min(1),
+  args: z.array(z.string()).default([]),
+  env: z.record(z.string()).optional(),
+  promptDelivery: z.enum(['stdin', 'argv']).default('stdin'),
+  output: z
+    .object({
+      format: z.enum(['text', 'jsonl']).default('text'),
+      /** JSONL only: path to the message text in an event, e.g. `$.item.text`. Last match wins. */
+      messagePath: z.string().refine(isValidJsonPath, 'Unsupported JSON path — use `$.a.b[0].c`').default('$.text'),
+    })
+    .default({}),
+  availability: z
+    .object({
+      command: z.string().optional(),
+      args: z.array(z.string()).default(['--version']),
+    })
+    .default({}),
+  hasFilesystemAccess: z.boolean().default(true),
+  inactivityTimeoutMs: z.number().int().positive().default(300_000),
+  maxTimeoutMs: z.number().int().positive().default(3_600_000),
+  maxBufferSize: z.number().int().positive().default(1_048_576),
+});
+
 export const ConfigSchema = z
   .object({
     codex: CodexConfigSchema,
     claude: ClaudeConfigSchema,
     gemini: GeminiConfigSchema,
+    ollama: OllamaConfigSchema,
+    review: ReviewDefaultsSchema,
+    multiReview: MultiReviewConfigSchema,
+    failover: FailoverConfigSchema,
+    retry: RetryConfigSchema,
+    circuitBreaker: CircuitBreakerConfigSchema,
+    hooks: HooksConfigSchema,
+    redaction: RedactionConfigSchema,
+    isolation: IsolationConfigSchema,
+    workspaceAudit: WorkspaceAuditConfigSchema,
+    pricing: PricingConfigSchema,
+    customReviewers: z.array(CustomReviewerSchema).default([]),
   })
   .default({});
 
@@ -68,6 +357,19 @@ export type Config = z.infer<typeof ConfigSchema>;
 export type CodexConfig = z.infer<typeof CodexConfigSchema>;
 export type ClaudeConfig = z.infer<typeof ClaudeConfigSchema>;
 export type GeminiConfig = z.infer<typeof GeminiConfigSchema>;
+export type OllamaConfig = z.infer<typeof OllamaConfigSchema>;
+export type CustomReviewerConfig = z.infer<typeof CustomReviewerSchema>;
+export type PricingConfig = z.infer<typeof PricingConfigSchema>;
+export type ReviewDefaults = z.infer<typeof ReviewDefaultsSchema>;
+export type MultiReviewConfig = z.infer<typeof MultiReviewConfigSchema>;
+export type FailoverConfig = z.infer<typeof FailoverConfigSchema>;
+export type RetryConfig = z.infer<typeof RetryConfigSchema>;
+export type CircuitBreakerConfig = z.infer<typeof CircuitBreakerConfigSchema>;
+export type HooksConfig = z.infer<typeof HooksConfigSchema>;
+export type RedactionConfig = z.infer<typeof RedactionConfigSchema>;
+export type IsolationConfig = z.infer<typeof IsolationConfigSchema>;
+export type WorkspaceAuditConfig = z.infer<typeof WorkspaceAuditConfigSchema>;
+export type ModelPrice = z.infer<typeof ModelPriceSchema>;
 
 export const DEFAULT_CONFIG: Config = ConfigSchema.parse({});
 
@@ -77,10 +379,15 @@ export const DEFAULT_CONFIG: Config = ConfigSchema.parse({});
 
 const DEFAULT_CONFIG_PATH = join(homedir(), '.config', 'cc-reviewer', 'config.json');
 
+export const PROJECT_CONFIG_FILE = '.cc-reviewer.json';
+
 let _configPath: string = DEFAULT_CONFIG_PATH;
 let _cached: Config | null = null;
 let _cachedMtimeMs: number = 0;
 
+/** Merged configs by project file. `base` is the user config they were merged over. */
+const _projectCache = new Map<string, { mtimeMs: number; base: Config; config: Config }>();
+
 // =============================================================================
 // PUBLIC API
 // =============================================================================
@@ -89,7 +396,99 @@ export function getConfigPath(): string {
   return _configPath;
 }
 
-export function getConfig(): Config {
+/**
+ * Effective config. With a `workingDir`, the nearest `.cc-reviewer.json`
+ * at or above it is layered over the user config.
+ */
+export function getConfig(workingDir?: string): Config {
+  const user = getUserConfig();
+  if (!workingDir) return user;
+
+  const projectPath = findProjectConfig(workingDir);
+  if (!projectPath) return user;
+
+  let mtimeMs: number;
+  try {
+    mtimeMs = statSync(projectPath).mtimeMs;
+  } catch {
+    return user;
+  }
+  const cached = _projectCache.get(projectPath);
+  if (cached && cached.mtimeMs === mtimeMs && cached.base === user) return cached.config;
+
+  const config = loadProjectConfig(projectPath, user);
+  _projectCache.set(projectPath, { mtimeMs, base: user, config });
+  return config;
+}
+
+/**
+ * Nearest project config file at or above `workingDir`, or null.
+ */
+export function findProjectConfig(workingDir: string): string | null {
+  let dir = workingDir;
+  for (;;) {
+    const candidate = join(dir, PROJECT_CONFIG_FILE);
+    if (existsSync(candidate)) return candidate;
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Check a config file against the schemas without loading it. Returns one
+ * message per problem — the same problems getConfig() would warn about and
+ * fall back from. `project` also flags sections a project file may not set.
+ */
+export function validateConfigFile(path: string, scope: 'user' | 'project' = 'user'): string[] {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    const msg = error instanceof Error ? error.message : String(error);
+    return [`Invalid JSON: ${msg}`];
+  }
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    return ['Not a JSON object'];
+  }
+
+  const problems: string[] = [];
+  const known = new Set<string>([...SECTIONS.map(s => s.key), 'customReviewers']);
+  for (const key of Object.keys(raw)) {
+    if (!known.has(key)) problems.push(`Unknown section "${key}"`);
+    else if (scope === 'project' && USER_ONLY_SECTIONS.has(key)) {
+      problems.push(`"${key}" can only be set in ${_configPath}`);
+    }
+  }
+
+  const sections = raw as Record<string, unknown>;
+  for (const { key, schema } of SECTIONS) {
+    const parsed = schema.safeParse(sections[key]);
+    if (!parsed.success) {
+      for (const issue of parsed.error.issues) {
+        problems.push(`${[key, ...issue.path].join('.')}: ${issue.message}`);
+      }
+    }
+  }
+
+  const reviewers = sections.customReviewers;
+  if (reviewers !== undefined && !Array.isArray(reviewers)) {
+    problems.push('customReviewers: must be an array');
+  } else if (Array.isArray(reviewers)) {
+    reviewers.forEach((entry, i) => {
+      const parsed = CustomReviewerSchema.safeParse(entry);
+      if (!parsed.success) {
+        for (const issue of parsed.error.issues) {
+          problems.push(`${[`customReviewers[${i}]`, ...issue.path].join('.')}: ${issue.message}`);
+        }
+      }
+    });
+  }
+
+  return problems;
+}
+
+function getUserConfig(): Config {
   // Hot-reload: re-read if the file's mtime has changed since last load.
   if (_cached) {
     try {
@@ -141,40 +540,65 @@ export function setConfigPathForTesting(path: string | null): void {
   _configPath = path ?? DEFAULT_CONFIG_PATH;
   _cached = null;
   _cachedMtimeMs = 0;
+  _projectCache.clear();
 }
 
 // =============================================================================
 // INTERNAL
 // =============================================================================
 
+/** Sections parsed independently; `customReviewers` is parsed per entry */
+const SECTIONS = [
+  { key: 'codex', schema: CodexConfigSchema },
+  { key: 'claude', schema: ClaudeConfigSchema },
+  { key: 'gemini', schema: GeminiConfigSchema },
+  { key: 'ollama', schema: OllamaConfigSchema },
+  { key: 'review', schema: ReviewDefaultsSchema },
+  { key: 'multiReview', schema: MultiReviewConfigSchema },
+  { key: 'failover', schema: FailoverConfigSchema },
+  { key: 'retry', schema: RetryConfigSchema },
+  { key: 'circuitBreaker', schema: CircuitBreakerConfigSchema },
+  { key: 'hooks', schema: HooksConfigSchema },
+  { key: 'redaction', schema: RedactionConfigSchema },
+  { key: 'isolation', schema: IsolationConfigSchema },
+  { key: 'workspaceAudit', schema: WorkspaceAuditConfigSchema },
+  { key: 'pricing', schema: PricingConfigSchema },
+] as const;
+
+/** Sections a project file may not override */
+const USER_ONLY_SECTIONS = new Set<string>(['customReviewers', 'pricing', 'ollama', 'circuitBreaker', 'workspaceAudit', 'redaction', 'isolation']);
+
 /**
- * Parse each adapter's config independently so a typo in one section only
- * resets that adapter to defaults — the other adapters' settings survive.
+ * Read a config file as a JSON object. Returns null (after warning) when the
+ * file is not valid JSON or not an object.
  */
-function loadConfigFromDisk(path: string): Config {
-  if (!existsSync(path)) return DEFAULT_CONFIG;
-
-  let raw: Record<string, unknown>;
+function readConfigObject(path: string): Record<string, unknown> | null {
   try {
-    raw = JSON.parse(readFileSync(path, 'utf-8'));
+    const raw = JSON.parse(readFileSync(path, 'utf-8'));
     if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
-      console.error(`[cc-reviewer] Config at ${path} is not a JSON object — using defaults.`);
-      return DEFAULT_CONFIG;
+      console.error(`[cc-reviewer] Config at ${path} is not a JSON object — ignoring it.`);
+      return null;
     }
+    return raw;
   } catch (error) {
     const msg = error instanceof Error ? error.message : String(error);
-    console.error(`[cc-reviewer] Invalid JSON in ${path} — using defaults. Error: ${msg}`);
-    return DEFAULT_CONFIG;
+    console.error(`[cc-reviewer] Invalid JSON in ${path} — ignoring it. Error: ${msg}`);
+    return null;
   }
+}
 
-  const adapters = [
-    { key: 'codex', schema: CodexConfigSchema },
-    { key: 'claude', schema: ClaudeConfigSchema },
-    { key: 'gemini', schema: GeminiConfigSchema },
-  ] as const;
+/**
+ * Parse each adapter's config independently so a typo in one section only
+ * resets that adapter to defaults — the other adapters' settings survive.
+ */
+function loadConfigFromDisk(path: string): Config {
+  if (!existsSync(path)) return DEFAULT_CONFIG;
+
+  const raw = readConfigObject(path);
+  if (!raw) return DEFAULT_CONFIG;
 
   const result: Record<string, unknown> = {};
-  for (const { key, schema } of adapters) {
+  for (const { key, schema } of SECTIONS) {
     const section = raw[key];
     try {
       result[key] = schema.parse(section);
@@ -185,5 +609,78 @@ function loadConfigFromDisk(path: string): Config {
     }
   }
 
+  result.customReviewers = parseCustomReviewers(raw.customReviewers);
+
+  return result as Config;
+}
+
+/**
+ * Layer a project file over the user config. Same per-section fallback as
+ * loadConfigFromDisk, except an invalid section falls back to the user's
+ * settings rather than the defaults.
+ */
+function loadProjectConfig(path: string, base: Config): Config {
+  const raw = readConfigObject(path);
+  if (!raw) return base;
+
+  const result: Record<string, unknown> = { ...base };
+  for (const key of Object.keys(raw)) {
+    if (USER_ONLY_SECTIONS.has(key)) {
+      console.error(`[cc-reviewer] "${key}" can only be set in ${_configPath} — ignoring it in ${path}.`);
+    }
+  }
+  for (const { key, schema } of SECTIONS) {
+    if (USER_ONLY_SECTIONS.has(key) || raw[key] === undefined) continue;
+    try {
+      result[key] = schema.parse(deepMerge(base[key], raw[key]));
+    } catch (error) {
+      const msg = error instanceof Error ? error.message : String(error);
+      console.error(`[cc-reviewer] Invalid "${key}" in ${path} — using your ${key} settings. Error: ${msg}`);
+    }
+  }
+
   return result as Config;
 }
+
+/**
+ * Merge plain objects recursively; arrays and scalars in `override` replace.
+ */
+function deepMerge(base: unknown, override: unknown): unknown {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+  const merged: Record<string, unknown> = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = deepMerge(base[key], value);
+  }
+  return merged;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Parse custom reviewer entries one by one so a broken entry is dropped
+ * without taking the others down. Duplicate ids keep the first entry.
+ */
+function parseCustomReviewers(section: unknown): CustomReviewerConfig[] {
+  if (section === undefined) return [];
+  if (!Array.isArray(section)) {
+    console.error('[cc-reviewer] "customReviewers" must be an array — ignoring it.');
+    return [];
+  }
+
+  const reviewers: CustomReviewerConfig[] = [];
+  section.forEach((entry, i) => {
+    const parsed = CustomReviewerSchema.safeParse(entry);
+    if (!parsed.success) {
+      console.error(`[cc-reviewer] Invalid customReviewers[${i}] — skipping it. Error: ${parsed.error.message}`);
+      return;
+    }
+    if (reviewers.some(r => r.id === parsed.data.id)) {
+      console.error(`[cc-reviewer] Duplicate custom reviewer id "${parsed.data.id}" — skipping customReviewers[${i}].`);
+      return;
+    }
+    reviewers.push(parsed.data);
+  });
+  return reviewers;
+}
@@ -0,0 +1,206 @@
+/**
+ * Cross-Model Consensus
+ *
+ * Clusters findings reported by several reviewers (same file/line range,
+ * similar title) so multi_review can present each issue once:
+ * - Agreed clusters are marked "N of M reviewers" with boosted confidence
+ * - Single-model findings are surfaced separately as outliers
+ *
+ * Reviewers are counted per model — a model's standard and adversarial
+ * passes agreeing with each other is not cross-model consensus.
+ */
+
+import { ReviewFinding, SeverityLevel } from './schema.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+export interface ReviewerFindings {
+  /** Model identifier (adapter id) — passes from the same model share it */
+  reviewer: string;
+  findings: ReviewFinding[];
+}
+
+export interface FindingCluster {
+  /** Highest-severity, highest-confidence member — used for display */
+  representative: ReviewFinding;
+  members: Array<{ reviewer: string; finding: ReviewFinding }>;
+  /** Distinct reviewers that reported this issue */
+  reviewers: string[];
+  severity: SeverityLevel;
+  /** Best member confidence boosted by the number of agreeing reviewers */
+  confidence: number;
+}
+
+export interface ConsensusResult {
+  /** Reported by two or more reviewers, strongest agreement first */
+  agreed: FindingCluster[];
+  /** Reported by a single reviewer */
+  outliers: FindingCluster[];
+  /** Distinct reviewers that produced parseable output */
+  reviewers: string[];
+}
+
+// =============================================================================
+// SIMILARITY
+// =============================================================================
+
+/** Lines of slack when comparing ranges — models often cite adjacent lines */
+const LINE_TOLERANCE = 3;
+
+/** Confidence added per additional agreeing reviewer */
+const CONSENSUS_BOOST = 0.15;
+
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'not', 'can', 'may', 'when', 'into', 'missing']);
+
+const SEVERITY_RANK: Record<SeverityLevel, number> = {
+  critical: 4, high: 3, medium: 2, low: 1, info: 0,
+};
+
+function tokenize(text: string): Set<string> {
+  return new Set(
+    text.toLowerCase()
+      .split(/[^a-z0-9_]+/)
+      .filter(t => t.length > 2 && !STOPWORDS.has(t))
+  );
+}
+
+/**
+ * Jaccard similarity of title word sets (0-1)
+ */
+export function titleSimilarity(a: string, b: string): number {
+  const ta = tokenize(a);
+  const tb = tokenize(b);
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+function normalizeFile(file: string): string {
+  return file.replace(/^\.\//, '').replace(/\\/g, '/');
+}
+
+function rangesOverlap(a: ReviewFinding, b: ReviewFinding): boolean {
+  const aStart = a.location?.line_start;
+  const bStart = b.location?.line_start;
+  if (aStart === undefined || bStart === undefined) return false;
+  const aEnd = a.location?.line_end ?? aStart;
+  const bEnd = b.location?.line_end ?? bStart;
+  return aStart <= bEnd + LINE_TOLERANCE && bStart <= aEnd + LINE_TOLERANCE;
+}
+
+/**
+ * Decide whether two findings describe the same issue.
+ * - Different files → never
+ * - Same file, overlapping lines → same category or loosely similar title
+ * - Otherwise → titles must be clearly similar
+ */
+export function isSameIssue(a: ReviewFinding, b: ReviewFinding): boolean {
+  const similarity = titleSimilarity(a.title, b.title);
+
+  if (a.location && b.location) {
+    if (normalizeFile(a.location.file) !== normalizeFile(b.location.file)) return false;
+    if (rangesOverlap(a, b)) return a.category === b.category || similarity >= 0.15;
+  }
+
+  return similarity >= 0.5;
+}
+
+// =============================================================================
+// CLUSTERING
+// =============================================================================
+
+/**
+ * Cluster findings across reviewers and split them into agreed and outliers.
+ */
+export function buildConsensus(reviews: ReviewerFindings[]): ConsensusResult {
+  const reviewers = [...new Set(reviews.map(r => r.reviewer))];
+  const clusters: Array<FindingCluster['members']> = [];
+
+  for (const { reviewer, findings } of reviews) {
+    for (const finding of findings) {
+      const match = clusters.find(members => members.some(m => isSameIssue(m.finding, finding)));
+      if (match) match.push({ reviewer, finding });
+      else clusters.push([{ reviewer, finding }]);
+    }
+  }
+
+  const built = clusters.map(toCluster);
+  const byStrength = (a: FindingCluster, b: FindingCluster) =>
+    b.reviewers.length - a.reviewers.length ||
+    SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] ||
+    b.confidence - a.confidence;
+
+  return {
+    agreed: built.filter(c => c.reviewers.length >= 2).sort(byStrength),
+    outliers: built.filter(c => c.reviewers.length < 2).sort(byStrength),
+    reviewers,
+  };
+}
+
+function toCluster(members: FindingCluster['members']): FindingCluster {
+  const representative = members.reduce((best, m) =>
+    SEVERITY_RANK[m.finding.severity] > SEVERITY_RANK[best.severity] ||
+    (m.finding.severity === best.severity && m.finding.confidence > best.confidence)
+      ? m.finding
+      : best,
+    members[0].finding);
+
+  const reviewers = [...new Set(members.map(m => m.reviewer))];
+  const bestConfidence = Math.max(...members.map(m => m.finding.confidence));
+
+  return {
+    representative,
+    members,
+    reviewers,
+    severity: representative.severity,
+    confidence: Math.min(1, bestConfidence + CONSENSUS_BOOST * (reviewers.length - 1)),
+  };
+}
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+function formatLocation(f: ReviewFinding): string {
+  if (!f.location) return '';
+  return `${f.location.file}${f.location.line_start ? `:${f.location.line_start}` : ''}`;
+}
+
+/**
+ * Format consensus for display
+ */
+export function formatConsensus(consensus: ConsensusResult): string {
+  const lines: string[] = [];
+  const total = consensus.reviewers.length;
+
+  lines.push('## Consensus Findings\n');
+  if (consensus.agreed.length === 0) {
+    lines.push('_No finding was reported by more than one model._\n');
+  }
+  for (const cluster of consensus.agreed) {
+    const f = cluster.representative;
+    const location = formatLocation(f);
+    lines.push(`### ${f.title}`);
+    lines.push(`**Agreed by ${cluster.reviewers.length} of ${total} reviewers** (${cluster.reviewers.join(', ')}) | **Severity:** ${cluster.severity} | **Confidence:** ${Math.round(cluster.confidence * 100)}%`);
+    if (location) lines.push(`**Location:** ${location}`);
+    lines.push(`\n${f.description}`);
+    if (f.suggestion) lines.push(`\n💡 **Suggestion:** ${f.suggestion}`);
+    lines.push('');
+  }
+
+  if (consensus.outliers.length > 0) {
+    lines.push('## Single-Model Findings\n');
+    lines.push('_Reported by one model only — verify before acting._\n');
+    for (const cluster of consensus.outliers) {
+      const f = cluster.representative;
+      const location = formatLocation(f);
+      lines.push(`- **${f.title}** [${cluster.severity}, ${Math.round(cluster.confidence * 100)}%] — ${cluster.reviewers[0]}${location ? ` 📍 ${location}` : ''}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
@@ -6,6 +6,13 @@
  */
 
 import { z } from 'zod';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { extname, relative, resolve, sep } from 'path';
+import { closeSync, existsSync, openSync, readSync, realpathSync, statSync } from 'fs';
+import { StringDecoder } from 'string_decoder';
+
+const execFileAsync = promisify(execFile);
 
 // =============================================================================
 // FILE CHANGE CONTEXT
@@ -16,6 +23,7 @@ import { z } from 'zod';
  */
 export const FileChangeSchema = z.object({
   path: z.string().describe('Relative path from working directory'),
+  previousPath: z.string().optional().describe('Path before a rename'),
   language: z.string().optional().describe('Programming language'),
   changeType: z.enum(['created', 'modified', 'deleted', 'renamed']),
 
@@ -283,23 +291,263 @@ export function buildMinimalContext(
   };
 }
 
+/** Per-file diff cap — keeps one huge generated file from swamping the context */
+const MAX_FILE_DIFF_CHARS = 20_000;
+/** Files beyond this count are listed with stats only (no diff) */
+const MAX_DIFF_FILES = 50;
+const MAX_COMMITS = 50;
+
 /**
- * Build context from git diff
+ * Build context from git diff.
+ *
+ * Compares the working tree (committed + uncommitted + untracked) against the
+ * merge base of `baseBranch` and HEAD. Never throws: when the directory is not
+ * a git repository or the base cannot be resolved (a base starting with `-`
+ * would be read as an option and is never passed to git), returns the same minimal
+ * `{ workingDir, git: { baseBranch } }` shape used before git support existed —
+ * the handoff protocol must work without git.
  */
 export async function buildContextFromGitDiff(
   workingDir: string,
   baseBranch: string = 'main'
 ): Promise<Partial<ReviewContext>> {
-  // This would shell out to git to get actual diff info
-  // For now, return a placeholder
+  const fallback: Partial<ReviewContext> = { workingDir, git: { baseBranch } };
+  if (baseBranch.startsWith('-')) return fallback;
+
+  const inside = await runGit(workingDir, ['rev-parse', '--is-inside-work-tree']);
+  if (inside?.trim() !== 'true') return fallback;
+
+  // Prefer the merge base so upstream commits on baseBranch don't show as changes
+  const mergeBase = (await runGit(workingDir, ['merge-base', baseBranch, 'HEAD']))?.trim()
+    || (await runGit(workingDir, ['rev-parse', '--verify', '--quiet', `${baseBranch}^{commit}`]))?.trim();
+  if (!mergeBase) return fallback;
+
+  const [branchOut, nameStatusOut, numstatOut, untrackedOut, statusOut, logOut] = await Promise.all([
+    runGit(workingDir, ['rev-parse', '--abbrev-ref', 'HEAD']),
+    runGit(workingDir, ['diff', '--name-status', '-M', '-z', mergeBase]),
+    runGit(workingDir, ['diff', '--numstat', '-M', '-z', mergeBase]),
+    runGit(workingDir, ['ls-files', '--others', '--exclude-standard', '-z']),
+    runGit(workingDir, ['status', '--porcelain']),
+    runGit(workingDir, ['log', `--max-count=${MAX_COMMITS}`, '--format=%x1e%H%x1f%s', '--name-only', `${mergeBase}..HEAD`]),
+  ]);
+
+  const files = parseNameStatus(nameStatusOut ?? '');
+  const stats = parseNumstat(numstatOut ?? '');
+  for (const file of files) {
+    const stat = stats.get(file.path);
+    if (stat) {
+      file.linesAdded = stat.added;
+      file.linesRemoved = stat.removed;
+    }
+  }
+
+  // Untracked files are invisible to `git diff` but are part of the work under review
+  for (const path of (untrackedOut ?? '').split('\0').filter(Boolean)) {
+    files.push({ path, changeType: 'created', language: detectLanguage(path) });
+  }
+
+  // Attach diffs for the first MAX_DIFF_FILES files
+  await Promise.all(files.slice(0, MAX_DIFF_FILES).map(async (file) => {
+    const diff = file.changeType === 'created' && !stats.has(file.path)
+      ? await runGit(workingDir, ['diff', '--no-index', '--', '/dev/null', file.path], true)
+      : await runGit(workingDir, ['diff', '-M', mergeBase, '--', ...(file.previousPath ? [file.previousPath] : []), file.path]);
+    if (!diff) return;
+    file.diff = diff.length > MAX_FILE_DIFF_CHARS
+      ? `${diff.slice(0, MAX_FILE_DIFF_CHARS)}\n... [diff truncated]`
+      : diff.trimEnd();
+    if (file.linesAdded === undefined && file.changeType === 'created') {
+      file.linesAdded = diff.split('\n').filter(l => l.startsWith('+') && !l.startsWith('+++')).length;
+      file.linesRemoved = 0;
+    }
+  }));
+
+  const branch = branchOut?.trim();
   return {
     workingDir,
+    changes: {
+      files,
+      totalLinesAdded: files.reduce((sum, f) => sum + (f.linesAdded ?? 0), 0),
+      totalLinesRemoved: files.reduce((sum, f) => sum + (f.linesRemoved ?? 0), 0),
+    },
     git: {
+      branch: branch && branch !== 'HEAD' ? branch : undefined,
       baseBranch,
+      commits: parseLog(logOut ?? ''),
+      uncommittedChanges: (statusOut ?? '').trim().length > 0,
     },
   };
 }
 
+/**
+ * Run a git command, returning stdout or null on any failure.
+ * `allowExitOne` accepts exit code 1, which `git diff --no-index` uses for "differences found".
+ */
+async function runGit(cwd: string, args: string[], allowExitOne = false): Promise<string | null> {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 16 * 1024 * 1024, timeout: 15_000 });
+    return stdout;
+  } catch (error) {
+    const err = error as { code?: unknown; stdout?: string };
+    if (allowExitOne && err.code === 1 && typeof err.stdout === 'string') return err.stdout;
+    return null;
+  }
+}
+
+/** Parse `git diff --name-status -M -z` output into file changes */
+function parseNameStatus(output: string): FileChange[] {
+  const parts = output.split('\0');
+  const files: FileChange[] = [];
+  let i = 0;
+  while (i < parts.length && parts[i]) {
+    const status = parts[i++];
+    if (status.startsWith('R') || status.startsWith('C')) {
+      const previousPath = parts[i++];
+      const path = parts[i++];
+      files.push(status.startsWith('R')
+        ? { path, previousPath, changeType: 'renamed', language: detectLanguage(path) }
+        : { path, changeType: 'created', language: detectLanguage(path) });
+      continue;
+    }
+    const path = parts[i++];
+    const changeType = status === 'A' ? 'created' : status === 'D' ? 'deleted' : 'modified';
+    files.push({ path, changeType, language: detectLanguage(path) });
+  }
+  return files;
+}
+
+/**
+ * Parse `git diff --numstat -M -z` output, keyed by the new path.
+ * Renames are emitted as "added\tremoved\t\0old\0new\0"; binary files report "-".
+ */
+function parseNumstat(output: string): Map<string, { added: number; removed: number }> {
+  const stats = new Map<string, { added: number; removed: number }>();
+  const parts = output.split('\0');
+  let i = 0;
+  while (i < parts.length && parts[i]) {
+    const [added, removed, path] = parts[i++].split('\t');
+    const target = path ? path : (i++, parts[i++]); // rename: skip old path, take new
+    stats.set(target, {
+      added: added === '-' ? 0 : parseInt(added, 10),
+      removed: removed === '-' ? 0 : parseInt(removed, 10),
+    });
+  }
+  return stats;
+}
+
+/** Parse `git log --format=%x1e%H%x1f%s --name-only` output */
+function parseLog(output: string): NonNullable<GitContext['commits']> {
+  return output.split('\x1e').filter(r => r.trim()).map((record) => {
+    const [header, ...rest] = record.split('\n');
+    const [hash, message] = header.split('\x1f');
+    return { hash, message: message ?? '', filesChanged: rest.map(l => l.trim()).filter(Boolean) };
+  });
+}
+
+const LANGUAGES: Record<string, string> = {
+  '.ts': 'typescript', '.tsx': 'typescript', '.js': 'javascript', '.jsx': 'javascript',
+  '.mjs': 'javascript', '.cjs': 'javascript', '.py': 'python', '.go': 'go', '.rs': 'rust',
+  '.java': 'java', '.kt': 'kotlin', '.rb': 'ruby', '.php': 'php', '.cs': 'csharp',
+  '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.hpp': 'cpp', '.swift': 'swift', '.sh': 'shell',
+  '.sql': 'sql', '.md': 'markdown', '.json': 'json', '.yaml': 'yaml', '.yml': 'yaml',
+};
+
+function detectLanguage(path: string): string | undefined {
+  return LANGUAGES[extname(path).toLowerCase()];
+}
+
+// =============================================================================
+// FILE INLINING — for reviewers without filesystem access
+// =============================================================================
+
+export const InlineFileSchema = z.object({
+  path: z.string().describe('Relative path from working directory'),
+  content: z.string(),
+  truncated: z.boolean().describe('Content was cut to fit the prompt budget'),
+});
+export type InlineFile = z.infer<typeof InlineFileSchema>;
+
+/** Characters kept per file / across all files when inlining; no more bytes than that are read */
+const MAX_INLINE_FILE_CHARS = 40_000;
+const MAX_INLINE_TOTAL_CHARS = 160_000;
+
+/**
+ * Read files so they can be pasted into the prompt of a reviewer that cannot
+ * open them itself. Paths outside `workingDir`, directories, binaries and
+ * missing files are skipped; content is capped per file and in total, and
+ * only the capped prefix of a large file is read.
+ */
+export function readInlineFiles(workingDir: string, paths: string[]): InlineFile[] {
+  let root: string;
+  try {
+    root = realpathSync(workingDir);
+  } catch {
+    return [];
+  }
+
+  const files: InlineFile[] = [];
+  const seen = new Set<string>();
+  let budget = MAX_INLINE_TOTAL_CHARS;
+
+  for (const path of paths) {
+    if (budget <= 0) break;
+    const absolute = resolve(root, path);
+    if (!existsSync(absolute)) continue;
+
+    let real: string;
+    let size: number;
+    try {
+      real = realpathSync(absolute);
+      const stats = statSync(real);
+      if (!stats.isFile()) continue;
+      size = stats.size;
+    } catch {
+      continue;
+    }
+    if (real !== root && !real.startsWith(root + sep)) continue;
+
+    const rel = relative(root, real);
+    if (seen.has(rel)) continue;
+    seen.add(rel);
+
+    const limit = Math.min(MAX_INLINE_FILE_CHARS, budget);
+    const head = readHead(real, Math.min(size, limit));
+    if (head === null) continue;
+    // A UTF-8 character takes at least one byte, so `limit` bytes never decode to more than `limit` characters
+    const content = new StringDecoder('utf8').write(head);
+    if (content.includes('\0')) continue;
+
+    const truncated = size > head.length;
+    budget -= content.length;
+    files.push({ path: rel, content, truncated });
+  }
+
+  return files;
+}
+
+/** The first `bytes` bytes of a file, or null if it cannot be read */
+function readHead(path: string, bytes: number): Buffer | null {
+  let fd: number;
+  try {
+    fd = openSync(path, 'r');
+  } catch {
+    return null;
+  }
+  try {
+    const buffer = Buffer.alloc(bytes);
+    let read = 0;
+    while (read < bytes) {
+      const n = readSync(fd, buffer, read, bytes - read, read);
+      if (n === 0) break;
+      read += n;
+    }
+    return buffer.subarray(0, read);
+  } catch {
+    return null;
+  } finally {
+    closeSync(fd);
+  }
+}
+
 // =============================================================================
 // CONTEXT OPTIMIZATION
 // =============================================================================
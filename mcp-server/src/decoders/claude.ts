@@ -50,6 +50,7 @@ export class ClaudeEventDecoder {
   private _error: string | null = null;
   private _eventCount = 0;
   private _durationMs: number | null = null;
+  private _model: string | null = null;
 
   // =============================================================================
   // PUBLIC API
@@ -88,6 +89,11 @@ export class ClaudeEventDecoder {
     return this._durationMs;
   }
 
+  /** Resolved model id from the init event (e.g. the full id behind "opus") */
+  getModel(): string | null {
+    return this._model;
+  }
+
   hasNoOutput(): boolean {
     return this._eventCount > 0 && this._finalResponse === null;
   }
@@ -100,6 +106,12 @@ export class ClaudeEventDecoder {
     this._eventCount++;
 
     switch (event.type) {
+      case 'system':
+        if (event.subtype === 'init' && event.model) {
+          this._model = event.model;
+        }
+        break;
+
       case 'result':
         // The result event contains the final text response
         if (event.subtype === 'success' && typeof event.result === 'string') {
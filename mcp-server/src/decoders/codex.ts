@@ -61,6 +61,9 @@ export class CodexEventDecoder {
   // Count of events received (0 = possible rate limit / instant rejection)
   private _eventCount = 0;
 
+  // Conversation id from thread.started — needed to resume the thread later
+  private _threadId: string | null = null;
+
   // =============================================================================
   // PUBLIC API
   // =============================================================================
@@ -102,6 +105,13 @@ export class CodexEventDecoder {
     return this._usage;
   }
 
+  /**
+   * Returns the `thread_id` from the `thread.started` event, or `null`.
+   */
+  getThreadId(): string | null {
+    return this._threadId;
+  }
+
   /**
    * Returns the error message from `error` or `turn.failed` events, or `null`.
    */
@@ -133,6 +143,10 @@ export class CodexEventDecoder {
       this._finalResponse = event.item.text;
     }
 
+    if (event.type === 'thread.started' && typeof event.thread_id === 'string') {
+      this._threadId = event.thread_id;
+    }
+
     // Track usage from turn completion
     if (event.type === 'turn.completed' && event.usage != null) {
       this._usage = event.usage;
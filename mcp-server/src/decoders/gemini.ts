@@ -19,6 +19,7 @@ export interface GeminiEvent {
     total_tokens: number;
     input_tokens: number;
     output_tokens: number;
+    cached?: number;
     duration_ms: number;
     [key: string]: unknown;
   };
@@ -27,6 +28,7 @@ export interface GeminiEvent {
 export class GeminiEventDecoder {
   private assistantChunks: string[] = [];
   private _stats: GeminiEvent['stats'] | null = null;
+  private _model: string | null = null;
   onProgress?: (eventType: string, detail?: string) => void;
 
   processLine(line: string): void {
@@ -44,6 +46,11 @@ export class GeminiEventDecoder {
     this.onProgress?.(event.type, this.describeEvent(event));
 
     switch (event.type) {
+      case 'init':
+        if (event.model) {
+          this._model = event.model;
+        }
+        break;
       case 'message':
         if (event.role === 'assistant' && event.delta && event.content) {
           this.assistantChunks.push(event.content);
@@ -65,6 +72,10 @@ export class GeminiEventDecoder {
     return this._stats;
   }
 
+  getModel(): string | null {
+    return this._model;
+  }
+
   private describeEvent(event: GeminiEvent): string {
     switch (event.type) {
       case 'init':
@@ -4,3 +4,4 @@ export { GeminiEventDecoder } from './gemini.js';
 export type { GeminiEvent } from './gemini.js';
 export { ClaudeEventDecoder } from './claude.js';
 export type { ClaudeEvent } from './claude.js';
+export { JsonPathDecoder, parseJsonPath } from './jsonl.js';
@@ -0,0 +1,80 @@
+/**
+ * JsonPathDecoder — Extracts the final message from arbitrary JSONL output.
+ *
+ * Used by config-defined reviewers whose CLI emits one JSON event per line.
+ * Each line is probed with a small JSONPath subset (`$.a.b[0].c`); the last
+ * line where the path resolves to a non-empty string is the final response.
+ */
+
+type PathSegment = string | number;
+
+/**
+ * Parse `$.item.content[0].text` (leading `$` and `.` optional) into segments.
+ * Throws on anything outside the supported subset.
+ */
+export function parseJsonPath(path: string): PathSegment[] {
+  const body = path.trim().replace(/^\$/, '').replace(/^\./, '');
+  if (!body) throw new Error(`Empty JSON path: "${path}"`);
+  if (path.includes('..')) throw new Error(`Recursive descent is not supported: "${path}"`);
+
+  const segments: PathSegment[] = [];
+  const pattern = /([^.[\]]+)|\[(\d+)\]|\['([^']+)'\]/g;
+  let consumed = 0;
+  for (const match of body.matchAll(pattern)) {
+    const between = body.slice(consumed, match.index);
+    if (between !== '' && between !== '.') throw new Error(`Unsupported JSON path: "${path}"`);
+    consumed = match.index! + match[0].length;
+    if (match[1] !== undefined) segments.push(match[1]);
+    else if (match[2] !== undefined) segments.push(Number(match[2]));
+    else segments.push(match[3]);
+  }
+  if (consumed !== body.length) throw new Error(`Unsupported JSON path: "${path}"`);
+  return segments;
+}
+
+export class JsonPathDecoder {
+  private readonly segments: PathSegment[];
+  private lastMessage = '';
+  private eventCount = 0;
+  onProgress?: (eventType: string, detail?: string) => void;
+
+  constructor(messagePath: string) {
+    this.segments = parseJsonPath(messagePath);
+  }
+
+  processLine(line: string): void {
+    let event: unknown;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      return;
+    }
+    if (typeof event !== 'object' || event === null) return;
+
+    this.eventCount++;
+    const type = (event as Record<string, unknown>).type;
+    this.onProgress?.(typeof type === 'string' ? type : 'event');
+
+    const value = this.resolve(event);
+    if (typeof value === 'string' && value.trim()) {
+      this.lastMessage = value;
+    }
+  }
+
+  getFinalResponse(): string {
+    return this.lastMessage;
+  }
+
+  getEventCount(): number {
+    return this.eventCount;
+  }
+
+  private resolve(event: unknown): unknown {
+    let current: unknown = event;
+    for (const segment of this.segments) {
+      if (current === null || typeof current !== 'object') return undefined;
+      current = (current as Record<string | number, unknown>)[segment];
+    }
+    return current;
+  }
+}
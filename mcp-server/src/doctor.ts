@@ -0,0 +1,312 @@
+/**
+ * Doctor — setup diagnostics for `npx cc-reviewer doctor`
+ *
+ * Checks what the MCP server otherwise only logs to stderr at startup, where
+ * nobody reads it: each reviewer CLI is on PATH, reports a version, accepts
+ * the flags the adapters pass, and is authenticated; the config files match
+ * the schemas; the slash commands are installed and current. Every problem
+ * comes with the command or edit that fixes it.
+ *
+ * Probes only run `--version`, `--help` and status commands — never a review.
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { CliExecutor } from './executor.js';
+import { getCommandPaths } from './commands.js';
+import { findProjectConfig, getConfig, getConfigPath, validateConfigFile } from './config.js';
+import { getAllAdapters } from './adapters/base.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+export type CheckStatus = 'ok' | 'warn' | 'fail';
+
+export interface DoctorCheck {
+  name: string;
+  status: CheckStatus;
+  detail: string;
+  /** Command or edit that resolves a warn/fail */
+  fix?: string;
+}
+
+export interface DoctorSection {
+  title: string;
+  checks: DoctorCheck[];
+}
+
+/** How to probe one reviewer CLI */
+export interface CliSpec {
+  id: string;
+  title: string;
+  command: string;
+  install: string;
+  /** Arguments that print the help listing the flags below */
+  helpArgs: string[];
+  /** Flags the adapter passes; "--flag value" also requires the value in the help */
+  flags: string[];
+  auth: () => Promise<DoctorCheck>;
+}
+
+/** Probes are quick local commands; anything slower counts as hung */
+const PROBE_TIMEOUT_MS = 10_000;
+
+// =============================================================================
+// PROBES
+// =============================================================================
+
+/**
+ * Run a probe command. Null when the command is not on PATH; exit code -1
+ * when it hung or was killed.
+ */
+async function probe(command: string, args: string[]): Promise<{ exitCode: number; output: string } | null> {
+  try {
+    const result = await new CliExecutor({
+      command,
+      args,
+      cwd: process.cwd(),
+      inactivityTimeoutMs: PROBE_TIMEOUT_MS,
+      maxTimeoutMs: PROBE_TIMEOUT_MS,
+    }).run();
+    return { exitCode: result.exitCode, output: `${result.rawStdout}\n${result.stderr}` };
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+    return { exitCode: -1, output: '' };
+  }
+}
+
+/** First dotted version number in the output, e.g. "0.46.0" */
+export function parseVersion(output: string): string | null {
+  return output.match(/\d+\.\d+(?:\.\d+)?(?:[-+][\w.]+)?/)?.[0] ?? null;
+}
+
+/**
+ * Flags from `flags` the help text does not mention. A "--flag value" entry
+ * is missing when either part is.
+ */
+export function missingFlags(help: string, flags: string[]): string[] {
+  const mentions = (token: string) =>
+    new RegExp(`(^|[^\\w-])${token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w-])`).test(help);
+  return flags.filter(flag => !flag.split(' ').every(mentions));
+}
+
+function hasAnyEnv(names: string[]): string | undefined {
+  return names.find(name => process.env[name]);
+}
+
+const CLI_SPECS: CliSpec[] = [
+  {
+    id: 'codex',
+    title: 'Codex',
+    command: 'codex',
+    install: 'npm install -g @openai/codex-cli',
+    helpArgs: ['exec', '--help'],
+    flags: ['--json', '--model', '--config', '--full-auto', '--sandbox read-only', '--skip-git-repo-check', '--cd', 'resume'],
+    auth: async () => {
+      const result = await probe('codex', ['login', 'status']);
+      if (result?.exitCode === 0) return { name: 'Auth', status: 'ok', detail: result.output.trim().split('\n')[0] || 'Logged in' };
+      if (result === null || result.exitCode === -1) {
+        return { name: 'Auth', status: 'warn', detail: '`codex login status` did not answer', fix: 'Run `codex login status` to check' };
+      }
+      return { name: 'Auth', status: 'fail', detail: 'Not logged in', fix: 'Run `codex login`' };
+    },
+  },
+  {
+    id: 'gemini',
+    title: 'Gemini',
+    command: 'gemini',
+    install: 'npm install -g @google/gemini-cli',
+    helpArgs: ['--help'],
+    flags: ['--sandbox', '--approval-mode plan', '--output-format stream-json', '--include-directories', '--prompt', '--model'],
+    auth: async () => {
+      const key = hasAnyEnv(['GEMINI_API_KEY', 'GOOGLE_API_KEY', 'GOOGLE_GENAI_USE_VERTEXAI']);
+      if (key) return { name: 'Auth', status: 'ok', detail: `${key} is set` };
+      if (existsSync(join(homedir(), '.gemini', 'oauth_creds.json'))) {
+        return { name: 'Auth', status: 'ok', detail: 'Google login found in ~/.gemini' };
+      }
+      return { name: 'Auth', status: 'fail', detail: 'No API key or Google login found',
+        fix: 'Run `gemini` and follow the auth prompts, or set GEMINI_API_KEY' };
+    },
+  },
+  {
+    id: 'claude',
+    title: 'Claude',
+    command: 'claude',
+    install: 'See https://docs.anthropic.com/en/docs/claude-code',
+    helpArgs: ['--help'],
+    flags: [
+      '--print', '--model', '--setting-sources', '--permission-mode plan', '--verbose',
+      '--output-format stream-json', '--no-session-persistence', '--disable-slash-commands', '--disallowed-tools',
+    ],
+    auth: async () => {
+      const key = hasAnyEnv(['ANTHROPIC_API_KEY', 'CLAUDE_CODE_OAUTH_TOKEN']);
+      if (key) return { name: 'Auth', status: 'ok', detail: `${key} is set` };
+      if (existsSync(join(homedir(), '.claude', '.credentials.json'))) {
+        return { name: 'Auth', status: 'ok', detail: 'Login found in ~/.claude' };
+      }
+      // On macOS the login lives in the keychain, which we can't read
+      return { name: 'Auth', status: 'warn', detail: 'Could not confirm a login (it may be in the system keychain)',
+        fix: 'If reviews fail with an auth error, run `claude auth`' };
+    },
+  },
+];
+
+/**
+ * Binary, version, flags and auth for one CLI. Stops after the binary check
+ * when the CLI is not installed — a warning, since most setups use only some
+ * of the reviewers.
+ */
+export async function checkCli(spec: CliSpec): Promise<DoctorSection> {
+  const checks: DoctorCheck[] = [];
+  const upgrade = spec.install.startsWith('npm ') ? `${spec.install}@latest` : spec.install;
+
+  const version = await probe(spec.command, ['--version']);
+  if (version === null) {
+    checks.push({ name: 'Binary', status: 'warn', detail: `\`${spec.command}\` not found on PATH — ${spec.id}_review won't run`, fix: spec.install });
+    return { title: spec.title, checks };
+  }
+  const parsed = parseVersion(version.output);
+  checks.push(parsed && version.exitCode === 0
+    ? { name: 'Binary', status: 'ok', detail: `${spec.command} ${parsed}` }
+    : { name: 'Binary', status: 'warn', detail: `\`${spec.command} --version\` gave no version`, fix: upgrade });
+
+  const help = await probe(spec.command, spec.helpArgs);
+  const answered = help !== null && help.exitCode !== -1;
+  const missing = answered ? missingFlags(help.output, spec.flags) : spec.flags;
+  checks.push(missing.length === 0
+    ? { name: 'Flags', status: 'ok', detail: `${spec.flags.length} flags supported` }
+    : { name: 'Flags', status: 'fail', fix: `Upgrade: ${upgrade}`,
+      detail: answered ? `Not accepted: ${missing.join(', ')}` : `\`${spec.command} ${spec.helpArgs.join(' ')}\` did not answer` });
+
+  checks.push(await spec.auth());
+  return { title: spec.title, checks };
+}
+
+/**
+ * Local model server and config-defined reviewers, through their adapters'
+ * own availability checks. Ollama is opt-in, so an unreachable server is a
+ * warning; a declared custom reviewer that can't run is a failure.
+ */
+async function checkOtherReviewers(): Promise<DoctorSection> {
+  const cfg = getConfig();
+  const checks: DoctorCheck[] = [];
+  for (const adapter of getAllAdapters()) {
+    if (CLI_SPECS.some(spec => spec.id === adapter.id)) continue;
+    const available = await adapter.isAvailable();
+    const name = adapter.getCapabilities().name;
+    if (adapter.id === 'ollama') {
+      checks.push(available
+        ? { name, status: 'ok', detail: `Serving ${cfg.ollama.model} at ${cfg.ollama.baseUrl}` }
+        : { name, status: 'warn', detail: `${cfg.ollama.model} not reachable at ${cfg.ollama.baseUrl}`,
+          fix: `Start it with \`ollama serve\` and \`ollama pull ${cfg.ollama.model}\` (only needed for ollama_review)` });
+    } else {
+      checks.push(available
+        ? { name, status: 'ok', detail: 'Availability check passed' }
+        : { name, status: 'fail', detail: 'Availability check failed',
+          fix: `Check "command" and "availability" for "${adapter.id}" in ${getConfigPath()}` });
+    }
+  }
+  return { title: 'Other reviewers', checks };
+}
+
+function checkConfigFiles(): DoctorSection {
+  const checks: DoctorCheck[] = [];
+  const userPath = getConfigPath();
+  if (!existsSync(userPath)) {
+    checks.push({ name: 'User config', status: 'warn', detail: `${userPath} does not exist — using defaults`,
+      fix: 'Start the MCP server once to write the defaults' });
+  } else {
+    checks.push(configCheck('User config', userPath, validateConfigFile(userPath)));
+  }
+
+  const projectPath = findProjectConfig(process.cwd());
+  if (projectPath) checks.push(configCheck('Project config', projectPath, validateConfigFile(projectPath, 'project')));
+
+  return { title: 'Config', checks };
+}
+
+function configCheck(name: string, path: string, problems: string[]): DoctorCheck {
+  if (problems.length === 0) return { name, status: 'ok', detail: path };
+  return {
+    name,
+    status: 'fail',
+    detail: `${path}\n${problems.map(p => `  - ${p}`).join('\n')}`,
+    fix: 'Fix the listed entries — invalid sections fall back to defaults',
+  };
+}
+
+function checkSlashCommands(): DoctorSection {
+  const { source, target } = getCommandPaths();
+  const files = existsSync(source) ? readdirSync(source).filter(f => f.endsWith('.md')) : [];
+  const missing = files.filter(f => !existsSync(join(target, f)));
+  const stale = files.filter(f => !missing.includes(f)
+    && readFileSync(join(target, f), 'utf-8') !== readFileSync(join(source, f), 'utf-8'));
+
+  let check: DoctorCheck;
+  if (missing.length > 0) {
+    check = { name: 'Installed', status: 'fail', detail: `Missing in ${target}: ${missing.map(f => `/${f.replace('.md', '')}`).join(', ')}`,
+      fix: 'npx cc-reviewer update' };
+  } else if (stale.length > 0) {
+    check = { name: 'Installed', status: 'warn', detail: `Out of date: ${stale.map(f => `/${f.replace('.md', '')}`).join(', ')}`,
+      fix: 'npx cc-reviewer update' };
+  } else {
+    check = { name: 'Installed', status: 'ok', detail: `${files.length} commands in ${target}` };
+  }
+  return { title: 'Slash commands', checks: [check] };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Run every check. Adapters must already be registered (adapters/index.js).
+ * CLIs are probed one at a time to keep the output order stable.
+ */
+export async function runDoctor(): Promise<DoctorSection[]> {
+  const sections: DoctorSection[] = [];
+  for (const spec of CLI_SPECS) sections.push(await checkCli(spec));
+  const others = await checkOtherReviewers();
+  sections.push(others);
+
+  // checkCli only gets past the binary check for CLIs that are installed
+  const installed = sections.some(s => s.checks.some(c => c.name === 'Flags'))
+    || others.checks.some(c => c.status === 'ok');
+  if (!installed) {
+    others.checks.push({ name: 'Any reviewer', status: 'fail', detail: 'No reviewer can run',
+      fix: 'Install at least one of the CLIs above, or start a local model server' });
+  }
+
+  sections.push(checkConfigFiles());
+  sections.push(checkSlashCommands());
+  return sections.filter(s => s.checks.length > 0);
+}
+
+const STATUS_ICON: Record<CheckStatus, string> = { ok: '✓', warn: '!', fail: '✗' };
+
+export function formatDoctorReport(sections: DoctorSection[]): string {
+  const lines: string[] = [];
+  for (const section of sections) {
+    lines.push(section.title);
+    for (const check of section.checks) {
+      lines.push(`  ${STATUS_ICON[check.status]} ${check.name}: ${check.detail.replace(/\n/g, '\n    ')}`);
+      if (check.fix && check.status !== 'ok') lines.push(`    → ${check.fix}`);
+    }
+    lines.push('');
+  }
+
+  const all = sections.flatMap(s => s.checks);
+  const failed = all.filter(c => c.status === 'fail').length;
+  const warned = all.filter(c => c.status === 'warn').length;
+  lines.push(failed === 0 && warned === 0
+    ? 'All checks passed.'
+    : `${failed} problem${failed === 1 ? '' : 's'}, ${warned} warning${warned === 1 ? '' : 's'}.`);
+  return lines.join('\n');
+}
+
+/** 1 when any check failed — warnings alone don't fail the run */
+export function doctorExitCode(sections: DoctorSection[]): number {
+  return sections.some(s => s.checks.some(c => c.status === 'fail')) ? 1 : 0;
+}
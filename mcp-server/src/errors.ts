@@ -192,12 +192,13 @@ export function detectErrorType(
 }
 
 /**
- * Parse retry-after from error response
+ * Parse retry-after from error response ("Retry-After: 30", "retry in 12.5s")
  */
 export function parseRetryAfter(errorMessage: string): number | undefined {
-  const match = errorMessage.match(/retry[- ]?after[:\s]+(\d+)/i);
+  const match = errorMessage.match(/retry[- ]?after[:\s]+(\d+)/i)
+    ?? errorMessage.match(/retry in (\d+(?:\.\d+)?)\s*s\b/i);
   if (match) {
-    return parseInt(match[1]) * 1000; // Convert to ms
+    return Math.ceil(parseFloat(match[1]) * 1000); // Convert to ms
   }
   return undefined;
 }
@@ -9,6 +9,13 @@
  *   - Max buffer size enforcement with truncation flag
  *   - Settled guard to prevent double resolve/reject
  *   - Dynamic inactivity timeout adjustment via setInactivityTimeout()
+ *   - Cancellation via AbortSignal
+ *
+ * Children are spawned in their own process group (POSIX) so a timeout or
+ * cancellation kills the whole tree — CLIs that fork helpers or shells don't
+ * leave orphans burning tokens. Being detached, the groups would also
+ * outlive the server, so running ones are tracked and killChildrenOnExit()
+ * takes them down with it.
  */
 
 import { spawn } from 'child_process';
@@ -56,6 +63,11 @@ export interface CliExecutorOptions {
    * Default: 1_048_576 (1 MB).
    */
   maxBufferSize?: number;
+  /**
+   * Aborting kills the process tree and rejects with Error('CANCELLED').
+   * An already-aborted signal rejects without spawning.
+   */
+  signal?: AbortSignal;
 }
 
 export interface CliResult {
@@ -71,14 +83,55 @@ export interface CliResult {
   truncated: boolean;
 }
 
+/** Time a killed process group gets to exit after SIGTERM before SIGKILL */
+const KILL_GRACE_MS = 5_000;
+
+/** Time running children get to exit after SIGTERM when the server shuts down */
+const SHUTDOWN_GRACE_MS = 1_000;
+
+/** Signal senders for the process group of every child still running */
+const liveChildren = new Set<(sig: NodeJS.Signals) => void>();
+
+/**
+ * Send `sig` to the process group of every running child. Returns how many
+ * were signalled.
+ */
+export function killAllChildren(sig: NodeJS.Signals = 'SIGTERM'): number {
+  for (const send of liveChildren) send(sig);
+  return liveChildren.size;
+}
+
+/** The parts of `process` killChildrenOnExit() hooks into; tests pass a stand-in */
+export interface ShutdownHost {
+  once(event: string, listener: () => void): unknown;
+  stdin: { once(event: string, listener: () => void): unknown };
+  exit(code: number): void;
+}
+
+/**
+ * Take running children down with the server. On SIGINT, SIGTERM or stdin
+ * closing (the MCP client went away) they get SIGTERM and a moment to exit
+ * before the server does; whatever is left at exit gets SIGKILL.
+ */
+export function killChildrenOnExit(host: ShutdownHost = process): void {
+  host.once('exit', () => killAllChildren('SIGKILL'));
+  const shutdown = (code: number) => () => {
+    if (killAllChildren('SIGTERM') === 0) host.exit(code);
+    else setTimeout(() => host.exit(code), SHUTDOWN_GRACE_MS);
+  };
+  host.once('SIGINT', shutdown(130));
+  host.once('SIGTERM', shutdown(143));
+  host.stdin.once('end', shutdown(0));
+}
+
 // =============================================================================
 // EXECUTOR
 // =============================================================================
 
 export class CliExecutor {
   private readonly opts: Required<
-    Omit<CliExecutorOptions, 'stdin' | 'env' | 'onLine' | 'onStderr'>
-  > & Pick<CliExecutorOptions, 'stdin' | 'env' | 'onLine' | 'onStderr'>;
+    Omit<CliExecutorOptions, 'stdin' | 'env' | 'onLine' | 'onStderr' | 'signal'>
+  > & Pick<CliExecutorOptions, 'stdin' | 'env' | 'onLine' | 'onStderr' | 'signal'>;
 
   /**
    * Mutable inactivity timeout — callers can tighten it after first streaming
@@ -108,6 +161,7 @@ export class CliExecutor {
       env: options.env,
       onLine: options.onLine,
       onStderr: options.onStderr,
+      signal: options.signal,
       inactivityTimeoutMs: options.inactivityTimeoutMs ?? 120_000,
       maxTimeoutMs: options.maxTimeoutMs ?? 3_600_000,
       maxBufferSize: options.maxBufferSize ?? 1_048_576,
@@ -136,10 +190,17 @@ export class CliExecutor {
    * normal completion (any exit code) or rejects with:
    *   - Error('TIMEOUT')     — inactivity timeout exceeded
    *   - Error('MAX_TIMEOUT') — absolute max timeout exceeded
+   *   - Error('CANCELLED')   — the abort signal fired
    *   - ENOENT / other spawn errors propagated from child_process
    */
   run(): Promise<CliResult> {
     return new Promise<CliResult>((resolve, reject) => {
+      const { signal } = this.opts;
+      if (signal?.aborted) {
+        reject(new Error('CANCELLED'));
+        return;
+      }
+
       // ------------------------------------------------------------------
       // Settled guard — prevents double resolve/reject when, e.g., the
       // inactivity timer fires and then the `close` event also fires.
@@ -160,8 +221,35 @@ export class CliExecutor {
         env: this.opts.env
           ? { ...process.env, ...this.opts.env }
           : { ...process.env },
+        // Own process group, so killTree() reaches grandchildren too
+        detached: process.platform !== 'win32',
       });
 
+      // ------------------------------------------------------------------
+      // Process-tree kill — SIGTERM the group, SIGKILL if it lingers
+      // ------------------------------------------------------------------
+      let killTimer: ReturnType<typeof setTimeout> | undefined;
+      const sendSignal = (sig: NodeJS.Signals): void => {
+        try {
+          if (proc.pid !== undefined && process.platform !== 'win32') process.kill(-proc.pid, sig);
+          else proc.kill(sig);
+        } catch {
+          // Group already gone
+        }
+      };
+      const killTree = (): void => {
+        sendSignal('SIGTERM');
+        killTimer ??= setTimeout(() => sendSignal('SIGKILL'), KILL_GRACE_MS);
+        killTimer.unref();
+      };
+      liveChildren.add(sendSignal);
+
+      const onAbort = (): void => {
+        killTree();
+        settle(() => reject(new Error('CANCELLED')));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
       // ------------------------------------------------------------------
       // Stdin delivery
       // ------------------------------------------------------------------
@@ -195,14 +283,14 @@ export class CliExecutor {
       // Timers
       // ------------------------------------------------------------------
       const maxTimer = setTimeout(() => {
-        proc.kill('SIGTERM');
+        killTree();
         settle(() => reject(new Error('MAX_TIMEOUT')));
       }, this.opts.maxTimeoutMs);
 
       const resetInactivity = (): void => {
         clearTimeout(this.inactivityTimer);
         this.inactivityTimer = setTimeout(() => {
-          proc.kill('SIGTERM');
+          killTree();
           settle(() => reject(new Error('TIMEOUT')));
         }, this.currentInactivityMs);
       };
@@ -284,8 +372,11 @@ export class CliExecutor {
       // close handler — normal resolution path
       // ------------------------------------------------------------------
       proc.on('close', (code: number | null) => {
+        liveChildren.delete(sendSignal);
         clearTimeout(this.inactivityTimer);
         clearTimeout(maxTimer);
+        clearTimeout(killTimer);
+        signal?.removeEventListener('abort', onAbort);
         this.resetInactivityFn = undefined;
 
         // Flush any partial line still in the buffer.
@@ -322,8 +413,11 @@ export class CliExecutor {
       // error handler — spawn failures (e.g. ENOENT)
       // ------------------------------------------------------------------
       proc.on('error', (err: Error) => {
+        liveChildren.delete(sendSignal);
         clearTimeout(this.inactivityTimer);
         clearTimeout(maxTimer);
+        clearTimeout(killTimer);
+        signal?.removeEventListener('abort', onAbort);
         this.resetInactivityFn = undefined;
         settle(() => reject(err));
       });
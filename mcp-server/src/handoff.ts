@@ -8,10 +8,14 @@
  * - Pass ONLY what CC uniquely knows: uncertainties, decisions, questions
  * - Let reviewer use their tools (file reading) for actual code
  * - Do NOT assume git — working directory may not be a git repo
+ * - Exception: reviewers without file tools (local HTTP models) get the
+ *   priority files inlined, since they cannot discover anything themselves
  */
 
 import { z } from 'zod';
-import { FocusArea } from './types.js';
+import { FocusArea, OutputType } from './types.js';
+import { getReviewOutputJsonSchema } from './schema.js';
+import { FileChangeSchema, GitContextSchema, InlineFileSchema } from './context.js';
 
 // Re-export FocusArea for convenience
 export { FocusArea } from './types.js';
@@ -64,6 +68,9 @@ export const HandoffSchema = z.object({
   // Brief summary of what CC did (1-3 sentences)
   summary: z.string().describe('Brief: what CC did and why'),
 
+  // CC's unstructured output, kept alongside a typed summary instead of being replaced by it
+  ccOutput: z.string().optional(),
+
   // CC's uncertainties - things reviewer should verify
   uncertainties: z.array(UncertaintySchema).optional(),
 
@@ -82,11 +89,41 @@ export const HandoffSchema = z.object({
   // Overall confidence (0-1)
   confidence: z.number().min(0).max(1).optional(),
 
+  // What kind of output CC produced — selects the review strategy
+  outputType: z.enum(['plan', 'findings', 'analysis', 'proposal']).optional(),
+
   // Custom instructions from user
   customInstructions: z.string().optional(),
+
+  // Standing instructions from config (`review.instructions`, usually per project)
+  projectInstructions: z.string().optional(),
+
+  // Changed files captured from git (only when the caller supplied a diff base)
+  changes: z.array(FileChangeSchema).optional(),
+
+  // Branch/commit info accompanying `changes`
+  git: GitContextSchema.optional(),
+
+  // File contents pasted into the prompt (reviewers without filesystem access only)
+  fileContents: z.array(InlineFileSchema).optional(),
 });
 export type Handoff = z.infer<typeof HandoffSchema>;
 
+/**
+ * The parts of a handoff CC can pass as typed review tool arguments instead
+ * of SUMMARY/UNCERTAINTIES/... blocks in ccOutput. Each field left out still
+ * falls back to parseStructuredCcOutput.
+ */
+export const HandoffInputSchema = HandoffSchema.pick({
+  summary: true,
+  uncertainties: true,
+  decisions: true,
+  questions: true,
+  priorityFiles: true,
+  confidence: true,
+}).partial();
+export type HandoffInput = z.infer<typeof HandoffInputSchema>;
+
 // =============================================================================
 // ROLE DEFINITIONS - Generic to Specific
 // =============================================================================
@@ -290,6 +327,10 @@ the repository context. No speculative findings. No "might be an issue"
 without concrete evidence from the code.
 </grounding_rules>`);
 
+  // SECTION 2b: REVIEW MODE (per outputType)
+  const modeSection = buildReviewModeSection(handoff, options.structuredOutput);
+  if (modeSection) sections.push(modeSection);
+
   // SECTION 3: TASK (same as standard)
   sections.push(`## YOUR TASK
 
@@ -297,9 +338,11 @@ Review code in \`${handoff.workingDir}\`.
 
 **Summary:** ${handoff.summary}${handoff.confidence !== undefined && handoff.confidence < 0.9 ? `\n**CC Confidence:** ${Math.round(handoff.confidence * 100)}% — verify weak areas` : ''}
 
-**IMPORTANT:**
-- This is a READ-ONLY review. Do NOT create, modify, or delete any files. Only read files to verify claims.
-- Do NOT assume a git repository exists. Do NOT run git commands. Read files directly from the filesystem.`);
+${buildAccessRules(handoff)}`);
+
+  // SECTION 3b: CC'S OUTPUT (unstructured, next to a typed summary)
+  const ccOutputSection = buildCcOutputSection(handoff);
+  if (ccOutputSection) sections.push(ccOutputSection);
 
   // SECTION 4: CC'S UNCERTAINTIES
   if (handoff.uncertainties && handoff.uncertainties.length > 0) {
@@ -337,11 +380,28 @@ ${handoff.decisions.map((d, i) => `${i + 1}. **${d.decision}**${d.rationale ? `\
     sections.push(`## PRIORITY FILES\n\n${handoff.priorityFiles.map(f => `- \`${f}\``).join('\n')}`);
   }
 
+  // SECTION 8b: CHANGES UNDER REVIEW (git diff, when requested)
+  const changesSection = buildChangesSection(handoff);
+  if (changesSection) sections.push(changesSection);
+
+  // SECTION 8c: FILE CONTENTS (reviewers without filesystem access)
+  const filesSection = buildFileContentsSection(handoff);
+  if (filesSection) sections.push(filesSection);
+
+  // SECTION 8d: PROJECT STANDARDS
+  const projectSection = buildProjectInstructionsSection(handoff);
+  if (projectSection) sections.push(projectSection);
+
   // SECTION 9: ADVERSARIAL FOCUS (customInstructions steers the challenge)
   if (handoff.customInstructions) {
     sections.push(`## ADVERSARIAL FOCUS\n\n${handoff.customInstructions}`);
   }
 
+  // SECTION 10: OUTPUT FORMAT (structured mode only)
+  if (options.structuredOutput) {
+    sections.push(buildStructuredOutputSection());
+  }
+
   return sections.join('\n\n');
 }
 
@@ -411,6 +471,193 @@ For each: specific refactoring suggestion with rationale.`,
 For each: what specifically should be documented and where.`,
 };
 
+// =============================================================================
+// OUTPUT-TYPE STRATEGIES — how to review a plan vs findings vs ...
+// =============================================================================
+
+export interface ReviewStrategy {
+  /** Heading for the REVIEW MODE section */
+  title: string;
+  /** How to approach this kind of output */
+  method: string;
+  /** Headings the free-form answer is organized under */
+  resultSections: string[];
+  /** Where the results go in structured mode */
+  structuredMapping: string;
+}
+
+export const REVIEW_STRATEGIES: Record<OutputType, ReviewStrategy> = {
+  plan: {
+    title: 'Plan Review',
+    method: `CC's output is a PLAN that has not been carried out yet. Check it against the code before anyone follows it:
+- Completeness: every requirement is covered; no missing steps (migrations, config, tests, docs, rollout, cleanup)
+- Ordering: each step's prerequisites come first; no step leaves the build or tests broken for the next
+- Risk: the riskiest and irreversible steps, their blast radius and how to roll them back
+- Assumptions: the files, functions and behavior the plan relies on actually exist as described
+- Scope: steps that aren't needed, or a simpler route to the same result`,
+    resultSections: ['Missing Steps', 'Ordering Problems', 'Risks', 'Wrong Assumptions', 'Verdict'],
+    structuredMapping: 'Report missing steps, ordering problems and risks as findings (cite the code they concern). Sound steps go in agreements, wrong assumptions in disagreements, simpler routes in alternatives.',
+  },
+  findings: {
+    title: 'Findings Review',
+    method: `CC's output is a list of FINDINGS (claimed bugs or issues). Try to reproduce and then refute each one:
+- Reproduce: locate the code and trace a concrete input or sequence that triggers the claimed behavior
+- Refute: look for guards elsewhere, caller guarantees, types or tests that make the bug impossible
+- Rule on each claim: confirmed, refuted or unverifiable — with the evidence either way
+- Check the severity of confirmed claims, and that any proposed fix works without regressions
+- Note real bugs near the claimed ones that CC missed`,
+    resultSections: ['Confirmed', 'Refuted', 'Unverified', 'Severity Corrections', 'Missed Issues'],
+    structuredMapping: 'Put confirmed claims in agreements and refuted or mis-rated ones in disagreements, each with your evidence. Only bugs CC missed go in findings.',
+  },
+  analysis: {
+    title: 'Analysis Review',
+    method: `CC's output is an ANALYSIS of existing code. Check that it is accurate and complete:
+- Facts: every claim about names, call paths, data flow and behavior matches the code
+- Reasoning: conclusions follow from the evidence; consider other explanations
+- Coverage: code paths, components or callers the analysis left out that change the picture
+- Generalization: claims stated more broadly than the evidence supports`,
+    resultSections: ['Verified Claims', 'Incorrect Claims', 'Gaps', 'Assessment of Conclusions'],
+    structuredMapping: 'Put verified claims in agreements and incorrect ones in disagreements. Problems in the code the analysis missed go in findings.',
+  },
+  proposal: {
+    title: 'Proposal Review',
+    method: `CC's output is a PROPOSAL (a design or approach to adopt). Judge whether it should be adopted:
+- Fit: it solves the stated problem within the constraints, and matches the existing architecture and conventions
+- Alternatives: simpler or more standard options, and how the trade-offs compare
+- Cost: migration, backward compatibility, maintenance and operational burden
+- Failure modes: how it breaks under load, bad input or partial failure, and how that would be noticed
+- Open questions the proposal must answer before work starts`,
+    resultSections: ['Strengths', 'Concerns', 'Alternatives', 'Open Questions', 'Recommendation'],
+    structuredMapping: 'Put strengths in agreements, concerns with the proposal in disagreements and better options in alternatives. Problems in the existing code it touches go in findings.',
+  },
+};
+
+/**
+ * Render the strategy for the handoff's outputType: how to review it, and
+ * either the headings to answer under or, in structured mode, where results
+ * belong in the JSON. Returns null when no outputType is set.
+ */
+export function buildReviewModeSection(handoff: Handoff, structuredOutput?: boolean): string | null {
+  if (!handoff.outputType) return null;
+  const strategy = REVIEW_STRATEGIES[handoff.outputType];
+  const answer = structuredOutput
+    ? strategy.structuredMapping
+    : `Organize your answer under these headings (omit any with nothing to report):\n${strategy.resultSections.map(h => `- ${h}`).join('\n')}`;
+  return `## REVIEW MODE: ${strategy.title}\n\n${strategy.method}\n\n${answer}`;
+}
+
+// =============================================================================
+// CHANGES SECTION — git diff captured by the server
+// =============================================================================
+
+/** Total diff characters rendered into one prompt; remaining files get stats only */
+const MAX_PROMPT_DIFF_CHARS = 60_000;
+
+/**
+ * Render the git changes captured for this review.
+ * The reviewer still must not run git itself — the diff is provided here.
+ */
+export function buildChangesSection(handoff: Handoff): string | null {
+  const files = handoff.changes;
+  if (!files || files.length === 0) return null;
+
+  const git = handoff.git;
+  const lines: string[] = ['## CHANGES UNDER REVIEW', ''];
+
+  if (git) {
+    const against = git.baseBranch ? ` vs \`${git.baseBranch}\`` : '';
+    const branch = git.branch ? `Branch \`${git.branch}\`${against}` : `Working tree${against}`;
+    lines.push(`${branch}${git.uncommittedChanges ? ' (includes uncommitted changes)' : ''}`);
+    if (git.commits && git.commits.length > 0) {
+      lines.push('', '**Commits:**');
+      for (const c of git.commits) lines.push(`- ${c.hash.slice(0, 8)} ${c.message}`);
+    }
+    lines.push('');
+  }
+
+  const added = files.reduce((sum, f) => sum + (f.linesAdded ?? 0), 0);
+  const removed = files.reduce((sum, f) => sum + (f.linesRemoved ?? 0), 0);
+  lines.push(`**Files (${files.length}, +${added}/-${removed}):**`);
+  for (const f of files) {
+    const name = f.previousPath ? `\`${f.previousPath}\` → \`${f.path}\`` : `\`${f.path}\``;
+    const stat = f.linesAdded !== undefined ? ` +${f.linesAdded}/-${f.linesRemoved ?? 0}` : '';
+    lines.push(`- ${name} [${f.changeType}]${stat}`);
+  }
+
+  let budget = MAX_PROMPT_DIFF_CHARS;
+  const omitted: string[] = [];
+  for (const f of files) {
+    if (!f.diff) continue;
+    if (f.diff.length > budget) {
+      omitted.push(f.path);
+      continue;
+    }
+    budget -= f.diff.length;
+    lines.push('', `### ${f.path}`, '```diff', f.diff, '```');
+  }
+  if (omitted.length > 0) {
+    lines.push('', `Diffs omitted for size (read these files directly): ${omitted.map(p => `\`${p}\``).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+// =============================================================================
+// FILE ACCESS — tools vs inlined contents
+// =============================================================================
+
+/**
+ * Ground rules for the TASK section. Reviewers with file tools are told to
+ * read the filesystem; reviewers given inlined contents are told to stay within them.
+ */
+function buildAccessRules(handoff: Handoff): string {
+  if (handoff.fileContents) {
+    return `**IMPORTANT:**
+- You cannot open files. The relevant files are included below under FILE CONTENTS.
+- Base every claim on the code shown. If something you need is not included, say so instead of guessing.`;
+  }
+  return `**IMPORTANT:**
+- This is a READ-ONLY review. Do NOT create, modify, or delete any files. Only read files to verify claims.
+- Do NOT assume a git repository exists. Do NOT run git commands. Read files directly from the filesystem.`;
+}
+
+/**
+ * Render CC's unstructured output under review. Set only when a typed
+ * summary was given, so the output itself still reaches the reviewer.
+ */
+export function buildCcOutputSection(handoff: Handoff): string | null {
+  if (!handoff.ccOutput) return null;
+  return `## CC'S OUTPUT\n\n${handoff.ccOutput}`;
+}
+
+/**
+ * Render inlined file contents with line numbers so findings can cite lines.
+ */
+export function buildFileContentsSection(handoff: Handoff): string | null {
+  const files = handoff.fileContents;
+  if (!files) return null;
+  if (files.length === 0) {
+    return '## FILE CONTENTS\n\n_No readable files were provided. Review the summary and diffs only._';
+  }
+
+  const lines: string[] = ['## FILE CONTENTS'];
+  for (const f of files) {
+    const numbered = f.content.replace(/\n$/, '').split('\n').map((line, i) => `${String(i + 1).padStart(4)}  ${line}`).join('\n');
+    lines.push('', `### ${f.path}${f.truncated ? ' (truncated)' : ''}`, '```', numbered, '```');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render the project's standing instructions (coding standards, banned
+ * patterns). Returns null when none are configured.
+ */
+export function buildProjectInstructionsSection(handoff: Handoff): string | null {
+  const instructions = handoff.projectInstructions?.trim();
+  if (!instructions) return null;
+  return `## PROJECT STANDARDS\n\nThis project's review rules. Report any violation in the work under review as a finding:\n\n${instructions}`;
+}
+
 // =============================================================================
 // PROMPT BUILDER - Minimal, Targeted
 // =============================================================================
@@ -418,11 +665,33 @@ For each: what specifically should be documented and where.`,
 export interface PromptOptions {
   handoff: Handoff;
   role?: ReviewerRole;
+  /** Ask for ReviewOutput JSON so the verification pipeline can process it */
+  structuredOutput?: boolean;
+}
+
+/**
+ * Output format section for structured mode.
+ * Only appended when the caller opts in — the default prompt stays free-form.
+ */
+export function buildStructuredOutputSection(): string {
+  return `## OUTPUT FORMAT (JSON)
+
+Respond with a single JSON object matching this schema:
+\`\`\`json
+${JSON.stringify(getReviewOutputJsonSchema(), null, 2)}
+\`\`\`
+
+- Output ONLY the JSON object — no prose before or after
+- Use empty arrays [] for sections with nothing to report
+- Confidence scores are 0-1 (e.g. 0.85)
+- Every finding about specific code MUST include \`location\` (file relative to the working directory, line_start) and \`evidence\` quoting that line
+- References are verified against the filesystem — findings with wrong files or lines are discarded`;
 }
 
 /**
  * Build the review prompt using minimal, targeted context.
- * No output format constraints — reviewer responds naturally, CC interprets.
+ * No output format constraints unless structuredOutput is set — by default
+ * the reviewer responds naturally and CC interprets.
  */
 export function buildHandoffPrompt(options: PromptOptions): string {
   const { handoff } = options;
@@ -444,6 +713,10 @@ export function buildHandoffPrompt(options: PromptOptions): string {
     }
   }
 
+  // SECTION 2b: REVIEW MODE (per outputType)
+  const modeSection = buildReviewModeSection(handoff, options.structuredOutput);
+  if (modeSection) sections.push(modeSection);
+
   // SECTION 3: TASK
   sections.push(`## YOUR TASK
 
@@ -451,9 +724,11 @@ Review code in \`${handoff.workingDir}\`.
 
 **Summary:** ${handoff.summary}${handoff.confidence !== undefined && handoff.confidence < 0.9 ? `\n**CC Confidence:** ${Math.round(handoff.confidence * 100)}% — verify weak areas` : ''}
 
-**IMPORTANT:**
-- This is a READ-ONLY review. Do NOT create, modify, or delete any files. Only read files to verify claims.
-- Do NOT assume a git repository exists. Do NOT run git commands. Read files directly from the filesystem.`);
+${buildAccessRules(handoff)}`);
+
+  // SECTION 3b: CC'S OUTPUT (unstructured, next to a typed summary)
+  const ccOutputSection = buildCcOutputSection(handoff);
+  if (ccOutputSection) sections.push(ccOutputSection);
 
   // SECTION 4: CC'S UNCERTAINTIES
   if (handoff.uncertainties && handoff.uncertainties.length > 0) {
@@ -486,11 +761,28 @@ ${handoff.decisions.map((d, i) => `${i + 1}. **${d.decision}**${d.rationale ? `\
     sections.push(`## PRIORITY FILES\n\n${handoff.priorityFiles.map(f => `- \`${f}\``).join('\n')}`);
   }
 
+  // SECTION 7b: CHANGES UNDER REVIEW (git diff, when requested)
+  const changesSection = buildChangesSection(handoff);
+  if (changesSection) sections.push(changesSection);
+
+  // SECTION 7c: FILE CONTENTS (reviewers without filesystem access)
+  const filesSection = buildFileContentsSection(handoff);
+  if (filesSection) sections.push(filesSection);
+
+  // SECTION 7d: PROJECT STANDARDS
+  const projectSection = buildProjectInstructionsSection(handoff);
+  if (projectSection) sections.push(projectSection);
+
   // SECTION 8: CUSTOM INSTRUCTIONS
   if (handoff.customInstructions) {
     sections.push(`## ADDITIONAL INSTRUCTIONS\n\n${handoff.customInstructions}`);
   }
 
+  // SECTION 9: OUTPUT FORMAT (structured mode only)
+  if (options.structuredOutput) {
+    sections.push(buildStructuredOutputSection());
+  }
+
   return sections.join('\n\n');
 }
 
@@ -644,33 +936,39 @@ function parseListItems(text: string): string[] {
 /**
  * Build a handoff from MCP tool inputs.
  *
- * Parses structured sections (SUMMARY, UNCERTAINTIES, QUESTIONS, PRIORITY FILES)
- * from ccOutput when present, populating typed Handoff fields so reviewers
- * receive machine-usable context instead of a single summary blob.
+ * Typed fields from the tool call (`input`) are used as given. Any field
+ * left out is parsed from the structured sections of ccOutput (SUMMARY,
+ * UNCERTAINTIES, QUESTIONS, DECISIONS, PRIORITY FILES) when present, so
+ * older callers that only send text still give reviewers typed context.
  */
 export function buildSimpleHandoff(
   workingDir: string,
   ccOutput: string,
   analyzedFiles?: string[],
   focusAreas?: string[],
-  customPrompt?: string
+  customPrompt?: string,
+  input: HandoffInput = {}
 ): Handoff {
   const parsed = parseStructuredCcOutput(ccOutput);
+  // Without a SUMMARY block the parsed summary is all of ccOutput: a typed summary must not replace it
+  const unstructured = parsed.summary === ccOutput;
 
-  // Merge analyzedFiles with any priority files parsed from ccOutput (dedup)
+  // Merge analyzedFiles with the priority files (dedup)
   const mergedFiles = dedupStrings([
-    ...(parsed.priorityFiles || []),
+    ...(input.priorityFiles ?? parsed.priorityFiles ?? []),
     ...(analyzedFiles || []),
   ]);
 
   return {
     workingDir,
-    summary: parsed.summary,
-    uncertainties: parsed.uncertainties,
-    questions: parsed.questions,
-    decisions: parsed.decisions,
+    summary: input.summary ?? parsed.summary,
+    ccOutput: input.summary !== undefined && unstructured ? ccOutput : undefined,
+    uncertainties: input.uncertainties ?? parsed.uncertainties,
+    questions: input.questions ?? parsed.questions,
+    decisions: input.decisions ?? parsed.decisions,
     priorityFiles: mergedFiles.length > 0 ? mergedFiles : undefined,
     focusAreas,
+    confidence: input.confidence,
     customInstructions: customPrompt,
   };
 }
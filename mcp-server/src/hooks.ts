@@ -0,0 +1,386 @@
+/**
+ * Git Hooks — `npx cc-reviewer hooks install|uninstall|run`
+ *
+ * Installs pre-commit / pre-push hooks that run a review gate: the staged
+ * diff (pre-commit) or the outgoing commits (pre-push) go to the reviewer
+ * configured in the `hooks` config section, and the hook blocks when the
+ * findings meet its threshold. Each run's report is kept under
+ * `.git/cc-reviewer/`.
+ *
+ * The review runs as a `cc-reviewer review` child under CliExecutor, so its
+ * inactivity and absolute timeouts apply: a hung reviewer is killed with its
+ * whole process tree instead of wedging the commit or push. The child runs
+ * in its own process group, out of reach of the terminal's Ctrl-C, so the
+ * `hooks run` caller passes an AbortSignal tied to SIGINT and SIGTERM.
+ *
+ * Skip the gate once with CC_REVIEWER_SKIP=1 or git's own --no-verify.
+ */
+
+import { chmodSync, existsSync, mkdirSync, readdirSync, readFileSync, statSync, unlinkSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { CliExecutor } from './executor.js';
+import { getConfig, HooksConfig } from './config.js';
+import { EXIT_BLOCKED, EXIT_OK } from './review-cli.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+export const HOOK_NAMES = ['pre-commit', 'pre-push'] as const;
+export type HookName = typeof HOOK_NAMES[number];
+
+export interface HookInstallResult {
+  success: boolean;
+  installed: HookName[];
+  /** Hooks left alone, with why */
+  skipped: string[];
+  error?: string;
+}
+
+/** Command that runs `cc-reviewer review`; tests point it at a stand-in */
+export interface ReviewCommand {
+  command: string;
+  args: string[];
+}
+
+/** First line after the shebang; marks hooks this module may replace or remove */
+const HOOK_MARKER = '# Added by cc-reviewer';
+
+/** Env var that skips the gate for one commit or push */
+export const SKIP_ENV = 'CC_REVIEWER_SKIP';
+
+const GIT_TIMEOUT_MS = 30_000;
+
+/** Diffs past this are cut; reviewers with file access can still read the rest */
+const MAX_DIFF_CHARS = 200_000;
+
+/** Reports kept per repository; older ones are deleted */
+const MAX_REPORTS = 20;
+
+/** pre-push sends an all-zero sha for a ref that doesn't exist on that side */
+const ZERO_SHA = /^0+$/;
+
+/** This package's entry point (dist/index.js next to this module) */
+const CLI_ENTRY = fileURLToPath(new URL('./index.js', import.meta.url));
+
+// =============================================================================
+// GIT
+// =============================================================================
+
+async function git(cwd: string, args: string[]): Promise<string | null> {
+  try {
+    const result = await new CliExecutor({
+      command: 'git',
+      args,
+      cwd,
+      inactivityTimeoutMs: GIT_TIMEOUT_MS,
+      maxTimeoutMs: GIT_TIMEOUT_MS,
+      maxBufferSize: MAX_DIFF_CHARS * 2,
+    }).run();
+    return result.exitCode === 0 ? result.rawStdout : null;
+  } catch {
+    return null;
+  }
+}
+
+/** `git rev-parse --git-path` resolved against `cwd` */
+async function gitPath(cwd: string, name: string): Promise<string | null> {
+  const path = await git(cwd, ['rev-parse', '--git-path', name]);
+  return path ? resolve(cwd, path.trim()) : null;
+}
+
+/**
+ * The changes a hook should review: the staged diff for pre-commit; for
+ * pre-push, each pushed ref's commits that the remote doesn't have yet
+ * (for a new branch, those on no remote at all). Deleted refs have nothing
+ * to review.
+ */
+export async function collectChanges(hook: HookName, cwd: string, pushedRefs: string = ''): Promise<string> {
+  if (hook === 'pre-commit') {
+    return (await git(cwd, ['diff', '--cached', '--no-color', '--no-ext-diff'])) ?? '';
+  }
+
+  const parts: string[] = [];
+  for (const line of pushedRefs.split('\n')) {
+    const [localRef, localSha, , remoteSha] = line.trim().split(/\s+/);
+    if (!localSha || ZERO_SHA.test(localSha)) continue;
+    const range = remoteSha && !ZERO_SHA.test(remoteSha) ? [`${remoteSha}..${localSha}`] : [localSha, '--not', '--remotes'];
+    const log = await git(cwd, ['log', '-p', '--reverse', '--no-color', '--no-ext-diff', ...range]);
+    if (log?.trim()) parts.push(`# ${localRef}\n${log}`);
+  }
+  return parts.join('\n');
+}
+
+function buildHandoff(hook: HookName, changes: string): string {
+  const what = hook === 'pre-commit' ? 'the staged changes about to be committed' : 'the commits about to be pushed';
+  const cut = changes.length > MAX_DIFF_CHARS;
+  return [
+    `Review ${what}. Look for bugs, security issues and regressions the change introduces.`,
+    '',
+    '```diff',
+    cut ? changes.slice(0, MAX_DIFF_CHARS) : changes,
+    '```',
+    ...(cut ? ['', `The diff was cut at ${MAX_DIFF_CHARS.toLocaleString('en-US')} characters; read the changed files for the rest.`] : []),
+  ].join('\n');
+}
+
+// =============================================================================
+// INSTALL
+// =============================================================================
+
+/** Quote for a POSIX shell */
+function shellQuote(value: string): string {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Hook script. Runs this install's entry point with the current Node, and
+ * falls back to npx if that install has since gone away (e.g. npx cache cleared).
+ */
+export function hookScript(hook: HookName, entry: string = CLI_ENTRY, node: string = process.execPath): string {
+  return [
+    '#!/bin/sh',
+    `${HOOK_MARKER} — remove with \`npx cc-reviewer hooks uninstall\`.`,
+    `# Skip once with ${SKIP_ENV}=1 or --no-verify.`,
+    `ENTRY=${shellQuote(entry)}`,
+    'if [ -f "$ENTRY" ]; then',
+    `  exec ${shellQuote(node)} "$ENTRY" hooks run ${hook} "$@"`,
+    'fi',
+    `exec npx -y cc-reviewer hooks run ${hook} "$@"`,
+    '',
+  ].join('\n');
+}
+
+function isOurHook(path: string): boolean {
+  try {
+    return readFileSync(path, 'utf-8').includes(HOOK_MARKER);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Write the given hooks into the repository at `cwd`, honoring
+ * core.hooksPath. Hooks we didn't write are kept unless `force` is set.
+ */
+export async function installHooks(cwd: string, hooks: HookName[], force: boolean = false): Promise<HookInstallResult> {
+  const dir = await gitPath(cwd, 'hooks');
+  if (!dir) return { success: false, installed: [], skipped: [], error: `Not a git repository: ${cwd}` };
+
+  if (existsSync(dir) && !statSync(dir).isDirectory()) {
+    return { success: false, installed: [], skipped: [], error: `${dir} is not a directory — check git's core.hooksPath` };
+  }
+
+  const installed: HookName[] = [];
+  const skipped: string[] = [];
+  try {
+    mkdirSync(dir, { recursive: true });
+    for (const hook of hooks) {
+      const path = join(dir, hook);
+      if (existsSync(path) && !isOurHook(path) && !force) {
+        skipped.push(`${hook}: ${path} already exists — rerun with --force to replace it`);
+        continue;
+      }
+      writeFileSync(path, hookScript(hook));
+      chmodSync(path, 0o755);
+      installed.push(hook);
+    }
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    return { success: false, installed, skipped, error: `Cannot write hooks: ${msg}` };
+  }
+  return { success: true, installed, skipped };
+}
+
+/** Remove the hooks this module installed; other hooks are left alone */
+export async function uninstallHooks(cwd: string): Promise<HookInstallResult> {
+  const dir = await gitPath(cwd, 'hooks');
+  if (!dir) return { success: false, installed: [], skipped: [], error: `Not a git repository: ${cwd}` };
+
+  const removed: HookName[] = [];
+  for (const hook of HOOK_NAMES) {
+    const path = join(dir, hook);
+    if (isOurHook(path)) {
+      unlinkSync(path);
+      removed.push(hook);
+    }
+  }
+  return { success: true, installed: removed, skipped: [] };
+}
+
+// =============================================================================
+// RUN
+// =============================================================================
+
+/**
+ * Save a report under `.git/cc-reviewer/` and prune old ones.
+ * Returns its path, or null when it could not be written.
+ */
+async function saveReport(cwd: string, hook: HookName, text: string): Promise<string | null> {
+  const dir = await gitPath(cwd, 'cc-reviewer');
+  if (!dir) return null;
+  try {
+    mkdirSync(dir, { recursive: true });
+    const path = join(dir, `${hook}-${new Date().toISOString().replace(/[:.]/g, '-')}.md`);
+    writeFileSync(path, text);
+    const reports = readdirSync(dir).filter(f => f.endsWith('.md')).sort();
+    for (const old of reports.slice(0, Math.max(0, reports.length - MAX_REPORTS))) unlinkSync(join(dir, old));
+    return path;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run the review gate for one hook. Returns the hook's exit code and the
+ * message to print. `pushedRefs` is what git passes pre-push on stdin.
+ * Aborting `signal` kills the review and stops the commit or push.
+ */
+export async function runHook(
+  hook: HookName,
+  cwd: string,
+  pushedRefs: string = '',
+  review: ReviewCommand = { command: process.execPath, args: [CLI_ENTRY] },
+  signal?: AbortSignal
+): Promise<{ exitCode: number; message: string }> {
+  if (process.env[SKIP_ENV]) return { exitCode: 0, message: `cc-reviewer: ${SKIP_ENV} is set — skipping the review gate` };
+
+  const root = (await git(cwd, ['rev-parse', '--show-toplevel']))?.trim();
+  if (!root) return { exitCode: 0, message: 'cc-reviewer: not inside a git work tree — skipping the review gate' };
+
+  const changes = await collectChanges(hook, root, pushedRefs);
+  if (!changes.trim()) return { exitCode: 0, message: 'cc-reviewer: nothing to review' };
+
+  const cfg = getConfig(root).hooks;
+  const override = `Commit or push anyway with ${SKIP_ENV}=1 or --no-verify.`;
+  const gaveUp = (why: string, report: string | null = null) => {
+    const where = report ? `\nReport: ${report}` : '';
+    return cfg.onError === 'block'
+      ? { exitCode: 1, message: `✗ cc-reviewer: ${why} — blocking (hooks.onError is "block").${where}\n${override}` }
+      : { exitCode: 0, message: `! cc-reviewer: ${why} — letting it through (hooks.onError is "allow").${where}` };
+  };
+
+  console.error(`cc-reviewer: reviewing ${hook === 'pre-commit' ? 'staged changes' : 'outgoing commits'} with ${cfg.reviewer}...`);
+  let stdout: string;
+  try {
+    const result = await new CliExecutor({
+      command: review.command,
+      args: [...review.args, ...reviewArgs(cfg, root)],
+      cwd: root,
+      stdin: buildHandoff(hook, changes),
+      inactivityTimeoutMs: cfg.timeoutMs,
+      maxTimeoutMs: cfg.timeoutMs,
+      maxBufferSize: 16 * 1_048_576,
+      // Reviewer progress goes to stderr; pass it through so the user sees the hook working
+      onStderr: (data) => process.stderr.write(data),
+      signal,
+    }).run();
+    stdout = result.rawStdout;
+  } catch (error) {
+    const msg = error instanceof Error ? error.message : String(error);
+    if (msg === 'CANCELLED') {
+      return { exitCode: 130, message: `✗ cc-reviewer: review interrupted — stopping the ${hook === 'pre-commit' ? 'commit' : 'push'}.` };
+    }
+    return gaveUp(msg === 'TIMEOUT' || msg === 'MAX_TIMEOUT'
+      ? `the review did not finish within ${Math.round(cfg.timeoutMs / 1000)}s`
+      : `the review could not start (${msg})`);
+  }
+
+  let verdict: { exitCode: number; reasons?: string[]; report?: string; error?: string };
+  try {
+    verdict = JSON.parse(stdout);
+  } catch {
+    return gaveUp('the review returned no verdict');
+  }
+
+  const report = await saveReport(root, hook, [
+    `# cc-reviewer ${hook} review — ${new Date().toISOString()}`,
+    '',
+    `**Reviewer:** ${cfg.reviewer} · **Exit code:** ${verdict.exitCode}`,
+    ...(verdict.reasons ?? []).map(r => `- ${r}`),
+    '',
+    verdict.report ?? verdict.error ?? '',
+    '',
+  ].join('\n'));
+
+  if (verdict.exitCode === EXIT_OK) {
+    return { exitCode: 0, message: `✓ cc-reviewer: review passed.${report ? ` Report: ${report}` : ''}` };
+  }
+  if (verdict.exitCode === EXIT_BLOCKED) {
+    return {
+      exitCode: 1,
+      message: [
+        '✗ cc-reviewer: review gate failed.',
+        ...(verdict.reasons ?? []).map(r => `  - ${r}`),
+        ...(report ? [`Report: ${report}`] : []),
+        override,
+      ].join('\n'),
+    };
+  }
+  return gaveUp(verdict.reasons?.[0] ?? verdict.error ?? 'the review failed', report);
+}
+
+function reviewArgs(cfg: HooksConfig, root: string): string[] {
+  return [
+    'review', '--reviewer', cfg.reviewer, '--dir', root, '--type', 'proposal', '--json',
+    '--fail-on', cfg.failOn,
+    ...(cfg.maxRisk !== null ? ['--max-risk', String(cfg.maxRisk)] : []),
+  ];
+}
+
+// =============================================================================
+// COMMAND
+// =============================================================================
+
+export const HOOKS_USAGE = `Usage:
+  cc-reviewer hooks install [--pre-commit] [--pre-push] [--force]   (default: --pre-push)
+  cc-reviewer hooks uninstall
+  cc-reviewer hooks run <pre-commit|pre-push>                       (called by the hooks)
+
+Configure the gate in the "hooks" config section. Skip it once with ${SKIP_ENV}=1 or --no-verify.`;
+
+/**
+ * `hooks` subcommand: prints its outcome and returns the exit code.
+ * `signal` interrupts `hooks run`.
+ */
+export async function runHooksCommand(argv: string[], stdin: () => Promise<string>, signal?: AbortSignal): Promise<number> {
+  const [action, ...rest] = argv;
+  const cwd = process.cwd();
+
+  if (action === 'install') {
+    const unknown = rest.filter(a => !['--pre-commit', '--pre-push', '--force'].includes(a));
+    if (unknown.length > 0) {
+      console.error(`Unknown option: ${unknown[0]}\n\n${HOOKS_USAGE}`);
+      return 2;
+    }
+    const chosen = HOOK_NAMES.filter(h => rest.includes(`--${h}`));
+    const result = await installHooks(cwd, chosen.length > 0 ? chosen : ['pre-push'], rest.includes('--force'));
+    for (const hook of result.installed) console.log(`✓ Installed ${hook} review gate`);
+    for (const skip of result.skipped) console.log(`! Skipped ${skip}`);
+    if (!result.success) console.error(`✗ ${result.error}`);
+    return result.success && result.skipped.length === 0 ? 0 : 1;
+  }
+
+  if (action === 'uninstall') {
+    const result = await uninstallHooks(cwd);
+    if (!result.success) {
+      console.error(`✗ ${result.error}`);
+      return 1;
+    }
+    console.log(result.installed.length > 0
+      ? `✓ Removed ${result.installed.join(', ')}`
+      : 'No cc-reviewer hooks installed');
+    return 0;
+  }
+
+  if (action === 'run' && HOOK_NAMES.includes(rest[0] as HookName)) {
+    const hook = rest[0] as HookName;
+    const { exitCode, message } = await runHook(hook, cwd, hook === 'pre-push' ? await stdin() : '', undefined, signal);
+    console.error(message);
+    return exitCode;
+  }
+
+  console.error(HOOKS_USAGE);
+  return 2;
+}
@@ -6,14 +6,19 @@
  * (Codex and Gemini) on Claude Code's work.
  *
  * Features:
- * - Single model review (codex_review, gemini_review)
+ * - Single model review (codex_review, gemini_review, claude_review, ollama_review)
  * - Multi-model parallel review (multi_review)
+ * - Background review jobs (review_start, review_status, review_result, review_cancel)
  * - Structured JSON output with confidence scores
  * - Expert role specialization per focus area
+ * - Progress notifications and cancellation for long-running reviews
  *
  * Usage:
  * - npx cc-reviewer          # Run MCP server (normal usage)
  * - npx cc-reviewer update   # Install/update slash commands
+ * - npx cc-reviewer doctor   # Diagnose CLIs, auth, config and slash commands
+ * - npx cc-reviewer review   # Run a review from the shell (see REVIEW_USAGE)
+ * - npx cc-reviewer hooks    # Install git hooks that gate commits/pushes on a review
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
@@ -27,13 +32,30 @@ import {
   handleCodexReview,
   handleGeminiReview,
   handleClaudeReview,
+  handleOllamaReview,
+  handleCustomReview,
+  handleReviewFollowUp,
   handleMultiReview,
+  handleReviewStart,
+  handleReviewStatus,
+  handleReviewResult,
+  handleReviewCancel,
   ReviewInputSchema,
+  FollowUpInputSchema,
+  ReviewStartInputSchema,
+  ReviewStatusInputSchema,
+  ReviewResultInputSchema,
+  ReviewCancelInputSchema,
   TOOL_DEFINITIONS
 } from './tools/feedback.js';
 import { logCliStatus } from './cli/check.js';
 import { installCommands } from './commands.js';
 import { initConfig } from './config.js';
+import { createProgressReporter } from './progress.js';
+import { runDoctor, formatDoctorReport, doctorExitCode } from './doctor.js';
+import { parseReviewArgs, readHandoff, runReviewCommand, REVIEW_USAGE, EXIT_ERROR } from './review-cli.js';
+import { runHooksCommand } from './hooks.js';
+import { killChildrenOnExit } from './executor.js';
 
 // Read version from package.json
 import { readFileSync } from 'fs';
@@ -63,6 +85,53 @@ if (subcommand === 'update' || subcommand === '--setup' || subcommand === '--com
 // Import adapters to register them
 import './adapters/index.js';
 
+if (subcommand === 'doctor') {
+  console.log(`cc-reviewer v${VERSION} doctor\n`);
+  const sections = await runDoctor();
+  console.log(formatDoctorReport(sections));
+  process.exit(doctorExitCode(sections));
+}
+
+if (subcommand === 'review') {
+  const argv = process.argv.slice(3);
+  if (argv.includes('--help') || argv.includes('-h')) {
+    console.log(REVIEW_USAGE);
+    process.exit(0);
+  }
+  const parsed = parseReviewArgs(argv);
+  if ('error' in parsed) {
+    console.error(`${parsed.error}\n\n${REVIEW_USAGE}`);
+    process.exit(EXIT_ERROR);
+  }
+  const handoff = await readHandoff(parsed.args.file);
+  if ('error' in handoff) {
+    console.error(handoff.error);
+    process.exit(EXIT_ERROR);
+  }
+
+  // Ctrl-C (or a hook's timeout killing this process) stops the reviewer
+  // CLIs instead of orphaning them
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  process.once('SIGTERM', () => controller.abort());
+  const { output, exitCode } = await runReviewCommand(parsed.args, handoff.text, controller.signal);
+  console.log(output);
+  process.exit(exitCode);
+}
+
+if (subcommand === 'hooks') {
+  // The review runs in its own process group, so Ctrl-C during a commit or
+  // push has to be passed on to it
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  process.once('SIGTERM', () => controller.abort());
+  const exitCode = await runHooksCommand(process.argv.slice(3), async () => {
+    const input = await readHandoff();
+    return 'text' in input ? input.text : '';
+  }, controller.signal);
+  process.exit(exitCode);
+}
+
 // Create the MCP server
 const server = new Server(
   {
@@ -83,35 +152,82 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       TOOL_DEFINITIONS.codex_review,
       TOOL_DEFINITIONS.gemini_review,
       TOOL_DEFINITIONS.claude_review,
+      TOOL_DEFINITIONS.ollama_review,
+      TOOL_DEFINITIONS.custom_review,
       TOOL_DEFINITIONS.multi_review,
+      TOOL_DEFINITIONS.review_followup,
+      TOOL_DEFINITIONS.review_start,
+      TOOL_DEFINITIONS.review_status,
+      TOOL_DEFINITIONS.review_result,
+      TOOL_DEFINITIONS.review_cancel,
     ],
   };
 });
 
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args } = request.params;
+  // Cancellation and progress for this call; see adapters' RunOptions
+  const options = {
+    signal: extra.signal,
+    onProgress: createProgressReporter(request.params._meta?.progressToken, extra.sendNotification),
+  };
 
   try {
     switch (name) {
       case 'codex_review': {
         const input = ReviewInputSchema.parse(args);
-        return await handleCodexReview(input);
+        return await handleCodexReview(input, options);
       }
 
       case 'gemini_review': {
         const input = ReviewInputSchema.parse(args);
-        return await handleGeminiReview(input);
+        return await handleGeminiReview(input, options);
       }
 
       case 'claude_review': {
         const input = ReviewInputSchema.parse(args);
-        return await handleClaudeReview(input);
+        return await handleClaudeReview(input, options);
+      }
+
+      case 'ollama_review': {
+        const input = ReviewInputSchema.parse(args);
+        return await handleOllamaReview(input, options);
+      }
+
+      case 'custom_review': {
+        const input = ReviewInputSchema.parse(args);
+        return await handleCustomReview(input, options);
       }
 
       case 'multi_review': {
         const input = ReviewInputSchema.parse(args);
-        return await handleMultiReview(input);
+        return await handleMultiReview(input, options);
+      }
+
+      case 'review_followup': {
+        const input = FollowUpInputSchema.parse(args);
+        return await handleReviewFollowUp(input, options);
+      }
+
+      case 'review_start': {
+        const input = ReviewStartInputSchema.parse(args);
+        return await handleReviewStart(input);
+      }
+
+      case 'review_status': {
+        const input = ReviewStatusInputSchema.parse(args);
+        return await handleReviewStatus(input);
+      }
+
+      case 'review_result': {
+        const input = ReviewResultInputSchema.parse(args);
+        return await handleReviewResult(input);
+      }
+
+      case 'review_cancel': {
+        const input = ReviewCancelInputSchema.parse(args);
+        return await handleReviewCancel(input);
       }
 
       default:
@@ -161,6 +277,9 @@ async function main() {
   // Log CLI availability status on startup
   await logCliStatus();
 
+  // Reviewer CLIs run in their own process groups; don't leave them behind
+  killChildrenOnExit();
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error('AI Reviewer MCP Server running on stdio');
@@ -0,0 +1,296 @@
+/**
+ * Isolated Workspaces
+ *
+ * With `isolation.mode` set, reviewers never see the real working tree.
+ * Each tool call gets a disposable copy instead:
+ *
+ *   - worktree: a checkout of HEAD, then the uncommitted diff is applied
+ *     and untracked (not ignored) files are copied in, so the reviewer sees
+ *     the work in progress and can still run git. The checkout is a shared
+ *     clone with its own .git and no remote, not a `git worktree`: a
+ *     worktree's .git points into the original repository, whose refs,
+ *     config and hooks the reviewer could then rewrite.
+ *   - copy:     the files under workingDir that git doesn't ignore (or,
+ *     outside a repository, everything but .git and node_modules), within
+ *     the size limits. No .git, so it works for any directory.
+ *
+ * Symlinks that are absolute or lead out of the copy would point back into
+ * the real tree, so they are left out in both modes.
+ *
+ * Paths to the copy in reviewer output are rewritten to the original, and
+ * the copy is removed once the call finishes — even when it fails or is
+ * cancelled.
+ */
+
+import { copyFile, lstat, mkdir, mkdtemp, readdir, readlink, realpath, rm, symlink } from 'fs/promises';
+import { dirname, isAbsolute, join, relative, resolve, sep } from 'path';
+import { tmpdir } from 'os';
+import { CliExecutor } from './executor.js';
+import { findProjectConfig, getConfig, IsolationConfig, PROJECT_CONFIG_FILE } from './config.js';
+import { ReviewRequest, ReviewResult } from './adapters/base.js';
+
+const GIT_TIMEOUT_MS = 60_000;
+const MAX_GIT_OUTPUT = 256 * 1_048_576;
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+export interface IsolatedWorkspace {
+  mode: 'worktree' | 'copy';
+  /** The copy of the review's workingDir */
+  dir: string;
+  /** Files left out of the copy for exceeding isolation.maxFileBytes */
+  skipped: string[];
+  /** Symlinks left out because they point outside the copy */
+  outsideLinks: string[];
+  /** Point a request at the copy */
+  isolate(request: ReviewRequest): ReviewRequest;
+  /** Rewrite paths to the copy back to the original tree */
+  restorePaths(result: ReviewResult): ReviewResult;
+}
+
+// =============================================================================
+// GIT
+// =============================================================================
+
+async function git(cwd: string, args: string[], stdin?: string): Promise<string | null> {
+  try {
+    const result = await new CliExecutor({
+      command: 'git',
+      args,
+      cwd,
+      stdin,
+      inactivityTimeoutMs: GIT_TIMEOUT_MS,
+      maxTimeoutMs: GIT_TIMEOUT_MS,
+      maxBufferSize: MAX_GIT_OUTPUT,
+    }).run();
+    return result.exitCode === 0 ? result.rawStdout : null;
+  } catch {
+    return null;
+  }
+}
+
+function splitNul(output: string): string[] {
+  return output.split('\0').filter(Boolean);
+}
+
+// =============================================================================
+// COPYING
+// =============================================================================
+
+/** What a copy left out, for the isolation note */
+interface LeftOut {
+  skipped: string[];
+  outsideLinks: string[];
+}
+
+/** Whether a link at `path` with this target resolves outside `root` */
+function leavesRoot(root: string, path: string, target: string): boolean {
+  if (isAbsolute(target)) return true;
+  const resolved = resolve(dirname(path), target);
+  return resolved !== root && !resolved.startsWith(root + sep);
+}
+
+/** Files under `dir` (relative), skipping .git and node_modules at any depth */
+async function walkFiles(dir: string, prefix = ''): Promise<string[]> {
+  const files: string[] = [];
+  for (const entry of await readdir(join(dir, prefix), { withFileTypes: true })) {
+    if (entry.name === '.git' || entry.name === 'node_modules') continue;
+    const path = join(prefix, entry.name);
+    if (entry.isDirectory()) files.push(...(await walkFiles(dir, path)));
+    else files.push(path);
+  }
+  return files;
+}
+
+/**
+ * Copy `files` (relative to `from`) into `to`. Symlinks are copied as links
+ * unless they lead outside `to`; anything that isn't a regular file or link
+ * (a submodule, a socket, a file deleted since it was listed) is left out.
+ */
+async function copyFiles(
+  from: string,
+  to: string,
+  files: string[],
+  limits: IsolationConfig,
+  left: LeftOut
+): Promise<{ error: string } | null> {
+  let total = 0;
+  for (const file of files) {
+    const source = join(from, file);
+    const stats = await lstat(source).catch(() => null);
+    if (!stats || !(stats.isFile() || stats.isSymbolicLink())) continue;
+    if (stats.size > limits.maxFileBytes) {
+      left.skipped.push(file);
+      continue;
+    }
+    const link = stats.isSymbolicLink() ? await readlink(source) : null;
+    if (link !== null && leavesRoot(to, join(to, file), link)) {
+      left.outsideLinks.push(file);
+      continue;
+    }
+    total += stats.size;
+    if (total > limits.maxTotalBytes) {
+      return { error: `The workspace is larger than isolation.maxTotalBytes (${formatMb(limits.maxTotalBytes)})` };
+    }
+
+    const target = join(to, file);
+    await mkdir(dirname(target), { recursive: true });
+    if (link !== null) await symlink(link, target);
+    else await copyFile(source, target);
+  }
+  return null;
+}
+
+function formatMb(bytes: number): string {
+  return `${Math.round(bytes / 1_048_576)} MB`;
+}
+
+// =============================================================================
+// CREATING A WORKSPACE
+// =============================================================================
+
+interface Prepared {
+  /** Root of the copy, and the original directory it stands for */
+  root: string;
+  originalRoot: string;
+  /** workingDir inside the copy */
+  dir: string;
+  cleanup: () => Promise<void>;
+}
+
+async function prepareWorktree(workingDir: string, temp: string, limits: IsolationConfig, left: LeftOut): Promise<Prepared | { error: string }> {
+  const top = (await git(workingDir, ['rev-parse', '--show-toplevel']))?.trim();
+  if (!top) return { error: `Not a git repository: ${workingDir} — use isolation mode "copy" instead` };
+  const head = (await git(top, ['rev-parse', '--verify', '--quiet', 'HEAD']))?.trim();
+  if (!head) return { error: 'The repository needs at least one commit for isolation mode "worktree"' };
+
+  // Objects are borrowed read-only through alternates; refs, config and hooks
+  // are the clone's own. Without a remote, a push has nowhere to go.
+  const cleanup = () => rm(temp, { recursive: true, force: true });
+  if ((await git(top, ['clone', '--quiet', '--shared', '--no-checkout', top, temp])) === null
+    || (await git(temp, ['remote', 'remove', 'origin'])) === null
+    || (await git(temp, ['checkout', '--quiet', '--detach', head])) === null) {
+    await cleanup();
+    return { error: 'Could not check out HEAD into a temporary clone' };
+  }
+
+  // Staged and unstaged changes to tracked files, then untracked files
+  const diff = await git(top, ['diff', 'HEAD', '--binary', '--no-color', '--no-ext-diff']);
+  if (diff === null || (diff.trim() && (await git(temp, ['apply', '--binary', '--whitespace=nowarn'], diff)) === null)) {
+    await cleanup();
+    return { error: 'Could not apply the uncommitted changes to the checkout' };
+  }
+  const untracked = await git(top, ['ls-files', '--others', '--exclude-standard', '-z']);
+  const failed = await copyFiles(top, temp, splitNul(untracked ?? ''), limits, left);
+  if (failed) {
+    await cleanup();
+    return failed;
+  }
+
+  // Committed symlinks are checked out as they are
+  for (const entry of splitNul((await git(temp, ['ls-files', '--stage', '-z'])) ?? '')) {
+    if (!entry.startsWith('120000 ')) continue;
+    const file = entry.slice(entry.indexOf('\t') + 1);
+    const path = join(temp, file);
+    const link = await readlink(path).catch(() => null);
+    if (link !== null && leavesRoot(temp, path, link)) {
+      await rm(path, { force: true });
+      left.outsideLinks.push(file);
+    }
+  }
+
+  return { root: temp, originalRoot: top, dir: join(temp, relative(top, await realpath(workingDir))), cleanup };
+}
+
+async function prepareCopy(workingDir: string, temp: string, limits: IsolationConfig, left: LeftOut): Promise<Prepared | { error: string }> {
+  const cleanup = () => rm(temp, { recursive: true, force: true });
+  const listed = await git(workingDir, ['ls-files', '--cached', '--others', '--exclude-standard', '-z']);
+  const files = listed !== null ? splitNul(listed) : await walkFiles(workingDir);
+
+  const failed = await copyFiles(workingDir, temp, files, limits, left);
+  if (failed) {
+    await cleanup();
+    return failed;
+  }
+  return { root: temp, originalRoot: workingDir, dir: temp, cleanup };
+}
+
+/**
+ * Run `run` with an isolated copy of `workingDir`, or with no workspace when
+ * `isolation.mode` is "none". The copy is removed when `run` settles.
+ * Fails without calling `run` if the copy can't be made — a review never
+ * falls back to the real tree.
+ */
+export async function withIsolatedWorkspace<T>(
+  workingDir: string,
+  run: (workspace: IsolatedWorkspace | undefined) => Promise<T>
+): Promise<{ success: true; value: T } | { success: false; error: string }> {
+  const config = getConfig(workingDir).isolation;
+  if (config.mode === 'none') return { success: true, value: await run(undefined) };
+
+  const original = resolve(workingDir);
+  const temp = await mkdtemp(join(tmpdir(), 'cc-reviewer-isolated-'));
+  const left: LeftOut = { skipped: [], outsideLinks: [] };
+  let prepared: Prepared | { error: string };
+  try {
+    prepared = config.mode === 'worktree'
+      ? await prepareWorktree(original, temp, config, left)
+      : await prepareCopy(original, temp, config, left);
+  } catch (error) {
+    await rm(temp, { recursive: true, force: true });
+    return { success: false, error: (error as Error).message };
+  }
+  if ('error' in prepared) {
+    await rm(temp, { recursive: true, force: true });
+    return { success: false, error: prepared.error };
+  }
+
+  try {
+    // Adapters read project settings for the directory they review
+    const projectConfig = findProjectConfig(original);
+    if (projectConfig) await copyFile(projectConfig, join(prepared.dir, PROJECT_CONFIG_FILE));
+
+    const workspace = createWorkspace(config.mode, prepared, await realpath(prepared.root), left);
+    return { success: true, value: await run(workspace) };
+  } finally {
+    await prepared.cleanup();
+  }
+}
+
+function createWorkspace(mode: 'worktree' | 'copy', prepared: Prepared, realRoot: string, left: LeftOut): IsolatedWorkspace {
+  // The CLI may report the resolved path (macOS's /var → /private/var)
+  const roots = [...new Set([realRoot, prepared.root])].sort((a, b) => b.length - a.length);
+  const mapText = (text: string) => roots.reduce((out, root) => out.split(root).join(prepared.originalRoot), text);
+
+  return {
+    mode,
+    dir: prepared.dir,
+    ...left,
+    isolate: (request) => ({ ...request, workingDir: prepared.dir }),
+    restorePaths: (result) => result.success
+      ? { ...result, output: mapText(result.output) }
+      : {
+          ...result,
+          error: { ...result.error, message: mapText(result.error.message) },
+          rawOutput: result.rawOutput !== undefined ? mapText(result.rawOutput) : undefined,
+        },
+  };
+}
+
+/** One-line note for tool output about the isolated copy */
+export function formatIsolation(workspace: IsolatedWorkspace): string {
+  const kind = workspace.mode === 'worktree' ? 'a temporary git checkout' : 'a temporary copy';
+  const note = `🔒 **Isolated:** reviewed in ${kind} of the workspace`;
+  const reasons = [
+    ...(workspace.skipped.length > 0 ? [`left out for size: ${listFiles(workspace.skipped)}`] : []),
+    ...(workspace.outsideLinks.length > 0 ? [`links out of the workspace left out: ${listFiles(workspace.outsideLinks)}`] : []),
+  ];
+  return reasons.length > 0 ? `${note} (${reasons.join('; ')})` : note;
+}
+
+function listFiles(files: string[]): string {
+  const shown = files.slice(0, 5).map(f => `\`${f}\``).join(', ');
+  return files.length > 5 ? `${shown} and ${files.length - 5} more` : shown;
+}
@@ -0,0 +1,186 @@
+/**
+ * Background Review Jobs
+ *
+ * review_start runs a review tool in the background of the server process
+ * and returns a job ID at once, so long xhigh or multi_review runs don't
+ * hit client-side tool timeouts. review_status reports per-pass state;
+ * review_result hands over the finished output; review_cancel stops a job
+ * and the reviewer CLIs it started.
+ *
+ * Jobs live in memory only: they are lost when the server exits. Finished
+ * results are kept until fetched; past MAX_FINISHED_JOBS the oldest
+ * unfetched ones are dropped.
+ */
+
+import { randomBytes } from 'crypto';
+import { ReviewResult, RunOptions } from './adapters/base.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+export type PassState = 'queued' | 'running' | 'done' | 'failed' | 'skipped';
+
+export interface JobPass {
+  /** Reviewer and mode, e.g. "Codex (standard)" */
+  label: string;
+  state: PassState;
+  startedAt?: number;
+  finishedAt?: number;
+  /** Latest reviewer event, e.g. "command_execution — npm test (42s)" */
+  lastEvent?: string;
+  /** Failure or skip reason */
+  error?: string;
+}
+
+export type ToolResponse = { content: Array<{ type: 'text'; text: string }> };
+
+export interface ReviewJob {
+  id: string;
+  /** Review tool the job runs, e.g. "multi_review" */
+  tool: string;
+  status: 'running' | 'done' | 'failed' | 'cancelled';
+  createdAt: number;
+  finishedAt?: number;
+  passes: JobPass[];
+  /** Tool output, once done */
+  result?: ToolResponse;
+  /** Set when the tool itself threw */
+  error?: string;
+}
+
+/**
+ * Hooks the review tools call as passes move along. Tools run without a
+ * tracker when called directly.
+ */
+export interface PassTracker {
+  queued(label: string): void;
+  started(label: string): void;
+  event(label: string, message: string): void;
+  finished(label: string, result: ReviewResult): void;
+  skipped(label: string, reason: string): void;
+}
+
+/** Finished jobs kept while waiting to be fetched */
+const MAX_FINISHED_JOBS = 50;
+
+const jobs = new Map<string, ReviewJob>();
+
+/** Running jobs' abort handles, and promises that settle when they stop */
+const running = new Map<string, { controller: AbortController; stopped: Promise<void> }>();
+
+// =============================================================================
+// TRACKING
+// =============================================================================
+
+function trackerFor(job: ReviewJob): PassTracker {
+  const pass = (label: string): JobPass => {
+    let entry = job.passes.find(p => p.label === label);
+    if (!entry) {
+      entry = { label, state: 'queued' };
+      job.passes.push(entry);
+    }
+    return entry;
+  };
+
+  return {
+    queued: (label) => { pass(label); },
+    started: (label) => {
+      Object.assign(pass(label), { state: 'running', startedAt: Date.now() });
+    },
+    event: (label, message) => { pass(label).lastEvent = message; },
+    finished: (label, result) => {
+      Object.assign(pass(label), {
+        state: result.success ? 'done' : 'failed',
+        finishedAt: Date.now(),
+        error: result.success ? undefined : `${result.error.type}: ${result.error.message}`,
+      });
+    },
+    skipped: (label, reason) => {
+      Object.assign(pass(label), { state: 'skipped', error: reason });
+    },
+  };
+}
+
+function pruneFinished(): void {
+  const finished = [...jobs.values()].filter(j => j.status !== 'running');
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Start `run` in the background and return its job right away.
+ * `run` gets the tracker to report its passes through, and the signal
+ * cancelJob() aborts.
+ */
+export function startJob(
+  tool: string,
+  run: (options: RunOptions & { tracker: PassTracker; signal: AbortSignal }) => Promise<ToolResponse>
+): ReviewJob {
+  const job: ReviewJob = {
+    id: `job_${Date.now().toString(36)}_${randomBytes(3).toString('hex')}`,
+    tool,
+    status: 'running',
+    createdAt: Date.now(),
+    passes: [],
+  };
+  jobs.set(job.id, job);
+
+  const controller = new AbortController();
+  const stopped = run({ tracker: trackerFor(job), signal: controller.signal }).then(
+    (result) => { Object.assign(job, { status: controller.signal.aborted ? 'cancelled' : 'done', result, finishedAt: Date.now() }); },
+    (error) => {
+      const msg = error instanceof Error ? error.message : String(error);
+      Object.assign(job, { status: 'failed', error: msg, finishedAt: Date.now() });
+    }
+  ).finally(() => {
+    running.delete(job.id);
+    pruneFinished();
+  });
+  running.set(job.id, { controller, stopped });
+
+  return job;
+}
+
+/**
+ * Abort a running job and wait for its passes to stop. Finished jobs are
+ * returned as they are; unknown ids give undefined.
+ */
+export async function cancelJob(id: string): Promise<ReviewJob | undefined> {
+  const handle = running.get(id);
+  if (handle) {
+    handle.controller.abort();
+    await handle.stopped;
+  }
+  return jobs.get(id);
+}
+
+export function getJob(id: string): ReviewJob | undefined {
+  return jobs.get(id);
+}
+
+/** All jobs not yet fetched, oldest first */
+export function listJobs(): ReviewJob[] {
+  return [...jobs.values()];
+}
+
+/**
+ * Hand over a finished job and forget it. Running jobs are left alone.
+ */
+export function takeJob(id: string): ReviewJob | undefined {
+  const job = jobs.get(id);
+  if (job && job.status !== 'running') jobs.delete(id);
+  return job;
+}
+
+/** Drop every job. For tests. */
+export function clearJobsForTesting(): void {
+  for (const { controller } of running.values()) controller.abort();
+  running.clear();
+  jobs.clear();
+}
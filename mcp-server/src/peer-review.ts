@@ -0,0 +1,212 @@
+/**
+ * Anonymized Peer-Review Round
+ *
+ * After a structured multi_review, each available model scores the other
+ * models' findings as valid / questionable / invalid without knowing who
+ * wrote them. Labels are dealt out at random each round, so "Reviewer A"
+ * is not always the same model. Aggregated validity filters the final report — cheap
+ * cross-examination of hallucinated findings with no human in the loop.
+ *
+ * Scoring:
+ *   valid = 1, questionable = 0.5, invalid = 0, cannot_assess = ignored
+ *   Each vote is weighted by the scorer's confidence.
+ */
+
+import { ReviewerAdapter, ReviewRequest, RunOptions, TokenUsage } from './adapters/base.js';
+import { ReviewFinding, PeerScore, parsePeerReviewOutput } from './schema.js';
+import { ReviewerFindings } from './consensus.js';
+import { labelProgress } from './progress.js';
+import { runScheduled, SchedulerLimits } from './scheduler.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+export interface FindingValidity {
+  /** Confidence-weighted validity (0-1) */
+  score: number;
+  /** Number of peer votes that assessed the finding */
+  votes: number;
+}
+
+export interface PeerRoundResult {
+  /** Aggregated validity per finding (findings nobody assessed are absent) */
+  validity: Map<ReviewFinding, FindingValidity>;
+  /** Number of scorer/reviewed pairs that ran */
+  runs: number;
+  /** Anonymized label → the model it stood for this round */
+  labels: Map<string, string>;
+  /** Human-readable notes for pairs that failed or returned unusable output, with real model names */
+  failures: string[];
+  /** Token usage of every scoring run that reported it */
+  usage: TokenUsage[];
+}
+
+/** Findings scoring below this are filtered out of the final report */
+export const PEER_VALIDITY_THRESHOLD = 0.35;
+
+const VALIDITY_VALUES: Record<PeerScore['validity'], number | null> = {
+  valid: 1,
+  questionable: 0.5,
+  invalid: 0,
+  cannot_assess: null,
+};
+
+// =============================================================================
+// ANONYMIZATION
+// =============================================================================
+
+interface AnonymizedReview {
+  reviewer: string;
+  label: string;
+  /** Anonymized finding id → original finding */
+  findings: Map<string, ReviewFinding>;
+}
+
+/**
+ * Group findings per model and assign neutral labels ("Reviewer A") and ids ("A-1"),
+ * shuffled with `random`. Passes from the same model are merged so a model
+ * never scores itself.
+ */
+function anonymize(reviews: ReviewerFindings[], random: () => number): AnonymizedReview[] {
+  const byReviewer = new Map<string, ReviewFinding[]>();
+  for (const { reviewer, findings } of reviews) {
+    byReviewer.set(reviewer, [...(byReviewer.get(reviewer) ?? []), ...findings]);
+  }
+
+  // Fisher-Yates over the letters, so a label says nothing about the model
+  const letters = [...byReviewer.keys()].map((_, i) => String.fromCharCode(65 + i));
+  for (let i = letters.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [letters[i], letters[j]] = [letters[j], letters[i]];
+  }
+
+  return [...byReviewer.entries()].map(([reviewer, findings], i) => {
+    const letter = letters[i];
+    return {
+      reviewer,
+      label: `Reviewer ${letter}`,
+      findings: new Map(findings.map((f, j) => [`${letter}-${j + 1}`, f])),
+    };
+  });
+}
+
+function serializeFindings(review: AnonymizedReview): string {
+  const findings = [...review.findings.entries()].map(([id, f]) => ({
+    id,
+    category: f.category,
+    severity: f.severity,
+    title: f.title,
+    description: f.description,
+    location: f.location,
+    evidence: f.evidence,
+  }));
+  return JSON.stringify({ findings }, null, 2);
+}
+
+// =============================================================================
+// ROUND
+// =============================================================================
+
+/**
+ * Have every adapter that supports peer review score each other model's findings.
+ * Pairs run under `limits` — multi_review passes its concurrency caps and
+ * whatever is left of its time and token budgets. A failing or skipped pair
+ * only loses its votes. `random` deals the labels.
+ */
+export async function runPeerReviewRound(
+  adapters: ReviewerAdapter[],
+  request: ReviewRequest,
+  reviews: ReviewerFindings[],
+  options: RunOptions = {},
+  limits: SchedulerLimits = { maxConcurrency: Infinity, maxPerAdapter: Infinity },
+  random: () => number = Math.random
+): Promise<PeerRoundResult> {
+  const anonymized = anonymize(reviews, random).filter(r => r.findings.size > 0);
+  const labels = new Map(anonymized.map(r => [r.label, r.reviewer]));
+  const votes = new Map<ReviewFinding, Array<{ value: number; weight: number }>>();
+  const failures: string[] = [];
+  const usage: TokenUsage[] = [];
+
+  const pairs = adapters.flatMap(scorer =>
+    scorer.runPeerReview
+      ? anonymized.filter(r => r.reviewer !== scorer.id).map(reviewed => ({ scorer, reviewed }))
+      : []
+  );
+
+  const outcomes = await runScheduled(
+    pairs.map(({ scorer, reviewed }) => ({
+      key: scorer.id,
+      run: (maxTimeoutMs?: number) => scorer.runPeerReview!(
+        maxTimeoutMs !== undefined ? { ...request, maxTimeoutMs } : request,
+        serializeFindings(reviewed),
+        reviewed.label,
+        { ...options, onProgress: labelProgress(options.onProgress, `${scorer.id} → ${reviewed.label} (peer review)`) }
+      ),
+    })),
+    limits,
+    (result) => result.usage ? result.usage.inputTokens + result.usage.outputTokens : 0
+  );
+
+  let runs = 0;
+  outcomes.forEach((outcome, i) => {
+    const { scorer, reviewed } = pairs[i];
+    if (outcome.status === 'skipped') {
+      failures.push(`${scorer.id} → ${reviewed.reviewer}: skipped, ${outcome.reason === 'time_budget' ? 'time' : 'token'} budget used up`);
+      return;
+    }
+    runs++;
+    const result = outcome.value;
+    if (result.usage) usage.push(result.usage);
+    if (!result.success) {
+      failures.push(`${scorer.id} → ${reviewed.reviewer}: ${result.error.type}`);
+      return;
+    }
+    const peerReview = parsePeerReviewOutput(result.output);
+    if (!peerReview) {
+      failures.push(`${scorer.id} → ${reviewed.reviewer}: unparseable scores`);
+      return;
+    }
+    for (const score of peerReview.scores) {
+      const finding = reviewed.findings.get(score.finding_id);
+      const value = VALIDITY_VALUES[score.validity];
+      if (!finding || value === null) continue;
+      votes.set(finding, [...(votes.get(finding) ?? []), { value, weight: Math.max(score.confidence, 0.05) }]);
+    }
+  });
+
+  const validity = new Map<ReviewFinding, FindingValidity>();
+  for (const [finding, findingVotes] of votes) {
+    const totalWeight = findingVotes.reduce((sum, v) => sum + v.weight, 0);
+    validity.set(finding, {
+      score: findingVotes.reduce((sum, v) => sum + v.value * v.weight, 0) / totalWeight,
+      votes: findingVotes.length,
+    });
+  }
+
+  return { validity, runs, labels, failures, usage };
+}
+
+/**
+ * Drop findings whose peer validity falls below the threshold.
+ * Findings no peer assessed are kept.
+ */
+export function filterByPeerValidity(
+  reviews: ReviewerFindings[],
+  round: PeerRoundResult,
+  threshold: number = PEER_VALIDITY_THRESHOLD
+): { kept: ReviewerFindings[]; filtered: Array<{ reviewer: string; finding: ReviewFinding; validity: FindingValidity }> } {
+  const filtered: Array<{ reviewer: string; finding: ReviewFinding; validity: FindingValidity }> = [];
+  const kept = reviews.map(({ reviewer, findings }) => ({
+    reviewer,
+    findings: findings.filter((finding) => {
+      const validity = round.validity.get(finding);
+      if (validity && validity.score < threshold) {
+        filtered.push({ reviewer, finding, validity });
+        return false;
+      }
+      return true;
+    }),
+  }));
+  return { kept, filtered };
+}
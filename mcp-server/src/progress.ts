@@ -0,0 +1,46 @@
+/**
+ * MCP Progress Notifications
+ *
+ * Reviews can run for many minutes. When the client sends a
+ * `_meta.progressToken` with a tool call, reviewer events (files read,
+ * commands run, reasoning steps) are forwarded as `notifications/progress`
+ * so the user can tell a stuck review from a thinking one.
+ */
+
+import type { ProgressToken, ServerNotification } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Build an onProgress callback that forwards each message as a progress
+ * notification. Returns undefined when the client did not ask for progress.
+ * Send failures are logged and never fail the review.
+ */
+export function createProgressReporter(
+  progressToken: ProgressToken | undefined,
+  sendNotification: (notification: ServerNotification) => Promise<void>
+): ((message: string) => void) | undefined {
+  if (progressToken === undefined) return undefined;
+
+  // `progress` must increase with every notification; there is no known total
+  let progress = 0;
+  return (message: string) => {
+    progress++;
+    sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, message },
+    }).catch((error) => {
+      const msg = error instanceof Error ? error.message : String(error);
+      console.error(`[cc-reviewer] Could not send progress notification: ${msg}`);
+    });
+  };
+}
+
+/**
+ * Prefix every message with the reviewer it came from, for tools that run
+ * several reviewers under one progress token (multi_review).
+ */
+export function labelProgress(
+  onProgress: ((message: string) => void) | undefined,
+  label: string
+): ((message: string) => void) | undefined {
+  return onProgress && ((message: string) => onProgress(`${label}: ${message}`));
+}
@@ -8,6 +8,7 @@
 import { FocusArea, OutputType, FOCUS_AREA_DESCRIPTIONS } from './types.js';
 import { getReviewOutputJsonSchema } from './schema.js';
 import { ReviewRequest, ExpertRole, selectExpertRole, EXPERT_ROLES } from './adapters/base.js';
+import { redactPrompt } from './redact.js';
 
 // =============================================================================
 // JSON SCHEMA PROMPT SECTION
@@ -203,7 +204,8 @@ Please ensure your response is valid JSON matching the schema exactly.`);
 // =============================================================================
 
 /**
- * Build a prompt for peer review (one model reviewing another's output)
+ * Build a prompt for peer review (one model reviewing another's output).
+ * Secrets are redacted like in review prompts.
  */
 export function buildPeerReviewPrompt(
   reviewerName: string,
@@ -211,7 +213,7 @@ export function buildPeerReviewPrompt(
   reviewToScore: string,
   originalCcOutput: string
 ): string {
-  return `ROLE: Peer Reviewer
+  return redactPrompt(`ROLE: Peer Reviewer
 
 You are evaluating another AI reviewer's analysis for accuracy and quality.
 
@@ -255,7 +257,7 @@ OUTPUT FORMAT (JSON):
   "summary": "<brief assessment of the review quality>"
 }
 
-Output ONLY the JSON, no other text.`;
+Output ONLY the JSON, no other text.`);
 }
 
 // =============================================================================
@@ -0,0 +1,163 @@
+/**
+ * Secret Redaction
+ *
+ * Handoff prompts carry Claude Code's output, custom instructions, diffs and
+ * sometimes file contents, and they are piped to third-party CLIs. Before a
+ * prompt is sent, this module replaces anything that looks like a credential
+ * with a placeholder such as `[REDACTED:github-token:3f9a1c]`.
+ *
+ * Placeholders are stable — the suffix is a short hash of the secret — so
+ * every reviewer, and every pass of a multi_review, sees the same name for
+ * the same value and findings about it still line up.
+ *
+ * Detectors are rated: `high` ones (key formats with a fixed prefix, private
+ * key blocks) are almost never wrong; `low` ones (password assignments,
+ * URL credentials) are redacted too, but never make a review refuse to run.
+ */
+
+import { createHash } from 'crypto';
+import { getConfig, RedactionConfig } from './config.js';
+
+// =============================================================================
+// DETECTORS
+// =============================================================================
+
+interface Detector {
+  name: string;
+  /** Global regex; a named group `secret` limits redaction to that part */
+  pattern: RegExp;
+  confidence: 'high' | 'low';
+}
+
+const BUILTIN_DETECTORS: Detector[] = [
+  { name: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, confidence: 'high' },
+  { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, confidence: 'high' },
+  { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g, confidence: 'high' },
+  { name: 'anthropic-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g, confidence: 'high' },
+  { name: 'openai-key', pattern: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g, confidence: 'high' },
+  { name: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g, confidence: 'high' },
+  { name: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g, confidence: 'high' },
+  { name: 'stripe-key', pattern: /\b[rs]k_live_[0-9A-Za-z]{16,}\b/g, confidence: 'high' },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g, confidence: 'high' },
+  // KEY=value lines as found in .env files
+  {
+    name: 'env-value',
+    pattern: /^[ \t]*(?:export[ \t]+)?[A-Z][A-Z0-9_]*(?:KEY|TOKEN|SECRET|PASSWORD|PASSWD|PWD|CREDENTIALS?)[ \t]*=[ \t]*["']?(?<secret>[^\s"'#]{8,})/gm,
+    confidence: 'low',
+  },
+  // password = "…" and friends in code or config
+  {
+    name: 'credential',
+    pattern: /(?:password|passwd|secret|token|api[_-]?key)["']?[ \t]*[:=][ \t]*["'](?<secret>[^"'\s]{8,})["']/gi,
+    confidence: 'low',
+  },
+  { name: 'url-credentials', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:(?<secret>[^\s@/]+)@/gi, confidence: 'low' },
+];
+
+/** Values that stand in for a secret rather than being one */
+const PLACEHOLDER_VALUE = /^(?:\$|<|\{|\[REDACTED|process\.env|(.)\1*$|changeme|your[_-])/i;
+
+function configuredDetectors(config: RedactionConfig): Detector[] {
+  return config.patterns.map(p => ({ name: p.name, pattern: new RegExp(p.pattern, 'g'), confidence: p.confidence }));
+}
+
+// =============================================================================
+// REDACTION
+// =============================================================================
+
+export interface SecretFinding {
+  kind: string;
+  confidence: 'high' | 'low';
+  placeholder: string;
+}
+
+function placeholderFor(kind: string, secret: string): string {
+  return `[REDACTED:${kind}:${createHash('sha256').update(secret).digest('hex').slice(0, 6)}]`;
+}
+
+/**
+ * Replace every detected secret in `text`. Configured patterns run first,
+ * then the built-in detectors. Findings are listed once per distinct secret.
+ */
+export function redactSecrets(text: string, config: RedactionConfig = getConfig().redaction): { text: string; findings: SecretFinding[] } {
+  const findings = new Map<string, SecretFinding>();
+
+  for (const detector of [...configuredDetectors(config), ...BUILTIN_DETECTORS]) {
+    text = text.replace(detector.pattern, (...args) => {
+      const match: string = args[0];
+      const groups = args[args.length - 1] as Record<string, string> | undefined;
+      const secret = typeof groups === 'object' && groups?.secret !== undefined ? groups.secret : match;
+      if (!secret || PLACEHOLDER_VALUE.test(secret)) return match;
+
+      const placeholder = placeholderFor(detector.name, secret);
+      if (!findings.has(placeholder)) findings.set(placeholder, { kind: detector.name, confidence: detector.confidence, placeholder });
+      return secret === match ? placeholder : match.replace(secret, placeholder);
+    });
+  }
+
+  return { text, findings: [...findings.values()] };
+}
+
+/** Secrets `redactPrompt` would replace in `text`; none when redaction is off */
+export function findSecrets(text: string): SecretFinding[] {
+  const config = getConfig().redaction;
+  return config.enabled ? redactSecrets(text, config).findings : [];
+}
+
+/**
+ * The prompt as it may be sent: secrets replaced, and a line on stderr
+ * naming what was redacted (never the values).
+ */
+export function redactPrompt(prompt: string): string {
+  const config = getConfig().redaction;
+  if (!config.enabled) return prompt;
+  const { text, findings } = redactSecrets(prompt, config);
+  if (findings.length > 0) console.error(`[redact] Redacted ${describeFindings(findings)} from a review prompt`);
+  return text;
+}
+
+/**
+ * `value` with secrets replaced in every string it holds, for copies kept
+ * on disk. Silent, unlike redactPrompt; a no-op when redaction is off.
+ */
+export function redactValue<T>(value: T): T {
+  const config = getConfig().redaction;
+  if (!config.enabled) return value;
+  const walk = (v: unknown): unknown => {
+    if (typeof v === 'string') return redactSecrets(v, config).text;
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([key, item]) => [key, walk(item)]));
+    return v;
+  };
+  return walk(value) as T;
+}
+
+/** Whether the `refuseOnSecrets` policy blocks a handoff with these findings */
+export function shouldRefuse(findings: SecretFinding[]): boolean {
+  return getConfig().redaction.refuseOnSecrets && findings.some(f => f.confidence === 'high');
+}
+
+function describeFindings(findings: SecretFinding[]): string {
+  const counts = new Map<string, number>();
+  for (const { kind } of findings) counts.set(kind, (counts.get(kind) ?? 0) + 1);
+  const total = findings.length;
+  const kinds = [...counts].map(([kind, n]) => (n > 1 ? `${kind} ×${n}` : kind)).join(', ');
+  return `${total} secret${total === 1 ? '' : 's'} (${kinds})`;
+}
+
+/** Markdown note for tool output; empty when nothing was redacted */
+export function formatRedactions(findings: SecretFinding[]): string {
+  if (findings.length === 0) return '';
+  return `🔐 **Redacted:** ${describeFindings(findings)} replaced with placeholders before the prompt was sent`;
+}
+
+/** Tool output for a review refused under `refuseOnSecrets` */
+export function formatRefusal(findings: SecretFinding[], configPath: string): string {
+  const high = findings.filter(f => f.confidence === 'high');
+  return [
+    `❌ Review not run: the handoff contains ${describeFindings(high)}.`,
+    '',
+    'Nothing was sent to a reviewer. Remove the credentials from the handoff, or set "redaction.refuseOnSecrets" to false',
+    `in ${configPath} to send it with the secrets replaced by placeholders.`,
+  ].join('\n');
+}
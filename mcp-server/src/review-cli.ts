@@ -0,0 +1,353 @@
+/**
+ * Standalone Review — `npx cc-reviewer review`
+ *
+ * Runs the same review tools as the MCP server from a shell, git hook or CI
+ * job, with no assistant session:
+ *
+ *   git diff main | npx cc-reviewer review --reviewer codex --diff main
+ *
+ * The handoff (what to review) comes from stdin or --file. Reviews always
+ * run in structured mode so the result can gate: the exit code reflects the
+ * worst verified finding and the highest risk score across all passes.
+ */
+
+import { parseArgs } from 'util';
+import { existsSync, readFileSync, statSync } from 'fs';
+import { resolve } from 'path';
+import { ReviewResult } from './adapters/index.js';
+import {
+  handleCodexReview,
+  handleGeminiReview,
+  handleClaudeReview,
+  handleOllamaReview,
+  handleCustomReview,
+  handleMultiReview,
+  ReviewInput,
+  ReviewInputSchema,
+  ToolOptions,
+} from './tools/feedback.js';
+import { PassTracker, ToolResponse } from './jobs.js';
+import { parseReviewOutput, SeverityLevel } from './schema.js';
+import { processReviewOutput } from './pipeline.js';
+import { buildMinimalContext } from './context.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+/** Exit codes: findings below the thresholds / gate tripped / no usable review / interrupted */
+export const EXIT_OK = 0;
+export const EXIT_BLOCKED = 1;
+export const EXIT_ERROR = 2;
+export const EXIT_CANCELLED = 130;
+
+export interface ReviewCommandArgs {
+  /** codex, gemini, claude, ollama, multi, or a customReviewers id */
+  reviewer: string;
+  workingDir: string;
+  /** Handoff file; stdin when omitted or "-" */
+  file?: string;
+  focusAreas?: ReviewInput['focusAreas'];
+  diffBase?: string;
+  outputType: ReviewInput['outputType'];
+  reasoningEffort?: ReviewInput['reasoningEffort'];
+  format: 'markdown' | 'json';
+  /** Lowest severity that fails the run; null never fails on severity */
+  failOn: SeverityLevel | null;
+  /** Risk score (0-100) at or above which the run fails */
+  maxRisk?: number;
+}
+
+export interface PassVerdict {
+  label: string;
+  success: boolean;
+  /** Failure or skip reason */
+  error?: string;
+  risk?: { level: string; score: number; summary: string };
+  findings: Array<{ severity: SeverityLevel; category: string; title: string; file?: string; line?: number; confidence: number }>;
+}
+
+export interface ReviewVerdict {
+  exitCode: number;
+  /** Why the run failed, one line per tripped threshold */
+  reasons: string[];
+  worstSeverity: SeverityLevel | null;
+  maxRiskScore: number | null;
+  passes: PassVerdict[];
+}
+
+/** Most severe first */
+const SEVERITY_ORDER: SeverityLevel[] = ['critical', 'high', 'medium', 'low', 'info'];
+
+const HANDLERS: Record<string, (input: ReviewInput, options: ToolOptions) => Promise<ToolResponse>> = {
+  codex: handleCodexReview,
+  gemini: handleGeminiReview,
+  claude: handleClaudeReview,
+  ollama: handleOllamaReview,
+  multi: handleMultiReview,
+};
+
+export const REVIEW_USAGE = `Usage: cc-reviewer review --reviewer <codex|gemini|claude|ollama|multi|custom-id> [options] < handoff.md
+
+Options:
+  --dir <path>          Directory to review (default: .)
+  --file <path>         Read the handoff from a file instead of stdin
+  --focus <areas>       Comma-separated focus areas, e.g. security,performance
+  --diff <ref>          Include changes since a git ref, e.g. main
+  --type <type>         plan, findings, analysis or proposal (default: findings)
+  --effort <level>      Codex reasoning effort: high or xhigh
+  --format <format>     markdown or json (default: markdown)
+  --json                Same as --format json
+  --fail-on <severity>  critical, high, medium, low, info or none (default: high)
+  --max-risk <score>    Also fail when a risk score reaches 0-100
+
+Exit codes: 0 passed, 1 findings at or above the thresholds, 2 review could not run, 130 interrupted.`;
+
+// =============================================================================
+// ARGUMENTS
+// =============================================================================
+
+/**
+ * Parse the arguments after `review`. Returns an error message for unknown
+ * options and invalid values.
+ */
+export function parseReviewArgs(argv: string[]): { args: ReviewCommandArgs } | { error: string } {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        reviewer: { type: 'string', short: 'r' },
+        dir: { type: 'string', default: '.' },
+        file: { type: 'string', short: 'f' },
+        focus: { type: 'string', multiple: true },
+        diff: { type: 'string' },
+        type: { type: 'string', default: 'findings' },
+        effort: { type: 'string' },
+        format: { type: 'string', default: 'markdown' },
+        json: { type: 'boolean', default: false },
+        'fail-on': { type: 'string', default: 'high' },
+        'max-risk': { type: 'string' },
+      },
+    }));
+  } catch (error) {
+    return { error: error instanceof Error ? error.message : String(error) };
+  }
+
+  if (!values.reviewer) return { error: 'Missing --reviewer' };
+
+  const shape = ReviewInputSchema.shape;
+  const focus = shape.focusAreas.safeParse(values.focus?.flatMap(f => f.split(',')).map(f => f.trim()).filter(Boolean));
+  if (!focus.success) return { error: `Invalid --focus: ${values.focus!.join(',')}` };
+  const outputType = shape.outputType.safeParse(values.type);
+  if (!outputType.success) return { error: `Invalid --type: ${values.type}` };
+  const effort = shape.reasoningEffort.safeParse(values.effort);
+  if (!effort.success) return { error: `Invalid --effort: ${values.effort}` };
+
+  const format = values.json ? 'json' : values.format;
+  if (format !== 'markdown' && format !== 'json') return { error: `Invalid --format: ${format}` };
+
+  const failOn = values['fail-on'] === 'none' ? null : SeverityLevel.safeParse(values['fail-on']).data;
+  if (failOn === undefined) return { error: `Invalid --fail-on: ${values['fail-on']}` };
+
+  let maxRisk: number | undefined;
+  if (values['max-risk'] !== undefined) {
+    maxRisk = Number(values['max-risk']);
+    if (!Number.isFinite(maxRisk) || maxRisk < 0 || maxRisk > 100) return { error: `Invalid --max-risk: ${values['max-risk']}` };
+  }
+
+  return {
+    args: {
+      reviewer: values.reviewer,
+      workingDir: resolve(values.dir!),
+      file: values.file,
+      focusAreas: focus.data,
+      diffBase: values.diff,
+      outputType: outputType.data,
+      reasoningEffort: effort.data,
+      format,
+      failOn,
+      maxRisk,
+    },
+  };
+}
+
+// =============================================================================
+// VERDICT
+// =============================================================================
+
+/** A pass as the tracker saw it: finished with a result, or skipped with a reason */
+export type CollectedPass = { label: string; result?: ReviewResult; skipped?: string };
+
+/** Tracker that keeps every finished or skipped pass */
+function collectPasses(): { tracker: PassTracker; passes: CollectedPass[] } {
+  const passes: CollectedPass[] = [];
+  return {
+    passes,
+    tracker: {
+      queued: () => {},
+      started: () => {},
+      event: () => {},
+      finished: (label, result) => { passes.push({ label, result }); },
+      skipped: (label, reason) => { passes.push({ label, skipped: reason }); },
+    },
+  };
+}
+
+/**
+ * Judge the passes of one review. Only findings that survive verification
+ * count, so a hallucinated file reference can't fail a build. With no pass
+ * that returned parseable findings, the run could not be judged.
+ */
+export async function judgeReview(
+  passes: CollectedPass[],
+  input: ReviewInput,
+  thresholds: { failOn: SeverityLevel | null; maxRisk?: number }
+): Promise<ReviewVerdict> {
+  const context = buildMinimalContext(input.workingDir, input.ccOutput, input.analyzedFiles, input.focusAreas, input.customPrompt);
+  const judged: PassVerdict[] = [];
+  let parsedAny = false;
+
+  for (const { label, result, skipped } of passes) {
+    if (!result) {
+      judged.push({ label, success: false, error: skipped, findings: [] });
+      continue;
+    }
+    if (!result.success) {
+      judged.push({ label, success: false, error: `${result.error.type}: ${result.error.message}`, findings: [] });
+      continue;
+    }
+    const parsed = parseReviewOutput(result.output);
+    if (!parsed) {
+      judged.push({ label, success: false, error: 'Structured output could not be parsed', findings: [] });
+      continue;
+    }
+    parsedAny = true;
+    const processed = await processReviewOutput(parsed, context);
+    const risk = parsed.risk_assessment;
+    judged.push({
+      label,
+      success: true,
+      risk: { level: risk.overall_level, score: risk.score, summary: risk.summary },
+      findings: processed.verified.map(f => ({
+        severity: f.severity,
+        category: f.category,
+        title: f.title,
+        file: f.location?.file,
+        line: f.location?.line_start,
+        confidence: f.adjustedConfidence,
+      })),
+    });
+  }
+
+  const severities = judged.flatMap(p => p.findings.map(f => f.severity));
+  const worstSeverity = SEVERITY_ORDER.find(s => severities.includes(s)) ?? null;
+  const scores = judged.flatMap(p => p.risk ? [p.risk.score] : []);
+  const maxRiskScore = scores.length > 0 ? Math.max(...scores) : null;
+
+  const reasons: string[] = [];
+  if (!parsedAny) {
+    reasons.push('No reviewer returned findings that could be judged');
+    return { exitCode: EXIT_ERROR, reasons, worstSeverity, maxRiskScore, passes: judged };
+  }
+  if (thresholds.failOn) {
+    const blocking = severities.filter(s => SEVERITY_ORDER.indexOf(s) <= SEVERITY_ORDER.indexOf(thresholds.failOn!));
+    if (blocking.length > 0) {
+      reasons.push(`${blocking.length} finding${blocking.length === 1 ? '' : 's'} at ${thresholds.failOn} severity or above (worst: ${worstSeverity})`);
+    }
+  }
+  if (thresholds.maxRisk !== undefined && maxRiskScore !== null && maxRiskScore >= thresholds.maxRisk) {
+    reasons.push(`Risk score ${maxRiskScore}/100 reaches --max-risk ${thresholds.maxRisk}`);
+  }
+  return { exitCode: reasons.length > 0 ? EXIT_BLOCKED : EXIT_OK, reasons, worstSeverity, maxRiskScore, passes: judged };
+}
+
+function formatVerdict(verdict: ReviewVerdict): string {
+  const icon = verdict.exitCode === EXIT_OK ? '✓ Passed' : verdict.exitCode === EXIT_BLOCKED ? '✗ Failed' : '⚠️ Not judged';
+  const lines = [
+    '---',
+    '',
+    `## Verdict: ${icon}`,
+    '',
+    `**Worst finding:** ${verdict.worstSeverity ?? 'none'}`,
+    `**Highest risk score:** ${verdict.maxRiskScore !== null ? `${verdict.maxRiskScore}/100` : 'n/a'}`,
+  ];
+  if (verdict.reasons.length > 0) lines.push('', ...verdict.reasons.map(r => `- ${r}`));
+  return lines.join('\n');
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Read the handoff from `file`, or from stdin when it is omitted or "-".
+ * Refuses an interactive stdin rather than waiting on the terminal.
+ */
+export async function readHandoff(file?: string): Promise<{ text: string } | { error: string }> {
+  if (file && file !== '-') {
+    try {
+      return { text: readFileSync(file, 'utf-8') };
+    } catch (error) {
+      return { error: `Cannot read ${file}: ${error instanceof Error ? error.message : String(error)}` };
+    }
+  }
+  if (process.stdin.isTTY) return { error: 'Pass the handoff on stdin or with --file' };
+
+  const chunks: Buffer[] = [];
+  for await (const chunk of process.stdin) chunks.push(chunk as Buffer);
+  return { text: Buffer.concat(chunks).toString('utf-8') };
+}
+
+/**
+ * Run one review for the command line and render it. The caller reads the
+ * handoff and prints `output`; `exitCode` is what the process should exit with.
+ */
+export async function runReviewCommand(
+  args: ReviewCommandArgs,
+  handoff: string,
+  signal?: AbortSignal
+): Promise<{ output: string; exitCode: number }> {
+  const fail = (message: string, exitCode = EXIT_ERROR) => ({
+    output: args.format === 'json' ? JSON.stringify({ reviewer: args.reviewer, exitCode, error: message }, null, 2) : `❌ ${message}`,
+    exitCode,
+  });
+
+  if (!existsSync(args.workingDir) || !statSync(args.workingDir).isDirectory()) {
+    return fail(`Not a directory: ${args.workingDir}`);
+  }
+  if (!handoff.trim()) return fail('The handoff is empty — pass it on stdin or with --file');
+
+  const input: ReviewInput = {
+    workingDir: args.workingDir,
+    ccOutput: handoff,
+    outputType: args.outputType,
+    focusAreas: args.focusAreas,
+    diffBase: args.diffBase,
+    reasoningEffort: args.reasoningEffort,
+    structured: true,
+    ...(HANDLERS[args.reviewer] ? {} : { reviewer: args.reviewer }),
+  };
+  const handler = HANDLERS[args.reviewer] ?? handleCustomReview;
+
+  const { tracker, passes } = collectPasses();
+  const response = await handler(input, { tracker, signal });
+  const report = response.content.map(c => c.text).join('\n');
+
+  if (signal?.aborted) return fail('Review cancelled', EXIT_CANCELLED);
+
+  const verdict = await judgeReview(passes, input, args);
+  if (args.format === 'json') {
+    return {
+      output: JSON.stringify({
+        reviewer: args.reviewer,
+        failOn: args.failOn,
+        maxRisk: args.maxRisk ?? null,
+        ...verdict,
+        report,
+      }, null, 2),
+      exitCode: verdict.exitCode,
+    };
+  }
+  return { output: `${report}\n\n${formatVerdict(verdict)}`, exitCode: verdict.exitCode };
+}
@@ -0,0 +1,100 @@
+/**
+ * Review Scheduler
+ *
+ * Runs multi_review passes under concurrency limits and a per-call budget
+ * instead of spawning every CLI at once:
+ * - Global and per-adapter concurrency caps
+ * - Tasks start in the order given (standard passes before adversarial ones),
+ *   skipping past tasks whose adapter is at its cap
+ * - Wall-clock budget: running tasks are told the time left so the CLI is
+ *   killed at the deadline; tasks still queued then are skipped
+ * - Token budget: once completed tasks have spent it, queued tasks are skipped
+ */
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+export interface ScheduledTask<T> {
+  /** Concurrency group — the adapter id */
+  key: string;
+  /** Runs the task. `maxTimeoutMs` is the time left in the budget, if there is one */
+  run: (maxTimeoutMs?: number) => Promise<T>;
+}
+
+export interface SchedulerLimits {
+  maxConcurrency: number;
+  maxPerAdapter: number;
+  /** Per-adapter overrides of maxPerAdapter */
+  adapterLimits?: Record<string, number>;
+  /** Wall-clock budget for the whole run */
+  timeBudgetMs?: number | null;
+  /** Input + output tokens the whole run may spend */
+  tokenBudget?: number | null;
+}
+
+export type TaskOutcome<T> =
+  /** `hitDeadline`: the task only settled once the time budget ran out — it was cut off */
+  | { status: 'completed'; value: T; hitDeadline: boolean }
+  | { status: 'skipped'; reason: 'time_budget' | 'token_budget' };
+
+// =============================================================================
+// SCHEDULER
+// =============================================================================
+
+/**
+ * Run tasks under the given limits. Outcomes are returned in task order.
+ * `tokensOf` reports what a completed task spent, for the token budget.
+ */
+export function runScheduled<T>(
+  tasks: ScheduledTask<T>[],
+  limits: SchedulerLimits,
+  tokensOf: (value: T) => number = () => 0
+): Promise<TaskOutcome<T>[]> {
+  const deadline = limits.timeBudgetMs != null ? Date.now() + limits.timeBudgetMs : null;
+  const outcomes: TaskOutcome<T>[] = new Array(tasks.length);
+  const pending = tasks.map((_, i) => i);
+  const runningByKey = new Map<string, number>();
+  let active = 0;
+  let tokensSpent = 0;
+
+  const limitFor = (key: string) => Math.max(1, limits.adapterLimits?.[key] ?? limits.maxPerAdapter);
+
+  return new Promise((resolve, reject) => {
+    const pump = () => {
+      // Budget exhausted → everything still queued is skipped
+      const outOfTime = deadline !== null && Date.now() >= deadline;
+      const outOfTokens = limits.tokenBudget != null && tokensSpent >= limits.tokenBudget;
+      if (outOfTime || outOfTokens) {
+        for (const i of pending.splice(0)) {
+          outcomes[i] = { status: 'skipped', reason: outOfTime ? 'time_budget' : 'token_budget' };
+        }
+      }
+
+      while (active < Math.max(1, limits.maxConcurrency)) {
+        const slot = pending.findIndex(i => (runningByKey.get(tasks[i].key) ?? 0) < limitFor(tasks[i].key));
+        if (slot === -1) break;
+        start(pending.splice(slot, 1)[0]);
+      }
+
+      if (active === 0 && pending.length === 0) resolve(outcomes);
+    };
+
+    const start = (i: number) => {
+      const { key, run } = tasks[i];
+      active++;
+      runningByKey.set(key, (runningByKey.get(key) ?? 0) + 1);
+
+      const remaining = deadline !== null ? Math.max(0, deadline - Date.now()) : undefined;
+      run(remaining).then((value) => {
+        active--;
+        runningByKey.set(key, runningByKey.get(key)! - 1);
+        tokensSpent += tokensOf(value);
+        outcomes[i] = { status: 'completed', value, hitDeadline: deadline !== null && Date.now() >= deadline };
+        pump();
+      }, reject);
+    };
+
+    pump();
+  });
+}
@@ -223,7 +223,19 @@ export function getReviewOutputJsonSchema(): object {
             severity: { type: 'string', enum: ['critical', 'high', 'medium', 'low', 'info'] },
             confidence: { type: 'number', minimum: 0, maximum: 1 },
             title: { type: 'string', maxLength: 120 },
-            description: { type: 'string' }
+            description: { type: 'string' },
+            location: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['file'],
+              properties: {
+                file: { type: 'string' },
+                line_start: { type: 'integer', minimum: 1 },
+                line_end: { type: 'integer', minimum: 1 }
+              }
+            },
+            evidence: { type: 'string' },
+            suggestion: { type: 'string' }
           }
         }
       },
@@ -349,6 +361,18 @@ function normalizeReviewOutput(parsed: Record<string, unknown>): Record<string,
   normalized.alternatives = normalized.alternatives ?? [];
   normalized.findings = normalized.findings ?? [];
 
+  // Drop null optional finding fields (models often emit null instead of omitting)
+  if (Array.isArray(normalized.findings)) {
+    normalized.findings = (normalized.findings as unknown[]).map((f) => {
+      if (typeof f !== 'object' || f === null) return f;
+      const finding = { ...(f as Record<string, unknown>) };
+      for (const key of ['location', 'evidence', 'suggestion', 'cwe_id', 'owasp_category', 'tags']) {
+        if (finding[key] === null) delete finding[key];
+      }
+      return finding;
+    });
+  }
+
   // Normalize optional response arrays — drop non-array values
   if (normalized.uncertainty_responses !== undefined && !Array.isArray(normalized.uncertainty_responses)) {
     delete normalized.uncertainty_responses;
@@ -445,6 +469,29 @@ export function parseReviewOutput(rawOutput: string): ReviewOutput | null {
   }
 }
 
+/**
+ * Attempt to parse peer review output (one model scoring another's findings).
+ * Accepts bare JSON or JSON wrapped in a markdown code block.
+ * Returns null if the output is not a valid PeerReview.
+ */
+export function parsePeerReviewOutput(rawOutput: string): PeerReview | null {
+  let jsonStr = rawOutput;
+  const jsonBlockMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (jsonBlockMatch) {
+    jsonStr = jsonBlockMatch[1].trim();
+  }
+  const jsonStart = jsonStr.indexOf('{');
+  const jsonEnd = jsonStr.lastIndexOf('}');
+  if (jsonStart === -1 || jsonEnd <= jsonStart) return null;
+
+  try {
+    const result = PeerReview.safeParse(JSON.parse(jsonStr.slice(jsonStart, jsonEnd + 1)));
+    return result.success ? result.data : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Check if a review output contains substantive content worth returning.
  * Centralizes the "is this review empty?" check that was duplicated in adapters.
@@ -0,0 +1,186 @@
+/**
+ * Review Sessions
+ *
+ * Every review is persisted under a session ID so CC can come back to the
+ * same reviewer with follow-up questions (review_followup). One session per
+ * reviewer pass: the handoff request, then one round per prompt sent.
+ *
+ * Store: `sessions/` next to the config file, one JSON file per session.
+ * Only the most recent MAX_SESSIONS are kept. Store failures never fail a
+ * review — persistence is best-effort and logged to stderr.
+ *
+ * Sessions hold Claude Code's output and the reviewer's answers, so they
+ * are written with secrets redacted (config `redaction`), readable by the
+ * owner only, and without the diffs a follow-up does not need.
+ */
+
+import { chmodSync, existsSync, mkdirSync, readdirSync, readFileSync, rmSync, statSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { randomBytes } from 'crypto';
+import { ReviewRequest, ReviewResult, ReviewError, TokenUsage } from './adapters/base.js';
+import { getConfigPath } from './config.js';
+import { redactValue } from './redact.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+export interface SessionRound {
+  kind: 'review' | 'followup';
+  /** Prompt sent to the reviewer */
+  prompt: string;
+  /** Questions asked (follow-up rounds only) */
+  questions?: string[];
+  /** Raw reviewer output (successful rounds) */
+  output?: string;
+  /** Error (failed rounds) */
+  error?: ReviewError;
+  usage?: TokenUsage;
+  executionTimeMs: number;
+  completedAt: string;
+}
+
+export interface ReviewSession {
+  id: string;
+  /** Adapter id of the reviewer */
+  reviewer: string;
+  /** 'standard' or 'adversarial' pass */
+  reviewMode: 'standard' | 'adversarial';
+  createdAt: string;
+  updatedAt: string;
+  /** The handoff as sent to the adapter, less its diffs (follow-ups reuse it) */
+  request: ReviewRequest;
+  /** Native CLI conversation to resume (Codex thread_id), when the reviewer reported one */
+  threadId?: string;
+  rounds: SessionRound[];
+}
+
+/** Sessions kept on disk; older ones are pruned on write */
+const MAX_SESSIONS = 200;
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+export function getSessionDir(): string {
+  return join(dirname(getConfigPath()), 'sessions');
+}
+
+function sessionPath(id: string): string {
+  return join(getSessionDir(), `${id}.json`);
+}
+
+function newSessionId(): string {
+  return `rv_${Date.now().toString(36)}_${randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Load a session. Returns null for unknown or malformed IDs.
+ */
+export function loadSession(id: string): ReviewSession | null {
+  if (!/^rv_[a-z0-9]+_[a-f0-9]+$/.test(id)) return null;
+  const path = sessionPath(id);
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8')) as ReviewSession;
+  } catch {
+    return null;
+  }
+}
+
+function saveSession(session: ReviewSession): boolean {
+  try {
+    const dir = getSessionDir();
+    const path = sessionPath(session.id);
+    mkdirSync(dir, { recursive: true, mode: 0o700 });
+    chmodSync(dir, 0o700);
+    writeFileSync(path, JSON.stringify(redactValue(session), null, 2) + '\n', { encoding: 'utf-8', mode: 0o600 });
+    chmodSync(path, 0o600);
+    pruneSessions();
+    return true;
+  } catch (error) {
+    const msg = error instanceof Error ? error.message : String(error);
+    console.error(`[cc-reviewer] Could not save review session ${session.id}: ${msg}`);
+    return false;
+  }
+}
+
+function pruneSessions(): void {
+  const dir = getSessionDir();
+  const files = readdirSync(dir).filter(f => f.startsWith('rv_') && f.endsWith('.json'));
+  if (files.length <= MAX_SESSIONS) return;
+
+  const byAge = files
+    .map(f => ({ f, mtime: statSync(join(dir, f)).mtimeMs }))
+    .sort((a, b) => a.mtime - b.mtime);
+  for (const { f } of byAge.slice(0, files.length - MAX_SESSIONS)) {
+    rmSync(join(dir, f), { force: true });
+  }
+}
+
+function toRound(kind: SessionRound['kind'], prompt: string, result: ReviewResult, questions?: string[]): SessionRound {
+  return {
+    kind,
+    prompt,
+    questions,
+    output: result.success ? result.output : result.rawOutput,
+    error: result.success ? undefined : result.error,
+    usage: result.usage,
+    executionTimeMs: result.executionTimeMs,
+    completedAt: new Date().toISOString(),
+  };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Persist a completed review as a new session.
+ * Returns the session ID, or null if it could not be written.
+ */
+export function recordReview(
+  reviewer: string,
+  request: ReviewRequest,
+  prompt: string,
+  result: ReviewResult
+): string | null {
+  const now = new Date().toISOString();
+  const session: ReviewSession = {
+    id: newSessionId(),
+    reviewer,
+    reviewMode: request.reviewMode ?? 'standard',
+    createdAt: now,
+    updatedAt: now,
+    request: { ...request, changes: undefined },
+    threadId: result.success ? result.threadId : undefined,
+    rounds: [toRound('review', prompt, result)],
+  };
+  return saveSession(session) ? session.id : null;
+}
+
+/**
+ * Append a follow-up round to an existing session.
+ */
+export function recordFollowUp(
+  session: ReviewSession,
+  prompt: string,
+  questions: string[],
+  result: ReviewResult
+): void {
+  session.rounds.push(toRound('followup', prompt, result, questions));
+  session.updatedAt = new Date().toISOString();
+  if (result.success && result.threadId) session.threadId = result.threadId;
+  saveSession(session);
+}
+
+/**
+ * The reviewer's latest successful answer — what follow-up questions refer to.
+ */
+export function latestOutput(session: ReviewSession): string | null {
+  for (let i = session.rounds.length - 1; i >= 0; i--) {
+    const output = session.rounds[i].output;
+    if (!session.rounds[i].error && output) return output;
+  }
+  return null;
+}
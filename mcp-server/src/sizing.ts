@@ -0,0 +1,204 @@
+/**
+ * Handoff Sizing
+ *
+ * Every reviewer declares a context window (`maxContextTokens`). A handoff
+ * that overflows it — a huge ccOutput paste, many diffs, inlined files for
+ * a small local model — gets cut off by the CLI or rejected outright. Before
+ * a prompt is sent, this module estimates its size and, when it is over the
+ * budget, trims the handoff in order of least value:
+ *
+ *   1. diff bodies of changed files (the file list and line counts stay)
+ *   2. inlined file contents
+ *   3. the middle of ccOutput (kept as its own section next to a typed
+ *      summary, or else the summary itself), keeping its start and end
+ *   4. priority files, then questions, then decisions, then uncertainties
+ *      (minor ones first), from the end of each list
+ *
+ * Custom and project instructions are never trimmed. Peer-review prompts
+ * are fitted the same way: the middle of ccOutput goes first, then the
+ * middle of the review being scored. What was dropped is reported so nobody
+ * mistakes a trimmed review for a full one.
+ */
+
+import { Handoff, Uncertainty } from './handoff.js';
+
+/** Rough characters per token; code and non-English text run denser than prose's ~4 */
+const CHARS_PER_TOKEN = 3.5;
+
+/** Text cut in the middle keeps at least this many characters */
+const MIN_KEPT_CHARS = 2_000;
+
+/** Upper bound on the omission marker's length, so cutting the summary once is enough */
+const MARKER_ALLOWANCE = 120;
+
+/** Token estimate for `text`. A heuristic, not a tokenizer: close enough to budget by */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Tokens a handoff prompt may use: the reviewer's context window less
+ * `headroom` (a share kept free for the files it reads and its answer).
+ */
+export function promptBudget(maxContextTokens: number, headroom: number): number {
+  return Math.floor(maxContextTokens * (1 - headroom));
+}
+
+export interface HandoffTrim {
+  /** Estimated prompt size before and after trimming, and the budget it was fitted to */
+  originalTokens: number;
+  promptTokens: number;
+  budgetTokens: number;
+  /** What was dropped or shortened, in the order it happened */
+  dropped: string[];
+}
+
+/**
+ * Fit a handoff to `budgetTokens`, re-rendering the prompt with `render`
+ * after each cut. `trim` is null when the prompt fit as it was. The result
+ * may still be over budget once nothing is left to trim — `promptTokens`
+ * says by how much.
+ */
+export function fitHandoff(
+  handoff: Handoff,
+  render: (handoff: Handoff) => string,
+  budgetTokens: number
+): { prompt: string; trim: HandoffTrim | null } {
+  let current = handoff;
+  let prompt = render(current);
+  const originalTokens = estimateTokens(prompt);
+  if (originalTokens <= budgetTokens) return { prompt, trim: null };
+
+  const over = () => estimateTokens(prompt) > budgetTokens;
+  const apply = (next: Handoff) => {
+    current = next;
+    prompt = render(current);
+  };
+  const dropped: string[] = [];
+
+  // 1. Diff bodies, last file first
+  const diffed: string[] = [];
+  for (let i = (current.changes?.length ?? 0) - 1; i >= 0 && over(); i--) {
+    const change = current.changes![i];
+    if (!change.diff) continue;
+    apply({ ...current, changes: current.changes!.map((c, j) => (j === i ? { ...c, diff: undefined } : c)) });
+    diffed.unshift(change.path);
+  }
+  if (diffed.length > 0) dropped.push(`diffs of ${listPaths(diffed)}`);
+
+  // 2. Inlined file contents, last file first
+  const uninlined: string[] = [];
+  while (over() && current.fileContents && current.fileContents.length > 0) {
+    uninlined.unshift(current.fileContents[current.fileContents.length - 1].path);
+    apply({ ...current, fileContents: current.fileContents.slice(0, -1) });
+  }
+  if (uninlined.length > 0) dropped.push(`contents of ${listPaths(uninlined)}`);
+
+  // 3. The middle of ccOutput, in one cut sized to the overflow
+  const key = current.ccOutput ? 'ccOutput' : 'summary';
+  const text = current[key] ?? '';
+  const cut = over() ? cutMiddle(text, prompt, budgetTokens) : null;
+  if (cut) {
+    apply({ ...current, [key]: cut.text });
+    dropped.push(`${cut.omitted.toLocaleString('en-US')} characters from the middle of ccOutput`);
+  }
+
+  // 4. Lists, from the end
+  for (const key of ['priorityFiles', 'questions', 'decisions', 'uncertainties'] as const) {
+    const total = current[key]?.length ?? 0;
+    while (over() && (current[key]?.length ?? 0) > 0) {
+      apply({ ...current, [key]: dropOne(key, current[key] as unknown[]) } as Handoff);
+    }
+    const removed = total - (current[key]?.length ?? 0);
+    if (removed > 0) dropped.push(`${removed} of ${total} ${LIST_NAMES[key]}`);
+  }
+
+  return { prompt, trim: { originalTokens, promptTokens: estimateTokens(prompt), budgetTokens, dropped } };
+}
+
+/** The texts a peer-review prompt embeds */
+export interface PeerPromptParts {
+  ccOutput: string;
+  review: string;
+}
+
+/**
+ * Fit a peer-review prompt to `budgetTokens`, cutting the middle of
+ * ccOutput and then of the review being scored. Same result shape as
+ * fitHandoff.
+ */
+export function fitPeerPrompt(
+  parts: PeerPromptParts,
+  render: (parts: PeerPromptParts) => string,
+  budgetTokens: number
+): { prompt: string; trim: HandoffTrim | null } {
+  let current = parts;
+  let prompt = render(current);
+  const originalTokens = estimateTokens(prompt);
+  if (originalTokens <= budgetTokens) return { prompt, trim: null };
+
+  const dropped: string[] = [];
+  for (const [key, name] of [['ccOutput', 'ccOutput'], ['review', 'the review being scored']] as const) {
+    const cut = estimateTokens(prompt) > budgetTokens ? cutMiddle(current[key], prompt, budgetTokens) : null;
+    if (!cut) continue;
+    current = { ...current, [key]: cut.text };
+    prompt = render(current);
+    dropped.push(`${cut.omitted.toLocaleString('en-US')} characters from the middle of ${name}`);
+  }
+
+  return { prompt, trim: { originalTokens, promptTokens: estimateTokens(prompt), budgetTokens, dropped } };
+}
+
+/**
+ * `text` with its middle cut in one go by the prompt's overflow, keeping at
+ * least MIN_KEPT_CHARS. Null when the cut would save next to nothing.
+ */
+function cutMiddle(text: string, prompt: string, budgetTokens: number): { text: string; omitted: number } | null {
+  const excess = Math.ceil((estimateTokens(prompt) - budgetTokens) * CHARS_PER_TOKEN) + MARKER_ALLOWANCE;
+  const keep = Math.max(MIN_KEPT_CHARS, text.length - excess);
+  const omitted = text.length - keep;
+  return omitted > MARKER_ALLOWANCE ? { text: compressText(text, keep), omitted } : null;
+}
+
+const LIST_NAMES = {
+  priorityFiles: 'priority files',
+  questions: 'questions',
+  decisions: 'decisions',
+  uncertainties: 'uncertainties',
+};
+
+const SEVERITY_RANK: Record<string, number> = { minor: 0, important: 1, critical: 2 };
+
+/** The list without one item: the last one, or for uncertainties the last of the least severe */
+function dropOne(key: string, items: unknown[]): unknown[] | undefined {
+  let index = items.length - 1;
+  if (key === 'uncertainties') {
+    const rank = (u: Uncertainty) => SEVERITY_RANK[u.severity ?? 'important'];
+    const lowest = Math.min(...(items as Uncertainty[]).map(rank));
+    index = (items as Uncertainty[]).map(rank).lastIndexOf(lowest);
+  }
+  const rest = items.filter((_, i) => i !== index);
+  return rest.length > 0 ? rest : undefined;
+}
+
+/** Keep `keep` characters of `text`: the first two thirds and the last third, around a marker */
+function compressText(text: string, keep: number): string {
+  const head = Math.ceil((keep * 2) / 3);
+  const tail = keep - head;
+  const omitted = text.length - keep;
+  return `${text.slice(0, head)}\n\n[… ${omitted.toLocaleString('en-US')} characters omitted to fit the reviewer's context window …]\n\n${text.slice(text.length - tail)}`;
+}
+
+function listPaths(paths: string[]): string {
+  const shown = paths.slice(0, 5).map(p => `\`${p}\``).join(', ');
+  return paths.length > 5 ? `${shown} and ${paths.length - 5} more files` : shown;
+}
+
+/** One line for tool output, e.g. "**Trimmed:** ~150,000 → ~96,000 tokens to fit …" */
+export function formatTrim(trim: HandoffTrim): string {
+  const n = (tokens: number) => `~${tokens.toLocaleString('en-US')}`;
+  const fit = trim.promptTokens <= trim.budgetTokens
+    ? `to fit the reviewer's ${n(trim.budgetTokens)}-token budget`
+    : `— still over the reviewer's ${n(trim.budgetTokens)}-token budget`;
+  return `**Trimmed:** ${n(trim.originalTokens)} → ${n(trim.promptTokens)} tokens ${fit}; dropped ${trim.dropped.join(', ') || 'nothing'}`;
+}
@@ -1,18 +1,46 @@
 /**
  * MCP Tool Implementations — Review Tools
  *
- * Returns raw reviewer text to CC. No JSON parsing, no reformatting.
+ * Returns raw reviewer text to CC by default. No JSON parsing, no reformatting.
  * CC handles interpretation and synthesis.
+ *
+ * Opt-in structured mode (`structured: true`) asks the reviewer for
+ * ReviewOutput JSON and runs it through the verification pipeline, so
+ * hallucinated file/line references are rejected before CC sees them.
  */
 
 import { z } from 'zod';
 import { FocusArea, OutputType } from '../types.js';
 import {
+  ReviewerAdapter,
   ReviewRequest,
   ReviewResult,
+  RunOptions,
+  TokenUsage,
+  CustomCliAdapter,
   getAdapter,
+  getAllAdapters,
   getAvailableAdapters,
+  getAdapterHealth,
+  circuitAllows,
+  findRequestSecrets,
 } from '../adapters/index.js';
+import { recordReview, recordFollowUp, loadSession, latestOutput } from '../sessions.js';
+import { parseReviewOutput } from '../schema.js';
+import { buildMinimalContext, buildContextFromGitDiff } from '../context.js';
+import { processReviewOutput, formatProcessedReview, generateFollowUpQuestions } from '../pipeline.js';
+import { buildConsensus, formatConsensus, ReviewerFindings } from '../consensus.js';
+import { runPeerReviewRound, filterByPeerValidity } from '../peer-review.js';
+import { getConfig, getConfigPath } from '../config.js';
+import { HandoffInputSchema } from '../handoff.js';
+import { withWorkspaceAudit, formatWorkspaceAudit } from '../audit.js';
+import { withIsolatedWorkspace, formatIsolation, IsolatedWorkspace } from '../isolation.js';
+import { formatRedactions, formatRefusal, shouldRefuse } from '../redact.js';
+import { formatUsage, formatUsageTotals, sumUsage } from '../usage.js';
+import { formatTrim } from '../sizing.js';
+import { runScheduled, SchedulerLimits } from '../scheduler.js';
+import { labelProgress } from '../progress.js';
+import { startJob, getJob, listJobs, takeJob, cancelJob, PassTracker, ReviewJob, ToolResponse } from '../jobs.js';
 
 // =============================================================================
 // INPUT SCHEMAS
@@ -28,137 +56,837 @@ export const ReviewInputSchema = z.object({
     'maintainability', 'scalability', 'testing', 'documentation'
   ])).optional().describe('Areas to focus the review on'),
   customPrompt: z.string().optional().describe('Custom instructions for the reviewer'),
+  // Typed handoff fields; ccOutput's SUMMARY/UNCERTAINTIES/... blocks fill in any left out
+  ...HandoffInputSchema.shape,
   reasoningEffort: z.enum(['high', 'xhigh']).optional().describe('Codex reasoning effort level (default: high, use xhigh for deeper analysis)'),
-  serviceTier: z.enum(['default', 'fast', 'flex']).optional().describe('Codex service tier (default when omitted: fast = priority processing, ~2x cost; flex = 50% cheaper/slower; default = API default tier)')
+  serviceTier: z.enum(['default', 'fast', 'flex']).optional().describe('Codex service tier (default when omitted: fast = priority processing, ~2x cost; flex = 50% cheaper/slower; default = API default tier)'),
+  structured: z.boolean().optional().describe('Request JSON findings and return a verified, prioritized action plan instead of raw text'),
+  diffBase: z.string().optional().describe('Git ref to diff against (e.g. main); changed files and diffs are included in the handoff. Ignored outside a git repo'),
+  peerReview: z.boolean().optional().describe('multi_review only: add an anonymized round where each model scores the others\' findings; implies structured'),
+  reviewer: z.string().optional().describe('custom_review only: id of a reviewer from the customReviewers config section'),
+  timeBudgetMs: z.number().int().positive().optional().describe('multi_review only: wall-clock budget for the whole call; overrides multiReview.timeBudgetMs in config'),
+  tokenBudget: z.number().int().positive().optional().describe('multi_review only: input + output token budget for the whole call; overrides multiReview.tokenBudget in config')
 });
 
 export type ReviewInput = z.infer<typeof ReviewInputSchema>;
 
+export const FollowUpInputSchema = z.object({
+  sessionId: z.string().describe('Session ID printed with an earlier review'),
+  questions: z.array(z.string()).min(1).describe('Clarifying questions about the earlier findings'),
+});
+
+export type FollowUpInput = z.infer<typeof FollowUpInputSchema>;
+
+export const ReviewStartInputSchema = ReviewInputSchema.extend({
+  tool: z.enum(['codex_review', 'gemini_review', 'claude_review', 'ollama_review', 'custom_review', 'multi_review'])
+    .default('multi_review').describe('Review tool to run in the background'),
+});
+
+export type ReviewStartInput = z.infer<typeof ReviewStartInputSchema>;
+
+export const ReviewStatusInputSchema = z.object({
+  jobId: z.string().optional().describe('Job ID from review_start; omit to list every job'),
+});
+
+export type ReviewStatusInput = z.infer<typeof ReviewStatusInputSchema>;
+
+export const ReviewResultInputSchema = z.object({
+  jobId: z.string().describe('Job ID from review_start'),
+});
+
+export type ReviewResultInput = z.infer<typeof ReviewResultInputSchema>;
+
+export const ReviewCancelInputSchema = z.object({
+  jobId: z.string().describe('Job ID from review_start'),
+});
+
+export type ReviewCancelInput = z.infer<typeof ReviewCancelInputSchema>;
+
 // =============================================================================
 // HELPERS
 // =============================================================================
 
+/**
+ * Per-call options for the review tools: the adapters' RunOptions, plus a
+ * pass tracker (review_start jobs and the `review` command), whether the tool
+ * runs in the background while the caller keeps working (review_start), and
+ * the isolated copy reviewers run in (config `isolation`).
+ */
+export interface ToolOptions extends RunOptions {
+  tracker?: PassTracker;
+  background?: boolean;
+  workspace?: IsolatedWorkspace;
+}
+
 function toReviewRequest(input: ReviewInput): ReviewRequest {
+  // Configured focus areas (usually per project) apply when the call names none
+  const defaultFocus = getConfig(input.workingDir).review.focusAreas;
+  const { summary, uncertainties, decisions, questions, priorityFiles, confidence } = input;
+  const handoff = { summary, uncertainties, decisions, questions, priorityFiles, confidence };
   return {
     workingDir: input.workingDir,
     ccOutput: input.ccOutput,
     outputType: input.outputType as OutputType,
     analyzedFiles: input.analyzedFiles,
-    focusAreas: input.focusAreas as FocusArea[] | undefined,
+    focusAreas: (input.focusAreas ?? (defaultFocus.length > 0 ? defaultFocus : undefined)) as FocusArea[] | undefined,
     customPrompt: input.customPrompt,
+    handoff: Object.values(handoff).some(value => value !== undefined) ? handoff : undefined,
     reasoningEffort: input.reasoningEffort,
     serviceTier: input.serviceTier,
+    structured: input.structured,
   };
 }
 
+/**
+ * Build the adapter request, attaching git changes when a diff base was given.
+ * Resolved once per tool call so all multi_review passes share one snapshot.
+ */
+async function resolveReviewRequest(input: ReviewInput): Promise<ReviewRequest> {
+  const request = toReviewRequest(input);
+  if (!input.diffBase) return request;
+
+  const context = await buildContextFromGitDiff(input.workingDir, input.diffBase);
+  return { ...request, changes: context.changes?.files, git: context.git };
+}
+
 function formatResult(result: ReviewResult, modelName: string): string {
   if (!result.success) {
     const emoji: Record<string, string> = {
       cli_not_found: '❌', timeout: '⏱️', rate_limit: '🚫',
-      auth_error: '🔐', cli_error: '❌',
+      auth_error: '🔐', cli_error: '❌', cancelled: '🛑',
     };
     let msg = `${emoji[result.error.type] || '❌'} **${result.error.type}**: ${result.error.message}`;
     if (result.suggestion) msg += `\n\n💡 ${result.suggestion}`;
+    if (result.usage) msg += `\n\n${formatUsage(result.usage)}`;
+    if (result.retries) msg += `\n${formatRetries(result)}`;
+    if (result.trimmed) msg += `\n${formatTrim(result.trimmed)}`;
     return msg;
   }
 
-  return `## ${modelName} Review\n\n**Execution Time:** ${(result.executionTimeMs / 1000).toFixed(1)}s\n\n${result.output}`;
+  const usage = result.usage ? `\n${formatUsage(result.usage)}` : '';
+  const retries = result.retries ? `\n${formatRetries(result)}` : '';
+  const trimmed = result.trimmed ? `\n${formatTrim(result.trimmed)}` : '';
+  return `## ${modelName} Review\n\n**Execution Time:** ${(result.executionTimeMs / 1000).toFixed(1)}s${usage}${retries}${trimmed}\n\n${result.output}`;
+}
+
+/**
+ * One line per review that needed retries, e.g.
+ * "**Retries:** 2 — rate_limit (waited 2.1s), rate_limit (waited 4.3s)"
+ */
+function formatRetries(result: ReviewResult): string {
+  const tries = (result.retries ?? []).map(r => `${r.error.type} (waited ${(r.delayMs / 1000).toFixed(1)}s)`);
+  return `**Retries:** ${tries.length} — ${tries.join(', ')}`;
+}
+
+/**
+ * Format a review for CC. In structured mode the reviewer's JSON is verified
+ * against the filesystem and rendered as an action plan; unparseable output
+ * falls back to the raw text with a warning so nothing is lost.
+ */
+async function formatReview(result: ReviewResult, modelName: string, input: ReviewInput, sessionId?: string | null): Promise<string> {
+  const footer = sessionId ? `\n\n**Session:** \`${sessionId}\` — ask follow-up questions with review_followup` : '';
+  if (!input.structured || !result.success) return formatResult(result, modelName) + footer;
+
+  const parsed = parseReviewOutput(result.output);
+  if (!parsed) {
+    return `${formatResult(result, modelName)}\n\n⚠️ Structured output could not be parsed — showing raw reviewer text (unverified).${footer}`;
+  }
+
+  const context = buildMinimalContext(
+    input.workingDir, input.ccOutput, input.analyzedFiles, input.focusAreas, input.customPrompt
+  );
+  const processed = await processReviewOutput(parsed, context);
+  const risk = parsed.risk_assessment;
+
+  const lines = [
+    `## ${modelName} Review`,
+    '',
+    `**Execution Time:** ${(result.executionTimeMs / 1000).toFixed(1)}s`,
+    ...(result.usage ? [formatUsage(result.usage)] : []),
+    ...(result.retries ? [formatRetries(result)] : []),
+    ...(result.trimmed ? [formatTrim(result.trimmed)] : []),
+    `**Risk:** ${risk.overall_level} (${risk.score}/100) — ${risk.summary}`,
+    '',
+    formatProcessedReview(processed),
+  ];
+
+  const followUps = generateFollowUpQuestions(processed);
+  if (sessionId && followUps.length > 0) {
+    lines.push('## Suggested Follow-ups\n');
+    for (const q of followUps) lines.push(`- ${q.question} (${q.topic})`);
+  }
+
+  return lines.join('\n') + footer;
+}
+
+/** Report progress to a job tracker as well as to the caller */
+function withTracking(
+  onProgress: ((message: string) => void) | undefined,
+  track: (message: string) => void
+): (message: string) => void {
+  return (message) => {
+    track(message);
+    onProgress?.(message);
+  };
+}
+
+/**
+ * Run one adapter pass and persist it as a review session.
+ * All review tools go through here so every pass can be followed up.
+ * `maxTimeoutMs` caps this run only — it is not saved with the session.
+ * Cancelled passes are not saved: there is nothing to follow up on.
+ * `label` names the pass in a background job's status.
+ */
+async function executeReview(
+  adapter: ReviewerAdapter,
+  request: ReviewRequest,
+  options: ToolOptions = {},
+  maxTimeoutMs?: number,
+  label: string = adapter.getCapabilities().name
+): Promise<{ result: ReviewResult; sessionId: string | null }> {
+  const { tracker, workspace, ...runOptions } = options;
+  if (tracker) {
+    tracker.started(label);
+    runOptions.onProgress = withTracking(runOptions.onProgress, (message) => tracker.event(label, message));
+  }
+  const sent = workspace ? workspace.isolate(request) : request;
+  const raw = await adapter.runReview(maxTimeoutMs !== undefined ? { ...sent, maxTimeoutMs } : sent, runOptions);
+  const restored = workspace ? workspace.restorePaths(raw) : raw;
+  tracker?.finished(label, restored);
+  if (!restored.success && restored.error.type === 'cancelled') return { result: restored, sessionId: null };
+  return { result: restored, sessionId: recordReview(adapter.id, request, restored.prompt ?? '', restored) };
 }
 
 // =============================================================================
 // SINGLE MODEL HANDLERS
 // =============================================================================
 
-export async function handleCodexReview(input: ReviewInput): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+/**
+ * Run a tool call's reviewer passes behind the safeguards: secret redaction
+ * (config `redaction`), an isolated copy (config `isolation`) and the
+ * workspace audit (config `workspaceAudit`), which watches the real tree.
+ * Their notes lead the text. No reviewer runs if the handoff holds secrets
+ * under `refuseOnSecrets`, or if the copy can't be made.
+ */
+async function runGuarded(
+  request: ReviewRequest,
+  options: ToolOptions,
+  run: (options: ToolOptions) => Promise<string>
+): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+  const secrets = findRequestSecrets(request);
+  if (shouldRefuse(secrets)) return { content: [{ type: 'text', text: formatRefusal(secrets, getConfigPath()) }] };
+
+  const { workingDir } = request;
+  const { value: isolated, audit } = await withWorkspaceAudit(workingDir, () =>
+    withIsolatedWorkspace(workingDir, async (workspace) => ({
+      text: await run(workspace ? { ...options, workspace } : options),
+      note: workspace ? formatIsolation(workspace) : '',
+    })),
+    { background: options.background }
+  );
+  if (!isolated.success) {
+    return { content: [{ type: 'text', text: `❌ Could not isolate the workspace: ${isolated.error}\n\nNo reviewer was run. Check "isolation" in .cc-reviewer.json or ${getConfigPath()}` }] };
+  }
+  const notes = [formatWorkspaceAudit(audit), formatRedactions(secrets), isolated.value.note].filter(Boolean);
+  return { content: [{ type: 'text', text: [...notes, isolated.value.text].join('\n\n') }] };
+}
+
+/**
+ * Run a single-reviewer tool, falling back along the reviewer's failover
+ * chain (config `failover`) when it fails with a retryable error type.
+ * The result says which reviewer answered and why earlier ones were skipped.
+ */
+async function runSingleReview(
+  adapter: ReviewerAdapter,
+  name: string,
+  input: ReviewInput,
+  options: ToolOptions
+): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+  const request = await resolveReviewRequest(input);
+  return runGuarded(request, options, (guarded) => runFailoverChain(adapter, name, input, request, guarded));
+}
+
+/** The failover loop behind runSingleReview; returns the formatted review */
+async function runFailoverChain(
+  adapter: ReviewerAdapter,
+  name: string,
+  input: ReviewInput,
+  request: ReviewRequest,
+  options: ToolOptions
+): Promise<string> {
+  const { chains, on } = getConfig(input.workingDir).failover;
+
+  let answered = adapter;
+  let answeredName = name;
+  let { result, sessionId } = await executeReview(adapter, request, options);
+  const fallbacks: string[] = [];
+
+  for (const id of chains[adapter.id] ?? []) {
+    if (result.success || !(on as string[]).includes(result.error.type)) break;
+    const next = getAdapter(id);
+    if (!next || next === answered || next === adapter) continue;
+    const nextName = next.getCapabilities().name;
+    if (!circuitAllows(next.id)) {
+      fallbacks.push(`${nextName} skipped — circuit open after repeated failures`);
+      continue;
+    }
+    if (!(await next.isAvailable())) {
+      fallbacks.push(`${nextName} skipped — not available`);
+      continue;
+    }
+
+    fallbacks.push(`${answeredName} failed (${result.error.type}: ${result.error.message}) → trying ${nextName}`);
+    ({ result, sessionId } = await executeReview(next, request, options));
+    answered = next;
+    answeredName = nextName;
+  }
+
+  const text = await formatReview(result, answeredName, input, sessionId);
+  if (fallbacks.length === 0) return text;
+
+  const header = [
+    result.success
+      ? `↪️ **Failover:** answered by ${answeredName} instead of ${name}`
+      : `↪️ **Failover:** no reviewer in ${name}'s failover chain succeeded`,
+    ...fallbacks.map(f => `- ${f}`),
+  ].join('\n');
+  return `${header}\n\n${text}`;
+}
+
+export async function handleCodexReview(input: ReviewInput, options: ToolOptions = {}): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
   const adapter = getAdapter('codex');
   if (!adapter) return { content: [{ type: 'text', text: '❌ Codex adapter not registered' }] };
 
   const available = await adapter.isAvailable();
   if (!available) return { content: [{ type: 'text', text: '❌ Codex CLI not found.\n\nInstall with: npm install -g @openai/codex-cli\n\nAlternative: Use gemini_review instead' }] };
 
-  const result = await adapter.runReview(toReviewRequest(input));
-  return { content: [{ type: 'text', text: formatResult(result, 'Codex') }] };
+  return runSingleReview(adapter, 'Codex', input, options);
 }
 
-export async function handleGeminiReview(input: ReviewInput): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+export async function handleGeminiReview(input: ReviewInput, options: ToolOptions = {}): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
   const adapter = getAdapter('gemini');
   if (!adapter) return { content: [{ type: 'text', text: '❌ Gemini adapter not registered' }] };
 
   const available = await adapter.isAvailable();
   if (!available) return { content: [{ type: 'text', text: '❌ Gemini CLI not found.\n\nInstall with: npm install -g @google/gemini-cli\n\nAlternative: Use codex_review instead' }] };
 
-  const result = await adapter.runReview(toReviewRequest(input));
-  return { content: [{ type: 'text', text: formatResult(result, 'Gemini') }] };
+  return runSingleReview(adapter, 'Gemini', input, options);
 }
 
-export async function handleClaudeReview(input: ReviewInput): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+export async function handleClaudeReview(input: ReviewInput, options: ToolOptions = {}): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
   const adapter = getAdapter('claude');
   if (!adapter) return { content: [{ type: 'text', text: '❌ Claude adapter not registered' }] };
 
   const available = await adapter.isAvailable();
   if (!available) return { content: [{ type: 'text', text: '❌ Claude CLI not found.\n\nInstall Claude Code: https://docs.anthropic.com/en/docs/claude-code\n\nAlternative: Use codex_review or gemini_review instead' }] };
 
-  const result = await adapter.runReview(toReviewRequest(input));
-  return { content: [{ type: 'text', text: formatResult(result, 'Claude (Opus)') }] };
+  return runSingleReview(adapter, 'Claude (Opus)', input, options);
+}
+
+export async function handleOllamaReview(input: ReviewInput, options: ToolOptions = {}): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+  const adapter = getAdapter('ollama');
+  if (!adapter) return { content: [{ type: 'text', text: '❌ Ollama adapter not registered' }] };
+
+  const available = await adapter.isAvailable();
+  if (!available) return { content: [{ type: 'text', text: `❌ Local model server not reachable or model not pulled.\n\nCheck the "ollama" section of ${getConfigPath()}, then run: ollama serve && ollama pull <model>\n\nAlternative: Use codex_review or gemini_review instead` }] };
+
+  return runSingleReview(adapter, adapter.getCapabilities().name, input, options);
+}
+
+export async function handleCustomReview(input: ReviewInput, options: ToolOptions = {}): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+  const configured = getConfig().customReviewers.map(r => r.id);
+  const adapter = input.reviewer ? getAdapter(input.reviewer) : undefined;
+  if (!adapter || !(adapter instanceof CustomCliAdapter)) {
+    const known = configured.length > 0 ? `Configured: ${configured.join(', ')}` : `None configured — add a "customReviewers" entry to ${getConfigPath()}`;
+    return { content: [{ type: 'text', text: `❌ Unknown custom reviewer: ${input.reviewer ?? '(none given)'}\n\n${known}\n\nNew entries take effect after restarting the MCP server.` }] };
+  }
+
+  const available = await adapter.isAvailable();
+  if (!available) return { content: [{ type: 'text', text: `❌ ${adapter.getCapabilities().name} is not available — its availability probe failed.\n\nCheck "command" and "availability" for "${adapter.id}" in ${getConfigPath()}` }] };
+
+  return runSingleReview(adapter, adapter.getCapabilities().name, input, options);
+}
+
+// =============================================================================
+// FOLLOW-UP HANDLER
+// =============================================================================
+
+/**
+ * Ask the reviewer of an earlier session clarifying questions.
+ * Codex resumes its original thread; other reviewers get their previous
+ * answer replayed in the prompt.
+ */
+export async function handleReviewFollowUp(input: FollowUpInput, options: RunOptions = {}): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+  const session = loadSession(input.sessionId);
+  if (!session) return { content: [{ type: 'text', text: `❌ Unknown review session: ${input.sessionId}\n\nSessions are listed at the end of each review. Only recent sessions are kept.` }] };
+
+  const previousReview = latestOutput(session);
+  if (!previousReview) return { content: [{ type: 'text', text: `❌ Session ${session.id} has no successful review to follow up on — run a new review instead.` }] };
+
+  const adapter = getAdapter(session.reviewer);
+  if (!adapter) return { content: [{ type: 'text', text: `❌ ${session.reviewer} adapter not registered` }] };
+
+  const available = await adapter.isAvailable();
+  if (!available) return { content: [{ type: 'text', text: `❌ ${adapter.getCapabilities().name} is not available right now — cannot continue session ${session.id}.` }] };
+
+  const request: ReviewRequest = {
+    ...session.request,
+    followUp: {
+      previousReview,
+      questions: input.questions.map(question => ({ question })),
+      threadId: session.threadId,
+    },
+  };
+  return runGuarded(request, options, async ({ workspace, ...runOptions }) => {
+    const raw = await adapter.runReview(workspace ? workspace.isolate(request) : request, runOptions);
+    const result = workspace ? workspace.restorePaths(raw) : raw;
+    if (!result.success && result.error.type === 'cancelled') return formatResult(result, adapter.getCapabilities().name);
+    recordFollowUp(session, result.prompt ?? '', input.questions, result);
+
+    const name = `${adapter.getCapabilities().name} Follow-up`;
+    return `${formatResult(result, name)}\n\n**Session:** \`${session.id}\` (round ${session.rounds.length})`;
+  });
 }
 
 // =============================================================================
 // MULTI-MODEL HANDLER
 // =============================================================================
 
-export async function handleMultiReview(input: ReviewInput): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
-  const request = toReviewRequest(input);
-  const availableAdapters = await getAvailableAdapters();
+export async function handleMultiReview(input: ReviewInput, options: ToolOptions = {}): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+  // Peer scoring needs structured findings to work with
+  if (input.peerReview) input = { ...input, structured: true };
+
+  // `review.reviewers` (usually set per project) narrows the reviewer pool
+  const { reviewers } = getConfig(input.workingDir).review;
+  const inPool = (a: ReviewerAdapter) => !reviewers || reviewers.includes(a.id);
+  const availableAdapters = (await getAvailableAdapters()).filter(inPool);
+  const health = formatCircuitHealth(getAllAdapters().filter(inPool));
+
+  if (availableAdapters.length === 0 && health) {
+    return { content: [{ type: 'text', text: `❌ No reviewer can run right now.\n\n${health}` }] };
+  }
+
+  if (availableAdapters.length === 0 && reviewers) {
+    return { content: [{ type: 'text', text: `❌ None of the configured reviewers are available: ${reviewers.join(', ')}\n\nCheck "review.reviewers" in .cc-reviewer.json or ${getConfigPath()}` }] };
+  }
 
   if (availableAdapters.length === 0) {
     return { content: [{ type: 'text', text: '❌ No AI CLIs found.\n\nInstall at least one:\n  - Codex: npm install -g @openai/codex-cli\n  - Gemini: npm install -g @google/gemini-cli' }] };
   }
 
-  // Spawn 2 reviews per adapter: standard + adversarial (all in parallel)
+  const request = await resolveReviewRequest(input);
+
+  // Passes run concurrently and share one isolated copy and one audit
+  return runGuarded(request, options, (guarded) => runMultiReview(input, request, availableAdapters, health, guarded));
+}
+
+/** Schedule every pass of a multi_review and format the combined report */
+async function runMultiReview(
+  input: ReviewInput,
+  request: ReviewRequest,
+  availableAdapters: ReviewerAdapter[],
+  health: string,
+  options: ToolOptions
+): Promise<string> {
+  // 2 reviews per adapter: standard + adversarial. Standard passes are queued
+  // first so adversarial ones wait behind them when slots are scarce.
+  // A half-open circuit lets one review through, so such an adapter only gets its standard pass.
   // customPrompt steers the adversarial focus only — strip it from standard pass to avoid bias
   const { customPrompt, ...standardRequest } = request;
-  const reviewPromises = availableAdapters.flatMap((adapter) => [
-    adapter.runReview({ ...standardRequest }).then(result => ({ adapter, result, mode: 'standard' as const })),
-    adapter.runReview({ ...request, reviewMode: 'adversarial' as const }).then(result => ({ adapter, result, mode: 'adversarial' as const })),
-  ]);
+  const settled = availableAdapters.filter(adapter => getAdapterHealth(adapter.id).state !== 'half_open');
+  const passes = [
+    ...availableAdapters.map(adapter => ({ adapter, mode: 'standard' as const, request: standardRequest })),
+    ...settled.map(adapter => ({ adapter, mode: 'adversarial' as const, request: { ...request, reviewMode: 'adversarial' as const } })),
+  ];
+
+  for (const pass of passes) options.tracker?.queued(passLabel(pass));
+
+  const limits = getConfig(input.workingDir).multiReview;
+  const timeBudgetMs = input.timeBudgetMs ?? limits.timeBudgetMs;
+  const tokenBudget = input.tokenBudget ?? limits.tokenBudget;
+  const startedAt = Date.now();
+  const outcomes = await runScheduled(
+    passes.map(pass => ({
+      key: pass.adapter.id,
+      run: (maxTimeoutMs?: number) => executeReview(pass.adapter, pass.request, {
+        ...options,
+        onProgress: labelProgress(options.onProgress, passLabel(pass)),
+      }, maxTimeoutMs, passLabel(pass)),
+    })),
+    { ...limits, timeBudgetMs, tokenBudget },
+    ({ result }) => result.usage ? result.usage.inputTokens + result.usage.outputTokens : 0
+  );
+
+  // Every pass shares the call's signal, so one cancel stops all that are still running
+  const aborted = options.signal?.aborted === true;
 
-  const results = await Promise.all(reviewPromises);
+  const results: PassResult[] = [];
+  const unfinished: string[] = [];
+  const cancelled: string[] = [];
+  outcomes.forEach((outcome, i) => {
+    const { adapter, mode } = passes[i];
+    const label = passLabel(passes[i]);
+    if (outcome.status === 'skipped') {
+      const reason = outcome.reason === 'time_budget'
+        ? `skipped — time budget of ${formatSeconds(timeBudgetMs!)} used up`
+        : `skipped — token budget of ${tokenBudget!.toLocaleString('en-US')} spent`;
+      unfinished.push(`- ${label}: ${reason}`);
+      options.tracker?.skipped(label, reason);
+      return;
+    }
+    let { result } = outcome.value;
+    if (!result.success && result.error.type === 'cancelled') {
+      cancelled.push(`- ${label}`);
+      return;
+    }
+    if (outcome.hitDeadline && !result.success) {
+      unfinished.push(`- ${label}: cut off at the ${formatSeconds(timeBudgetMs!)} time budget`);
+      result = {
+        ...result,
+        error: { type: 'timeout', message: `Cut off by the multi_review time budget (${formatSeconds(timeBudgetMs!)})` },
+        suggestion: 'Raise timeBudgetMs, or narrow the review',
+      };
+    }
+    results.push({ adapter, mode, sessionId: outcome.value.sessionId, result });
+  });
 
   const standardResults = results.filter(r => r.mode === 'standard');
   const adversarialResults = results.filter(r => r.mode === 'adversarial');
 
   const allFailed = results.every(r => !r.result.success);
-  const someFailed = results.some(r => !r.result.success);
+  const someFailed = results.some(r => !r.result.success) || unfinished.length > 0;
 
   const lines: string[] = [];
 
-  if (allFailed) lines.push('## Multi-Model Review ❌ All Failed\n');
+  if (aborted) lines.push('## Multi-Model Review 🛑 Cancelled\n');
+  else if (allFailed) lines.push('## Multi-Model Review ❌ All Failed\n');
   else if (someFailed) lines.push('## Multi-Model Review ⚠️ Partial Success\n');
   else lines.push('## Multi-Model Review ✓\n');
 
   lines.push(`**Models:** ${availableAdapters.map(a => a.id).join(', ')} (standard + adversarial)\n`);
+  if (health) lines.push(health, '');
+
+  if (unfinished.length > 0) {
+    lines.push('## Skipped / Cut Off\n');
+    lines.push(...unfinished, '');
+  }
+
+  if (input.structured) {
+    // The peer round shares the call's limits and what is left of its budgets
+    const spent = sumUsage(results.map(r => r.result.usage));
+    const peerLimits: SchedulerLimits = {
+      ...limits,
+      timeBudgetMs: timeBudgetMs != null ? Math.max(0, timeBudgetMs - (Date.now() - startedAt)) : null,
+      tokenBudget: tokenBudget != null ? Math.max(0, tokenBudget - spent.inputTokens - spent.outputTokens) : null,
+    };
+    // No peer round once cancelled: it would only score what happened to finish
+    const structured = await formatStructuredMulti(
+      results, aborted ? { ...input, peerReview: false } : input, request, availableAdapters, options, peerLimits
+    );
+    lines.push(structured.text);
+    lines.push(formatCancelled(cancelled));
+    lines.push(formatSessions(results));
+    lines.push(formatUsageTotals(sumUsage([...results.map(r => r.result.usage), ...structured.peerUsage])));
+    return lines.join('\n');
+  }
 
   // Standard section
   lines.push('## Standard Review Findings\n');
   for (const { adapter, result } of standardResults) {
-    lines.push(formatResult(result, adapter.getCapabilities().name));
+    lines.push(await formatReview(result, adapter.getCapabilities().name, input));
     lines.push('');
   }
 
   // Adversarial section
   lines.push('## Challenge Review Findings\n');
   for (const { adapter, result } of adversarialResults) {
-    lines.push(formatResult(result, `${adapter.getCapabilities().name} (Adversarial)`));
+    lines.push(await formatReview(result, `${adapter.getCapabilities().name} (Adversarial)`, input));
     lines.push('');
   }
 
-  return { content: [{ type: 'text', text: lines.join('\n') }] };
+  lines.push(formatCancelled(cancelled));
+  lines.push(formatSessions(results));
+  lines.push(formatUsageTotals(sumUsage(results.map(r => r.result.usage))));
+  return lines.join('\n');
+}
+
+/** The passes a cancel stopped, listed below those that finished; '' when none */
+function formatCancelled(cancelled: string[]): string {
+  if (cancelled.length === 0) return '';
+  return ['## Cancelled\n', '_Stopped before they finished:_\n', ...cancelled, ''].join('\n');
+}
+
+type PassResult = { adapter: ReviewerAdapter; result: ReviewResult; mode: 'standard' | 'adversarial'; sessionId: string | null };
+
+function passLabel(pass: { adapter: ReviewerAdapter; mode: 'standard' | 'adversarial' }): string {
+  return `${pass.adapter.getCapabilities().name} (${pass.mode})`;
+}
+
+/**
+ * Circuit breaker state of every reviewer that is not healthy, or '' when
+ * all circuits are closed.
+ */
+function formatCircuitHealth(adapters: ReviewerAdapter[]): string {
+  const lines: string[] = [];
+  for (const adapter of adapters) {
+    const health = getAdapterHealth(adapter.id);
+    const name = adapter.getCapabilities().name;
+    if (health.state === 'open') {
+      const last = health.lastError ? ` (last: ${health.lastError})` : '';
+      lines.push(`- ⛔ ${name}: skipped — circuit open after ${health.consecutiveFailures} failed reviews in a row${last}; retried in ${formatSeconds(health.reopensAt! - Date.now())}`);
+    } else if (health.probing) {
+      lines.push(`- 🟡 ${name}: skipped — circuit half-open and another review is probing whether it recovered`);
+    } else if (health.state === 'half_open') {
+      lines.push(`- 🟡 ${name}: circuit half-open — only its standard pass runs, to probe whether it recovered`);
+    }
+  }
+  return lines.length > 0 ? ['**Reviewer Health:**', ...lines].join('\n') : '';
+}
+
+function formatSeconds(ms: number): string {
+  return `${Math.round(ms / 1000)}s`;
+}
+
+/**
+ * List the session of every pass so CC can follow up with a specific reviewer.
+ */
+function formatSessions(results: PassResult[]): string {
+  const recorded = results.filter(r => r.sessionId);
+  if (recorded.length === 0) return '';
+  const lines = ['## Sessions\n', '_Ask any reviewer follow-up questions with review_followup._\n'];
+  for (const { adapter, mode, sessionId } of recorded) {
+    lines.push(`- ${adapter.getCapabilities().name} (${mode}): \`${sessionId}\``);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Structured multi_review: verify every pass, then merge findings across
+ * models so CC sees each issue once with its level of agreement.
+ * Passes that failed or returned unparseable output are listed verbatim.
+ * The peer-review round, if asked for, runs under `peerLimits`. Also
+ * returns its token usage.
+ */
+async function formatStructuredMulti(
+  results: PassResult[],
+  input: ReviewInput,
+  request: ReviewRequest,
+  adapters: ReviewerAdapter[],
+  options: ToolOptions,
+  peerLimits: SchedulerLimits
+): Promise<{ text: string; peerUsage: TokenUsage[] }> {
+  const context = buildMinimalContext(
+    input.workingDir, input.ccOutput, input.analyzedFiles, input.focusAreas, input.customPrompt
+  );
+  const reviews: ReviewerFindings[] = [];
+  const risks: string[] = [];
+  const rejected: string[] = [];
+  const unstructured: string[] = [];
+
+  for (const { adapter, result, mode } of results) {
+    const label = mode === 'adversarial'
+      ? `${adapter.getCapabilities().name} (Adversarial)`
+      : adapter.getCapabilities().name;
+
+    const parsed = result.success ? parseReviewOutput(result.output) : null;
+    if (!parsed) {
+      unstructured.push(await formatReview(result, label, input));
+      continue;
+    }
+
+    const processed = await processReviewOutput(parsed, context);
+    reviews.push({
+      reviewer: adapter.id,
+      findings: processed.verified.map(f => ({ ...f, confidence: f.adjustedConfidence })),
+    });
+    const risk = parsed.risk_assessment;
+    risks.push(`- **${label}:** ${risk.overall_level} (${risk.score}/100) — ${risk.summary}`);
+    for (const { finding, reason } of processed.rejected) {
+      rejected.push(`- ~~${finding.title}~~ (${label}) - ${reason}`);
+    }
+  }
+
+  const lines: string[] = [];
+  let merged = reviews;
+  let peerUsage: TokenUsage[] = [];
+
+  if (input.peerReview && reviews.length > 0) {
+    const { workspace, ...runOptions } = options;
+    const round = await runPeerReviewRound(adapters, workspace ? workspace.isolate(request) : request, reviews, runOptions, peerLimits);
+    const { kept, filtered } = filterByPeerValidity(reviews, round);
+    merged = kept;
+    peerUsage = round.usage;
+
+    lines.push(`**Peer Review:** ${round.runs} scoring runs, ${round.validity.size} findings assessed, ${filtered.length} filtered\n`);
+    if (filtered.length > 0) {
+      lines.push('## Filtered by Peer Review\n');
+      for (const { reviewer, finding, validity } of filtered) {
+        lines.push(`- ~~${finding.title}~~ (${reviewer}) - peer validity ${Math.round(validity.score * 100)}% from ${validity.votes} vote${validity.votes === 1 ? '' : 's'}`);
+      }
+      lines.push('');
+    }
+    if (round.failures.length > 0) {
+      lines.push(`⚠️ Peer scoring incomplete: ${round.failures.join('; ')}\n`);
+    }
+  }
+
+  if (merged.length > 0) {
+    lines.push(formatConsensus(buildConsensus(merged)));
+    lines.push('## Risk Assessments\n');
+    lines.push(...risks, '');
+  }
+  if (rejected.length > 0) {
+    lines.push('## Rejected (Verification Failed)\n');
+    lines.push(...rejected, '');
+  }
+  if (unstructured.length > 0) {
+    lines.push('## Unstructured Responses\n');
+    for (const text of unstructured) lines.push(text, '');
+  }
+  return { text: lines.join('\n'), peerUsage };
+}
+
+// =============================================================================
+// BACKGROUND JOB HANDLERS
+// =============================================================================
+
+const BACKGROUND_HANDLERS: Record<ReviewStartInput['tool'], (input: ReviewInput, options: ToolOptions) => Promise<ToolResponse>> = {
+  codex_review: handleCodexReview,
+  gemini_review: handleGeminiReview,
+  claude_review: handleClaudeReview,
+  ollama_review: handleOllamaReview,
+  custom_review: handleCustomReview,
+  multi_review: handleMultiReview,
+};
+
+/**
+ * Start a review tool in the background and return its job ID at once.
+ */
+export async function handleReviewStart(input: ReviewStartInput): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+  const { tool, ...reviewInput } = input;
+  const job = startJob(tool, (options) => BACKGROUND_HANDLERS[tool](reviewInput, { ...options, background: true }));
+  return { content: [{ type: 'text', text: `🚀 Started ${tool} in the background.\n\n**Job:** \`${job.id}\`\n\nCheck on it with review_status and fetch the output with review_result. Keep working in the meantime.` }] };
+}
+
+export async function handleReviewStatus(input: ReviewStatusInput): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+  if (!input.jobId) {
+    const all = listJobs();
+    if (all.length === 0) return { content: [{ type: 'text', text: 'No review jobs. Start one with review_start.' }] };
+    return { content: [{ type: 'text', text: all.map(formatJobStatus).join('\n\n') }] };
+  }
+
+  const job = getJob(input.jobId);
+  if (!job) return { content: [{ type: 'text', text: unknownJob(input.jobId) }] };
+  return { content: [{ type: 'text', text: formatJobStatus(job) }] };
+}
+
+/**
+ * Hand over a finished job's output. The job is forgotten once fetched;
+ * a running job reports its status instead.
+ */
+export async function handleReviewResult(input: ReviewResultInput): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+  const job = takeJob(input.jobId);
+  if (!job) return { content: [{ type: 'text', text: unknownJob(input.jobId) }] };
+
+  if (job.status === 'running') {
+    return { content: [{ type: 'text', text: `⏳ Still running — call review_result again later.\n\n${formatJobStatus(job)}` }] };
+  }
+  if (job.status === 'failed' || !job.result) {
+    return { content: [{ type: 'text', text: `❌ Job ${job.id} failed: ${job.error ?? 'no output'}` }] };
+  }
+  return job.result;
+}
+
+/**
+ * Stop a background job: its reviewer CLIs are killed and no session is
+ * saved for the passes that were cut short. Passes that already finished
+ * stay in the job's output.
+ */
+export async function handleReviewCancel(input: ReviewCancelInput): Promise<{ content: Array<{ type: 'text'; text: string }> }> {
+  const wasRunning = getJob(input.jobId)?.status === 'running';
+  const job = await cancelJob(input.jobId);
+  if (!job) return { content: [{ type: 'text', text: unknownJob(input.jobId) }] };
+  if (!wasRunning) return { content: [{ type: 'text', text: `Job ${job.id} had already finished (${job.status}) — fetch its output with review_result.` }] };
+  return { content: [{ type: 'text', text: `🛑 Cancelled job \`${job.id}\`.\n\n${formatJobStatus(job)}` }] };
+}
+
+function unknownJob(jobId: string): string {
+  return `❌ Unknown review job: ${jobId}\n\nJobs are kept in memory until their result is fetched, and are lost when the server restarts.`;
+}
+
+function formatJobStatus(job: ReviewJob): string {
+  const now = Date.now();
+  const emoji = { running: '⏳', done: '✓', failed: '❌', cancelled: '🛑' }[job.status];
+  const lines = [`## Job \`${job.id}\` ${emoji} ${job.status}`, ''];
+  lines.push(`**Tool:** ${job.tool} · **Elapsed:** ${formatSeconds((job.finishedAt ?? now) - job.createdAt)}`);
+  if (job.status !== 'running') lines.push('_Finished — fetch the output with review_result._');
+
+  if (job.passes.length > 0) {
+    lines.push('');
+    for (const pass of job.passes) {
+      const parts: string[] = [pass.state];
+      if (pass.startedAt) parts.push(formatSeconds((pass.finishedAt ?? now) - pass.startedAt));
+      if (pass.state === 'running' && pass.lastEvent) parts.push(`last event: ${pass.lastEvent}`);
+      if (pass.error) parts.push(pass.error);
+      lines.push(`- ${pass.label}: ${parts.join(' · ')}`);
+    }
+  }
+  return lines.join('\n');
 }
 
 // =============================================================================
 // TOOL DEFINITIONS
 // =============================================================================
 
+/** JSON schema of HandoffInputSchema, shared by every review tool */
+const HANDOFF_PROPERTIES = {
+  summary: { type: 'string', description: 'Brief: what CC did and why (1-3 sentences). Takes precedence over a SUMMARY: block in ccOutput; unstructured ccOutput is still sent in full' },
+  uncertainties: {
+    type: 'array',
+    description: 'Things CC is unsure about, for the reviewer to verify',
+    items: {
+      type: 'object',
+      properties: {
+        topic: { type: 'string', description: 'What CC is uncertain about' },
+        question: { type: 'string', description: 'The specific question' },
+        ccAssumption: { type: 'string', description: 'What CC assumed/did - reviewer should verify' },
+        relevantFiles: { type: 'array', items: { type: 'string' }, description: 'Files related to this uncertainty' },
+        severity: { type: 'string', enum: ['critical', 'important', 'minor'] },
+      },
+      required: ['topic', 'question'],
+    },
+  },
+  decisions: {
+    type: 'array',
+    description: 'Key decisions CC made, for the reviewer to evaluate',
+    items: {
+      type: 'object',
+      properties: {
+        decision: { type: 'string', description: 'What CC decided' },
+        rationale: { type: 'string', description: 'Why CC chose this' },
+        alternatives: { type: 'array', items: { type: 'string' }, description: 'Other options considered' },
+        tradeoffs: { type: 'string', description: 'Known tradeoffs of this choice' },
+      },
+      required: ['decision', 'rationale'],
+    },
+  },
+  questions: {
+    type: 'array',
+    description: 'Specific questions CC wants the reviewer to answer',
+    items: {
+      type: 'object',
+      properties: {
+        question: { type: 'string' },
+        context: { type: 'string' },
+        ccGuess: { type: 'string', description: "CC's best guess - for comparison" },
+      },
+      required: ['question'],
+    },
+  },
+  priorityFiles: { type: 'array', items: { type: 'string' }, description: 'Files the reviewer should look at first' },
+  confidence: { type: 'number', minimum: 0, maximum: 1, description: "CC's overall confidence in its output (0-1)" },
+};
+
 export const TOOL_DEFINITIONS = {
   codex_review: {
     name: 'codex_review',
@@ -172,8 +900,11 @@ export const TOOL_DEFINITIONS = {
         analyzedFiles: { type: 'array', items: { type: 'string' }, description: 'File paths that CC analyzed' },
         focusAreas: { type: 'array', items: { type: 'string', enum: ['security', 'performance', 'architecture', 'correctness', 'maintainability', 'scalability', 'testing', 'documentation'] }, description: 'Areas to focus the review on' },
         customPrompt: { type: 'string', description: 'Custom instructions for the reviewer' },
+        ...HANDOFF_PROPERTIES,
         reasoningEffort: { type: 'string', enum: ['high', 'xhigh'], description: 'Codex reasoning effort (default: high, use xhigh for deeper analysis)' },
-        serviceTier: { type: 'string', enum: ['default', 'fast', 'flex'], description: 'Codex service tier (omit for fast default; fast = priority ~2x cost, flex = 50% cheaper/slower, default = API default tier)' }
+        serviceTier: { type: 'string', enum: ['default', 'fast', 'flex'], description: 'Codex service tier (omit for fast default; fast = priority ~2x cost, flex = 50% cheaper/slower, default = API default tier)' },
+        diffBase: { type: 'string', description: 'Git ref to diff against (e.g. "main"). Changed files, line counts and diffs are included in the handoff. Omit for non-git directories' },
+        structured: { type: 'boolean', description: 'Request JSON findings; file/line references are verified and a prioritized action plan is returned instead of raw text' }
       },
       required: ['workingDir', 'ccOutput', 'outputType']
     }
@@ -190,6 +921,9 @@ export const TOOL_DEFINITIONS = {
         analyzedFiles: { type: 'array', items: { type: 'string' }, description: 'File paths that CC analyzed' },
         focusAreas: { type: 'array', items: { type: 'string', enum: ['security', 'performance', 'architecture', 'correctness', 'maintainability', 'scalability', 'testing', 'documentation'] }, description: 'Areas to focus the review on' },
         customPrompt: { type: 'string', description: 'Custom instructions for the reviewer' },
+        ...HANDOFF_PROPERTIES,
+        diffBase: { type: 'string', description: 'Git ref to diff against (e.g. "main"). Changed files, line counts and diffs are included in the handoff. Omit for non-git directories' },
+        structured: { type: 'boolean', description: 'Request JSON findings; file/line references are verified and a prioritized action plan is returned instead of raw text' },
       },
       required: ['workingDir', 'ccOutput', 'outputType']
     }
@@ -206,13 +940,67 @@ export const TOOL_DEFINITIONS = {
         analyzedFiles: { type: 'array', items: { type: 'string' }, description: 'File paths that CC analyzed' },
         focusAreas: { type: 'array', items: { type: 'string', enum: ['security', 'performance', 'architecture', 'correctness', 'maintainability', 'scalability', 'testing', 'documentation'] }, description: 'Areas to focus the review on' },
         customPrompt: { type: 'string', description: 'Custom instructions for the reviewer' },
+        ...HANDOFF_PROPERTIES,
+        diffBase: { type: 'string', description: 'Git ref to diff against (e.g. "main"). Changed files, line counts and diffs are included in the handoff. Omit for non-git directories' },
+        structured: { type: 'boolean', description: 'Request JSON findings; file/line references are verified and a prioritized action plan is returned instead of raw text' },
       },
       required: ['workingDir', 'ccOutput', 'outputType']
     }
   },
+  ollama_review: {
+    name: 'ollama_review',
+    description: "ONLY use when user explicitly requests '/ollama-review' or 'review with the local model'. Get a second opinion from a local model over an OpenAI-compatible API (Ollama by default) — nothing leaves the machine. The model cannot open files, so pass the important files in analyzedFiles; their contents are inlined. DO NOT use for general 'review' requests.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workingDir: { type: 'string', description: 'Working directory containing the files to review' },
+        ccOutput: { type: 'string', description: "Claude Code's output to review (findings, plan, analysis)" },
+        outputType: { type: 'string', enum: ['plan', 'findings', 'analysis', 'proposal'], description: 'Type of output being reviewed' },
+        analyzedFiles: { type: 'array', items: { type: 'string' }, description: 'File paths that CC analyzed — their contents are inlined into the prompt' },
+        focusAreas: { type: 'array', items: { type: 'string', enum: ['security', 'performance', 'architecture', 'correctness', 'maintainability', 'scalability', 'testing', 'documentation'] }, description: 'Areas to focus the review on' },
+        customPrompt: { type: 'string', description: 'Custom instructions for the reviewer' },
+        ...HANDOFF_PROPERTIES,
+        diffBase: { type: 'string', description: 'Git ref to diff against (e.g. "main"). Changed files, line counts and diffs are included in the handoff. Omit for non-git directories' },
+        structured: { type: 'boolean', description: 'Request JSON findings; file/line references are verified and a prioritized action plan is returned instead of raw text' },
+      },
+      required: ['workingDir', 'ccOutput', 'outputType']
+    }
+  },
+  custom_review: {
+    name: 'custom_review',
+    description: "ONLY use when user explicitly asks to review with a reviewer from their customReviewers config (e.g. 'review with aider'). Runs that configured CLI as an external second opinion. DO NOT use for general 'review' requests.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        reviewer: { type: 'string', description: 'Id of the reviewer in the customReviewers config section' },
+        workingDir: { type: 'string', description: 'Working directory for the CLI to operate in' },
+        ccOutput: { type: 'string', description: "Claude Code's output to review (findings, plan, analysis)" },
+        outputType: { type: 'string', enum: ['plan', 'findings', 'analysis', 'proposal'], description: 'Type of output being reviewed' },
+        analyzedFiles: { type: 'array', items: { type: 'string' }, description: 'File paths that CC analyzed' },
+        focusAreas: { type: 'array', items: { type: 'string', enum: ['security', 'performance', 'architecture', 'correctness', 'maintainability', 'scalability', 'testing', 'documentation'] }, description: 'Areas to focus the review on' },
+        customPrompt: { type: 'string', description: 'Custom instructions for the reviewer' },
+        ...HANDOFF_PROPERTIES,
+        diffBase: { type: 'string', description: 'Git ref to diff against (e.g. "main"). Changed files, line counts and diffs are included in the handoff. Omit for non-git directories' },
+        structured: { type: 'boolean', description: 'Request JSON findings; file/line references are verified and a prioritized action plan is returned instead of raw text' },
+      },
+      required: ['reviewer', 'workingDir', 'ccOutput', 'outputType']
+    }
+  },
+  review_followup: {
+    name: 'review_followup',
+    description: "Ask the reviewer of an earlier codex/gemini/claude/ollama/custom/multi review clarifying questions about its findings (e.g. to verify a doubtful finding or get more evidence). Use the session ID printed with that review.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session ID printed with the earlier review (e.g. "rv_m1abc_1f2e3d")' },
+        questions: { type: 'array', items: { type: 'string' }, description: 'Clarifying questions about the earlier findings' },
+      },
+      required: ['sessionId', 'questions']
+    }
+  },
   multi_review: {
     name: 'multi_review',
-    description: "ONLY use when user explicitly requests '/multi-review' or 'review with all models'. Runs parallel standard AND adversarial reviews from all available models. Each model reviews twice: standard (bugs/issues) + adversarial (challenge assumptions/design decisions). Use customPrompt to steer the adversarial focus. DO NOT use for general 'review' requests.",
+    description: "ONLY use when user explicitly requests '/multi-review' or 'review with all models'. Runs standard AND adversarial reviews from all available models, in parallel up to the configured concurrency limits. Each model reviews twice: standard (bugs/issues) + adversarial (challenge assumptions/design decisions). Use customPrompt to steer the adversarial focus. DO NOT use for general 'review' requests.",
     inputSchema: {
       type: 'object',
       properties: {
@@ -222,9 +1010,73 @@ export const TOOL_DEFINITIONS = {
         analyzedFiles: { type: 'array', items: { type: 'string' }, description: 'File paths that CC analyzed' },
         focusAreas: { type: 'array', items: { type: 'string', enum: ['security', 'performance', 'architecture', 'correctness', 'maintainability', 'scalability', 'testing', 'documentation'] }, description: 'Areas to focus the review on' },
         customPrompt: { type: 'string', description: 'Custom instructions for standard review + adversarial focus steering' },
-        serviceTier: { type: 'string', enum: ['default', 'fast', 'flex'], description: 'Codex service tier — only applies to Codex. Omit for fast default; fast = priority ~2x cost, flex = 50% cheaper/slower, default = API default tier.' }
+        ...HANDOFF_PROPERTIES,
+        structured: { type: 'boolean', description: 'Request JSON findings from every pass; references are verified and findings are merged across models into consensus (agreed by N of M) and single-model outliers' },
+        peerReview: { type: 'boolean', description: 'Add an anonymized second round: each model scores the other models\' findings as valid/questionable/invalid, and findings the peers reject are filtered from the report. Implies structured' },
+        diffBase: { type: 'string', description: 'Git ref to diff against (e.g. "main"). Changed files, line counts and diffs are included in the handoff. Omit for non-git directories' },
+        serviceTier: { type: 'string', enum: ['default', 'fast', 'flex'], description: 'Codex service tier — only applies to Codex. Omit for fast default; fast = priority ~2x cost, flex = 50% cheaper/slower, default = API default tier.' },
+        timeBudgetMs: { type: 'number', description: 'Wall-clock budget for the whole review in ms. Running passes are cut off when it runs out and queued passes are skipped. Overrides multiReview.timeBudgetMs in config' },
+        tokenBudget: { type: 'number', description: 'Input + output tokens the whole review may spend. Once spent, queued passes are skipped. Overrides multiReview.tokenBudget in config' }
+      },
+      required: ['workingDir', 'ccOutput', 'outputType']
+    }
+  },
+  review_start: {
+    name: 'review_start',
+    description: "Run a review tool in the background and return a job ID at once — use instead of the tool itself for long reviews (xhigh reasoning, multi_review) that would otherwise block or hit tool-call timeouts. Takes that tool's arguments plus `tool`. Check progress with review_status; fetch the output with review_result; stop it with review_cancel.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tool: { type: 'string', enum: ['codex_review', 'gemini_review', 'claude_review', 'ollama_review', 'custom_review', 'multi_review'], description: 'Review tool to run (default: multi_review)' },
+        workingDir: { type: 'string', description: 'Working directory for the CLI to operate in' },
+        ccOutput: { type: 'string', description: "Claude Code's output to review (findings, plan, analysis)" },
+        outputType: { type: 'string', enum: ['plan', 'findings', 'analysis', 'proposal'], description: 'Type of output being reviewed' },
+        analyzedFiles: { type: 'array', items: { type: 'string' }, description: 'File paths that CC analyzed' },
+        focusAreas: { type: 'array', items: { type: 'string', enum: ['security', 'performance', 'architecture', 'correctness', 'maintainability', 'scalability', 'testing', 'documentation'] }, description: 'Areas to focus the review on' },
+        customPrompt: { type: 'string', description: 'Custom instructions for the reviewer' },
+        ...HANDOFF_PROPERTIES,
+        structured: { type: 'boolean', description: 'Request JSON findings and return a verified action plan' },
+        diffBase: { type: 'string', description: 'Git ref to diff against (e.g. "main")' },
+        reasoningEffort: { type: 'string', enum: ['high', 'xhigh'], description: 'Codex reasoning effort (codex_review only)' },
+        serviceTier: { type: 'string', enum: ['default', 'fast', 'flex'], description: 'Codex service tier' },
+        reviewer: { type: 'string', description: 'custom_review only: id of the reviewer in the customReviewers config section' },
+        peerReview: { type: 'boolean', description: 'multi_review only: add the anonymized peer-scoring round' },
+        timeBudgetMs: { type: 'number', description: 'multi_review only: wall-clock budget in ms' },
+        tokenBudget: { type: 'number', description: 'multi_review only: input + output token budget' }
       },
       required: ['workingDir', 'ccOutput', 'outputType']
     }
   },
+  review_status: {
+    name: 'review_status',
+    description: "Show the state of background review jobs started with review_start: each reviewer pass as queued/running/done/failed with elapsed time and its latest event. Omit jobId to list every job.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job ID from review_start (e.g. "job_m1abc_1f2e3d")' },
+      },
+    }
+  },
+  review_result: {
+    name: 'review_result',
+    description: "Fetch the output of a background review job started with review_start. Finished output is returned once, then the job is forgotten; a running job reports its status instead.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job ID from review_start' },
+      },
+      required: ['jobId']
+    }
+  },
+  review_cancel: {
+    name: 'review_cancel',
+    description: "Stop a background review job started with review_start, killing its reviewer CLIs. Use when the review is no longer needed, e.g. the code it covers has changed. Fetch whatever finished with review_result.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job ID from review_start' },
+      },
+      required: ['jobId']
+    }
+  },
 };
@@ -0,0 +1,133 @@
+/**
+ * Token Usage & Cost Estimates
+ *
+ * Every adapter reports the tokens its reviewer spent (TokenUsage on the
+ * ReviewResult). This module prices them against the `pricing` config
+ * section and formats usage lines for tool output.
+ *
+ * Costs are estimates: no prices ship by default, so a model only gets a
+ * dollar figure once the user has priced it. Codex service tiers scale the
+ * price (fast ~2x, flex ~0.5x) via `pricing.tierMultipliers`.
+ */
+
+import { TokenUsage } from './adapters/base.js';
+import { getConfig, ModelPrice } from './config.js';
+
+// =============================================================================
+// PRICING
+// =============================================================================
+
+/**
+ * Price for a model id: exact key first, then the longest key the id starts with.
+ */
+export function findModelPrice(model: string | undefined): ModelPrice | null {
+  if (!model) return null;
+  const models = getConfig().pricing.models;
+  if (models[model]) return models[model];
+
+  const prefix = Object.keys(models)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? models[prefix] : null;
+}
+
+/**
+ * Estimated cost in USD, or null when the model has no configured price.
+ */
+export function estimateCost(usage: TokenUsage): number | null {
+  const price = findModelPrice(usage.model);
+  if (!price) return null;
+
+  const cached = Math.min(usage.cachedInputTokens ?? 0, usage.inputTokens);
+  const uncached = usage.inputTokens - cached;
+  const base = (
+    uncached * price.input +
+    cached * (price.cachedInput ?? price.input) +
+    usage.outputTokens * price.output
+  ) / 1_000_000;
+
+  const multipliers = getConfig().pricing.tierMultipliers;
+  const tier = usage.serviceTier as keyof typeof multipliers | undefined;
+  return base * (tier && tier in multipliers ? multipliers[tier] : multipliers.default);
+}
+
+// =============================================================================
+// AGGREGATION
+// =============================================================================
+
+export interface UsageTotals {
+  inputTokens: number;
+  cachedInputTokens: number;
+  outputTokens: number;
+  /** Sum over the priced invocations only */
+  cost: number;
+  /** Models that reported usage but have no configured price */
+  unpricedModels: string[];
+  /** Invocations that reported usage */
+  count: number;
+}
+
+/**
+ * Sum token counts and estimated cost over several invocations.
+ * Entries without usage (reviewers that don't report it) are skipped.
+ */
+export function sumUsage(usages: Array<TokenUsage | undefined>): UsageTotals {
+  const totals: UsageTotals = { inputTokens: 0, cachedInputTokens: 0, outputTokens: 0, cost: 0, unpricedModels: [], count: 0 };
+  for (const usage of usages) {
+    if (!usage) continue;
+    totals.count++;
+    totals.inputTokens += usage.inputTokens;
+    totals.cachedInputTokens += usage.cachedInputTokens ?? 0;
+    totals.outputTokens += usage.outputTokens;
+
+    const cost = estimateCost(usage);
+    if (cost !== null) totals.cost += cost;
+    else {
+      const model = usage.model ?? 'unknown model';
+      if (!totals.unpricedModels.includes(model)) totals.unpricedModels.push(model);
+    }
+  }
+  return totals;
+}
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+function formatTokens(input: number, cached: number, output: number): string {
+  const cachedStr = cached > 0 ? ` (${cached.toLocaleString('en-US')} cached)` : '';
+  return `${input.toLocaleString('en-US')} in${cachedStr} / ${output.toLocaleString('en-US')} out`;
+}
+
+function formatCost(cost: number): string {
+  return cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`;
+}
+
+/**
+ * One-line usage summary for a single invocation, e.g.
+ * "**Usage:** 12,345 in (2,000 cached) / 1,234 out · gpt-5.5 [fast] · ~$0.12"
+ */
+export function formatUsage(usage: TokenUsage): string {
+  const parts = [formatTokens(usage.inputTokens, usage.cachedInputTokens ?? 0, usage.outputTokens)];
+  if (usage.model) parts.push(usage.serviceTier ? `${usage.model} [${usage.serviceTier}]` : usage.model);
+  if (usage.durationMs !== undefined) parts.push(`${(usage.durationMs / 1000).toFixed(1)}s API`);
+  const cost = estimateCost(usage);
+  if (cost !== null) parts.push(`~${formatCost(cost)}`);
+  return `**Usage:** ${parts.join(' · ')}`;
+}
+
+/**
+ * Aggregate line for multi-model runs. Returns '' when nothing reported usage.
+ */
+export function formatUsageTotals(totals: UsageTotals): string {
+  if (totals.count === 0) return '';
+  let line = `**Total Usage:** ${formatTokens(totals.inputTokens, totals.cachedInputTokens, totals.outputTokens)} across ${totals.count} run${totals.count === 1 ? '' : 's'}`;
+  if (totals.unpricedModels.length === 0) {
+    line += ` · ~${formatCost(totals.cost)}`;
+  } else if (totals.cost > 0) {
+    line += ` · ~${formatCost(totals.cost)} + unpriced (${totals.unpricedModels.join(', ')})`;
+  } else {
+    line += ` · cost not estimated — add ${totals.unpricedModels.join(', ')} to pricing.models in config`;
+  }
+  return line;
+}